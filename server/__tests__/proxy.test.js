@@ -0,0 +1,259 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'node:http';
+import { createProxyServer } from '../proxy';
+import { getServerConfig } from '../config';
+import { createProxyProvider } from '../../src/services/providers/proxyProvider';
+import { classifyError } from '../../src/services/errors';
+
+/**
+ * A stand-in for OpenAI's chat completions API
+ *
+ * Answers "Hello from the stub" (word by word when streaming), or fails
+ * the way `stub.failure` says. Every request is recorded.
+ */
+function createStubUpstream() {
+  const stub = { requests: [], failure: null };
+
+  stub.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      stub.requests.push({ url: req.url, headers: req.headers, body });
+
+      if (stub.failure) {
+        res.writeHead(stub.failure.status, { 'content-type': 'application/json', ...stub.failure.headers });
+        res.end(JSON.stringify({ error: { message: stub.failure.message, code: stub.failure.code } }));
+        return;
+      }
+
+      if (body.stream) {
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        for (const word of ['Hello', ' from', ' the', ' stub']) {
+          res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: word } }] })}\n\n`);
+        }
+        res.end('data: [DONE]\n\n');
+        return;
+      }
+
+      const choices = Array.from({ length: body.n || 1 }, (_, index) => ({
+        index,
+        message: { role: 'assistant', content: `Hello from the stub ${index + 1}` },
+        finish_reason: 'stop',
+      }));
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ choices }));
+    });
+  });
+
+  return stub;
+}
+
+/**
+ * Start a server on a free port and return its URL
+ */
+async function listen(server) {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * POST JSON to the proxy
+ */
+function post(url, body, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+const request = { system: 'Be brief.', prompt: 'Say hello', temperature: 0.5, maxTokens: 50, stop: ['---'] };
+
+describe('AI proxy server', () => {
+  const stub = createStubUpstream();
+  const servers = [];
+  let upstreamURL;
+
+  /**
+   * Start a proxy in front of the stub
+   */
+  async function startProxy(env = {}) {
+    const config = getServerConfig({
+      AI_PROVIDER: 'openai',
+      AI_MODEL: 'gpt-4o-mini',
+      AI_BASE_URL: upstreamURL,
+      OPENAI_API_KEY: 'sk-server-secret',
+      ...env,
+    });
+    const server = createProxyServer(config, { logger: { error: vi.fn() } });
+    servers.push(server);
+    return listen(server);
+  }
+
+  beforeAll(async () => {
+    upstreamURL = await listen(stub.server);
+  });
+
+  afterAll(async () => {
+    for (const server of [stub.server, ...servers]) {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  beforeEach(() => {
+    stub.requests = [];
+    stub.failure = null;
+  });
+
+  it('should forward /api/continue with the server key and model', async () => {
+    const proxyURL = await startProxy();
+
+    const response = await post(`${proxyURL}/api/continue`, { request: { ...request, model: 'gpt-4-32k' } });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ text: 'Hello from the stub 1' });
+
+    const [upstream] = stub.requests;
+    expect(upstream.headers.authorization).toBe('Bearer sk-server-secret');
+    expect(upstream.body).toMatchObject({
+      model: 'gpt-4o-mini',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Say hello' },
+      ],
+      temperature: 0.5,
+      max_tokens: 50,
+      stop: ['---'],
+    });
+  });
+
+  it('should return several candidates, up to the server limit', async () => {
+    const proxyURL = await startProxy();
+
+    const response = await post(`${proxyURL}/api/continue`, { request, n: 50 });
+    const { texts } = await response.json();
+
+    expect(texts).toHaveLength(5);
+    expect(stub.requests[0].body.n).toBe(5);
+  });
+
+  it('should cap the completion length', async () => {
+    const proxyURL = await startProxy();
+
+    await post(`${proxyURL}/api/continue`, { request: { ...request, maxTokens: 100000 } });
+
+    expect(stub.requests[0].body.max_tokens).toBe(1000);
+  });
+
+  it('should stream the answer as server-sent events', async () => {
+    const proxyURL = await startProxy();
+    const provider = createProxyProvider({ baseURL: proxyURL });
+    const onChunk = vi.fn();
+
+    const text = await provider.stream(request, { onChunk });
+
+    expect(text).toBe('Hello from the stub');
+    expect(onChunk.mock.calls.map(([chunk]) => chunk)).toEqual(['Hello', ' from', ' the', ' stub']);
+    expect(stub.requests[0].body.stream).toBe(true);
+  });
+
+  it('should serve the browser provider', async () => {
+    const proxyURL = await startProxy();
+    const provider = createProxyProvider({ baseURL: proxyURL });
+
+    await expect(provider.generate(request)).resolves.toBe('Hello from the stub 1');
+    await expect(provider.generateMany(request, 2)).resolves.toEqual([
+      'Hello from the stub 1',
+      'Hello from the stub 2',
+    ]);
+  });
+
+  it('should rate limit every client separately', async () => {
+    const proxyURL = await startProxy({ RATE_LIMIT: '2', TRUST_PROXY: 'true' });
+    const from = (ip) => ({ 'x-forwarded-for': ip });
+
+    expect((await post(`${proxyURL}/api/continue`, { request }, from('10.0.0.1'))).status).toBe(200);
+    expect((await post(`${proxyURL}/api/continue`, { request }, from('10.0.0.1'))).status).toBe(200);
+
+    const limited = await post(`${proxyURL}/api/continue/stream`, { request }, from('10.0.0.1'));
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+    expect(await limited.json()).toMatchObject({ error: { code: 'rate_limited' } });
+
+    expect((await post(`${proxyURL}/api/continue`, { request }, from('10.0.0.2'))).status).toBe(200);
+    expect(stub.requests).toHaveLength(3);
+  });
+
+  it('should count every candidate against the rate limit', async () => {
+    const proxyURL = await startProxy({ RATE_LIMIT: '4' });
+
+    const first = await post(`${proxyURL}/api/continue`, { request, n: 3 });
+    expect(first.status).toBe(200);
+    expect(first.headers.get('ratelimit-remaining')).toBe('1');
+
+    expect((await post(`${proxyURL}/api/continue`, { request, n: 3 })).status).toBe(429);
+    expect((await post(`${proxyURL}/api/continue`, { request })).status).toBe(200);
+  });
+
+  it('should pass provider failures on as typed errors', async () => {
+    const proxyURL = await startProxy();
+    const provider = createProxyProvider({ baseURL: proxyURL });
+    stub.failure = { status: 429, message: 'Slow down', headers: { 'retry-after': '7' } };
+
+    const error = await provider.generate(request).catch((error) => error);
+    const aiError = classifyError(error, provider);
+
+    expect(aiError).toMatchObject({ type: 'rate-limit', retryAfter: 7000 });
+  });
+
+  it('should keep error codes like insufficient_quota', async () => {
+    const proxyURL = await startProxy();
+    stub.failure = { status: 429, message: 'No credits', code: 'insufficient_quota' };
+
+    const response = await post(`${proxyURL}/api/continue`, { request });
+
+    expect(response.status).toBe(429);
+    expect(await response.json()).toMatchObject({ error: { code: 'insufficient_quota' } });
+  });
+
+  it('should report an unreachable provider as a bad gateway', async () => {
+    const proxyURL = await startProxy({ AI_BASE_URL: 'http://127.0.0.1:1' });
+
+    const response = await post(`${proxyURL}/api/continue`, { request });
+
+    expect(response.status).toBe(502);
+    expect(await response.json()).toMatchObject({ error: { message: 'Could not reach the AI provider.' } });
+  });
+
+  it('should reject invalid requests', async () => {
+    const proxyURL = await startProxy();
+
+    expect((await post(`${proxyURL}/api/continue`, { request: { system: 'No prompt' } })).status).toBe(400);
+    expect((await fetch(`${proxyURL}/api/continue`, { method: 'POST', body: 'not json' })).status).toBe(400);
+    expect((await fetch(`${proxyURL}/api/continue`)).status).toBe(405);
+    expect((await post(`${proxyURL}/api/other`, { request })).status).toBe(404);
+    expect(stub.requests).toHaveLength(0);
+  });
+
+  it('should answer oversized bodies with 413', async () => {
+    const proxyURL = await startProxy();
+
+    const response = await post(`${proxyURL}/api/continue`, { request: { ...request, prompt: 'x'.repeat(1_100_000) } });
+
+    expect(response.status).toBe(413);
+    expect(await response.json()).toMatchObject({ error: { message: 'Request body too large' } });
+    expect(stub.requests).toHaveLength(0);
+  });
+
+  it('should only send CORS headers to allowed origins', async () => {
+    const proxyURL = await startProxy({ ALLOWED_ORIGINS: 'https://writer.example' });
+    const preflight = (origin) => fetch(`${proxyURL}/api/continue`, { method: 'OPTIONS', headers: { origin } });
+
+    expect((await preflight('https://writer.example')).headers.get('access-control-allow-origin'))
+      .toBe('https://writer.example');
+    expect((await preflight('https://evil.example')).headers.get('access-control-allow-origin')).toBeNull();
+  });
+});
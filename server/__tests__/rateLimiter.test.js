@@ -0,0 +1,46 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { createRateLimiter } from '../rateLimiter';
+
+describe('createRateLimiter', () => {
+  it('should allow the limit and then refuse until the window ends', () => {
+    let time = 1000;
+    const limiter = createRateLimiter({ limit: 2, windowMs: 60000, now: () => time });
+
+    expect(limiter.hit('a')).toMatchObject({ allowed: true, remaining: 1 });
+    expect(limiter.hit('a')).toMatchObject({ allowed: true, remaining: 0 });
+    expect(limiter.hit('a')).toMatchObject({ allowed: false, remaining: 0, retryAfter: 60000 });
+
+    time += 45000;
+    expect(limiter.hit('a')).toMatchObject({ allowed: false, retryAfter: 15000 });
+
+    time += 15000;
+    expect(limiter.hit('a')).toMatchObject({ allowed: true, remaining: 1 });
+  });
+
+  it('should count every client separately', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60000 });
+
+    expect(limiter.hit('a').allowed).toBe(true);
+    expect(limiter.hit('a').allowed).toBe(false);
+    expect(limiter.hit('b').allowed).toBe(true);
+  });
+
+  it('should count costly requests several times, but never more than the limit', () => {
+    const limiter = createRateLimiter({ limit: 5, windowMs: 60000 });
+
+    expect(limiter.hit('a', 3)).toMatchObject({ allowed: true, remaining: 2 });
+    expect(limiter.hit('a', 3)).toMatchObject({ allowed: false, remaining: 2 });
+    expect(limiter.hit('a', 2)).toMatchObject({ allowed: true, remaining: 0 });
+
+    expect(limiter.hit('b', 50)).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  it('should allow everything without a limit', () => {
+    const limiter = createRateLimiter({ limit: 0, windowMs: 60000 });
+
+    for (let i = 0; i < 100; i++) {
+      expect(limiter.hit('a').allowed).toBe(true);
+    }
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * PROXY SERVER CONFIGURATION
+ *
+ * The proxy reads its settings from environment variables. They have no
+ * VITE_ prefix on purpose: Vite only builds VITE_* variables into the
+ * browser bundle, so these - including the API keys - stay on the server.
+ *
+ * PORT                  - Where the proxy listens (default 8787)
+ * AI_PROVIDER           - openai | anthropic | local-server (default: openai,
+ *                         or anthropic when only ANTHROPIC_API_KEY is set)
+ * AI_MODEL              - Model name (defaults depend on the provider)
+ * AI_BASE_URL           - API base URL (needed for local-server)
+ * OPENAI_API_KEY        - Key for openai
+ * ANTHROPIC_API_KEY     - Key for anthropic
+ * AI_API_KEY            - Key for local-server (most don't check it)
+ * RATE_LIMIT            - Requests per client per window (default 30, 0 = no limit)
+ * RATE_LIMIT_WINDOW_MS  - Length of the rate limit window (default 60000)
+ * TRUST_PROXY           - 'true' when behind a reverse proxy: clients are
+ *                         then told apart by X-Forwarded-For
+ * ALLOWED_ORIGINS       - Comma-separated origins allowed to call the proxy
+ *                         from another origin (CORS); empty = same origin only
+ */
+
+// Default model and API URL per provider (same as src/services/aiConfig.js)
+const PROVIDER_DEFAULTS = {
+  openai: {
+    model: 'gpt-3.5-turbo',
+    baseURL: undefined, // The SDK's default (https://api.openai.com/v1)
+  },
+  anthropic: {
+    model: 'claude-3-haiku-20240307',
+    baseURL: 'https://api.anthropic.com',
+  },
+  'local-server': {
+    model: 'llama3',
+    baseURL: 'http://localhost:11434/v1',
+  },
+};
+
+/**
+ * Build the proxy configuration
+ *
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {Object} { port, provider, model, baseURL, apiKey, rateLimit, windowMs,
+ *   trustProxy, allowedOrigins, maxTokens, maxCandidates }
+ */
+export function getServerConfig(env = process.env) {
+  const provider = env.AI_PROVIDER ||
+    (env.ANTHROPIC_API_KEY && !env.OPENAI_API_KEY ? 'anthropic' : 'openai');
+  const defaults = PROVIDER_DEFAULTS[provider] || {};
+
+  const apiKeys = {
+    openai: env.OPENAI_API_KEY,
+    anthropic: env.ANTHROPIC_API_KEY,
+    // Local servers usually don't check the key, but the OpenAI SDK requires one
+    'local-server': env.AI_API_KEY || 'not-needed',
+  };
+
+  return {
+    port: readNumber(env.PORT, 8787),
+    provider,
+    model: env.AI_MODEL || defaults.model,
+    baseURL: env.AI_BASE_URL || defaults.baseURL,
+    apiKey: apiKeys[provider],
+    rateLimit: readNumber(env.RATE_LIMIT, 30),
+    windowMs: readNumber(env.RATE_LIMIT_WINDOW_MS, 60000),
+    trustProxy: env.TRUST_PROXY === 'true',
+    allowedOrigins: (env.ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean),
+
+    // Limits on what a client may ask for, so one request can't cost a fortune
+    maxTokens: 1000,
+    maxCandidates: 5,
+  };
+}
+
+/**
+ * Read a number from an environment variable (an explicit 0 is kept)
+ *
+ * @param {string} [value]
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+}
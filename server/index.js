@@ -0,0 +1,29 @@
+/**
+ * AI PROXY SERVER - ENTRY POINT
+ *
+ * Start it with `npm run server`, then run the app with
+ * VITE_AI_PROVIDER=proxy. In development Vite forwards /api to it
+ * (see vite.config.ts).
+ *
+ * Settings come from the environment or the .env file - see config.js.
+ */
+
+import { getServerConfig } from './config.js';
+import { createProxyServer } from './proxy.js';
+
+// Read .env if there is one (the variables already set win)
+try {
+  process.loadEnvFile();
+} catch {
+  // No .env file - use the environment as it is
+}
+
+const config = getServerConfig();
+
+if (!config.apiKey) {
+  console.warn(`No API key for ${config.provider} - set ${config.provider === 'anthropic' ? 'ANTHROPIC_API_KEY' : 'OPENAI_API_KEY'}.`);
+}
+
+createProxyServer(config).listen(config.port, () => {
+  console.log(`AI proxy listening on http://localhost:${config.port} (${config.provider}, ${config.model})`);
+});
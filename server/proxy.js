@@ -0,0 +1,377 @@
+/**
+ * AI PROXY SERVER
+ *
+ * A small HTTP server that sits between the browser and the AI provider.
+ * The browser sends the prompt; the proxy adds the API key (which only it
+ * knows), calls the provider and passes the answer back.
+ *
+ * Endpoints:
+ * - POST /api/continue         { request, n? } → { text } or { texts } when n is given
+ * - POST /api/continue/stream  { request }     → server-sent events:
+ *                                                { text } per chunk, then { done: true }
+ *                                                or { error } if the provider fails midway
+ * - GET  /api/health                           → { ok, provider, model }
+ *
+ * `request` is the provider-neutral request (see src/services/providers/index.js),
+ * trimmed to { system, prompt, temperature, maxTokens, stop }. The provider and
+ * model are chosen by the server - clients can't pick an expensive one.
+ *
+ * The provider code is shared with the browser (src/services/providers/),
+ * so both talk to OpenAI and Anthropic in exactly the same way.
+ *
+ * Errors are JSON ({ error: { message, code } }) with the provider's HTTP
+ * status, so the browser's errors.js can tell rate limits from outages.
+ */
+
+import http from 'node:http';
+import { createOpenAIProvider } from '../src/services/providers/openaiProvider.js';
+import { createAnthropicProvider } from '../src/services/providers/anthropicProvider.js';
+import { createRateLimiter } from './rateLimiter.js';
+
+// Prompts are trimmed to a token budget in the browser - anything bigger is abuse
+const MAX_BODY_BYTES = 1_000_000;
+
+/**
+ * Create the provider the proxy forwards to
+ *
+ * @param {Object} config - From getServerConfig()
+ * @returns {Object} A provider (see src/services/providers/index.js)
+ * @throws {Error} If config.provider isn't supported
+ */
+export function createUpstreamProvider(config) {
+  switch (config.provider) {
+    case 'openai':
+      return createOpenAIProvider(config);
+    case 'local-server':
+      return createOpenAIProvider(config, { id: 'local-server', label: 'Local server' });
+    case 'anthropic':
+      return createAnthropicProvider(config);
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${config.provider}". Use openai, anthropic or local-server.`);
+  }
+}
+
+/**
+ * Create the proxy server (call .listen() to start it)
+ *
+ * @param {Object} config - From getServerConfig()
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - Provider to forward to (built from config by default)
+ * @param {Object} [options.logger] - Where errors are logged (console by default)
+ * @returns {http.Server}
+ */
+export function createProxyServer(config, { provider = createUpstreamProvider(config), logger = console } = {}) {
+  const limiter = createRateLimiter({ limit: config.rateLimit, windowMs: config.windowMs });
+
+  // Path → handler(res, request, body, signal)
+  const routes = {
+    '/api/continue': (res, request, body, signal) => handleContinue(res, request, body, signal, provider, config),
+    '/api/continue/stream': (res, request, body, signal) => handleStream(res, request, signal, provider),
+  };
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    setCorsHeaders(req, res, config.allowedOrigins);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+
+    if (pathname === '/api/health') {
+      sendJson(res, 200, { ok: true, provider: provider.id, model: config.model });
+      return;
+    }
+
+    const route = routes[pathname];
+    if (!route) {
+      sendError(res, 404, 'Not found');
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      sendError(res, 405, 'Method not allowed');
+      return;
+    }
+
+    // STEP 1: Read and check the request
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      // The rest of an oversized body is never read - close the
+      // connection once the client has the answer
+      if (error.status === 413) {
+        res.setHeader('Connection', 'close');
+        res.once('finish', () => req.socket.end());
+      }
+      sendError(res, error.status || 400, error.message);
+      return;
+    }
+
+    const request = toProviderRequest(body?.request, config);
+    if (!request) {
+      sendError(res, 400, 'Expected a JSON body like { "request": { "prompt": "..." } }');
+      return;
+    }
+
+    // STEP 2: Rate limit per client - several candidates cost one
+    // upstream request each
+    const cost = pathname === '/api/continue' ? getCandidateCount(body, config) ?? 1 : 1;
+    const rate = limiter.hit(getClientId(req, config.trustProxy), cost);
+    if (Number.isFinite(rate.limit)) {
+      res.setHeader('RateLimit-Limit', rate.limit);
+      res.setHeader('RateLimit-Remaining', rate.remaining);
+    }
+    if (!rate.allowed) {
+      res.setHeader('Retry-After', Math.ceil(rate.retryAfter / 1000));
+      sendError(res, 429, 'Too many requests. Please wait a moment.', 'rate_limited');
+      return;
+    }
+
+    // STEP 3: Forward it - and stop the provider if the browser hangs up
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+      await route(res, request, body, controller.signal);
+    } catch (error) {
+      if (controller.signal.aborted) return;
+
+      logger.error(`AI proxy: ${pathname} failed:`, error.message);
+
+      // A stream has already sent its headers - report the error as an event
+      if (res.headersSent) {
+        writeEvent(res, { error: toErrorBody(error).error });
+        res.end();
+        return;
+      }
+
+      sendProviderError(res, error);
+    }
+  });
+}
+
+/**
+ * POST /api/continue - the whole answer at once (or several, with n)
+ */
+async function handleContinue(res, request, body, signal, provider, config) {
+  const count = getCandidateCount(body, config);
+  if (count === null) {
+    const text = await provider.generate(request, { signal });
+    sendJson(res, 200, { text });
+    return;
+  }
+
+  const texts = provider.capabilities.multipleCandidates
+    ? await provider.generateMany(request, count, { signal })
+    : await Promise.all(Array.from({ length: count }, () => provider.generate(request, { signal })));
+
+  sendJson(res, 200, { texts });
+}
+
+/**
+ * How many candidates a /api/continue request asks for
+ *
+ * @param {Object} body - The request body
+ * @param {Object} config - From getServerConfig()
+ * @returns {number|null} 1 to config.maxCandidates, or null without n
+ *   (then the answer is a single { text })
+ */
+function getCandidateCount(body, config) {
+  if (body.n === undefined || body.n === null) return null;
+  return Math.round(clamp(Number(body.n), 1, config.maxCandidates));
+}
+
+/**
+ * POST /api/continue/stream - relay the answer chunk by chunk
+ */
+async function handleStream(res, request, signal, provider) {
+  res.writeHead(200, {
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-cache',
+    connection: 'keep-alive',
+  });
+
+  await provider.stream(request, {
+    signal,
+    onChunk: (text) => writeEvent(res, { text }),
+  });
+
+  writeEvent(res, { done: true });
+  res.end();
+}
+
+/**
+ * Keep only what the provider needs, within the server's limits
+ *
+ * @param {Object} request - From the request body
+ * @param {Object} config - From getServerConfig()
+ * @returns {Object|null} The provider request, or null if it is invalid
+ */
+function toProviderRequest(request, config) {
+  if (!request || typeof request.prompt !== 'string' || request.prompt.trim() === '') return null;
+
+  return {
+    system: typeof request.system === 'string' ? request.system : '',
+    prompt: request.prompt,
+    temperature: clamp(Number(request.temperature ?? 0.7), 0, 2),
+    maxTokens: Math.round(clamp(Number(request.maxTokens) || 100, 1, config.maxTokens)),
+    stop: Array.isArray(request.stop)
+      ? request.stop.filter((stop) => typeof stop === 'string').slice(0, 4)
+      : undefined,
+  };
+}
+
+/**
+ * Tell clients apart by IP address
+ *
+ * Behind a reverse proxy every request comes from the reverse proxy, so
+ * the original address is read from X-Forwarded-For - but only when told
+ * to trust it, because clients can send that header themselves.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {boolean} trustProxy
+ * @returns {string}
+ */
+function getClientId(req, trustProxy) {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  if (forwarded) return forwarded.split(',')[0].trim();
+  return req.socket.remoteAddress || 'unknown';
+}
+
+/**
+ * Read a JSON request body
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<*>}
+ * @throws {Error} With status 413 if it is too big, 400 if it isn't JSON
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop collecting, but keep draining the socket so the
+        // response can still be sent (see the 413 in createProxyServer)
+        req.removeAllListeners('data');
+        req.resume();
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Allow the configured origins to call the proxy from the browser
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string[]} allowedOrigins - Origins, or '*' for any
+ */
+function setCorsHeaders(req, res, allowedOrigins) {
+  const origin = req.headers.origin;
+  if (!origin || !(allowedOrigins.includes(origin) || allowedOrigins.includes('*'))) return;
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'content-type');
+  // The browser needs these to show the retry countdown
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, RateLimit-Limit, RateLimit-Remaining');
+}
+
+/**
+ * Send a provider's failure to the browser, keeping its status and retry-after
+ *
+ * @param {http.ServerResponse} res
+ * @param {Error} error - From the provider
+ */
+function sendProviderError(res, error) {
+  const retryAfter = getHeader(error.headers, 'retry-after');
+  if (retryAfter) res.setHeader('Retry-After', retryAfter);
+
+  const body = toErrorBody(error);
+  sendJson(res, body.error.status, body);
+}
+
+/**
+ * Describe a provider error for the browser
+ *
+ * @param {Error} error
+ * @returns {{ error: { message: string, code?: string, status: number } }}
+ */
+function toErrorBody(error) {
+  const code = error.code || error.error?.code || error.error?.type;
+
+  // The provider refused to answer - not a server failure
+  if (code === 'content_filter') {
+    return { error: { message: error.message, code, status: 422 } };
+  }
+
+  // Errors without a status never reached the provider (or it hung up)
+  if (!error.status) {
+    return { error: { message: 'Could not reach the AI provider.', status: 502 } };
+  }
+
+  const status = error.status >= 400 && error.status < 600 ? error.status : 502;
+  return { error: { message: error.message, code, status } };
+}
+
+/**
+ * Read a header from fetch Headers or a plain object (the OpenAI SDK uses both)
+ *
+ * @param {Headers|Object} [headers]
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  return typeof headers.get === 'function' ? headers.get(name) ?? undefined : headers[name];
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a JSON error in the same shape as the providers' ({ error: { message, code } })
+ */
+function sendError(res, status, message, code) {
+  sendJson(res, status, { error: { message, code } });
+}
+
+/**
+ * Send one server-sent event
+ */
+function writeEvent(res, data) {
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Keep a number within a range (non-numbers become the minimum)
+ */
+function clamp(value, min, max) {
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : min;
+}
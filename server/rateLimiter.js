@@ -0,0 +1,69 @@
+/**
+ * RATE LIMITER
+ *
+ * Every client may send a limited number of requests per time window
+ * (e.g. 30 per minute). Without this, anyone who can reach the proxy
+ * could spend our API credits as fast as they like.
+ *
+ * It uses fixed windows: a client's first request starts a window, and
+ * the count resets when the window ends. Simple and cheap - a client
+ * can at most send twice the limit across the edge of two windows.
+ */
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Requests per window (0 or less = no limit)
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} [options.now] - Returns the current time (for tests)
+ * @returns {{ hit: Function }} hit(clientId, cost) → { allowed, limit, remaining, retryAfter }
+ */
+export function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  // clientId → { count, resetAt }
+  const windows = new Map();
+
+  /**
+   * Forget windows that have ended, so the map doesn't grow forever
+   */
+  const sweep = (time) => {
+    for (const [clientId, window] of windows) {
+      if (window.resetAt <= time) windows.delete(clientId);
+    }
+  };
+
+  return {
+    /**
+     * Count a request from a client
+     *
+     * A request that costs more than one (e.g. several candidates) counts
+     * several times - but never more than the whole limit, so it can
+     * always be sent in a fresh window.
+     *
+     * @param {string} clientId - e.g. the client's IP address
+     * @param {number} [cost=1] - How many requests this one counts as
+     * @returns {{ allowed: boolean, limit: number, remaining: number, retryAfter: number }}
+     *   retryAfter is in milliseconds (0 when allowed)
+     */
+    hit(clientId, cost = 1) {
+      if (!(limit > 0)) return { allowed: true, limit: Infinity, remaining: Infinity, retryAfter: 0 };
+
+      const time = now();
+      if (windows.size > 10000) sweep(time);
+
+      let window = windows.get(clientId);
+      if (!window || window.resetAt <= time) {
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(clientId, window);
+      }
+
+      const count = Math.min(cost, limit);
+      if (window.count + count > limit) {
+        return { allowed: false, limit, remaining: limit - window.count, retryAfter: window.resetAt - time };
+      }
+
+      window.count += count;
+      return { allowed: true, limit, remaining: limit - window.count, retryAfter: 0 };
+    },
+  };
+}
@@ -6,11 +6,14 @@
  * - ProseMirror editor for text editing
  * - Radix UI components for the interface
  * - AI service for content generation
+ * - Document store for the user's documents (autosaved in IndexedDB)
+ * - History store for each document's past AI suggestions
  *
  * Think of this as the "conductor" of an orchestra - it coordinates
  * all the different parts to work together harmoniously.
  */
 
+import { useEffect, useRef, useState } from "react";
 import { useMachine } from "@xstate/react";
 import { Theme } from "@radix-ui/themes";
 import { editorMachine } from "./machines/editorMachine";
@@ -18,7 +21,37 @@ import { Editor } from "./components/Editor";
 import { Toolbar } from "./components/Toolbar";
 import { StatusBar } from "./components/StatusBar";
 import { AIToolbar } from "./components/AIToolbar";
+import { PresetSettings } from "./components/PresetSettings";
+import { DocumentSidebar } from "./components/DocumentSidebar";
+import { GenerationHistory } from "./components/GenerationHistory";
+import { DebugPanel } from "./components/DebugPanel";
 import { hasValidAPIKey } from "./services/aiService";
+import {
+  loadPresets,
+  savePresets,
+  resetPresets,
+  getActivePresetId,
+  setActivePresetId,
+} from "./services/presetStore";
+import {
+  listDocuments,
+  loadDocument,
+  createDocument,
+  saveDocument,
+  updateDocument,
+  duplicateDocument,
+  deleteDocument,
+  getActiveDocumentId,
+  setActiveDocumentId,
+  createAutosaver,
+  DEFAULT_DOCUMENT_ID,
+  DEFAULT_TITLE,
+} from "./services/documentStore";
+import { loadHistory, saveHistory, deleteHistory } from "./services/historyStore";
+import { trackTransitions, TELEMETRY_ENABLED } from "./services/telemetry";
+import { serializeDocument } from "./editor/persistence";
+import { parseMarkdown, serializeMarkdown } from "./editor/markdown";
+import { downloadTextFile, getFileName, getTitleFromFileName } from "./services/files";
 import "@radix-ui/themes/styles.css";
 import "./App.css";
 
@@ -37,15 +70,67 @@ function App() {
    *
    * useMachine is a React hook from XState that:
    * - Creates a state machine instance
-   * - Returns [state, send] similar to useState
+   * - Returns [state, send, service] similar to useState
    * - state: Current state and context
    * - send: Function to send events to the machine
+   * - service: The running machine (for recording its transitions)
    */
-  const [state, send] = useMachine(editorMachine);
+  const [state, send, service] = useMachine(editorMachine);
 
-  // Debug: Expose state machine to window for manual testing
-  if (typeof window !== "undefined") {
-    window.debugMachine = { state, send };
+  // How suggestions are shown: "inline" inserts highlighted text into the
+  // document, "ghost" shows faded text that only becomes real on Tab
+  const [suggestionMode, setSuggestionMode] = useState("inline");
+
+  // Whether accepted AI text is highlighted in the editor (the "AI-written" overlay)
+  const [showAIWritten, setShowAIWritten] = useState(false);
+
+  // Whether the generation history panel is open
+  const [showHistory, setShowHistory] = useState(false);
+
+  // Whether the debug log is open (development only)
+  const [showDebug, setShowDebug] = useState(false);
+
+  // Prompt presets (saved in localStorage - the AI service reads the
+  // active one from there for every request)
+  const [presets, setPresets] = useState(loadPresets);
+  const [activePresetId, setActivePresetIdState] = useState(getActivePresetId);
+  const [isPresetSettingsOpen, setIsPresetSettingsOpen] = useState(false);
+
+  // Documents (see services/documentStore.js)
+  // documents: every document without its content, for the sidebar
+  // openDocument: the open document as loaded - the editor starts from its content
+  // saveStatus: what the status bar shows - { state, savedAt }, where state
+  // is "loading", "saved", "unsaved", "unavailable" or "error"
+  const [documents, setDocuments] = useState([]);
+  const [openDocument, setOpenDocument] = useState(null);
+  const [saveStatus, setSaveStatus] = useState({ state: "loading", savedAt: null });
+
+  // The open document's id, for callbacks that outlive a render (autosave)
+  // Nothing is saved while it is null - the documents are still loading
+  const activeDocumentIdRef = useRef(null);
+  const activeDocumentId = openDocument?.id ?? null;
+  const activeDocument = documents.find((item) => item.id === activeDocumentId);
+
+  // Created once; the editor state is only turned into JSON when the
+  // debounced save actually runs. Each save carries its document's id,
+  // so a save finishing after a switch can't land in the wrong document.
+  const autosaverRef = useRef(null);
+
+  // A write failed - the status bar says so (the last save time stays)
+  const showSaveError = () => setSaveStatus((status) => ({ ...status, state: "error" }));
+
+  if (!autosaverRef.current) {
+    autosaverRef.current = createAutosaver({
+      save: async ({ id, editorState }) => ({
+        id,
+        savedAt: await saveDocument(id, serializeDocument(editorState)),
+      }),
+      onSaved: ({ id, savedAt }) => {
+        if (id !== activeDocumentIdRef.current) return;
+        setSaveStatus(savedAt ? { state: "saved", savedAt } : { state: "unavailable", savedAt: null });
+      },
+      onError: showSaveError,
+    });
   }
 
   /**
@@ -64,42 +149,385 @@ function App() {
   /**
    * Handle "Continue Writing" button click
    *
-   * @param {number} cursorPosition - Where to insert AI content
+   * @param {number} [cursorPosition] - ProseMirror position to continue from
+   *   (defaults to the editor's cursor)
    */
   const handleContinue = (cursorPosition) => {
     // Check if API key is configured
-    if (!apiKeyConfigured) {
-      alert(
-        "Please configure your OpenAI API key.\n\n" +
-          "Create a .env file in the project root with:\n" +
-          "VITE_OPENAI_API_KEY=your_key_here"
-      );
-      return;
-    }
+    if (!checkApiKey()) return;
 
     // Send event to state machine
     // The machine will transition to 'generating' state
 
     send({
       type: "CONTINUE_CLICK",
-      cursorPosition: cursorPosition || 0,
+      cursorPosition,
     });
+  };
+
+  /**
+   * Handle "Keep writing" - continue chunk after chunk from the cursor
+   *
+   * @param {number|null} targetWords - How many words to write (null:
+   *   until the end of the section)
+   */
+  const handleKeepWriting = (targetWords) => {
+    if (!checkApiKey()) return;
+
+    // Each chunk is reviewed; accepting it requests the next one
+    send({ type: "KEEP_WRITING", targetWords });
+  };
+
+  /**
+   * Handle "Stop after this chunk" - the chunk on screen can still be accepted
+   */
+  const handleStopKeepWriting = () => {
+    send({ type: "STOP_KEEP_WRITING" });
+  };
+
+  /**
+   * Handle a command picked from the selection menu
+   *
+   * @param {Object} selectionCommand - { command, tone, language, from, to }
+   */
+  const handleSelectionCommand = (selectionCommand) => {
+    if (!checkApiKey()) return;
+
+    // The machine generates a replacement and moves to 'review'
+    send({ type: "SELECTION_COMMAND", ...selectionCommand });
+  };
+
+  /**
+   * Switch to another prompt preset
+   *
+   * @param {string} id - Preset id
+   */
+  const handlePresetChange = (id) => {
+    setActivePresetId(id);
+    setActivePresetIdState(id);
+    updateDocumentSettings({ presetId: id });
+  };
+
+  /**
+   * Switch between inline and ghost suggestions
+   *
+   * @param {string} mode - "inline" or "ghost"
+   */
+  const handleSuggestionModeChange = (mode) => {
+    setSuggestionMode(mode);
+    updateDocumentSettings({ suggestionMode: mode });
+  };
+
+  /**
+   * Store presets edited in the settings dialog
+   *
+   * @param {Object[]} newPresets - All presets
+   * @param {string} selectedId - The preset shown when the dialog was saved
+   */
+  const handlePresetsSave = (newPresets, selectedId) => {
+    savePresets(newPresets);
+    setPresets(newPresets);
+
+    // Keep the active preset unless it was deleted
+    if (!newPresets.some((preset) => preset.id === activePresetId)) {
+      handlePresetChange(selectedId);
+    }
+  };
+
+  const handlePresetsReset = () => {
+    setPresets(resetPresets());
+    setActivePresetIdState(getActivePresetId());
+    updateDocumentSettings({ presetId: getActivePresetId() });
+  };
+
+  /**
+   * STEP 3b: Document Handlers
+   *
+   * Every document has its own content, title and AI settings (the
+   * prompt preset and the suggestion mode). Before another document is
+   * opened, the open one is saved and the state machine is reset, so no
+   * suggestion of the old document ends up in the new one.
+   *
+   * Writes can fail (e.g. the storage quota is used up). The handlers then
+   * show the save error and undo their change to the document list, so
+   * the sidebar keeps matching what is stored.
+   */
+
+  /**
+   * The AI settings currently in use - new documents start with them
+   *
+   * @returns {Object} { presetId, suggestionMode }
+   */
+  const getCurrentSettings = () => ({ presetId: activePresetId, suggestionMode });
+
+  /**
+   * Show a document in the editor and apply its AI settings
+   *
+   * The Editor is keyed by the document id, so it starts over with the
+   * document's content.
+   *
+   * @param {Object} record - The document, with its content
+   */
+  const showDocument = (record) => {
+    activeDocumentIdRef.current = record.id;
+    setActiveDocumentId(record.id);
+    setOpenDocument(record);
+    setSaveStatus({ state: "saved", savedAt: record.savedAt ?? null });
+
+    const { presetId, suggestionMode: mode } = record.settings || {};
+    if (presetId) {
+      setActivePresetId(presetId);
+      setActivePresetIdState(presetId);
+    }
+    if (mode) setSuggestionMode(mode);
+
+    // The machine was reset, so its history is empty until this arrives
+    loadHistory(record.id).then((history) => {
+      if (history.length > 0 && activeDocumentIdRef.current === record.id) {
+        send({ type: "HISTORY_LOADED", history });
+      }
+    });
+  };
+
+  /**
+   * Leave the open document: save it and reset the state machine
+   * (this also stops a generation that is still running)
+   */
+  const leaveDocument = async () => {
+    await autosaverRef.current.flush();
+    send({ type: "RESET" });
+  };
+
+  /**
+   * Open another document
+   *
+   * @param {string} id
+   */
+  const handleSelectDocument = async (id) => {
+    if (id === activeDocumentId) return;
+
+    try {
+      // Without IndexedDB only the list entry is known - open it empty
+      const record = (await loadDocument(id)) || documents.find((item) => item.id === id);
+      if (!record) return;
+
+      await leaveDocument();
+      showDocument(record);
+    } catch {
+      showSaveError();
+    }
+  };
+
+  /**
+   * Create an empty document and open it
+   */
+  const handleCreateDocument = () => openNewDocument();
+
+  /**
+   * Create a document and open it
+   *
+   * @param {Object} [fields] - { title, content } (see documentStore.createDocument)
+   */
+  const openNewDocument = async (fields) => {
+    let record;
+    try {
+      record = await createDocument({ ...fields, settings: getCurrentSettings() });
+    } catch {
+      // Nothing was created - stay in the open document
+      showSaveError();
+      return;
+    }
+    setDocuments((current) => [...current, record]);
+
+    await leaveDocument();
+    showDocument(record);
+  };
+
+  /**
+   * Import a Markdown file (picked in the toolbar or dropped onto the
+   * editor) as a new document named after the file
+   *
+   * @param {File} file
+   */
+  const handleImportMarkdown = async (file) => {
+    let markdown;
+    try {
+      markdown = await file.text();
+    } catch {
+      alert(`Could not read "${file.name}".`);
+      return;
+    }
+
+    await openNewDocument({
+      title: getTitleFromFileName(file.name) || DEFAULT_TITLE,
+      content: parseMarkdown(markdown).toJSON(),
+    });
+  };
+
+  /**
+   * Download the open document as a Markdown file
+   *
+   * @param {Object} options
+   * @param {boolean} options.includeSuggestion - Export the suggestion under
+   *   review as if it was accepted (it is left out otherwise)
+   */
+  const handleExportMarkdown = ({ includeSuggestion }) => {
+    const { editorState } = state.context;
+    if (!editorState) return;
+
+    downloadTextFile(
+      getFileName(activeDocument?.title || DEFAULT_TITLE),
+      serializeMarkdown(editorState, { includeSuggestion })
+    );
+  };
+
+  /**
+   * Rename a document
+   *
+   * @param {string} id
+   * @param {string} title
+   */
+  const handleRenameDocument = async (id, title) => {
+    const previousTitle = documents.find((item) => item.id === id)?.title;
+    const setTitle = (value) =>
+      setDocuments((current) => current.map((item) => (item.id === id ? { ...item, title: value } : item)));
+
+    setTitle(title);
+    try {
+      await updateDocument(id, { title });
+    } catch {
+      setTitle(previousTitle);
+      showSaveError();
+    }
+  };
 
-    // Log state after send (this might still show old state due to async nature)
-    setTimeout(() => {}, 100);
+  /**
+   * Copy a document and open the copy
+   *
+   * @param {string} id
+   */
+  const handleDuplicateDocument = async (id) => {
+    // Copy what is on screen, not what was saved a second ago
+    await autosaverRef.current.flush();
+
+    let copy;
+    try {
+      copy = await duplicateDocument(id);
+    } catch {
+      showSaveError();
+      return;
+    }
+    if (!copy) return;
+    setDocuments((current) => [...current, copy]);
+
+    await leaveDocument();
+    showDocument(copy);
+  };
+
+  /**
+   * Delete a document (after asking)
+   * If it is the open one, the next document is opened - or a new empty
+   * one, so there is always a document to write in.
+   *
+   * @param {string} id
+   */
+  const handleDeleteDocument = async (id) => {
+    const target = documents.find((item) => item.id === id);
+    if (!target || !window.confirm(`Delete "${target.title}"? This can't be undone.`)) return;
+
+    const index = documents.indexOf(target);
+    const remaining = documents.filter((item) => item.id !== id);
+
+    try {
+      if (id === activeDocumentId) {
+        // Its unsaved changes don't matter any more
+        autosaverRef.current.cancel();
+        send({ type: "RESET" });
+
+        const next = remaining[0]
+          ? (await loadDocument(remaining[0].id)) || remaining[0]
+          : await createDocument({ settings: getCurrentSettings() });
+        if (remaining.length === 0) remaining.push(next);
+        showDocument(next);
+      }
+
+      setDocuments(remaining);
+      await deleteDocument(id);
+    } catch {
+      // The document is still stored - put it back in the list where it was
+      setDocuments((current) =>
+        current.some((item) => item.id === id)
+          ? current
+          : [...current.slice(0, index), target, ...current.slice(index)]
+      );
+      showSaveError();
+      return;
+    }
+    await deleteHistory(id);
+  };
+
+  /**
+   * Keep a change to the AI settings with the open document
+   *
+   * @param {Object} changes - e.g. { presetId }
+   */
+  const updateDocumentSettings = async (changes) => {
+    if (!activeDocument) return;
+
+    const { id, settings: previousSettings } = activeDocument;
+    const setSettings = (value) =>
+      setDocuments((current) => current.map((item) => (item.id === id ? { ...item, settings: value } : item)));
+
+    const settings = { ...previousSettings, ...changes };
+    setSettings(settings);
+    try {
+      await updateDocument(id, { settings });
+    } catch {
+      setSettings(previousSettings);
+      showSaveError();
+    }
+  };
+
+  /**
+   * Tell the user how to configure a key if there is none
+   *
+   * @returns {boolean} True if AI features can be used
+   */
+  const checkApiKey = () => {
+    if (apiKeyConfigured) return true;
+
+    alert(
+      "Please configure your AI provider's API key.\n\n" +
+        "Create a .env file in the project root with:\n" +
+        "VITE_OPENAI_API_KEY=your_key_here\n\n" +
+        "(or VITE_ANTHROPIC_API_KEY for VITE_AI_PROVIDER=anthropic)"
+    );
+    return false;
   };
 
   /**
    * Handle editor state changes
    *
    * @param {EditorState} editorState - New ProseMirror state
+   * @param {Transaction} [transaction] - The change that produced it
    */
-  const handleEditorStateChange = (editorState) => {
+  const handleEditorStateChange = (editorState, transaction) => {
     // Update the state machine's context with new editor state
+    // The mapping lets the machine keep its anchor on the same text
     send({
       type: "EDITOR_UPDATE",
       editorState,
+      mapping: transaction?.mapping,
     });
+
+    // Save the document once the user pauses typing
+    const id = activeDocumentIdRef.current;
+    if (transaction?.docChanged && id) {
+      autosaverRef.current.schedule({ id, editorState });
+      setSaveStatus((status) =>
+        status.state === "unsaved" ? status : { ...status, state: "unsaved" }
+      );
+    }
   };
 
   /**
@@ -120,6 +548,55 @@ function App() {
     send({ type: "USER_DISCARD" });
   };
 
+  /**
+   * Handle Regenerate button click
+   * Throws the suggestion away and asks again, skipping the response cache
+   */
+  const handleRegenerate = () => {
+    send({ type: "REGENERATE" });
+  };
+
+  /**
+   * Handle user cycling through alternative suggestions
+   */
+  const handleNextCandidate = () => {
+    send({ type: "NEXT_CANDIDATE" });
+  };
+
+  const handlePreviousCandidate = () => {
+    send({ type: "PREVIOUS_CANDIDATE" });
+  };
+
+  /**
+   * Handle user accepting only part of the suggestion
+   */
+  const handleAcceptWord = () => {
+    send({ type: "ACCEPT_WORD" });
+  };
+
+  const handleAcceptSentence = () => {
+    send({ type: "ACCEPT_SENTENCE" });
+  };
+
+  /**
+   * Handle the user inserting a past suggestion from the history panel
+   *
+   * @param {Object} entry - History entry (see services/historyStore.js)
+   */
+  const handleReinsert = (entry) => {
+    // The editor inserts it at the cursor (see Editor.jsx)
+    send({ type: "REINSERT", entry });
+  };
+
+  /**
+   * Handle user stopping an in-flight generation
+   */
+  const handleCancel = () => {
+    // Send CANCEL event
+    // Machine aborts the request and returns to 'idle'
+    send({ type: "CANCEL" });
+  };
+
   /**
    * Handle retry after error
    */
@@ -139,6 +616,117 @@ function App() {
   const isError = state.matches("error");
   const generatedContent = state.context.generatedContent;
   const errorMessage = state.context.errorMessage;
+  const history = state.context.history;
+  const keepWriting = state.context.keepWriting;
+
+  /**
+   * Load the documents and open the one that was open last (the first
+   * visit gets an empty one). Save right away when the page is hidden or
+   * closed instead of waiting for the debounce (a closed tab never runs
+   * the timer).
+   */
+  useEffect(() => {
+    const autosaver = autosaverRef.current;
+    let cancelled = false;
+
+    const loadDocuments = async () => {
+      let list = await listDocuments();
+      if (list.length === 0) {
+        list = [await createDocument({ id: DEFAULT_DOCUMENT_ID, settings: getCurrentSettings() })];
+      }
+
+      const lastId = getActiveDocumentId();
+      const summary = list.find((item) => item.id === lastId) || list[0];
+      const record = (await loadDocument(summary.id)) || summary;
+      if (cancelled) return;
+
+      setDocuments(list);
+      showDocument(record);
+    };
+    loadDocuments();
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") autosaver.flush();
+    };
+    const handlePageHide = () => autosaver.flush();
+
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("pagehide", handlePageHide);
+    return () => {
+      cancelled = true;
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      window.removeEventListener("pagehide", handlePageHide);
+      autosaver.flush();
+    };
+  }, []);
+
+  /**
+   * Record the state machine's transitions (see services/telemetry.js -
+   * nothing is recorded in production builds or tests)
+   */
+  useEffect(() => trackTransitions(service), [service]);
+
+  /**
+   * Save the history with the open document whenever the machine
+   * records a generation
+   */
+  useEffect(() => {
+    const id = activeDocumentIdRef.current;
+    if (id && history.length > 0) saveHistory(id, history);
+  }, [history]);
+
+  /**
+   * Escape stops the generation
+   *
+   * The editor is not editable (and usually not focused) while generating,
+   * so we listen on the window instead of in the editor keymap.
+   */
+  useEffect(() => {
+    if (!isGenerating) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") {
+        event.preventDefault();
+        send({ type: "CANCEL" });
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [isGenerating, send]);
+
+  /**
+   * Review shortcuts
+   * - Alt+[ and Alt+] cycle through alternative suggestions
+   * - Ctrl+Right accepts the next word, Ctrl+Shift+Right the next sentence
+   *
+   * We check event.code because on Mac, Alt changes the typed character.
+   * preventDefault stops Ctrl+Right from also moving the cursor by a word.
+   */
+  useEffect(() => {
+    if (!isReview) return;
+
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey && event.key === "ArrowRight") {
+        event.preventDefault();
+        send({ type: event.shiftKey ? "ACCEPT_SENTENCE" : "ACCEPT_WORD" });
+        return;
+      }
+
+      if (!event.altKey) return;
+
+      if (event.code === "BracketRight") {
+        event.preventDefault();
+        send({ type: "NEXT_CANDIDATE" });
+      } else if (event.code === "BracketLeft") {
+        event.preventDefault();
+        send({ type: "PREVIOUS_CANDIDATE" });
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [isReview, send]);
 
   /**
    * STEP 5: Render UI
@@ -154,38 +742,133 @@ function App() {
         */}
         <Toolbar
           onContinue={handleContinue}
+          onCancel={handleCancel}
           isProcessing={isGenerating}
           hasError={isError}
           onRetry={handleRetry}
+          suggestionMode={suggestionMode}
+          onSuggestionModeChange={handleSuggestionModeChange}
+          isReviewing={isReview}
+          presets={presets}
+          activePresetId={activePresetId}
+          onPresetChange={handlePresetChange}
+          onEditPresets={() => setIsPresetSettingsOpen(true)}
+          onImport={handleImportMarkdown}
+          onExport={handleExportMarkdown}
+          showAIWritten={showAIWritten}
+          onShowAIWrittenChange={setShowAIWritten}
+          showHistory={showHistory}
+          onShowHistoryChange={setShowHistory}
+          onKeepWriting={handleKeepWriting}
+          keepWriting={keepWriting}
+          onStopKeepWriting={handleStopKeepWriting}
         />
 
         {/* 
-          EDITOR
-          The main text editing area
+          PRESET SETTINGS
+          Dialog for editing the prompt presets
         */}
-        <Editor
-          onContinue={handleContinue}
-          isGenerating={isGenerating}
-          generatedContent={generatedContent}
-          onEditorStateChange={handleEditorStateChange}
-          machineState={state}
-          send={send}
+        <PresetSettings
+          open={isPresetSettingsOpen}
+          onOpenChange={setIsPresetSettingsOpen}
+          presets={presets}
+          activePresetId={activePresetId}
+          onSave={handlePresetsSave}
+          onReset={handlePresetsReset}
         />
 
+        <div className="app-body">
+          {/* 
+            DOCUMENT SIDEBAR
+            Lists the documents; create, rename, duplicate, delete and switch
+          */}
+          <DocumentSidebar
+            documents={documents}
+            activeDocumentId={activeDocumentId}
+            onSelect={handleSelectDocument}
+            onCreate={handleCreateDocument}
+            onRename={handleRenameDocument}
+            onDuplicate={handleDuplicateDocument}
+            onDelete={handleDeleteDocument}
+          />
+
+          <main className="app-main">
+            {/* 
+              EDITOR
+              The main text editing area
+            */}
+            <Editor
+              key={activeDocumentId}
+              onContinue={handleContinue}
+              onSelectionCommand={handleSelectionCommand}
+              onCancel={handleCancel}
+              isGenerating={isGenerating}
+              generatedContent={generatedContent}
+              onEditorStateChange={handleEditorStateChange}
+              machineState={state}
+              send={send}
+              suggestionMode={suggestionMode}
+              initialDocument={openDocument?.content}
+              onFileDrop={handleImportMarkdown}
+              showAIWritten={showAIWritten}
+            />
+
+            {/* 
+              AI TOOLBAR
+              Only shown when in 'review' state
+              Provides Accept/Discard options
+            */}
+            {isReview && (
+              <AIToolbar
+                onAccept={handleAccept}
+                onDiscard={handleDiscard}
+                onRegenerate={handleRegenerate}
+                isCached={state.context.cached}
+                candidateCount={state.context.candidates.length}
+                candidateIndex={state.context.candidateIndex}
+                onNext={handleNextCandidate}
+                onPrevious={handlePreviousCandidate}
+                onAcceptWord={handleAcceptWord}
+                onAcceptSentence={handleAcceptSentence}
+                hasPartiallyAccepted={state.context.acceptedLength > 0}
+                isGhost={suggestionMode === "ghost" && !state.context.selectionCommand}
+                selectionCommand={state.context.selectionCommand}
+                isKeepingWriting={!!keepWriting}
+              />
+            )}
+          </main>
+
+          {/* 
+            GENERATION HISTORY
+            Past suggestions of this document; insert or copy them again
+          */}
+          {showHistory && (
+            <GenerationHistory
+              entries={history}
+              canInsert={state.matches("idle")}
+              onInsert={handleReinsert}
+              onClose={() => setShowHistory(false)}
+            />
+          )}
+        </div>
+
         {/* 
-          AI TOOLBAR
-          Only shown when in 'review' state
-          Provides Accept/Discard options
+          DEBUG PANEL
+          The telemetry log, in development only
         */}
-        {isReview && (
-          <AIToolbar onAccept={handleAccept} onDiscard={handleDiscard} />
-        )}
+        {TELEMETRY_ENABLED && showDebug && <DebugPanel onClose={() => setShowDebug(false)} />}
 
         {/* 
           STATUS BAR
           Shows current state at the bottom
         */}
-        <StatusBar machineState={state} errorMessage={errorMessage} />
+        <StatusBar
+          machineState={state}
+          errorMessage={errorMessage}
+          saveStatus={saveStatus}
+          showDebug={showDebug}
+          onShowDebugChange={TELEMETRY_ENABLED ? setShowDebug : undefined}
+        />
       </div>
     </Theme>
   );
@@ -205,10 +888,14 @@ export default App;
  *
  * 2. COMPONENT HIERARCHY:
  *    App (state machine)
- *    ├── Toolbar (triggers AI)
- *    ├── Editor (text editing)
+ *    ├── Toolbar (triggers AI, keeps writing, picks the prompt preset, imports/exports Markdown)
+ *    ├── PresetSettings (edits prompt presets)
+ *    ├── DocumentSidebar (the document list)
+ *    ├── Editor (text editing, remounted for every document)
  *    ├── AIToolbar (review actions)
- *    └── StatusBar (state display)
+ *    ├── GenerationHistory (past suggestions, inserted again through the machine)
+ *    ├── DebugPanel (telemetry log, development only)
+ *    └── StatusBar (state display, last saved time)
  *
  * 3. PROPS VS STATE:
  *    - State: Data managed by this component (state machine)
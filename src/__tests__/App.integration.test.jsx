@@ -5,6 +5,7 @@ import App from '../App';
 // Mock the AI service
 vi.mock('../services/aiService', () => ({
   generateAIContent: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([])),
   hasValidAPIKey: vi.fn(() => true)
 }));
 
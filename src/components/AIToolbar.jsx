@@ -6,11 +6,31 @@
  * 1. Accept All - Keep the AI-generated content
  * 2. Discard Session - Revert to before AI generation
  *
+ * When there are several alternative suggestions it also lets the user
+ * cycle through them (Previous / Next, or Alt+[ / Alt+]).
+ *
+ * The suggestion can also be accepted a word (Ctrl+Right) or a sentence
+ * (Ctrl+Shift+Right) at a time; the rest stays pending.
+ * 
+ * For a selection command (rewrite, shorten...) accepting replaces the
+ * selected text; replacements can only be accepted as a whole.
+ *
+ * "Regenerate" asks the AI again for the same place. Suggestions reused
+ * from the response cache are marked "Cached", so writers know they
+ * aren't fresh.
+ *
  * This gives users full control over AI suggestions.
  */
 
-import { Flex, Button, Text, Card } from "@radix-ui/themes";
-import { CheckIcon, Cross2Icon } from "@radix-ui/react-icons";
+import { Flex, Button, Text, Card, Badge, Tooltip } from "@radix-ui/themes";
+import { describeSelectionCommand } from "../services/selectionCommands";
+import {
+  CheckIcon,
+  Cross2Icon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  ReloadIcon,
+} from "@radix-ui/react-icons";
 
 /**
  * AIToolbar Component
@@ -18,8 +38,35 @@ import { CheckIcon, Cross2Icon } from "@radix-ui/react-icons";
  * @param {Object} props
  * @param {Function} props.onAccept - Callback when user accepts AI content
  * @param {Function} props.onDiscard - Callback when user discards session
+ * @param {number} [props.candidateCount] - How many alternative suggestions there are
+ * @param {number} [props.candidateIndex] - Which suggestion is shown (0-based)
+ * @param {Function} [props.onNext] - Callback to show the next suggestion
+ * @param {Function} [props.onPrevious] - Callback to show the previous suggestion
+ * @param {Function} [props.onAcceptWord] - Callback to accept the next word
+ * @param {Function} [props.onAcceptSentence] - Callback to accept the next sentence
+ * @param {boolean} [props.hasPartiallyAccepted] - Part of the suggestion is already accepted
+ * @param {boolean} [props.isGhost] - The suggestion is shown as ghost text (Tab accepts)
+ * @param {Object} [props.selectionCommand] - The selection command, if the suggestion is a replacement
+ * @param {Function} [props.onRegenerate] - Callback to ask for a fresh suggestion
+ * @param {boolean} [props.isCached] - The suggestion came from the response cache
+ * @param {boolean} [props.isKeepingWriting] - Accepting requests the next chunk
  */
-export function AIToolbar({ onAccept, onDiscard }) {
+export function AIToolbar({
+  onAccept,
+  onDiscard,
+  candidateCount = 1,
+  candidateIndex = 0,
+  onNext,
+  onPrevious,
+  onAcceptWord,
+  onAcceptSentence,
+  hasPartiallyAccepted = false,
+  isGhost = false,
+  selectionCommand = null,
+  onRegenerate,
+  isCached = false,
+  isKeepingWriting = false,
+}) {
   return (
     <Card
       style={{
@@ -40,15 +87,74 @@ export function AIToolbar({ onAccept, onDiscard }) {
           Explains what the user should do
         */}
         <Flex direction="column" gap="1">
-          <Text size="2" weight="bold">
-            AI Content Generated
-          </Text>
+          <Flex align="center" justify="between" gap="2">
+            <Flex align="center" gap="2">
+              <Text size="2" weight="bold">
+                {selectionCommand
+                  ? `AI Edit: ${describeSelectionCommand(selectionCommand)}`
+                  : "AI Content Generated"}
+              </Text>
+              {isCached && (
+                <Tooltip content="Reused from an earlier identical request - Regenerate for a fresh one">
+                  <Badge color="amber" size="1">
+                    Cached
+                  </Badge>
+                </Tooltip>
+              )}
+            </Flex>
+
+            {/* Ask again, skipping the cache */}
+            {onRegenerate && !hasPartiallyAccepted && (
+              <Button size="1" variant="ghost" onClick={onRegenerate}>
+                <ReloadIcon />
+                Regenerate
+              </Button>
+            )}
+          </Flex>
           <Text size="1" color="gray">
-            Review the AI-generated text (highlighted in italics) and choose an
-            action:
+            {selectionCommand
+              ? "Review the change (old text struck through, new text in blue) and choose an action:"
+              : isGhost
+              ? "Review the AI suggestion (faded text) - press Tab to accept or Esc to dismiss:"
+              : "Review the AI-generated text (highlighted in blue) and choose an action:"}
           </Text>
         </Flex>
 
+        {/* 
+          CANDIDATE SWITCHER
+          Only shown when the AI produced more than one suggestion
+          (and none of it has been accepted yet)
+        */}
+        {candidateCount > 1 && !hasPartiallyAccepted && (
+          <Flex align="center" justify="between" gap="2">
+            <Button
+              size="1"
+              variant="ghost"
+              onClick={onPrevious}
+              aria-label="Previous suggestion"
+            >
+              <ChevronLeftIcon />
+              Previous
+            </Button>
+
+            <Text size="1" color="gray">
+              Suggestion {candidateIndex + 1} of {candidateCount}{" "}
+              <kbd className="ai-toolbar-kbd">Alt+[</kbd>{" "}
+              <kbd className="ai-toolbar-kbd">Alt+]</kbd>
+            </Text>
+
+            <Button
+              size="1"
+              variant="ghost"
+              onClick={onNext}
+              aria-label="Next suggestion"
+            >
+              Next
+              <ChevronRightIcon />
+            </Button>
+          </Flex>
+        )}
+
         {/* 
           ACTION BUTTONS
           
@@ -69,7 +175,13 @@ export function AIToolbar({ onAccept, onDiscard }) {
             style={{ flex: 1 }}
           >
             <CheckIcon />
-            Accept
+            {selectionCommand
+              ? "Replace"
+              : isKeepingWriting
+              ? "Accept & Continue"
+              : hasPartiallyAccepted
+              ? "Accept Rest"
+              : "Accept"}
           </Button>
 
           {/* 
@@ -87,6 +199,27 @@ export function AIToolbar({ onAccept, onDiscard }) {
             Discard
           </Button>
         </Flex>
+
+        {/* 
+          PARTIAL ACCEPT
+          Accept the suggestion a piece at a time
+          (replacements are all-or-nothing)
+        */}
+        {!selectionCommand && (
+          <Flex gap="2" justify="center">
+            <Button size="1" variant="ghost" color="green" onClick={onAcceptWord}>
+              Accept word <kbd className="ai-toolbar-kbd">Ctrl+→</kbd>
+            </Button>
+            <Button
+              size="1"
+              variant="ghost"
+              color="green"
+              onClick={onAcceptSentence}
+            >
+              Accept sentence <kbd className="ai-toolbar-kbd">Ctrl+Shift+→</kbd>
+            </Button>
+          </Flex>
+        )}
       </Flex>
     </Card>
   );
@@ -132,6 +265,15 @@ export function AIToolbar({ onAccept, onDiscard }) {
  * Makes the toolbar appear smoothly from bottom
  */
 const styles = `
+  .ai-toolbar-kbd {
+    background: #f3f4f6;
+    border: 1px solid #e5e7eb;
+    border-radius: 3px;
+    padding: 0 4px;
+    font-family: monospace;
+    font-size: 10px;
+  }
+
   @keyframes slideUp {
     from {
       opacity: 0;
@@ -0,0 +1,149 @@
+/**
+ * DEBUG PANEL COMPONENT
+ *
+ * Shows the telemetry events (see services/telemetry.js) as they happen,
+ * newest first: state machine transitions, generations with their latency,
+ * token usage, retries, errors and what the user did with suggestions.
+ *
+ * The log can be exported as JSON (e.g. to attach to a bug report).
+ * Only available in development - production builds record nothing.
+ */
+
+import { useSyncExternalStore } from "react";
+import { Badge, Button, Flex, IconButton, Text, Tooltip } from "@radix-ui/themes";
+import { Cross2Icon, DownloadIcon, TrashIcon } from "@radix-ui/react-icons";
+import { debugLog, TELEMETRY_EVENTS } from "../services/telemetry";
+import { downloadTextFile } from "../services/files";
+import "./DebugPanel.css";
+
+// Badge color per event type
+const EVENT_COLORS = {
+  [TELEMETRY_EVENTS.transition]: "gray",
+  [TELEMETRY_EVENTS.generation]: "green",
+  [TELEMETRY_EVENTS.usage]: "blue",
+  [TELEMETRY_EVENTS.retry]: "orange",
+  [TELEMETRY_EVENTS.error]: "red",
+  [TELEMETRY_EVENTS.action]: "indigo",
+};
+
+/**
+ * DebugPanel Component
+ *
+ * @param {Object} props
+ * @param {Function} props.onClose - Called when the panel's close button is clicked
+ * @param {Object} [props.log] - The memory sink to show (defaults to the debug log)
+ */
+export function DebugPanel({ onClose, log = debugLog }) {
+  // Re-render whenever an event is recorded
+  const events = useSyncExternalStore(log.subscribe, log.getEvents);
+
+  /**
+   * Download the whole log as a JSON file
+   */
+  const handleExport = () => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    downloadTextFile(`telemetry-${stamp}.json`, log.exportJSON(), "application/json");
+  };
+
+  return (
+    <aside className="debug-panel" aria-label="Debug log">
+      <Flex align="center" justify="between" gap="2" className="debug-panel-header">
+        <Text size="2" weight="bold">
+          Debug log <Text color="gray">({events.length})</Text>
+        </Text>
+        <Flex align="center" gap="2">
+          <Button size="1" variant="soft" color="gray" onClick={handleExport} disabled={events.length === 0}>
+            <DownloadIcon />
+            Export JSON
+          </Button>
+          <Tooltip content="Clear the log">
+            <IconButton size="1" variant="ghost" color="gray" onClick={() => log.clear()} aria-label="Clear the log">
+              <TrashIcon />
+            </IconButton>
+          </Tooltip>
+          <Tooltip content="Close the debug log">
+            <IconButton size="1" variant="ghost" color="gray" onClick={onClose} aria-label="Close the debug log">
+              <Cross2Icon />
+            </IconButton>
+          </Tooltip>
+        </Flex>
+      </Flex>
+
+      <ol className="debug-panel-list">
+        {[...events].reverse().map((event) => (
+          <li key={event.id}>
+            <Text size="1" color="gray" className="debug-panel-time">
+              {formatTime(event.time)}
+            </Text>
+            <Badge size="1" variant="soft" color={EVENT_COLORS[event.type] || "gray"}>
+              {event.type}
+            </Badge>
+            <Text size="1" className="debug-panel-summary">
+              {describeEvent(event)}
+            </Text>
+          </li>
+        ))}
+      </ol>
+    </aside>
+  );
+}
+
+/**
+ * Sum up an event in one line
+ *
+ * @param {Object} event - { type, data }
+ * @returns {string}
+ */
+function describeEvent({ type, data }) {
+  switch (type) {
+    case TELEMETRY_EVENTS.transition:
+      return `${JSON.stringify(data.from)} → ${JSON.stringify(data.to)} (${data.event})`;
+    case TELEMETRY_EVENTS.generation:
+      return [
+        data.command || "continue",
+        data.model,
+        data.latency != null && `${data.latency} ms`,
+        data.cached && "cached",
+        `${data.length} chars`,
+      ]
+        .filter(Boolean)
+        .join(" · ");
+    case TELEMETRY_EVENTS.usage:
+      return `${data.promptTokens} + ${data.completionTokens} tokens`;
+    case TELEMETRY_EVENTS.retry:
+      return `attempt ${data.attempt} of ${data.retries}: ${data.message}`;
+    case TELEMETRY_EVENTS.error:
+      return `${data.type}: ${data.message}`;
+    case TELEMETRY_EVENTS.action:
+      return data.action;
+    default:
+      return JSON.stringify(data);
+  }
+}
+
+/**
+ * Format a timestamp with milliseconds (e.g. "14:05:09.123")
+ *
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString([], { hourCycle: "h23" });
+  return `${time}.${String(date.getMilliseconds()).padStart(3, "0")}`;
+}
+
+/**
+ * COMPONENT EXPLANATION:
+ *
+ * 1. SUBSCRIBING TO THE LOG:
+ *    - useSyncExternalStore keeps the list in sync with the debug log,
+ *      which lives outside React (any module can record events)
+ *    - The log replaces its array on every change, so React sees it
+ *
+ * 2. EXPORT:
+ *    - The whole log (not just what is on screen) as a JSON file
+ *
+ * 3. WHEN IT IS SHOWN:
+ *    - App.jsx only offers it in development (TELEMETRY_ENABLED)
+ */
@@ -0,0 +1,164 @@
+/**
+ * DOCUMENT SIDEBAR COMPONENT
+ *
+ * Lists the user's documents (see services/documentStore.js) and lets
+ * them:
+ * - Open a document by clicking it
+ * - Create a new one with the + button
+ * - Rename, duplicate or delete one from its "..." menu
+ *
+ * Renaming happens in place: the title turns into a text field, Enter
+ * (or clicking elsewhere) saves and Escape cancels.
+ */
+
+import { useState } from "react";
+import { DropdownMenu, Flex, IconButton, Text, TextField, Tooltip } from "@radix-ui/themes";
+import {
+  CopyIcon,
+  DotsHorizontalIcon,
+  FileTextIcon,
+  Pencil1Icon,
+  PlusIcon,
+  TrashIcon,
+} from "@radix-ui/react-icons";
+import "./DocumentSidebar.css";
+
+/**
+ * DocumentSidebar Component
+ *
+ * @param {Object} props
+ * @param {Object[]} props.documents - { id, title } of every document (see documentStore.listDocuments)
+ * @param {string} props.activeDocumentId - The open document
+ * @param {Function} props.onSelect - Called with the id of the document to open
+ * @param {Function} props.onCreate - Called when the user wants a new document
+ * @param {Function} props.onRename - Called with (id, title)
+ * @param {Function} props.onDuplicate - Called with the id of the document to copy
+ * @param {Function} props.onDelete - Called with the id of the document to delete
+ */
+export function DocumentSidebar({
+  documents,
+  activeDocumentId,
+  onSelect,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+}) {
+  // The document being renamed, and the title typed so far
+  const [renamingId, setRenamingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState("");
+
+  const startRename = (item) => {
+    setRenamingId(item.id);
+    setDraftTitle(item.title);
+  };
+
+  /**
+   * Save the new title (an empty title keeps the old one)
+   */
+  const finishRename = () => {
+    const title = draftTitle.trim();
+    const item = documents.find(({ id }) => id === renamingId);
+    if (item && title && title !== item.title) {
+      onRename(item.id, title);
+    }
+    setRenamingId(null);
+  };
+
+  return (
+    <nav className="document-sidebar" aria-label="Documents">
+      <Flex align="center" justify="between" className="document-sidebar-header">
+        <Text size="2" weight="bold">
+          Documents
+        </Text>
+        <Tooltip content="New document">
+          <IconButton size="1" variant="ghost" onClick={onCreate} aria-label="New document">
+            <PlusIcon />
+          </IconButton>
+        </Tooltip>
+      </Flex>
+
+      <ul className="document-list">
+        {documents.map((item) => {
+          const isActive = item.id === activeDocumentId;
+
+          return (
+            <li
+              key={item.id}
+              className={`document-item ${isActive ? "active" : ""}`}
+            >
+              {renamingId === item.id ? (
+                <TextField.Root
+                  size="1"
+                  autoFocus
+                  value={draftTitle}
+                  aria-label="Document title"
+                  onChange={(event) => setDraftTitle(event.target.value)}
+                  onBlur={finishRename}
+                  onKeyDown={(event) => {
+                    if (event.key === "Enter") finishRename();
+                    if (event.key === "Escape") setRenamingId(null);
+                  }}
+                />
+              ) : (
+                <button
+                  type="button"
+                  className="document-item-title"
+                  aria-current={isActive ? "page" : undefined}
+                  onClick={() => onSelect(item.id)}
+                  onDoubleClick={() => startRename(item)}
+                >
+                  <FileTextIcon />
+                  <span>{item.title}</span>
+                </button>
+              )}
+
+              <DropdownMenu.Root>
+                <DropdownMenu.Trigger>
+                  <IconButton
+                    size="1"
+                    variant="ghost"
+                    color="gray"
+                    className="document-item-menu"
+                    aria-label={`Actions for ${item.title}`}
+                  >
+                    <DotsHorizontalIcon />
+                  </IconButton>
+                </DropdownMenu.Trigger>
+                <DropdownMenu.Content size="1">
+                  <DropdownMenu.Item onSelect={() => startRename(item)}>
+                    <Pencil1Icon /> Rename
+                  </DropdownMenu.Item>
+                  <DropdownMenu.Item onSelect={() => onDuplicate(item.id)}>
+                    <CopyIcon /> Duplicate
+                  </DropdownMenu.Item>
+                  <DropdownMenu.Separator />
+                  <DropdownMenu.Item color="red" onSelect={() => onDelete(item.id)}>
+                    <TrashIcon /> Delete
+                  </DropdownMenu.Item>
+                </DropdownMenu.Content>
+              </DropdownMenu.Root>
+            </li>
+          );
+        })}
+      </ul>
+    </nav>
+  );
+}
+
+/**
+ * COMPONENT EXPLANATION:
+ *
+ * 1. CONTROLLED LIST:
+ *    - The documents and the open one come from App.jsx
+ *    - The sidebar only reports what the user wants (onSelect, onRename...);
+ *      App saves the change and passes the new list back
+ *
+ * 2. RENAMING IN PLACE:
+ *    - renamingId says which row shows a text field instead of its title
+ *    - Double-clicking a title or picking "Rename" starts renaming
+ *
+ * 3. RADIX DROPDOWN MENU:
+ *    - Each row has its own "..." menu with Rename, Duplicate and Delete
+ *    - Items use onSelect, which also works with the keyboard
+ */
@@ -14,11 +14,33 @@
 
 import { EditorView, Decoration, DecorationSet } from "prosemirror-view";
 import { useEffect, useRef, useState } from "react";
-import { Schema, DOMParser } from "prosemirror-model";
-import { schema as basicSchema } from "prosemirror-schema-basic";
+import { DOMParser } from "prosemirror-model";
 import { keymap } from "prosemirror-keymap";
+import { baseKeymap } from "prosemirror-commands";
 import { history, undo, redo } from "prosemirror-history";
-import { EditorState, Plugin } from "prosemirror-state";
+import { EditorState, Plugin, TextSelection } from "prosemirror-state";
+import { schema } from "../editor/schema";
+import {
+  createGhostTextPlugin,
+  setGhostText,
+  clearGhostText,
+  acceptGhostText,
+} from "../editor/ghostTextPlugin";
+import {
+  createSuggestionRangePlugin,
+  getSuggestionRange,
+  setSuggestionRange,
+  acceptSuggestion,
+  acceptSuggestionPart,
+  discardSuggestion,
+} from "../editor/suggestionRangePlugin";
+import { buildKeymap, buildInputRules, getActiveFormats } from "../editor/formatting";
+import { findInsertPosition } from "../editor/positions";
+import { createProvenancePlugin, insertAIText } from "../editor/provenance";
+import { parseDocument } from "../editor/persistence";
+import { isMarkdownFile } from "../services/files";
+import { SelectionMenu } from "./SelectionMenu";
+import { FormattingToolbar } from "./FormattingToolbar";
 import "./Editor.css";
 
 /**
@@ -26,32 +48,51 @@ import "./Editor.css";
  *
  * @param {Object} props
  * @param {Function} props.onContinue - Callback when user triggers AI generation
+ * @param {Function} props.onSelectionCommand - Callback when user picks a command for the selected text
+ * @param {Function} props.onCancel - Callback when user stops the generation
  * @param {boolean} props.isGenerating - Whether AI is currently generating
  * @param {string} props.generatedContent - AI-generated text to insert
  * @param {Function} props.onEditorStateChange - Callback when editor content changes
  * @param {Object} props.machineState - Current state machine state
  * @param {Function} props.send - Function to send events to state machine
+ * @param {string} props.suggestionMode - "inline" (insert into the document) or "ghost" (decoration only)
+ * @param {Object} [props.initialDocument] - Saved ProseMirror JSON to start with instead of an empty
+ *   document (read once - give the Editor a new `key` to show another document)
+ * @param {Function} [props.onFileDrop] - Called with a Markdown file dropped onto the editor
+ * @param {boolean} [props.showAIWritten] - Highlight the text the AI wrote (the "AI-written" overlay)
  */
 export function Editor({
   onContinue,
+  onSelectionCommand,
+  onCancel,
   isGenerating,
   generatedContent,
   onEditorStateChange,
   machineState,
   send,
+  suggestionMode = "inline",
+  initialDocument,
+  onFileDrop,
+  showAIWritten = false,
 }) {
   // useRef creates a reference that persists across renders
   // We use it to store the DOM element and ProseMirror view
   const editorRef = useRef(null); // The <div> where editor will be mounted
   const viewRef = useRef(null); // The ProseMirror EditorView instance
 
-  const [hasInsertedContent, setHasInsertedContent] = useState(false);
+  // Track the AI suggestion being shown (mode, how much was accepted)
+  // Its position in the document is tracked by the suggestion range plugin
+  const [aiContentInfo, setAiContentInfo] = useState(null);
 
-  // Track if we're currently discarding to prevent race conditions
-  const isDiscardingRef = useRef(false);
+  // The ghost text plugin is created once, so it reads send through a ref
+  const sendRef = useRef(send);
+  sendRef.current = send;
 
-  // Track the position and length of AI-generated content for removal
-  const [aiContentInfo, setAiContentInfo] = useState(null);
+  // Where to show the selection menu (null when nothing is selected)
+  const [selectionMenuPosition, setSelectionMenuPosition] = useState(null);
+
+  // Which formatting applies at the selection (highlighted in the formatting toolbar)
+  const [activeFormats, setActiveFormats] = useState(null);
 
   /**
    * EFFECT 1: Initialize ProseMirror Editor
@@ -60,24 +101,39 @@ export function Editor({
   useEffect(() => {
     // Don't initialize if already done or if ref isn't ready
     if (!editorRef.current || viewRef.current) return;
-    // STEP 1: Create the editor schema
+    // STEP 1: The editor schema
     // Schema defines what kind of content is allowed in the document
-    // We use the basic schema which includes: paragraphs, headings, bold, italic, etc.
-    const schema = new Schema({
-      nodes: basicSchema.spec.nodes,
-      marks: basicSchema.spec.marks,
-    });
+    // We use the basic schema (paragraphs, headings, bold, italic, etc.)
+    // plus an aiSuggestion mark - see editor/schema.js
 
     // STEP 2: Create initial editor state
     const state = EditorState.create({
-      // Start with an empty document
-      doc: schema.node("doc", null, [schema.node("paragraph")]),
+      // Start with the saved document, or an empty one
+      // (a saved suggestion is never restored - see editor/persistence.js)
+      doc:
+        (initialDocument && parseDocument(initialDocument)) ||
+        schema.node("doc", null, [schema.node("paragraph")]),
 
       // Plugins add functionality to the editor
       plugins: [
         // History plugin enables undo/redo
         history(),
 
+        // Suggestion range plugin keeps the inline suggestion's position
+        // up to date while the user types - see editor/suggestionRangePlugin.js
+        createSuggestionRangePlugin(),
+
+        // Provenance plugin notices when the user edits AI-written text
+        // - see editor/provenance.js
+        createProvenancePlugin(),
+
+        // Ghost text plugin shows suggestions without inserting them
+        // Tab accepts, Escape or typing dismisses - see editor/ghostTextPlugin.js
+        createGhostTextPlugin({
+          onAccept: () => sendRef.current?.({ type: "USER_ACCEPT" }),
+          onDismiss: () => sendRef.current?.({ type: "USER_DISCARD" }),
+        }),
+
         // Placeholder plugin
         // Note: Placeholder functionality is now handled by CSS styling
 
@@ -205,6 +261,14 @@ export function Editor({
             return true;
           },
         }),
+
+        // Formatting shortcuts (Ctrl+B, lists, headings...) and Markdown-style
+        // input rules ("# " → heading) - see editor/formatting.js
+        buildInputRules(),
+        keymap(buildKeymap()),
+
+        // Enter, Backspace, select all... - last, so everything above wins
+        keymap(baseKeymap),
       ],
     });
 
@@ -221,8 +285,15 @@ export function Editor({
         // Update the view with new state
         view.updateState(newState);
 
+        // Show the selection menu above selected text
+        setSelectionMenuPosition(getSelectionMenuPosition(view));
+
+        // Update the formatting toolbar
+        setActiveFormats(getActiveFormats(newState));
+
         // Notify parent component of the change
-        onEditorStateChange(newState);
+        // The transaction lets the state machine map its anchor through it
+        onEditorStateChange(newState, transaction);
       },
 
       // Make editor not editable when AI is generating
@@ -238,6 +309,7 @@ export function Editor({
     viewRef.current = view;
 
     // Notify parent of initial state
+    setActiveFormats(getActiveFormats(state));
     onEditorStateChange(state);
 
     // CLEANUP: Destroy view when component unmounts
@@ -252,87 +324,202 @@ export function Editor({
   /**
    * EFFECT 2: Handle AI-generated content insertion
    * This runs whenever generatedContent changes
+   *
+   * Content is streamed, so generatedContent grows chunk by chunk.
+   * The first chunk is inserted at the anchor - the position the user
+   * asked to continue from, kept up to date by the state machine
+   * (machineState.context.cursorPosition). Every following chunk
+   * only inserts the new text at the end of the suggestion.
+   * In review, generatedContent changes completely when the user picks
+   * another candidate - then the whole suggestion is replaced.
+   *
+   * In ghost mode nothing is inserted: the suggestion is shown as a
+   * decoration at the anchor until the user accepts it.
    */
   useEffect(() => {
-    // Only insert if we have content and haven't inserted it yet
-    if (!generatedContent || !viewRef.current || hasInsertedContent) return;
+    // Only insert if we have content
+    if (!generatedContent || !viewRef.current) return;
 
     const view = viewRef.current;
     const state = view.state;
 
-    // STEP 1: Get current cursor position
-    const cursorPos = state.selection.from;
+    // Where the user asked to continue from
+    const anchor = findInsertPosition(
+      state.doc,
+      machineState?.context?.cursorPosition ?? state.selection.from
+    );
+
+    // Set when the suggestion replaces selected text (rewrite, shorten...)
+    const selectionCommand = machineState?.context?.selectionCommand;
 
-    // STEP 2: Create a transaction to insert the text
-    // Transactions are how you modify ProseMirror documents
-    const transaction = state.tr.insertText(
-      " " + generatedContent, // Add space before AI content
-      cursorPos
+    // GHOST MODE: show (or update) the ghost text at the anchor
+    // Replacements always show inline, next to the text they replace
+    if (suggestionMode === "ghost" && !selectionCommand) {
+      if (aiContentInfo?.content === generatedContent) return;
+
+      const insertPosition = aiContentInfo
+        ? aiContentInfo.insertPosition
+        : anchor;
+
+      view.dispatch(setGhostText(state, " " + generatedContent, insertPosition));
+
+      setAiContentInfo({
+        ghost: true,
+        insertPosition,
+        content: generatedContent,
+        acceptedLength: 0,
+      });
+      return;
+    }
+
+    // Mark the text as an AI suggestion (styled in Editor.css)
+    // The attributes record where it came from (provider, model, time)
+    const aiMark = state.schema.marks.aiSuggestion.create(
+      machineState?.context?.suggestion || {}
     );
 
-    // STEP 3: Add a mark to highlight AI-generated text
-    // Marks are formatting that can be applied to text (like bold, italic)
-    // We create a custom mark to highlight AI content
-    const from = cursorPos + 1; // Start after the space
-    const to = cursorPos + generatedContent.length + 1;
-
-    // Store AI content info for later removal
-    setAiContentInfo({
-      from: from,
-      to: to,
-      length: generatedContent.length + 1, // Include the space
-      insertPosition: cursorPos,
-    });
+    // FIRST REPLACEMENT CHUNK: insert the new text right after the
+    // selection, which stays in the document (struck through) until accepted
+    if (!aiContentInfo && selectionCommand) {
+      const { from: replaceFrom, to: replaceTo } = selectionCommand;
+
+      const transaction = state.tr.insertText(generatedContent, replaceTo);
+      const to = replaceTo + generatedContent.length;
+      transaction.addMark(replaceTo, to, aiMark);
+
+      // Put the cursor after the suggestion instead of keeping the selection
+      transaction.setSelection(TextSelection.create(transaction.doc, to));
+
+      setSuggestionRange(transaction, {
+        insertPosition: replaceTo,
+        from: replaceTo,
+        to,
+        acceptedTo: replaceTo,
+        replaceFrom,
+        replaceTo,
+      });
+
+      setAiContentInfo({ acceptedLength: 0, replacement: true });
+
+      view.dispatch(transaction);
+      return;
+    }
 
-    // Add a custom attribute to mark this as AI-generated
-    // (We'll style this with CSS)
-    transaction.addMark(
-      from,
-      to,
-      state.schema.marks.em.create() // Using 'em' mark as a placeholder
+    // FIRST CHUNK: start a new suggestion at the anchor
+    if (!aiContentInfo) {
+      // STEP 1: Get the insert position
+      const cursorPos = anchor;
+
+      // STEP 2: Create a transaction to insert the text
+      // Transactions are how you modify ProseMirror documents
+      const transaction = state.tr.insertText(
+        " " + generatedContent, // Add space before AI content
+        cursorPos
+      );
+
+      // STEP 3: Add a mark to highlight AI-generated text
+      // Marks are formatting that can be applied to text (like bold, italic)
+      const from = cursorPos + 1; // Start after the space
+      const to = cursorPos + generatedContent.length + 1;
+      transaction.addMark(from, to, aiMark);
+
+      // Track the range so accept/discard find it even after the user types
+      setSuggestionRange(transaction, {
+        insertPosition: cursorPos,
+        from,
+        to,
+        acceptedTo: from,
+      });
+
+      setAiContentInfo({ acceptedLength: 0 });
+
+      // STEP 4: Apply the transaction
+      view.dispatch(transaction);
+      return;
+    }
+
+    const range = getSuggestionRange(state);
+    if (!range) return;
+
+    const insertedText = state.doc.textBetween(range.from, range.to);
+    if (generatedContent === insertedText) return;
+
+    // FOLLOWING CHUNKS: append only the text we haven't inserted yet
+    if (generatedContent.startsWith(insertedText)) {
+      const newText = generatedContent.slice(insertedText.length);
+      const transaction = state.tr.insertText(newText, range.to);
+      transaction.addMark(range.to, range.to + newText.length, aiMark);
+      setSuggestionRange(transaction, {
+        ...range,
+        to: range.to + newText.length,
+      });
+
+      view.dispatch(transaction);
+      return;
+    }
+
+    // DIFFERENT CANDIDATE: the user is cycling through alternatives,
+    // so swap the highlighted text in place
+    const transaction = state.tr.replaceWith(
+      range.from,
+      range.to,
+      state.schema.text(generatedContent, [aiMark])
     );
+    setSuggestionRange(transaction, {
+      ...range,
+      to: range.from + generatedContent.length,
+    });
 
-    // STEP 4: Apply the transaction
     view.dispatch(transaction);
-
-    // Mark as inserted to prevent re-insertion
-    setHasInsertedContent(true);
-  }, [generatedContent, hasInsertedContent]);
+  }, [generatedContent, aiContentInfo, suggestionMode]);
 
   /**
-   * EFFECT 3: Handle discard session - use undo to go back to before AI generation
+   * EFFECT 3: Handle discard session - remove the AI-generated text
    * This runs when the shouldDiscardContent flag is set to true
+   * (user discarded the suggestion, or the stream failed halfway)
+   *
+   * The suggestion may have been inserted in many streamed chunks, and the
+   * user may have typed since, so undo would revert the wrong change.
+   * Instead we delete exactly the range tracked by the suggestion range
+   * plugin, which follows the suggestion through every edit.
    */
   useEffect(() => {
     if (
-      !isDiscardingRef.current &&
       machineState?.context?.shouldDiscardContent &&
       viewRef.current
     ) {
-      isDiscardingRef.current = true;
-      
-
-      try {
-        const view = viewRef.current;
+      const view = viewRef.current;
 
-        // Use ProseMirror's undo command to go back to before AI generation
-        undo(view.state, view.dispatch);
+      // Ghost text was never inserted - just hide it
+      // Delete the leading space and the suggestion itself
+      // If part of it was accepted word-by-word, only the pending rest goes
+      if (aiContentInfo?.ghost) {
+        view.dispatch(clearGhostText(view.state));
+      } else {
+        const transaction = discardSuggestion(view.state);
+        if (transaction) view.dispatch(transaction);
+      }
 
-        // Clear the stored state since we're using undo
-        setHasInsertedContent(false);
+      // Clear the AI content info since it's now removed
+      setAiContentInfo(null);
 
-        // Notify the state machine that we've handled the discard
-        if (send) {
-          send({ type: 'DISCARD_HANDLED' });
-          
-        }
-      } catch (error) {
-        
-      } finally {
-        isDiscardingRef.current = false;
+      // Notify the state machine that we've handled the discard
+      if (send) {
+        send({ type: "DISCARD_HANDLED" });
       }
     }
-  }, [machineState?.context?.shouldDiscardContent, send]);
+  }, [machineState?.context?.shouldDiscardContent, aiContentInfo, send]);
+
+  /**
+   * The mark accepted ghost text gets, so it is still known to be AI-written
+   * (inline suggestions already carry these attributes - see schema.js)
+   *
+   * @param {EditorState} state
+   * @returns {Mark}
+   */
+  const createAIWrittenMark = (state) =>
+    state.schema.marks.aiWritten.create(machineState?.context?.suggestion || {});
+
   /**
    * EFFECT 4: Handle accept content - remove highlighting from AI-generated text
    * This runs when the shouldAcceptContent flag is set to true
@@ -348,19 +535,21 @@ export function Editor({
       const view = viewRef.current;
       const state = view.state;
 
-      // Create a transaction to remove the highlighting (em mark) from AI content
-      const transaction = state.tr.removeMark(
-        aiContentInfo.from,
-        aiContentInfo.to,
-        state.schema.marks.em
-      );
+      // Create a transaction to remove the suggestion mark from AI content
+      // Only aiSuggestion is removed - italics the user applied stay - and
+      // the text is marked as AI-written instead
+      // Ghost text is inserted into the document for the first time
+      const transaction = aiContentInfo.ghost
+        ? acceptGhostText(state, undefined, [createAIWrittenMark(state)])
+        : acceptSuggestion(state);
 
       // Apply the transaction
-      view.dispatch(transaction);
+      if (transaction) {
+        view.dispatch(transaction);
+      }
 
       // Clear the AI content info since it's now accepted
       setAiContentInfo(null);
-      setHasInsertedContent(false);
 
       // Reset the accept flag by sending an event
       if (send) {
@@ -371,14 +560,43 @@ export function Editor({
   }, [machineState?.context?.shouldAcceptContent, aiContentInfo, send]);
 
   /**
-   * EFFECT 7: Reset discard flag when leaving review state
-   * This allows new AI generations to be inserted
+   * EFFECT 5: Handle partial accept - un-highlight the accepted words
+   * This runs when the user accepts the next word or sentence
+   * The rest of the suggestion stays highlighted and pending
    */
+  const acceptedLength = machineState?.context?.acceptedLength || 0;
   useEffect(() => {
-    if (machineState && !machineState.matches("review")) {
-      setHasInsertedContent(false);
+    if (!aiContentInfo || !viewRef.current || acceptedLength === 0) return;
+    if (acceptedLength === aiContentInfo.acceptedLength) return;
+
+    const view = viewRef.current;
+    const state = view.state;
+
+    // Ghost mode: insert the newly accepted words (plus the leading space
+    // the first time) and keep showing the rest as ghost text
+    if (aiContentInfo.ghost) {
+      const previous = aiContentInfo.acceptedLength;
+      const transaction = acceptGhostText(
+        state,
+        acceptedLength - previous + (previous === 0 ? 1 : 0),
+        [createAIWrittenMark(state)]
+      );
+      if (transaction) view.dispatch(transaction);
+
+      setAiContentInfo({ ...aiContentInfo, acceptedLength });
+      return;
     }
-  }, [machineState?.value]);
+
+    // The newly accepted words become real text
+    const transaction = acceptSuggestionPart(
+      state,
+      acceptedLength - aiContentInfo.acceptedLength
+    );
+    if (transaction) view.dispatch(transaction);
+
+    // Remember it so a later discard only removes the pending part
+    setAiContentInfo({ ...aiContentInfo, acceptedLength });
+  }, [acceptedLength, aiContentInfo]);
 
   /**
    * EFFECT 6: Update editor editability based on generation state
@@ -393,25 +611,156 @@ export function Editor({
     });
   }, [isGenerating]);
 
+  /**
+   * EFFECT 7: Insert a suggestion from the history at the cursor
+   * This runs when the user picks "Insert" in the history panel
+   * (machineState.context.reinsertEntry is set until we're done)
+   */
+  const reinsertEntry = machineState?.context?.reinsertEntry;
+  useEffect(() => {
+    if (!reinsertEntry || !viewRef.current) return;
+
+    const view = viewRef.current;
+    const { $from } = view.state.selection;
+
+    // Separate it from the word before the cursor, like a continuation
+    const charBefore = $from.parent.textBetween(Math.max(0, $from.parentOffset - 1), $from.parentOffset);
+    const text = /\S/.test(charBefore) && !/^\s/.test(reinsertEntry.output)
+      ? " " + reinsertEntry.output
+      : reinsertEntry.output;
+
+    // It is still AI-written text, from the same generation
+    const { id, provider, model, preset, createdAt } = reinsertEntry;
+    view.dispatch(insertAIText(view.state, text, { id, provider, model, preset, timestamp: createdAt }));
+    view.focus();
+
+    send?.({ type: "REINSERT_HANDLED" });
+  }, [reinsertEntry, send]);
+
+  // Once the first chunk has arrived the text itself shows progress
+  const isStreaming = isGenerating && !!generatedContent;
+
+  // Selection commands can only start when nothing else is going on
+  const showSelectionMenu =
+    selectionMenuPosition && onSelectionCommand && machineState?.matches("idle");
+
+  /**
+   * Import a Markdown file dropped onto the editor
+   *
+   * Handled on the wrapper rather than in ProseMirror, so files dropped on
+   * the editor's padding work too. Dropped text is left to ProseMirror.
+   */
+  const handleDragOver = (event) => {
+    // Without this the browser would open the file instead of dropping it
+    if (onFileDrop && event.dataTransfer?.types?.includes("Files")) {
+      event.preventDefault();
+    }
+  };
+
+  const handleDrop = (event) => {
+    const file = Array.from(event.dataTransfer?.files || []).find(isMarkdownFile);
+    if (!file || !onFileDrop) return;
+
+    event.preventDefault();
+    onFileDrop(file);
+  };
+
+  /**
+   * Run a formatting command from the formatting toolbar
+   *
+   * @param {Function} command - A ProseMirror command (see editor/formatting.js)
+   */
+  const handleFormattingCommand = (command) => {
+    const view = viewRef.current;
+    if (!view) return;
+
+    command(view.state, view.dispatch, view);
+    view.focus();
+  };
+
+  /**
+   * Run a selection command on the current selection
+   *
+   * @param {string} command - Selection command id (e.g. 'rewrite')
+   * @param {Object} [options] - { tone } or { language }
+   */
+  const handleSelectionCommand = (command, options = {}) => {
+    const { from, to } = viewRef.current.state.selection;
+    onSelectionCommand({ command, ...options, from, to });
+  };
+
   return (
-    <div className="editor-wrapper">
-      {/* Overlay shown during AI generation */}
-      {isGenerating && (
+    <div className="editor-wrapper" onDragOver={handleDragOver} onDrop={handleDrop}>
+      {/* Overlay shown while waiting for the first chunk */}
+      {isGenerating && !isStreaming && (
         <div className="editor-overlay">
           <div className="spinner"></div>
           <p>AI is writing...</p>
+          <button className="stop-generation-btn" onClick={onCancel}>
+            Stop <kbd className="shortcut-key">Esc</kbd>
+          </button>
+        </div>
+      )}
+
+      {/* Small indicator shown while chunks are streaming in */}
+      {isStreaming && (
+        <div className="streaming-indicator">
+          <div className="spinner small"></div>
+          <span>Streaming...</span>
+          <button className="stop-generation-btn small" onClick={onCancel}>
+            Stop
+          </button>
         </div>
       )}
 
+      {/* Floating menu over selected text: rewrite, shorten, expand... */}
+      {showSelectionMenu && (
+        <SelectionMenu
+          position={selectionMenuPosition}
+          onCommand={handleSelectionCommand}
+        />
+      )}
+
+      {/* Bold, headings, lists, links... */}
+      <FormattingToolbar
+        formats={activeFormats}
+        onCommand={handleFormattingCommand}
+        disabled={isGenerating}
+      />
+
       {/* The actual editor mounts here */}
       <div
         ref={editorRef}
-        className={`editor-container ${isGenerating ? "disabled" : ""}`}
+        className={`editor-container ${isGenerating ? "disabled" : ""} ${showAIWritten ? "show-ai-written" : ""}`}
       />
     </div>
   );
 }
 
+/**
+ * Work out where to show the selection menu
+ *
+ * @param {EditorView} view - The ProseMirror view
+ * @returns {{ top: number, left: number }|null} Position relative to the
+ *   editor wrapper, or null when no text is selected
+ */
+function getSelectionMenuPosition(view) {
+  const { selection } = view.state;
+  if (selection.empty || !(selection instanceof TextSelection)) return null;
+
+  // The wrapper is the positioned parent of the menu
+  const wrapper = view.dom.closest(".editor-wrapper");
+
+  try {
+    const coords = view.coordsAtPos(selection.from);
+    const box = wrapper.getBoundingClientRect();
+    return { top: coords.top - box.top - 8, left: coords.left - box.left };
+  } catch {
+    // Layout isn't available (e.g. the editor is hidden) - use the top corner
+    return { top: 0, left: 0 };
+  }
+}
+
 /**
  * COMPONENT EXPLANATION:
  *
@@ -422,18 +771,33 @@ export function Editor({
  *
  * 2. EFFECTS (useEffect):
  *    - Effect 1: Initialize editor (runs once)
- *    - Effect 2: Insert AI content when it arrives
- *    - Effect 3: Reset insertion flag when state changes
- *    - Effect 4: Update editability when generation state changes
+ *    - Effect 2: Insert AI content as it streams in (or swap candidates),
+ *      or show it as ghost text in ghost mode
+ *    - Effect 3: Remove AI content on discard
+ *    - Effect 4: Remove highlighting on accept
+ *    - Effect 5: Remove highlighting from partially accepted words/sentences
+ *    - Effect 6: Update editability when generation state changes
+ *    - Effect 7: Insert a suggestion picked from the history
+ *
+ *    Replacements (selection commands) are inserted right after the selected
+ *    text, which is struck through until the suggestion is accepted
  *
  * 3. PROSEMIRROR CONCEPTS:
  *    - Schema: Defines document structure (what nodes/marks are allowed)
  *    - State: The current document content and selection
  *    - View: The UI representation of the state
  *    - Transaction: A change to the document (immutable)
- *    - Plugin: Adds functionality (history, keymaps, etc.)
+ *    - Plugin: Adds functionality (history, keymaps, input rules, etc.)
+ *    - Command: A function (state, dispatch) that makes a change - the
+ *      formatting toolbar and the keyboard shortcuts run the same commands
  *
  * 4. DATA FLOW:
  *    User types → dispatchTransaction → new state → onEditorStateChange → parent component
  *    Parent sends generatedContent → Effect 2 → insert into editor
+ *    Each streamed chunk grows generatedContent → Effect 2 appends the new text
+ *    Ghost mode: generatedContent → ghost text decoration → Tab → real text
+ *
+ * 5. PROVENANCE:
+ *    - Accepted text keeps an aiWritten mark (provider, model, preset, time)
+ *    - Editing it flags it as edited; the overlay (showAIWritten) highlights it
  */
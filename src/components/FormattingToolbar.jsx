@@ -0,0 +1,228 @@
+/**
+ * FORMATTING TOOLBAR COMPONENT
+ *
+ * The row of formatting buttons above the editor:
+ * - Block type: paragraph, headings 1-3 or code block
+ * - Bold, italic and inline code
+ * - Blockquote, bullet list and numbered list
+ * - Link (the address is typed into a small popover)
+ *
+ * Buttons light up when their formatting applies at the cursor or
+ * selection. The commands themselves live in editor/formatting.js, which
+ * also has the keyboard shortcuts shown in the tooltips.
+ */
+
+import { useState } from "react";
+import { Button, DropdownMenu, Flex, IconButton, Popover, Separator, TextField, Tooltip } from "@radix-ui/themes";
+import {
+  CodeIcon,
+  FontBoldIcon,
+  FontItalicIcon,
+  Link2Icon,
+  LinkBreak2Icon,
+  ListBulletIcon,
+  QuoteIcon,
+} from "@radix-ui/react-icons";
+import { schema } from "../editor/schema";
+import {
+  HEADING_LEVELS,
+  normalizeHref,
+  removeLink,
+  setCodeBlock,
+  setLink,
+  setParagraph,
+  toggleBlockquote,
+  toggleCode,
+  toggleEm,
+  toggleHeading,
+  toggleList,
+  toggleStrong,
+} from "../editor/formatting";
+
+// Shown in tooltips ("Bold (Ctrl+B)")
+const isMac = typeof navigator !== "undefined" && navigator.platform.toUpperCase().indexOf("MAC") >= 0;
+const mod = isMac ? "⌘" : "Ctrl";
+
+const toggleBulletList = toggleList(schema.nodes.bullet_list);
+const toggleOrderedList = toggleList(schema.nodes.ordered_list);
+
+/**
+ * FormattingToolbar Component
+ *
+ * @param {Object} props
+ * @param {Object|null} props.formats - What is active at the selection (see getActiveFormats)
+ * @param {Function} props.onCommand - Called with the ProseMirror command to run
+ * @param {boolean} props.disabled - Whether formatting is off (e.g. while the AI is writing)
+ */
+export function FormattingToolbar({ formats, onCommand, disabled }) {
+  // The link popover and the address typed into it
+  const [isLinkOpen, setIsLinkOpen] = useState(false);
+  const [href, setHref] = useState("");
+
+  const active = formats || {};
+
+  const blockLabel = active.heading
+    ? `Heading ${active.heading}`
+    : active.codeBlock
+      ? "Code block"
+      : "Paragraph";
+
+  /**
+   * A toggle button: highlighted while its formatting is active
+   */
+  const renderToggle = ({ label, shortcut, isActive, command, icon }) => (
+    <Tooltip content={shortcut ? `${label} (${shortcut})` : label}>
+      <IconButton
+        size="1"
+        variant={isActive ? "soft" : "ghost"}
+        color={isActive ? undefined : "gray"}
+        aria-label={label}
+        aria-pressed={!!isActive}
+        disabled={disabled}
+        onClick={() => onCommand(command)}
+      >
+        {icon}
+      </IconButton>
+    </Tooltip>
+  );
+
+  const openLink = (open) => {
+    // Start from the link at the cursor, if there is one
+    if (open) setHref(active.href || "");
+    setIsLinkOpen(open);
+  };
+
+  const applyLink = () => {
+    const address = normalizeHref(href);
+    if (!address) return;
+    onCommand(setLink(address));
+    setIsLinkOpen(false);
+  };
+
+  return (
+    <Flex
+      align="center"
+      gap="2"
+      className="formatting-toolbar"
+      role="toolbar"
+      aria-label="Formatting"
+      // Keep the editor selection: clicking a button would otherwise blur it
+      onMouseDown={(event) => event.target.closest("input") || event.preventDefault()}
+    >
+      {/* Block type */}
+      <DropdownMenu.Root>
+        <DropdownMenu.Trigger disabled={disabled}>
+          <Button size="1" variant="ghost" color="gray" aria-label="Block type" style={{ minWidth: 96 }}>
+            {blockLabel}
+            <DropdownMenu.TriggerIcon />
+          </Button>
+        </DropdownMenu.Trigger>
+        <DropdownMenu.Content size="1">
+          <DropdownMenu.Item shortcut="Ctrl+Shift+0" onSelect={() => onCommand(setParagraph)}>
+            Paragraph
+          </DropdownMenu.Item>
+          {HEADING_LEVELS.map((level) => (
+            <DropdownMenu.Item
+              key={level}
+              shortcut={`Ctrl+Shift+${level}`}
+              onSelect={() => onCommand(toggleHeading(level))}
+            >
+              Heading {level}
+            </DropdownMenu.Item>
+          ))}
+          <DropdownMenu.Item shortcut={"Ctrl+Shift+\\"} onSelect={() => onCommand(setCodeBlock)}>
+            Code block
+          </DropdownMenu.Item>
+        </DropdownMenu.Content>
+      </DropdownMenu.Root>
+
+      <Separator orientation="vertical" />
+
+      {/* Marks */}
+      {renderToggle({ label: "Bold", shortcut: `${mod}+B`, isActive: active.strong, command: toggleStrong, icon: <FontBoldIcon /> })}
+      {renderToggle({ label: "Italic", shortcut: `${mod}+I`, isActive: active.em, command: toggleEm, icon: <FontItalicIcon /> })}
+      {renderToggle({ label: "Code", shortcut: `${mod}+\``, isActive: active.code, command: toggleCode, icon: <CodeIcon /> })}
+
+      <Separator orientation="vertical" />
+
+      {/* Wrapping blocks */}
+      {renderToggle({ label: "Quote", shortcut: "Ctrl+>", isActive: active.blockquote, command: toggleBlockquote, icon: <QuoteIcon /> })}
+      {renderToggle({ label: "Bullet list", shortcut: "Ctrl+Shift+8", isActive: active.bulletList, command: toggleBulletList, icon: <ListBulletIcon /> })}
+      {renderToggle({ label: "Numbered list", shortcut: "Ctrl+Shift+9", isActive: active.orderedList, command: toggleOrderedList, icon: <span className="formatting-toolbar-text-icon">1.</span> })}
+
+      <Separator orientation="vertical" />
+
+      {/* Link */}
+      <Popover.Root open={isLinkOpen} onOpenChange={openLink}>
+        <Tooltip content={active.link ? "Edit link" : "Add link"}>
+          <Popover.Trigger disabled={disabled}>
+            <IconButton
+              size="1"
+              variant={active.link ? "soft" : "ghost"}
+              color={active.link ? undefined : "gray"}
+              aria-label="Link"
+              aria-pressed={!!active.link}
+            >
+              <Link2Icon />
+            </IconButton>
+          </Popover.Trigger>
+        </Tooltip>
+        <Popover.Content size="1" width="320px">
+          <form
+            onSubmit={(event) => {
+              event.preventDefault();
+              applyLink();
+            }}
+          >
+            <Flex gap="2" align="center">
+              <TextField.Root
+                size="1"
+                autoFocus
+                placeholder="https://example.com"
+                value={href}
+                aria-label="Link address"
+                onChange={(event) => setHref(event.target.value)}
+                style={{ flex: 1 }}
+              />
+              <Button size="1" type="submit" disabled={!normalizeHref(href)}>
+                Apply
+              </Button>
+            </Flex>
+          </form>
+        </Popover.Content>
+      </Popover.Root>
+      {active.link && (
+        <Tooltip content="Remove link">
+          <IconButton
+            size="1"
+            variant="ghost"
+            color="gray"
+            aria-label="Remove link"
+            disabled={disabled}
+            onClick={() => onCommand(removeLink)}
+          >
+            <LinkBreak2Icon />
+          </IconButton>
+        </Tooltip>
+      )}
+    </Flex>
+  );
+}
+
+/**
+ * COMPONENT EXPLANATION:
+ *
+ * 1. COMMANDS, NOT EDITS:
+ *    - Each button hands a ProseMirror command to onCommand
+ *    - The Editor runs it on its view, the same way a keyboard shortcut would,
+ *      so undo, input rules and the AI suggestion plugins all see the change
+ *
+ * 2. ACTIVE STATE:
+ *    - formats is recomputed by the Editor after every transaction
+ *    - Active buttons use the "soft" variant and aria-pressed
+ *
+ * 3. KEEPING THE SELECTION:
+ *    - preventDefault on mousedown stops the buttons from taking focus,
+ *      so the command applies to the text that was selected
+ *    - The link field is the exception: it needs focus to type into
+ */
@@ -0,0 +1,197 @@
+/**
+ * GENERATION HISTORY COMPONENT
+ *
+ * A side panel listing every AI generation of the open document, newest
+ * first (see services/historyStore.js). For each one it shows:
+ * - What was asked (continue, rewrite, shorten...) and the text around it
+ * - What the AI wrote
+ * - Whether it was accepted, partially accepted or discarded
+ * - Which provider and model answered, and how long it took
+ *
+ * Any past suggestion can be inserted at the cursor again or copied.
+ */
+
+import { useState } from "react";
+import { Badge, Button, Card, Flex, IconButton, Text, Tooltip } from "@radix-ui/themes";
+import { CheckIcon, Cross2Icon, CopyIcon, EnterIcon } from "@radix-ui/react-icons";
+import { SELECTION_COMMANDS } from "../services/selectionCommands";
+import { OUTCOMES } from "../services/historyStore";
+import "./GenerationHistory.css";
+
+// How each outcome is shown
+const OUTCOME_BADGES = {
+  [OUTCOMES.accepted]: { label: "Accepted", color: "green" },
+  [OUTCOMES.partiallyAccepted]: { label: "Partly accepted", color: "orange" },
+  [OUTCOMES.discarded]: { label: "Discarded", color: "gray" },
+};
+
+/**
+ * GenerationHistory Component
+ *
+ * @param {Object} props
+ * @param {Object[]} props.entries - The document's history, newest first
+ * @param {boolean} props.canInsert - Whether inserting is possible right now
+ *   (not while a suggestion is being generated or reviewed)
+ * @param {Function} props.onInsert - Called with the entry to insert at the cursor
+ * @param {Function} props.onClose - Called when the panel's close button is clicked
+ */
+export function GenerationHistory({ entries, canInsert, onInsert, onClose }) {
+  // The entry just copied, to show a check mark for a moment
+  const [copiedId, setCopiedId] = useState(null);
+
+  /**
+   * Copy an entry's text to the clipboard
+   */
+  const handleCopy = async (entry) => {
+    try {
+      await navigator.clipboard.writeText(entry.output);
+      setCopiedId(entry.id);
+      setTimeout(() => setCopiedId((id) => (id === entry.id ? null : id)), 1500);
+    } catch {
+      alert("Could not copy to the clipboard.");
+    }
+  };
+
+  return (
+    <aside className="generation-history" aria-label="Generation history">
+      <Flex align="center" justify="between" className="generation-history-header">
+        <Text size="2" weight="bold">
+          History
+        </Text>
+        <Tooltip content="Close history">
+          <IconButton size="1" variant="ghost" color="gray" onClick={onClose} aria-label="Close history">
+            <Cross2Icon />
+          </IconButton>
+        </Tooltip>
+      </Flex>
+
+      {entries.length === 0 ? (
+        <Text as="p" size="1" color="gray" className="generation-history-empty">
+          Suggestions you accept or discard show up here.
+        </Text>
+      ) : (
+        <ul className="generation-history-list">
+          {entries.map((entry) => {
+            const outcome = OUTCOME_BADGES[entry.outcome] || OUTCOME_BADGES[OUTCOMES.discarded];
+
+            return (
+              <li key={entry.id}>
+                <Card size="1">
+                  <Flex align="center" justify="between" gap="2">
+                    <Text size="1" weight="bold">
+                      {entry.command ? SELECTION_COMMANDS[entry.command]?.label || entry.command : "Continue"}
+                    </Text>
+                    <Badge size="1" color={outcome.color} variant="soft">
+                      {outcome.label}
+                    </Badge>
+                  </Flex>
+
+                  {/* What the prompt was built around */}
+                  {entry.context && (
+                    <Text as="p" size="1" color="gray" className="generation-history-context">
+                      {entry.command ? entry.context : `…${entry.context}`}
+                    </Text>
+                  )}
+
+                  {/* What the AI wrote */}
+                  <Text as="p" size="2" className="generation-history-output">
+                    {entry.output}
+                  </Text>
+
+                  <Flex align="center" justify="between" gap="2">
+                    <Tooltip content={getDetails(entry)}>
+                      <Text size="1" color="gray" className="generation-history-meta">
+                        {formatTime(entry.createdAt)}
+                        {entry.model && ` · ${entry.model}`}
+                        {entry.latency != null && ` · ${formatLatency(entry.latency)}`}
+                      </Text>
+                    </Tooltip>
+
+                    <Flex gap="1">
+                      <Tooltip content={copiedId === entry.id ? "Copied" : "Copy"}>
+                        <IconButton
+                          size="1"
+                          variant="ghost"
+                          color="gray"
+                          aria-label="Copy suggestion"
+                          onClick={() => handleCopy(entry)}
+                        >
+                          {copiedId === entry.id ? <CheckIcon /> : <CopyIcon />}
+                        </IconButton>
+                      </Tooltip>
+                      <Button
+                        size="1"
+                        variant="soft"
+                        disabled={!canInsert}
+                        onClick={() => onInsert(entry)}
+                      >
+                        <EnterIcon />
+                        Insert
+                      </Button>
+                    </Flex>
+                  </Flex>
+                </Card>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </aside>
+  );
+}
+
+/**
+ * Describe where an entry came from (shown in a tooltip)
+ *
+ * @param {Object} entry
+ * @returns {string} e.g. "openai · gpt-4o · Blog post preset · 1.2 s (cached)"
+ */
+function getDetails(entry) {
+  return [
+    entry.provider,
+    entry.model,
+    entry.preset && `${entry.preset} preset`,
+    entry.latency != null && formatLatency(entry.latency) + (entry.cached ? " (cached)" : ""),
+    new Date(entry.createdAt).toLocaleString(),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/**
+ * Format a duration in ms as seconds (e.g. "1.2 s")
+ *
+ * @param {number} latency
+ * @returns {string}
+ */
+function formatLatency(latency) {
+  return `${(latency / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Format a timestamp as a short time of day (e.g. "14:05")
+ *
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+/**
+ * COMPONENT EXPLANATION:
+ *
+ * 1. WHERE THE ENTRIES COME FROM:
+ *    - The state machine records each suggestion when it is accepted or
+ *      discarded (context.history); App.jsx saves them with the document
+ *
+ * 2. INSERT:
+ *    - onInsert sends REINSERT to the machine, and the editor puts the text
+ *      at the cursor, marked as AI-written with the original provenance
+ *    - Disabled while a suggestion is generated or reviewed, so two
+ *      suggestions never compete for the cursor
+ *
+ * 3. COPY:
+ *    - Uses the asynchronous Clipboard API; the icon turns into a check
+ *      mark for a moment to confirm
+ */
@@ -0,0 +1,304 @@
+/**
+ * PRESET SETTINGS COMPONENT
+ *
+ * A dialog for editing prompt presets (see services/promptTemplates.js).
+ * Users can:
+ * - Edit the style, prompt templates, temperature and length of a preset
+ * - Create their own presets (copies of the selected one) and delete them
+ * - Reset everything to the built-in presets
+ *
+ * Edits are made on a draft and only saved when the user clicks "Save",
+ * so closing the dialog throws them away.
+ */
+
+import { useState } from "react";
+import {
+  Badge,
+  Button,
+  Callout,
+  Dialog,
+  Flex,
+  Select,
+  Text,
+  TextArea,
+  TextField,
+} from "@radix-ui/themes";
+import { CopyIcon, ResetIcon, TrashIcon } from "@radix-ui/react-icons";
+import {
+  TEMPLATE_VARIABLES,
+  findUnknownVariables,
+} from "../services/promptTemplates";
+
+// The template fields, in the order they are shown
+const TEMPLATE_FIELDS = [
+  { key: "systemPrompt", label: "System prompt (continue writing)" },
+  { key: "continuePrompt", label: "Prompt (continue writing)" },
+  { key: "editSystemPrompt", label: "System prompt (selection commands)" },
+  { key: "editPrompt", label: "Prompt (selection commands)" },
+];
+
+/**
+ * PresetSettings Component
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false when the dialog closes
+ * @param {Object[]} props.presets - All presets (see presetStore.loadPresets)
+ * @param {string} props.activePresetId - The preset to show first
+ * @param {Function} props.onSave - Called with (presets, activePresetId) on "Save"
+ * @param {Function} props.onReset - Called when the user resets all presets
+ */
+export function PresetSettings({
+  open,
+  onOpenChange,
+  presets,
+  activePresetId,
+  onSave,
+  onReset,
+}) {
+  // The presets being edited, and which one is shown
+  const [draft, setDraft] = useState(presets);
+  const [selectedId, setSelectedId] = useState(activePresetId);
+
+  // Start from the saved presets every time the dialog opens
+  const [wasOpen, setWasOpen] = useState(open);
+  if (open !== wasOpen) {
+    setWasOpen(open);
+    if (open) {
+      setDraft(presets);
+      setSelectedId(activePresetId);
+    }
+  }
+
+  const selected = draft.find((preset) => preset.id === selectedId) || draft[0];
+
+  /**
+   * Change one field of the selected preset
+   */
+  const updateField = (key, value) => {
+    setDraft((current) =>
+      current.map((preset) =>
+        preset.id === selected.id ? { ...preset, [key]: value } : preset
+      )
+    );
+  };
+
+  /**
+   * Create a custom preset from the selected one
+   */
+  const handleDuplicate = () => {
+    const copy = {
+      ...selected,
+      id: `custom-${Date.now()}`,
+      name: `${selected.name} (copy)`,
+      builtIn: false,
+    };
+    setDraft((current) => [...current, copy]);
+    setSelectedId(copy.id);
+  };
+
+  /**
+   * Delete the selected preset (custom presets only)
+   */
+  const handleDelete = () => {
+    setDraft((current) => current.filter((preset) => preset.id !== selected.id));
+    setSelectedId(draft[0].id);
+  };
+
+  const handleReset = () => {
+    if (window.confirm("Reset all presets? Your edits and custom presets will be lost.")) {
+      onReset();
+      onOpenChange(false);
+    }
+  };
+
+  const handleSave = () => {
+    onSave(draft, selected.id);
+    onOpenChange(false);
+  };
+
+  // Warn about typos like {{befor}} - they would be sent to the AI as-is
+  const unknownVariables = [
+    ...new Set(
+      TEMPLATE_FIELDS.flatMap(({ key }) => findUnknownVariables(selected[key]))
+    ),
+  ];
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Dialog.Content maxWidth="640px">
+        <Dialog.Title>Prompt presets</Dialog.Title>
+        <Dialog.Description size="2" color="gray" mb="4">
+          Presets decide what the AI is asked and how it writes.
+        </Dialog.Description>
+
+        {/* STEP 1: Pick the preset to edit */}
+        <Flex gap="2" align="center" mb="3">
+          <Select.Root value={selected.id} onValueChange={setSelectedId}>
+            <Select.Trigger aria-label="Preset to edit" style={{ flex: 1 }} />
+            <Select.Content>
+              {draft.map((preset) => (
+                <Select.Item key={preset.id} value={preset.id}>
+                  {preset.name}
+                </Select.Item>
+              ))}
+            </Select.Content>
+          </Select.Root>
+          <Button variant="soft" onClick={handleDuplicate}>
+            <CopyIcon />
+            Duplicate
+          </Button>
+          <Button
+            variant="soft"
+            color="red"
+            onClick={handleDelete}
+            disabled={selected.builtIn}
+          >
+            <TrashIcon />
+            Delete
+          </Button>
+        </Flex>
+
+        {/* STEP 2: Edit it */}
+        <Flex direction="column" gap="3">
+          <label>
+            <Text as="div" size="2" weight="bold" mb="1">
+              Name {selected.builtIn && <Badge color="gray">Built-in</Badge>}
+            </Text>
+            <TextField.Root
+              value={selected.name}
+              onChange={(event) => updateField("name", event.target.value)}
+            />
+          </label>
+
+          <label>
+            <Text as="div" size="2" weight="bold" mb="1">
+              Style
+            </Text>
+            <TextArea
+              rows={2}
+              value={selected.style}
+              placeholder="e.g. Short, punchy sentences"
+              onChange={(event) => updateField("style", event.target.value)}
+            />
+          </label>
+
+          <Flex gap="3">
+            <label style={{ flex: 1 }}>
+              <Text as="div" size="2" weight="bold" mb="1">
+                Temperature (0-2)
+              </Text>
+              <TextField.Root
+                type="number"
+                min={0}
+                max={2}
+                step={0.1}
+                value={selected.temperature}
+                onChange={(event) =>
+                  updateField("temperature", clamp(Number(event.target.value), 0, 2))
+                }
+              />
+            </label>
+            <label style={{ flex: 1 }}>
+              <Text as="div" size="2" weight="bold" mb="1">
+                Max tokens
+              </Text>
+              <TextField.Root
+                type="number"
+                min={10}
+                max={1000}
+                step={10}
+                value={selected.maxTokens}
+                onChange={(event) =>
+                  updateField("maxTokens", clamp(Math.round(Number(event.target.value)), 10, 1000))
+                }
+              />
+            </label>
+          </Flex>
+
+          {TEMPLATE_FIELDS.map(({ key, label }) => (
+            <label key={key}>
+              <Text as="div" size="2" weight="bold" mb="1">
+                {label}
+              </Text>
+              <TextArea
+                rows={4}
+                value={selected[key]}
+                onChange={(event) => updateField(key, event.target.value)}
+                style={{ fontFamily: "monospace" }}
+              />
+            </label>
+          ))}
+
+          {/* Which variables can be used */}
+          <Text size="1" color="gray">
+            Variables:{" "}
+            {Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => (
+              <span key={name} title={description} style={{ marginRight: 8 }}>
+                <code>{`{{${name}}}`}</code>
+              </span>
+            ))}
+            <br />
+            Lines whose variables are all empty are left out.
+          </Text>
+
+          {unknownVariables.length > 0 && (
+            <Callout.Root color="orange" size="1">
+              <Callout.Text>
+                Unknown variables:{" "}
+                {unknownVariables.map((name) => `{{${name}}}`).join(", ")}
+              </Callout.Text>
+            </Callout.Root>
+          )}
+        </Flex>
+
+        {/* STEP 3: Save or throw away the changes */}
+        <Flex gap="3" mt="4" justify="between">
+          <Button variant="ghost" color="gray" onClick={handleReset}>
+            <ResetIcon />
+            Reset all
+          </Button>
+          <Flex gap="3">
+            <Dialog.Close>
+              <Button variant="soft" color="gray">
+                Cancel
+              </Button>
+            </Dialog.Close>
+            <Button onClick={handleSave}>Save</Button>
+          </Flex>
+        </Flex>
+      </Dialog.Content>
+    </Dialog.Root>
+  );
+}
+
+/**
+ * Keep a number input within its range
+ *
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : min;
+}
+
+/**
+ * COMPONENT EXPLANATION:
+ *
+ * 1. DRAFT STATE:
+ *    - The dialog edits a copy of the presets (draft)
+ *    - "Save" hands the draft to the parent, which stores it
+ *    - "Cancel" (or closing the dialog) simply drops it
+ *    - The draft is refreshed whenever the dialog opens, by comparing
+ *      `open` with its previous value during render
+ *
+ * 2. BUILT-IN VS CUSTOM PRESETS:
+ *    - Built-in presets can be edited but not deleted
+ *    - "Duplicate" makes a custom preset that can be deleted
+ *
+ * 3. RADIX DIALOG:
+ *    - Dialog.Root is controlled with open/onOpenChange
+ *    - Focus is trapped inside while it is open, and Esc closes it
+ */
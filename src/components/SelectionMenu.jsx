@@ -0,0 +1,120 @@
+/**
+ * SELECTION MENU COMPONENT
+ *
+ * A small floating menu that appears above selected text. It offers the
+ * selection commands - rewrite, shorten, expand, fix grammar, change tone
+ * and translate (see services/selectionCommands.js).
+ *
+ * The AI's answer doesn't replace the selection right away: it is shown
+ * next to the struck-through original, and the user accepts or discards
+ * it in the AI toolbar, just like a continuation.
+ */
+
+import { Button, Card, DropdownMenu, Flex } from "@radix-ui/themes";
+import { MagicWandIcon } from "@radix-ui/react-icons";
+import {
+  SELECTION_COMMANDS,
+  TONES,
+  LANGUAGES,
+} from "../services/selectionCommands";
+
+/**
+ * SelectionMenu Component
+ *
+ * @param {Object} props
+ * @param {{ top: number, left: number }} props.position - Where to show the menu (relative to the editor)
+ * @param {Function} props.onCommand - Called with (command, options) when the user picks a command
+ */
+export function SelectionMenu({ position, onCommand }) {
+  // Keep the editor selection: clicking a button would otherwise blur it
+  const keepSelection = (event) => event.preventDefault();
+
+  return (
+    <Card
+      className="selection-menu"
+      onMouseDown={keepSelection}
+      style={{
+        position: "absolute",
+        top: position.top,
+        left: position.left,
+        transform: "translateY(-100%)",
+        padding: "4px",
+        zIndex: 20,
+        boxShadow: "0 4px 16px rgba(0, 0, 0, 0.12)",
+      }}
+    >
+      <Flex gap="1" align="center">
+        <MagicWandIcon style={{ margin: "0 4px", color: "#6366f1" }} />
+
+        {/* Simple commands: one click */}
+        {["rewrite", "shorten", "expand", "grammar"].map((command) => (
+          <Button
+            key={command}
+            size="1"
+            variant="ghost"
+            onClick={() => onCommand(command)}
+          >
+            {SELECTION_COMMANDS[command].label}
+          </Button>
+        ))}
+
+        {/* Change tone: pick the tone */}
+        <DropdownMenu.Root>
+          <DropdownMenu.Trigger>
+            <Button size="1" variant="ghost">
+              Tone
+              <DropdownMenu.TriggerIcon />
+            </Button>
+          </DropdownMenu.Trigger>
+          <DropdownMenu.Content size="1">
+            {TONES.map((tone) => (
+              <DropdownMenu.Item
+                key={tone}
+                onSelect={() => onCommand("tone", { tone })}
+              >
+                {tone.charAt(0).toUpperCase() + tone.slice(1)}
+              </DropdownMenu.Item>
+            ))}
+          </DropdownMenu.Content>
+        </DropdownMenu.Root>
+
+        {/* Translate: pick the language */}
+        <DropdownMenu.Root>
+          <DropdownMenu.Trigger>
+            <Button size="1" variant="ghost">
+              Translate
+              <DropdownMenu.TriggerIcon />
+            </Button>
+          </DropdownMenu.Trigger>
+          <DropdownMenu.Content size="1">
+            {LANGUAGES.map((language) => (
+              <DropdownMenu.Item
+                key={language}
+                onSelect={() => onCommand("translate", { language })}
+              >
+                {language}
+              </DropdownMenu.Item>
+            ))}
+          </DropdownMenu.Content>
+        </DropdownMenu.Root>
+      </Flex>
+    </Card>
+  );
+}
+
+/**
+ * COMPONENT EXPLANATION:
+ *
+ * 1. POSITIONING:
+ *    - The editor works out where the selection starts on screen
+ *      (view.coordsAtPos) and passes it in as `position`
+ *    - translateY(-100%) puts the menu just above that point
+ *
+ * 2. KEEPING THE SELECTION:
+ *    - Clicking a button normally moves focus away from the editor
+ *    - preventDefault on mousedown keeps the text selected
+ *
+ * 3. RADIX DROPDOWN MENU:
+ *    - Tone and Translate need a second choice, so they open a dropdown
+ *    - onSelect fires when an item is clicked or chosen with the keyboard
+ */
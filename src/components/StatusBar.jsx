@@ -4,19 +4,28 @@
  * This component shows the current state of the editor:
  * - Ready (idle)
  * - Generating (AI is working)
+ * - Retrying (a temporary failure - counts down to the next attempt)
  * - Review (AI content ready)
  * - Error (something went wrong)
  * 
  * It provides visual feedback so users always know what's happening.
+ * Next to the word count it shows how much of the document the AI
+ * wrote (see editor/provenance.js), the size of the last AI request in
+ * tokens (prompt + completion), as counted by services/tokenizer.js,
+ * and when the document was last autosaved.
+ * In development it also toggles the debug log (see DebugPanel.jsx).
  */
 
-import { Flex, Badge, Text } from '@radix-ui/themes';
+import { useEffect, useState } from 'react';
+import { Flex, Badge, Button, Text, Tooltip } from '@radix-ui/themes';
 import { 
+  ActivityLogIcon,
   CheckCircledIcon, 
   UpdateIcon, 
   ExclamationTriangleIcon,
   EyeOpenIcon 
 } from '@radix-ui/react-icons';
+import { getAIStats } from '../editor/provenance';
 
 /**
  * StatusBar Component
@@ -24,8 +33,15 @@ import {
  * @param {Object} props
  * @param {Object} props.machineState - The XState machine state
  * @param {string} props.errorMessage - Error message if any
+ * @param {Object} [props.saveStatus] - Autosave status: { state, savedAt }
+ * @param {boolean} [props.showDebug] - Whether the debug log is open
+ * @param {Function} [props.onShowDebugChange] - Callback with the new debug
+ *   log setting (the button is only shown when it is passed)
  */
-export function StatusBar({ machineState, errorMessage }) {
+export function StatusBar({ machineState, errorMessage, saveStatus, showDebug = false, onShowDebugChange }) {
+  const retry = machineState.context?.retry;
+  const secondsUntilRetry = useCountdown(retry?.retryAt);
+  
   /**
    * Determine current status based on state machine
    * 
@@ -34,7 +50,19 @@ export function StatusBar({ machineState, errorMessage }) {
    */
   const getStatusInfo = () => {
     // Check each possible state and return appropriate info
-    if (machineState.matches('generating')) {
+    if (machineState.matches('generating') && retry) {
+      return {
+        label: 'Retrying',
+        color: 'orange',
+        icon: <UpdateIcon className="spinning" />,
+        description: secondsUntilRetry > 0
+          ? `${retry.message} Retrying in ${secondsUntilRetry}s (attempt ${retry.attempt} of ${retry.retries})`
+          : `${retry.message} Retrying now (attempt ${retry.attempt} of ${retry.retries})`,
+      };
+    }
+    
+    // Regenerating: the old suggestion is removed, the new request follows
+    if (machineState.matches('generating') || machineState.matches('regenerating')) {
       return {
         label: 'Generating',
         color: 'yellow',
@@ -71,6 +99,9 @@ export function StatusBar({ machineState, errorMessage }) {
   };
   
   const status = getStatusInfo();
+  const save = getSaveInfo(saveStatus);
+  const editorState = machineState.context?.editorState;
+  const aiStats = editorState?.doc ? getAIStats(editorState.doc) : null;
   
   return (
     <Flex 
@@ -89,6 +120,7 @@ export function StatusBar({ machineState, errorMessage }) {
         Radix Badge component shows status with color coding:
         - green: Ready
         - yellow: Processing
+        - orange: Retrying
         - blue: Review
         - red: Error
       */}
@@ -126,10 +158,133 @@ export function StatusBar({ machineState, errorMessage }) {
           {getWordCount(machineState.context.editorState)} words
         </Text>
       )}
+      
+      {/* 
+        AI-WRITTEN SHARE
+        
+        How many of the document's words came from accepted AI suggestions
+      */}
+      {aiStats?.words > 0 && (
+        <Tooltip content={`${aiStats.aiWords} of ${aiStats.words} words were written by AI`}>
+          <Text size="1" color="gray">
+            {aiStats.percentage}% AI-written
+          </Text>
+        </Tooltip>
+      )}
+      
+      {/* 
+        TOKEN USAGE
+        
+        How big the last AI request was - this is what providers bill for
+        (nothing, if the answer came from the response cache)
+      */}
+      {machineState.context?.usage && (
+        <Tooltip content="Tokens in the last AI request (approximate)">
+          <Text size="1" color="gray">
+            {machineState.context.usage.promptTokens} prompt ·{' '}
+            {machineState.context.usage.completionTokens} completion tokens
+            {machineState.context.usage.cached && ' (cached, not billed)'}
+          </Text>
+        </Tooltip>
+      )}
+      
+      {/* 
+        LAST SAVED
+        
+        The document is autosaved a moment after the user stops typing
+      */}
+      {save && (
+        <Tooltip content={save.description}>
+          <Text size="1" color={save.color}>
+            {save.label}
+          </Text>
+        </Tooltip>
+      )}
+      
+      {/* 
+        DEBUG LOG (development only)
+        
+        Transitions, generations, token usage and errors as they happen
+      */}
+      {onShowDebugChange && (
+        <Button
+          size="1"
+          variant={showDebug ? 'soft' : 'ghost'}
+          color="gray"
+          aria-pressed={showDebug}
+          onClick={() => onShowDebugChange(!showDebug)}
+        >
+          <ActivityLogIcon />
+          Debug
+        </Button>
+      )}
     </Flex>
   );
 }
 
+/**
+ * Count down the seconds until a point in time
+ * 
+ * Re-renders the component every half second while the countdown runs.
+ * 
+ * @param {number} [until] - Timestamp (ms) to count down to
+ * @returns {number} Whole seconds left (0 when done or without a target)
+ */
+function useCountdown(until) {
+  const [now, setNow] = useState(() => Date.now());
+  
+  useEffect(() => {
+    if (!until) return;
+    
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 500);
+    return () => clearInterval(timer);
+  }, [until]);
+  
+  return until ? Math.max(0, Math.ceil((until - now) / 1000)) : 0;
+}
+
+/**
+ * Describe the autosave status
+ * 
+ * @param {Object} [saveStatus] - { state, savedAt } (see App.jsx)
+ * @returns {{ label: string, description: string, color: string }|null}
+ *   null when there is nothing to show
+ */
+function getSaveInfo(saveStatus) {
+  switch (saveStatus?.state) {
+    case 'unsaved':
+      return { label: 'Saving…', description: 'Changes are saved when you pause typing', color: 'gray' };
+    case 'unavailable':
+      return {
+        label: 'Not saved',
+        description: 'This browser doesn\'t allow saving (IndexedDB is unavailable)',
+        color: 'orange',
+      };
+    case 'error':
+      return { label: 'Save failed', description: 'The last changes could not be saved', color: 'red' };
+    case 'saved':
+      if (!saveStatus.savedAt) return null;
+      return {
+        label: `Saved ${formatTime(saveStatus.savedAt)}`,
+        description: `Last saved ${new Date(saveStatus.savedAt).toLocaleString()}`,
+        color: 'gray',
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Format a timestamp as a short time of day (e.g. "14:05")
+ * 
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
 /**
  * Helper function to count words in the document
  * 
@@ -162,12 +317,12 @@ function getWordCount(editorState) {
  *    - Makes the code more readable and maintainable
  * 
  * 3. VISUAL FEEDBACK:
- *    - Color coding: green=good, yellow=working, red=error, blue=action needed
+ *    - Color coding: green=good, yellow=working, orange=retrying, red=error, blue=action needed
  *    - Icons provide quick visual recognition
  *    - Text descriptions give detailed context
  * 
  * 4. OPTIONAL FEATURES:
- *    - Word count is an enhancement
+ *    - Word count, AI-written share, token usage and the last saved time are enhancements
  *    - Uses optional chaining (?.) to safely access nested properties
  *    - Only shows if editorState is available
  */
@@ -4,24 +4,91 @@
  * This component provides the main controls for the editor:
  * - "Continue Writing" button to trigger AI generation
  * - Keyboard shortcut hint
+ * - Suggestion mode switch (inline text or ghost text)
+ * - Prompt preset picker, with a button to edit the presets
+ * - Markdown import and export
+ * - "AI-written" overlay switch
  * - Status indicators
  * 
  * We use Radix UI for accessible, customizable components.
  */
 
-import { Button, Flex, Text, Tooltip } from '@radix-ui/themes';
-import { PlusIcon, ReloadIcon } from '@radix-ui/react-icons';
+import { useRef } from 'react';
+import { Button, DropdownMenu, Flex, IconButton, SegmentedControl, Switch, Text, Tooltip } from '@radix-ui/themes';
+import {
+  CounterClockwiseClockIcon,
+  DownloadIcon,
+  GearIcon,
+  PlusIcon,
+  ReloadIcon,
+  StopIcon,
+  TrackNextIcon,
+  UploadIcon,
+} from '@radix-ui/react-icons';
+import { MARKDOWN_EXTENSIONS } from '../services/files';
+
+// The lengths "Keep writing" offers (targetWords null: until the end of the section)
+const KEEP_WRITING_TARGETS = [
+  { label: 'About 150 words', targetWords: 150 },
+  { label: 'About 300 words', targetWords: 300 },
+  { label: 'About 600 words', targetWords: 600 },
+  { label: 'Until the end of the section', targetWords: null },
+];
 
 /**
  * Toolbar Component
  * 
  * @param {Object} props
  * @param {Function} props.onContinue - Callback when "Continue Writing" is clicked
+ * @param {Function} props.onCancel - Callback when "Stop" is clicked during generation
  * @param {boolean} props.isProcessing - Whether AI is currently generating
  * @param {boolean} props.hasError - Whether there's an error
  * @param {Function} props.onRetry - Callback to retry after error
+ * @param {string} props.suggestionMode - "inline" or "ghost"
+ * @param {Function} props.onSuggestionModeChange - Callback when the mode is switched
+ * @param {boolean} props.isReviewing - Whether a suggestion is waiting for review
+ * @param {Object[]} props.presets - Prompt presets to pick from
+ * @param {string} props.activePresetId - The preset used for new requests
+ * @param {Function} props.onPresetChange - Callback with the id of the picked preset
+ * @param {Function} props.onEditPresets - Callback when the preset settings button is clicked
+ * @param {Function} props.onImport - Callback with the Markdown file the user picked
+ * @param {Function} props.onExport - Callback with { includeSuggestion } to export as Markdown
+ * @param {boolean} props.showAIWritten - Whether AI-written text is highlighted
+ * @param {Function} props.onShowAIWrittenChange - Callback with the new overlay setting
+ * @param {boolean} props.showHistory - Whether the generation history panel is open
+ * @param {Function} props.onShowHistoryChange - Callback with the new panel setting
+ * @param {Function} props.onKeepWriting - Callback with the target word count
+ *   (null: until the end of the section) when "Keep writing" is picked
+ * @param {Object} props.keepWriting - Progress of keep writing, or null
+ *   ({ targetWords, chunks, words } - see editorMachine.js)
+ * @param {Function} props.onStopKeepWriting - Callback to stop after the current chunk
  */
-export function Toolbar({ onContinue, isProcessing, hasError, onRetry }) {
+export function Toolbar({
+  onContinue,
+  onCancel,
+  isProcessing,
+  hasError,
+  onRetry,
+  suggestionMode = 'inline',
+  onSuggestionModeChange,
+  isReviewing = false,
+  presets = [],
+  activePresetId,
+  onPresetChange,
+  onEditPresets,
+  onImport,
+  onExport,
+  showAIWritten = false,
+  onShowAIWrittenChange,
+  showHistory = false,
+  onShowHistoryChange,
+  onKeepWriting,
+  keepWriting = null,
+  onStopKeepWriting,
+}) {
+  // The hidden file input behind the Import button
+  const fileInputRef = useRef(null);
+  
   /**
    * Detect if user is on Mac (for keyboard shortcut display)
    * navigator.platform tells us the operating system
@@ -32,6 +99,13 @@ export function Toolbar({ onContinue, isProcessing, hasError, onRetry }) {
   // Display the appropriate keyboard shortcut
   const shortcutText = isMac ? '⌘+K' : 'Ctrl+K';
   
+  // Switching modes with a suggestion on screen would strand it,
+  // so the mode is locked until it is accepted or discarded
+  const isModeLocked = isProcessing || isReviewing;
+  
+  // The active preset could have been deleted - fall back like the AI service does
+  const activePreset = presets.find((preset) => preset.id === activePresetId) || presets[0];
+  
   return (
     <Flex 
       direction="row" 
@@ -57,7 +131,7 @@ export function Toolbar({ onContinue, isProcessing, hasError, onRetry }) {
           <Button
             size="2"
             variant="solid"
-            onClick={() => onContinue(0)}
+            onClick={() => onContinue()}
             disabled={isProcessing}
             style={{ cursor: isProcessing ? 'not-allowed' : 'pointer' }}
           >
@@ -90,6 +164,69 @@ export function Toolbar({ onContinue, isProcessing, hasError, onRetry }) {
         </Button>
       )}
       
+      {/* 
+        STOP BUTTON - shown while AI is generating
+        Aborts the request and leaves the document untouched
+      */}
+      {isProcessing && (
+        <Tooltip content="Stop generating (Esc)">
+          <Button
+            size="2"
+            variant="soft"
+            color="red"
+            onClick={() => onCancel()}
+          >
+            <StopIcon />
+            Stop
+          </Button>
+        </Tooltip>
+      )}
+      
+      {/* 
+        KEEP WRITING
+        
+        Continues chunk after chunk: accepting one requests the next,
+        until the target length. Each chunk is still reviewed on its own.
+      */}
+      {onKeepWriting && !hasError && !keepWriting && (
+        <DropdownMenu.Root>
+          <DropdownMenu.Trigger>
+            <Button size="2" variant="soft" disabled={isProcessing || isReviewing}>
+              <TrackNextIcon />
+              Keep writing
+              <DropdownMenu.TriggerIcon />
+            </Button>
+          </DropdownMenu.Trigger>
+          <DropdownMenu.Content size="1">
+            {KEEP_WRITING_TARGETS.map(({ label, targetWords }) => (
+              <DropdownMenu.Item key={label} onSelect={() => onKeepWriting(targetWords)}>
+                {label}
+              </DropdownMenu.Item>
+            ))}
+          </DropdownMenu.Content>
+        </DropdownMenu.Root>
+      )}
+      
+      {/* 
+        KEEP WRITING PROGRESS - shown while the loop runs
+        Stop lets the current chunk finish (it can still be accepted)
+      */}
+      {keepWriting && (
+        <Flex align="center" gap="2">
+          <Text size="1" color="gray">
+            {keepWriting.targetWords
+              ? `${keepWriting.words} / ${keepWriting.targetWords} words`
+              : `${keepWriting.words} words, until the end of the section`}
+          </Text>
+          <Tooltip content="No more chunks after this one">
+            <Button size="1" variant="soft" color="gray" onClick={() => onStopKeepWriting()}>
+              <StopIcon />
+              Stop after this chunk
+            </Button>
+          </Tooltip>
+        </Flex>
+      )}
+      
       {/* 
         KEYBOARD SHORTCUT HINT
         
@@ -112,6 +249,171 @@ export function Toolbar({ onContinue, isProcessing, hasError, onRetry }) {
         </Text>
       </Flex>
       
+      {/* 
+        SUGGESTION MODE
+        
+        Inline: suggestions are inserted into the document and highlighted
+        Ghost: suggestions are shown as faded text until you press Tab
+      */}
+      {onSuggestionModeChange && (
+        <Tooltip content="Inline inserts suggestions; Ghost shows them until you press Tab">
+          <SegmentedControl.Root
+            size="1"
+            value={suggestionMode}
+            onValueChange={(mode) => !isModeLocked && onSuggestionModeChange(mode)}
+            aria-label="Suggestion mode"
+            style={{ opacity: isModeLocked ? 0.5 : 1 }}
+          >
+            <SegmentedControl.Item value="inline">Inline</SegmentedControl.Item>
+            <SegmentedControl.Item value="ghost">Ghost</SegmentedControl.Item>
+          </SegmentedControl.Root>
+        </Tooltip>
+      )}
+      
+      {/* 
+        PROMPT PRESET
+        
+        Which prompts and style the AI gets (Blog post, Fiction, ...)
+        Changing it mid-generation only affects the next request
+      */}
+      {onPresetChange && presets.length > 0 && (
+        <Flex align="center" gap="1">
+          <Text size="1" color="gray">
+            Preset:
+          </Text>
+          <DropdownMenu.Root>
+            <DropdownMenu.Trigger>
+              <Button size="1" variant="soft" aria-label="Prompt preset">
+                {activePreset?.name}
+                <DropdownMenu.TriggerIcon />
+              </Button>
+            </DropdownMenu.Trigger>
+            <DropdownMenu.Content size="1">
+              <DropdownMenu.RadioGroup value={activePresetId} onValueChange={onPresetChange}>
+                {presets.map((preset) => (
+                  <DropdownMenu.RadioItem key={preset.id} value={preset.id}>
+                    {preset.name}
+                  </DropdownMenu.RadioItem>
+                ))}
+              </DropdownMenu.RadioGroup>
+            </DropdownMenu.Content>
+          </DropdownMenu.Root>
+          {onEditPresets && (
+            <Tooltip content="Edit prompt presets">
+              <IconButton
+                size="1"
+                variant="ghost"
+                aria-label="Edit prompt presets"
+                onClick={() => onEditPresets()}
+              >
+                <GearIcon />
+              </IconButton>
+            </Tooltip>
+          )}
+        </Flex>
+      )}
+      
+      {/* 
+        IMPORT / EXPORT
+        
+        Markdown files in and out. A suggestion under review is left out
+        of the export unless the second option is picked.
+      */}
+      {(onImport || onExport) && (
+        <Flex align="center" gap="2">
+          {onImport && (
+            <>
+              <Tooltip content="Open a Markdown file as a new document">
+                <Button
+                  size="1"
+                  variant="soft"
+                  color="gray"
+                  onClick={() => fileInputRef.current?.click()}
+                >
+                  <UploadIcon />
+                  Import
+                </Button>
+              </Tooltip>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={MARKDOWN_EXTENSIONS.join(',')}
+                aria-label="Import Markdown file"
+                style={{ display: 'none' }}
+                onChange={(event) => {
+                  const file = event.target.files?.[0];
+                  // Clear it, so picking the same file again still imports it
+                  event.target.value = '';
+                  if (file) onImport(file);
+                }}
+              />
+            </>
+          )}
+          {onExport && (
+            <DropdownMenu.Root>
+              <DropdownMenu.Trigger>
+                <Button size="1" variant="soft" color="gray">
+                  <DownloadIcon />
+                  Export
+                  <DropdownMenu.TriggerIcon />
+                </Button>
+              </DropdownMenu.Trigger>
+              <DropdownMenu.Content size="1">
+                <DropdownMenu.Item onSelect={() => onExport({ includeSuggestion: false })}>
+                  Markdown (.md)
+                </DropdownMenu.Item>
+                <DropdownMenu.Item
+                  disabled={!isReviewing}
+                  onSelect={() => onExport({ includeSuggestion: true })}
+                >
+                  Markdown, with the suggestion under review
+                </DropdownMenu.Item>
+              </DropdownMenu.Content>
+            </DropdownMenu.Root>
+          )}
+        </Flex>
+      )}
+      
+      {/* 
+        AI-WRITTEN OVERLAY
+        
+        Highlights the accepted AI text, so it can be disclosed
+      */}
+      {onShowAIWrittenChange && (
+        <Tooltip content="Highlight text written by AI (dashed: edited since)">
+          <Text as="label" size="1">
+            <Flex align="center" gap="1">
+              <Switch
+                size="1"
+                checked={showAIWritten}
+                onCheckedChange={onShowAIWrittenChange}
+              />
+              AI-written
+            </Flex>
+          </Text>
+        </Tooltip>
+      )}
+      
+      {/* 
+        HISTORY
+        
+        Opens the panel listing past suggestions of this document
+      */}
+      {onShowHistoryChange && (
+        <Tooltip content="Past suggestions - insert or copy them again">
+          <Button
+            size="1"
+            variant={showHistory ? 'soft' : 'ghost'}
+            color="gray"
+            aria-pressed={showHistory}
+            onClick={() => onShowHistoryChange(!showHistory)}
+          >
+            <CounterClockwiseClockIcon />
+            History
+          </Button>
+        </Tooltip>
+      )}
+      
       {/* 
         HELP TEXT
         
@@ -119,7 +421,7 @@ export function Toolbar({ onContinue, isProcessing, hasError, onRetry }) {
       */}
       <Text size="1" color="gray" style={{ marginLeft: 'auto' }}>
         {isProcessing 
-          ? 'AI is writing...' 
+          ? 'AI is writing... (Esc to stop)' 
           : 'Click to continue your text with AI'}
       </Text>
     </Flex>
@@ -134,6 +436,11 @@ export function Toolbar({ onContinue, isProcessing, hasError, onRetry }) {
  *    - Flex: Flexbox layout container
  *    - Text: Typography component with size/weight/color props
  *    - Tooltip: Shows hint on hover
+ *    - SegmentedControl: Picks one option from a small set
+ *    - DropdownMenu: Picks the prompt preset (RadioGroup marks the active one),
+ *      the export format and how much to keep writing
+ *    - Switch: Turns the AI-written overlay on and off
+ *    - The History button toggles (aria-pressed) the generation history panel
  * 
  * 2. CONDITIONAL RENDERING:
  *    - {condition ? <A /> : <B />} - Show A if true, B if false
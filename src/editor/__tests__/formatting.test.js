@@ -0,0 +1,193 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { EditorState, TextSelection } from 'prosemirror-state';
+import { EditorView } from 'prosemirror-view';
+import { schema } from '../schema';
+import {
+  buildInputRules,
+  getActiveFormats,
+  normalizeHref,
+  removeLink,
+  setLink,
+  toggleBlockquote,
+  toggleHeading,
+  toggleList,
+  toggleStrong,
+} from '../formatting';
+
+/**
+ * Create a state with one paragraph of text, selecting from..to
+ * (positions inside the paragraph start at 1)
+ */
+function createState(text, from = 1, to = from) {
+  const doc = schema.node('doc', null, [schema.node('paragraph', null, text ? [schema.text(text)] : [])]);
+  return EditorState.create({ doc, selection: TextSelection.create(doc, from, to) });
+}
+
+/**
+ * Run a command and return the new state
+ */
+function run(state, command) {
+  let next = state;
+  const handled = command(state, (tr) => {
+    next = state.apply(tr);
+  });
+  expect(handled).toBe(true);
+  return next;
+}
+
+describe('formatting commands', () => {
+  it('should toggle bold on the selection and report it as active', () => {
+    const bold = run(createState('Hello world', 1, 6), toggleStrong);
+
+    expect(bold.doc.firstChild.firstChild.marks.map((mark) => mark.type.name)).toEqual(['strong']);
+    expect(getActiveFormats(bold).strong).toBe(true);
+
+    const plain = run(bold, toggleStrong);
+    expect(getActiveFormats(plain).strong).toBe(false);
+  });
+
+  it('should turn a paragraph into a heading and back', () => {
+    const heading = run(createState('Title', 3), toggleHeading(2));
+
+    expect(heading.doc.firstChild.type.name).toBe('heading');
+    expect(getActiveFormats(heading).heading).toBe(2);
+
+    const paragraph = run(heading, toggleHeading(2));
+    expect(paragraph.doc.firstChild.type.name).toBe('paragraph');
+  });
+
+  it('should wrap in a blockquote and lift out again', () => {
+    const quoted = run(createState('Quote', 2), toggleBlockquote);
+
+    expect(quoted.doc.firstChild.type.name).toBe('blockquote');
+    expect(getActiveFormats(quoted).blockquote).toBe(true);
+
+    const unquoted = run(quoted, toggleBlockquote);
+    expect(unquoted.doc.firstChild.type.name).toBe('paragraph');
+  });
+
+  it('should wrap in a list, switch its type and lift out again', () => {
+    const bullets = run(createState('Item', 2), toggleList(schema.nodes.bullet_list));
+    expect(bullets.doc.firstChild.type.name).toBe('bullet_list');
+    expect(getActiveFormats(bullets).bulletList).toBe(true);
+
+    const numbered = run(bullets, toggleList(schema.nodes.ordered_list));
+    expect(numbered.doc.firstChild.type.name).toBe('ordered_list');
+    expect(getActiveFormats(numbered)).toMatchObject({ bulletList: false, orderedList: true });
+
+    const plain = run(numbered, toggleList(schema.nodes.ordered_list));
+    expect(plain.doc.firstChild.type.name).toBe('paragraph');
+  });
+
+  it('should link the selection and remove the whole link from a cursor inside it', () => {
+    const linked = run(createState('Read the docs', 10, 14), setLink('https://example.com'));
+
+    // Cursor in the middle of "docs"
+    const cursor = linked.apply(linked.tr.setSelection(TextSelection.create(linked.doc, 12)));
+    expect(getActiveFormats(cursor)).toMatchObject({ link: true, href: 'https://example.com' });
+
+    const unlinked = run(cursor, removeLink);
+    expect(unlinked.doc.rangeHasMark(1, 14, schema.marks.link)).toBe(false);
+  });
+
+  it('should treat a partly bold link as one link', () => {
+    // "the quick docs" is a link, "quick" is also bold
+    const linked = run(createState('Read the quick docs', 6, 20), setLink('https://example.com'));
+    const bold = run(linked.apply(linked.tr.setSelection(TextSelection.create(linked.doc, 10, 15))), toggleStrong);
+
+    // Cursor in "docs", after the bold part
+    const cursor = bold.apply(bold.tr.setSelection(TextSelection.create(bold.doc, 17)));
+    const updated = run(cursor, setLink('https://example.org'));
+    const hrefs = [];
+    updated.doc.nodesBetween(6, 20, (node) => {
+      if (node.isText) hrefs.push(schema.marks.link.isInSet(node.marks)?.attrs.href);
+    });
+    expect(hrefs).toEqual(['https://example.org', 'https://example.org', 'https://example.org']);
+
+    const unlinked = run(cursor, removeLink);
+    expect(unlinked.doc.rangeHasMark(1, 20, schema.marks.link)).toBe(false);
+    expect(unlinked.doc.rangeHasMark(10, 15, schema.marks.strong)).toBe(true);
+  });
+
+  it('should insert the address as a link when nothing is selected', () => {
+    const linked = run(createState('See ', 5), setLink('https://example.com'));
+
+    expect(linked.doc.textContent).toBe('See https://example.com');
+    expect(linked.doc.rangeHasMark(5, 24, schema.marks.link)).toBe(true);
+  });
+});
+
+describe('normalizeHref', () => {
+  it('should add https:// to bare addresses and keep known schemes', () => {
+    expect(normalizeHref(' example.com ')).toBe('https://example.com');
+    expect(normalizeHref('http://example.com')).toBe('http://example.com');
+    expect(normalizeHref('mailto:me@example.com')).toBe('mailto:me@example.com');
+    expect(normalizeHref('#notes')).toBe('#notes');
+  });
+
+  it('should refuse empty and script addresses', () => {
+    expect(normalizeHref('  ')).toBeNull();
+    expect(normalizeHref('javascript:alert(1)')).toBeNull();
+  });
+});
+
+describe('buildInputRules', () => {
+  let view;
+
+  afterEach(() => {
+    view?.destroy();
+    view = null;
+  });
+
+  /**
+   * Type text one character at a time, the way input rules see it
+   */
+  function type(text) {
+    view = new EditorView(document.createElement('div'), {
+      state: EditorState.create({ schema, plugins: [buildInputRules()] }),
+    });
+
+    for (const char of text) {
+      const { from, to } = view.state.selection;
+      const handled = view.someProp('handleTextInput', (handler) => handler(view, from, to, char));
+      if (!handled) view.dispatch(view.state.tr.insertText(char, from, to));
+    }
+    return view.state.doc;
+  }
+
+  it('should turn "# " into a heading', () => {
+    const doc = type('## Plan');
+
+    expect(doc.firstChild.type.name).toBe('heading');
+    expect(doc.firstChild.attrs.level).toBe(2);
+    expect(doc.textContent).toBe('Plan');
+  });
+
+  it('should turn "> " and "* " into a blockquote and a bullet list', () => {
+    expect(type('> Quote').firstChild.type.name).toBe('blockquote');
+    view.destroy();
+    expect(type('* Item').firstChild.type.name).toBe('bullet_list');
+  });
+
+  it('should turn **text** into bold text without the asterisks', () => {
+    const doc = type('Very **bold** text');
+
+    expect(doc.textContent).toBe('Very bold text');
+    const paragraph = doc.firstChild;
+    expect(paragraph.child(1).text).toBe('bold');
+    expect(paragraph.child(1).marks.map((mark) => mark.type.name)).toEqual(['strong']);
+    // Typing carried on without the mark
+    expect(paragraph.child(2).marks).toEqual([]);
+  });
+
+  it('should turn *text* into italics and `text` into code', () => {
+    const doc = type('An *idea* and `code`');
+    const names = [];
+    doc.descendants((node) => {
+      if (node.isText && node.marks.length > 0) names.push([node.text, node.marks[0].type.name]);
+    });
+
+    expect(doc.textContent).toBe('An idea and code');
+    expect(names).toEqual([['idea', 'em'], ['code', 'code']]);
+  });
+});
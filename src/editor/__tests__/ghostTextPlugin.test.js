@@ -0,0 +1,128 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EditorState } from 'prosemirror-state';
+import { EditorView } from 'prosemirror-view';
+import { schema } from '../schema';
+import {
+  createGhostTextPlugin,
+  getGhostText,
+  setGhostText,
+  clearGhostText,
+  acceptGhostText,
+} from '../ghostTextPlugin';
+
+/**
+ * Create an editor view containing "Hello" with the ghost text plugin
+ */
+function createView(callbacks = {}) {
+  const state = EditorState.create({
+    doc: schema.node('doc', null, [
+      schema.node('paragraph', null, [schema.text('Hello')]),
+    ]),
+    plugins: [createGhostTextPlugin(callbacks)],
+  });
+  return new EditorView(document.createElement('div'), { state });
+}
+
+// Position right after "Hello"
+const END = 6;
+
+describe('ghostTextPlugin', () => {
+  it('should show ghost text as a decoration without changing the document', () => {
+    const view = createView();
+    view.dispatch(setGhostText(view.state, ' world', END));
+
+    expect(getGhostText(view.state)).toMatchObject({ text: ' world', pos: END });
+    expect(view.state.doc.textContent).toBe('Hello');
+    expect(view.dom.querySelector('.ghost-text').textContent).toBe(' world');
+
+    view.destroy();
+  });
+
+  it('should insert the ghost text into the document on accept', () => {
+    const view = createView();
+    view.dispatch(setGhostText(view.state, ' world', END));
+    view.dispatch(acceptGhostText(view.state));
+
+    expect(view.state.doc.textContent).toBe('Hello world');
+    expect(getGhostText(view.state).text).toBeNull();
+    expect(view.dom.querySelector('.ghost-text')).toBeNull();
+
+    view.destroy();
+  });
+
+  it('should accept part of the ghost text and keep showing the rest', () => {
+    const view = createView();
+    view.dispatch(setGhostText(view.state, ' big world', END));
+    view.dispatch(acceptGhostText(view.state, 4));
+
+    expect(view.state.doc.textContent).toBe('Hello big');
+    expect(getGhostText(view.state)).toMatchObject({ text: ' world', pos: END + 4 });
+
+    view.destroy();
+  });
+
+  it('should give accepted text the marks passed in', () => {
+    const view = createView();
+    const aiWritten = schema.marks.aiWritten.create({ id: 'ai-1', provider: 'openai' });
+    view.dispatch(setGhostText(view.state, ' world', END));
+    view.dispatch(acceptGhostText(view.state, undefined, [aiWritten]));
+
+    expect(view.state.doc.textContent).toBe('Hello world');
+    expect(view.state.doc.firstChild.lastChild.marks).toEqual([aiWritten]);
+
+    view.destroy();
+  });
+
+  it('should remove the ghost text on clear', () => {
+    const view = createView();
+    view.dispatch(setGhostText(view.state, ' world', END));
+    view.dispatch(clearGhostText(view.state));
+
+    expect(getGhostText(view.state).text).toBeNull();
+    expect(view.state.doc.textContent).toBe('Hello');
+
+    view.destroy();
+  });
+
+  it('should dismiss the ghost text when the user keeps typing', () => {
+    const onDismiss = vi.fn();
+    const view = createView({ onDismiss });
+    view.dispatch(setGhostText(view.state, ' world', END));
+    view.dispatch(view.state.tr.insertText('!', END));
+
+    expect(getGhostText(view.state).text).toBeNull();
+    expect(view.state.doc.textContent).toBe('Hello!');
+    expect(onDismiss).toHaveBeenCalledTimes(1);
+
+    view.destroy();
+  });
+
+  it('should accept with Tab and dismiss with Escape', () => {
+    const onAccept = vi.fn();
+    const onDismiss = vi.fn();
+    const view = createView({ onAccept, onDismiss });
+
+    // Without ghost text the keys are left alone
+    view.someProp('handleKeyDown', f => f(view, new KeyboardEvent('keydown', { key: 'Tab' })));
+    expect(onAccept).not.toHaveBeenCalled();
+
+    view.dispatch(setGhostText(view.state, ' world', END));
+    view.someProp('handleKeyDown', f => f(view, new KeyboardEvent('keydown', { key: 'Tab' })));
+    view.someProp('handleKeyDown', f => f(view, new KeyboardEvent('keydown', { key: 'Escape' })));
+
+    expect(onAccept).toHaveBeenCalledTimes(1);
+    expect(onDismiss).toHaveBeenCalledTimes(1);
+
+    view.destroy();
+  });
+
+  it('should not add ghost text updates to the undo history', () => {
+    const view = createView();
+    const tr = setGhostText(view.state, ' world', END);
+
+    expect(tr.getMeta('addToHistory')).toBe(false);
+    expect(tr.docChanged).toBe(false);
+
+    view.destroy();
+  });
+});
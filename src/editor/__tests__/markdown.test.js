@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { EditorState } from 'prosemirror-state';
+import { history } from 'prosemirror-history';
+import { schema } from '../schema';
+import { createSuggestionRangePlugin, setSuggestionRange } from '../suggestionRangePlugin';
+import { parseMarkdown, serializeMarkdown } from '../markdown';
+
+/**
+ * Export a Markdown string after parsing it
+ */
+function roundTrip(markdown) {
+  return serializeMarkdown(EditorState.create({ doc: parseMarkdown(markdown) }));
+}
+
+/**
+ * Create a state containing "Hello" followed by the suggestion " big world"
+ * inserted the way Editor.jsx does it
+ */
+function createStateWithSuggestion() {
+  const state = EditorState.create({
+    doc: schema.node('doc', null, [
+      schema.node('paragraph', null, [schema.text('Hello')]),
+    ]),
+    plugins: [history(), createSuggestionRangePlugin()],
+  });
+
+  const insertPosition = 6; // right after "Hello"
+  const text = 'big world';
+  const tr = state.tr.insertText(' ' + text, insertPosition);
+  const from = insertPosition + 1;
+  const to = from + text.length;
+  tr.addMark(from, to, schema.marks.aiSuggestion.create({ id: 'ai-1' }));
+  setSuggestionRange(tr, { insertPosition, from, to, acceptedTo: from });
+
+  return state.apply(tr);
+}
+
+describe('parseMarkdown', () => {
+  it('should read headings, lists, blockquotes and code blocks', () => {
+    const doc = parseMarkdown('## Plan\n\n- one\n- two\n\n1. first\n\n> quoted\n\n```js\nlet a = 1;\n```\n');
+
+    expect(doc.content.content.map((node) => node.type.name)).toEqual([
+      'heading',
+      'bullet_list',
+      'ordered_list',
+      'blockquote',
+      'code_block',
+    ]);
+    expect(doc.firstChild.attrs.level).toBe(2);
+    expect(doc.child(1).childCount).toBe(2);
+    expect(doc.lastChild.attrs.params).toBe('js');
+    expect(doc.lastChild.textContent).toBe('let a = 1;');
+  });
+
+  it('should read emphasis, strong text, inline code and links', () => {
+    const paragraph = parseMarkdown('*a* **b** `c` [d](https://example.com)').firstChild;
+    const marks = [];
+    paragraph.forEach((node) => {
+      if (node.marks.length) marks.push([node.text, node.marks.map((mark) => mark.type.name).join()]);
+    });
+
+    expect(marks).toEqual([['a', 'em'], ['b', 'strong'], ['c', 'code'], ['d', 'link']]);
+  });
+
+  it('should give an empty paragraph for an empty file', () => {
+    expect(parseMarkdown('').toJSON()).toEqual({ type: 'doc', content: [{ type: 'paragraph' }] });
+  });
+
+  it('should keep HTML as text', () => {
+    expect(parseMarkdown('<script>alert(1)</script>').textContent).toBe('<script>alert(1)</script>');
+  });
+});
+
+describe('serializeMarkdown', () => {
+  it('should round-trip the supported formatting', () => {
+    const markdown = [
+      '# Title',
+      '',
+      'Some *em*, **strong**, `code` and [a link](https://example.com).',
+      '',
+      '* one',
+      '* two',
+      '',
+      '  1. nested',
+      '',
+      '> quote',
+      '',
+      '```js',
+      'let a = 1;',
+      '```',
+    ].join('\n');
+
+    expect(roundTrip(markdown)).toBe(roundTrip(roundTrip(markdown)));
+    expect(roundTrip(markdown)).toContain('```js\nlet a = 1;\n```');
+    expect(roundTrip('* one\n* two')).toBe('* one\n* two');
+  });
+
+  it('should leave out a pending suggestion', () => {
+    expect(serializeMarkdown(createStateWithSuggestion())).toBe('Hello');
+  });
+
+  it('should include the pending suggestion when asked', () => {
+    expect(serializeMarkdown(createStateWithSuggestion(), { includeSuggestion: true })).toBe('Hello big world');
+  });
+
+  it('should export a pending replacement as if it was accepted', () => {
+    // "Hi" is suggested in place of "Hello" (positions 1-6), right after it
+    const state = EditorState.create({
+      doc: schema.node('doc', null, [schema.node('paragraph', null, [schema.text('Hello')])]),
+      plugins: [createSuggestionRangePlugin()],
+    });
+    const tr = state.tr.insertText('Hi', 6);
+    tr.addMark(6, 8, schema.marks.aiSuggestion.create({ id: 'ai-1' }));
+    setSuggestionRange(tr, { insertPosition: 6, from: 6, to: 8, acceptedTo: 6, replaceFrom: 1, replaceTo: 6 });
+    const withReplacement = state.apply(tr);
+
+    expect(serializeMarkdown(withReplacement)).toBe('Hello');
+    expect(serializeMarkdown(withReplacement, { includeSuggestion: true })).toBe('Hi');
+  });
+});
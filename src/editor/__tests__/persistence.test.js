@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { EditorState } from 'prosemirror-state';
+import { history } from 'prosemirror-history';
+import { schema } from '../schema';
+import { createSuggestionRangePlugin, setSuggestionRange, acceptSuggestionPart } from '../suggestionRangePlugin';
+import { serializeDocument, parseDocument } from '../persistence';
+
+/**
+ * Create a state containing "Hello" followed by the suggestion " big world"
+ * inserted the way Editor.jsx does it
+ */
+function createStateWithSuggestion() {
+  const state = EditorState.create({
+    doc: schema.node('doc', null, [
+      schema.node('paragraph', null, [schema.text('Hello')]),
+    ]),
+    plugins: [history(), createSuggestionRangePlugin()],
+  });
+
+  const insertPosition = 6; // right after "Hello"
+  const text = 'big world';
+  const tr = state.tr.insertText(' ' + text, insertPosition);
+  const from = insertPosition + 1;
+  const to = from + text.length;
+  tr.addMark(from, to, schema.marks.aiSuggestion.create({ id: 'ai-1' }));
+  setSuggestionRange(tr, { insertPosition, from, to, acceptedTo: from });
+
+  return state.apply(tr);
+}
+
+describe('serializeDocument', () => {
+  it('should save the document as JSON', () => {
+    const state = EditorState.create({
+      doc: schema.node('doc', null, [
+        schema.node('heading', { level: 1 }, [schema.text('Title')]),
+        schema.node('paragraph', null, [schema.text('Bold', [schema.marks.strong.create()])]),
+      ]),
+    });
+
+    const json = serializeDocument(state);
+
+    expect(parseDocument(JSON.parse(JSON.stringify(json))).eq(state.doc)).toBe(true);
+  });
+
+  it('should leave out a pending suggestion and its leading space', () => {
+    const json = serializeDocument(createStateWithSuggestion());
+
+    expect(parseDocument(json).textContent).toBe('Hello');
+  });
+
+  it('should keep the accepted part of a suggestion', () => {
+    let state = createStateWithSuggestion();
+    state = state.apply(acceptSuggestionPart(state, 'big '.length));
+
+    expect(parseDocument(serializeDocument(state)).textContent).toBe('Hello big ');
+  });
+});
+
+describe('parseDocument', () => {
+  it('should remove text still marked as a suggestion', () => {
+    const json = createStateWithSuggestion().doc.toJSON();
+
+    expect(parseDocument(json).textContent).toBe('Hello ');
+  });
+
+  it('should return null for invalid documents', () => {
+    expect(parseDocument(null)).toBeNull();
+    expect(parseDocument({ type: 'unknown' })).toBeNull();
+    expect(parseDocument({ type: 'paragraph', content: [{ type: 'text', text: 'Hi' }] })).toBeNull();
+    expect(parseDocument({ type: 'doc', content: [{ type: 'text', text: 'Text outside a paragraph' }] })).toBeNull();
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { schema } from '../schema';
+import { getTextContext, findInsertPosition, getOutline } from '../positions';
+
+/**
+ * "Hello" and "World" in two paragraphs
+ * Positions: 1-6 inside the first paragraph, 8-13 inside the second
+ */
+const doc = schema.node('doc', null, [
+  schema.node('paragraph', null, [schema.text('Hello')]),
+  schema.node('paragraph', null, [schema.text('World')]),
+]);
+
+describe('positions', () => {
+  it('should convert a ProseMirror position into a character offset', () => {
+    const { documentText, textOffset } = getTextContext(doc, 6);
+
+    expect(documentText).toBe('Hello\n\nWorld');
+    expect(textOffset).toBe(5);
+    expect(documentText.slice(0, textOffset)).toBe('Hello');
+  });
+
+  it('should count the block separator before later paragraphs', () => {
+    const { documentText, textOffset } = getTextContext(doc, 10);
+
+    expect(documentText.slice(0, textOffset)).toBe('Hello\n\nWo');
+  });
+
+  it('should clamp positions outside the document', () => {
+    expect(getTextContext(doc, 999).textOffset).toBe('Hello\n\nWorld'.length);
+    expect(getTextContext(doc, -5).textOffset).toBe(0);
+  });
+
+  it('should handle a missing document', () => {
+    expect(getTextContext(null, 10)).toEqual({ documentText: '', textOffset: 0 });
+  });
+
+  it('should move an anchor between blocks into a text block', () => {
+    expect(findInsertPosition(doc, 0)).toBe(1);
+    expect(findInsertPosition(doc, 6)).toBe(6);
+    expect(findInsertPosition(doc, 999)).toBe(13);
+  });
+
+  it('should list the headings with their text offsets', () => {
+    const withHeadings = schema.node('doc', null, [
+      schema.node('heading', { level: 1 }, [schema.text('Title')]),
+      schema.node('paragraph', null, [schema.text('Intro')]),
+      schema.node('heading', { level: 2 }, [schema.text('Part')]),
+    ]);
+    const { documentText } = getTextContext(withHeadings, 0);
+
+    const outline = getOutline(withHeadings);
+
+    expect(outline).toEqual([
+      { level: 1, text: 'Title', offset: 0 },
+      { level: 2, text: 'Part', offset: 14 },
+    ]);
+    expect(documentText.slice(outline[1].offset)).toBe('Part');
+    expect(getOutline(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import { EditorState } from 'prosemirror-state';
+import { history, undo } from 'prosemirror-history';
+import { schema } from '../schema';
+import { createSuggestionRangePlugin, setSuggestionRange, acceptSuggestion } from '../suggestionRangePlugin';
+import { createProvenancePlugin, getAIStats } from '../provenance';
+
+const suggestionAttrs = {
+  id: 'ai-1',
+  provider: 'openai',
+  model: 'gpt-4o',
+  preset: 'Blog post',
+  timestamp: 1700000000000,
+};
+
+/**
+ * Create a state with "Hello" followed by the accepted suggestion " big world"
+ * (positions: "Hello" is 1-6, "big world" is 7-16)
+ */
+function createAcceptedState() {
+  const state = EditorState.create({
+    doc: schema.node('doc', null, [
+      schema.node('paragraph', null, [schema.text('Hello')]),
+    ]),
+    plugins: [createSuggestionRangePlugin(), createProvenancePlugin()],
+  });
+
+  // Insert the suggestion the way Editor.jsx does it
+  const text = 'big world';
+  const tr = state.tr.insertText(' ' + text, 6);
+  tr.addMark(7, 7 + text.length, schema.marks.aiSuggestion.create(suggestionAttrs));
+  setSuggestionRange(tr, { insertPosition: 6, from: 7, to: 7 + text.length, acceptedTo: 7 });
+  const reviewing = state.apply(tr);
+
+  return reviewing.apply(acceptSuggestion(reviewing));
+}
+
+/**
+ * The aiWritten marks in a document, with the text they cover
+ */
+function getWrittenMarks(doc) {
+  const found = [];
+  doc.descendants((node) => {
+    const mark = schema.marks.aiWritten.isInSet(node.marks);
+    if (node.isText && mark) found.push({ text: node.text, ...mark.attrs });
+  });
+  return found;
+}
+
+describe('aiWritten mark', () => {
+  it('should replace the suggestion mark when a suggestion is accepted', () => {
+    const state = createAcceptedState();
+
+    expect(state.doc.rangeHasMark(0, state.doc.content.size, schema.marks.aiSuggestion)).toBe(false);
+    expect(getWrittenMarks(state.doc)).toEqual([
+      { text: 'big world', ...suggestionAttrs, edited: false },
+    ]);
+  });
+
+  it('should survive saving and loading the document', () => {
+    const state = createAcceptedState();
+    const loaded = schema.nodeFromJSON(state.doc.toJSON());
+
+    expect(getWrittenMarks(loaded)).toEqual(getWrittenMarks(state.doc));
+  });
+});
+
+describe('createProvenancePlugin', () => {
+  it('should flag the whole generation as edited when the user changes part of it', () => {
+    const state = createAcceptedState();
+    // Delete the "g" of "big"
+    const edited = state.apply(state.tr.delete(9, 10));
+
+    const marks = getWrittenMarks(edited.doc);
+    expect(marks.map((mark) => mark.text).join('')).toBe('bi world');
+    expect(marks.every((mark) => mark.edited)).toBe(true);
+  });
+
+  it('should not mark text typed inside AI text as AI-written', () => {
+    const state = createAcceptedState();
+    // Type between "big " and "world" - the text takes on the marks there
+    const typed = state.apply(state.tr.insertText('new shiny ', 11));
+
+    expect(typed.doc.textContent).toBe('Hello big new shiny world');
+    expect(typed.doc.rangeHasMark(11, 21, schema.marks.aiWritten)).toBe(false);
+    expect(getWrittenMarks(typed.doc).map((mark) => mark.text)).toEqual(['big ', 'world']);
+    expect(getWrittenMarks(typed.doc).every((mark) => mark.edited)).toBe(true);
+    expect(getAIStats(typed.doc)).toEqual({ words: 5, aiWords: 2, percentage: 40 });
+  });
+
+  it('should keep the mark on AI text that is undone or pasted back', () => {
+    const state = EditorState.create({
+      doc: createAcceptedState().doc,
+      plugins: [history(), createProvenancePlugin()],
+    });
+    const deleted = state.apply(state.tr.delete(7, 16));
+    let restored = deleted;
+    undo(deleted, (tr) => { restored = deleted.apply(tr); });
+    const pasted = deleted.apply(deleted.tr.replaceWith(7, 7, state.doc.slice(7, 16).content).setMeta('uiEvent', 'paste'));
+
+    expect(getAIStats(restored.doc).aiWords).toBe(2);
+    expect(getAIStats(pasted.doc).aiWords).toBe(2);
+  });
+
+  it('should not count typing next to AI text or formatting it as an edit', () => {
+    const state = createAcceptedState();
+    const typed = state.apply(state.tr.insertText('!', 16));
+    const bold = typed.apply(typed.tr.addMark(7, 10, schema.marks.strong.create()));
+
+    expect(getWrittenMarks(bold.doc).every((mark) => !mark.edited)).toBe(true);
+    // Text typed right after AI text is the user's own
+    expect(bold.doc.firstChild.lastChild.marks).toEqual([]);
+  });
+
+  it('should ignore changes made by the AI features', () => {
+    const state = createAcceptedState();
+    // A new suggestion inserted right after the accepted one
+    const tr = state.tr.insertText(' again', 16);
+    tr.addMark(17, 22, schema.marks.aiSuggestion.create({ id: 'ai-2' }));
+    setSuggestionRange(tr, { insertPosition: 16, from: 17, to: 22, acceptedTo: 17 });
+
+    expect(getWrittenMarks(state.apply(tr).doc).every((mark) => !mark.edited)).toBe(true);
+  });
+});
+
+describe('getAIStats', () => {
+  it('should count the words the AI wrote', () => {
+    expect(getAIStats(createAcceptedState().doc)).toEqual({ words: 3, aiWords: 2, percentage: 67 });
+  });
+
+  it('should not count pending suggestions or empty documents', () => {
+    const doc = schema.node('doc', null, [
+      schema.node('paragraph', null, [
+        schema.text('Hello '),
+        schema.text('world', [schema.marks.aiSuggestion.create(suggestionAttrs)]),
+      ]),
+      schema.node('paragraph'),
+    ]);
+
+    expect(getAIStats(doc)).toEqual({ words: 2, aiWords: 0, percentage: 0 });
+    expect(getAIStats(schema.node('doc', null, [schema.node('paragraph')])).percentage).toBe(0);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { EditorState } from 'prosemirror-state';
+import { DOMParser, DOMSerializer } from 'prosemirror-model';
+import { schema } from '../schema';
+
+const suggestionAttrs = {
+  id: 'ai-1',
+  provider: 'openai',
+  model: 'gpt-3.5-turbo',
+  preset: 'Blog post',
+  timestamp: 1700000000000,
+};
+
+/**
+ * Build a document: "Hello " in italics followed by an AI suggestion
+ */
+function createState() {
+  const doc = schema.node('doc', null, [
+    schema.node('paragraph', null, [
+      schema.text('Hello ', [schema.marks.em.create()]),
+      schema.text('world', [schema.marks.em.create(), schema.marks.aiSuggestion.create(suggestionAttrs)]),
+    ]),
+  ]);
+  return EditorState.create({ doc });
+}
+
+describe('aiSuggestion mark', () => {
+  it('should keep the user\'s italics when a suggestion is accepted', () => {
+    const state = createState();
+    const { doc } = state.apply(
+      state.tr.removeMark(0, state.doc.content.size, schema.marks.aiSuggestion)
+    );
+
+    doc.descendants((node) => {
+      if (!node.isText) return;
+      expect(node.marks.map(mark => mark.type.name)).toEqual(['em']);
+    });
+  });
+
+  it('should round-trip its attributes through the DOM', () => {
+    const state = createState();
+    const dom = DOMSerializer.fromSchema(schema).serializeFragment(state.doc.content);
+    const container = document.createElement('div');
+    container.appendChild(dom);
+
+    const span = container.querySelector('span.ai-suggestion');
+    expect(span.getAttribute('data-ai-suggestion')).toBe('ai-1');
+    expect(span.getAttribute('data-provider')).toBe('openai');
+
+    const parsed = DOMParser.fromSchema(schema).parse(container);
+    const mark = parsed.firstChild.lastChild.marks.find(m => m.type === schema.marks.aiSuggestion);
+    expect(mark.attrs).toEqual(suggestionAttrs);
+  });
+
+  it('should not extend to text typed right after it', () => {
+    const state = createState();
+    const end = state.doc.content.size - 1;
+    const { doc } = state.apply(state.tr.insertText('!', end));
+
+    expect(doc.firstChild.lastChild.text).toBe('!');
+    expect(doc.firstChild.lastChild.marks.some(m => m.type === schema.marks.aiSuggestion)).toBe(false);
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it, expect } from 'vitest';
+import { EditorState } from 'prosemirror-state';
+import { history, undo } from 'prosemirror-history';
+import { schema } from '../schema';
+import {
+  createSuggestionRangePlugin,
+  getSuggestionRange,
+  setSuggestionRange,
+  acceptSuggestion,
+  acceptSuggestionPart,
+  discardSuggestion,
+} from '../suggestionRangePlugin';
+
+/**
+ * Create a state containing "Hello" followed by the suggestion " big world"
+ * inserted the way Editor.jsx does it
+ */
+function createStateWithSuggestion() {
+  let state = EditorState.create({
+    doc: schema.node('doc', null, [
+      schema.node('paragraph', null, [schema.text('Hello')]),
+    ]),
+    plugins: [history(), createSuggestionRangePlugin()],
+  });
+
+  const insertPosition = 6; // right after "Hello"
+  const text = 'big world';
+  const tr = state.tr.insertText(' ' + text, insertPosition);
+  const from = insertPosition + 1;
+  const to = from + text.length;
+  tr.addMark(from, to, schema.marks.aiSuggestion.create({ id: 'ai-1' }));
+  setSuggestionRange(tr, { insertPosition, from, to, acceptedTo: from });
+
+  return state.apply(tr);
+}
+
+/**
+ * Simulate the user typing at a position
+ */
+function type(state, text, pos) {
+  return state.apply(state.tr.insertText(text, pos));
+}
+
+/**
+ * The text of the suggestion the plugin is tracking
+ */
+function suggestionText(state) {
+  const { from, to } = getSuggestionRange(state);
+  return state.doc.textBetween(from, to);
+}
+
+describe('suggestionRangePlugin', () => {
+  it('should track the inserted suggestion', () => {
+    const state = createStateWithSuggestion();
+
+    expect(state.doc.textContent).toBe('Hello big world');
+    expect(suggestionText(state)).toBe('big world');
+  });
+
+  it('should remove the suggestion and its leading space on discard', () => {
+    const state = createStateWithSuggestion();
+    const discarded = state.apply(discardSuggestion(state));
+
+    expect(discarded.doc.textContent).toBe('Hello');
+    expect(getSuggestionRange(discarded)).toBeNull();
+  });
+
+  it('should follow the suggestion when the user types before it', () => {
+    let state = createStateWithSuggestion();
+    state = type(state, 'Oh, ', 1);
+
+    expect(suggestionText(state)).toBe('big world');
+
+    state = state.apply(discardSuggestion(state));
+    expect(state.doc.textContent).toBe('Oh, Hello');
+  });
+
+  it('should keep text typed right after the suggestion', () => {
+    let state = createStateWithSuggestion();
+    const { to } = getSuggestionRange(state);
+    state = type(state, '!', to);
+
+    expect(suggestionText(state)).toBe('big world');
+
+    state = state.apply(discardSuggestion(state));
+    expect(state.doc.textContent).toBe('Hello!');
+  });
+
+  it('should keep text typed between the space and the suggestion', () => {
+    let state = createStateWithSuggestion();
+    const { from } = getSuggestionRange(state);
+    state = type(state, 'there', from);
+
+    state = state.apply(discardSuggestion(state));
+    expect(state.doc.textContent).toBe('Hellothere');
+  });
+
+  it('should discard correctly after typing both before and after the suggestion', () => {
+    let state = createStateWithSuggestion();
+    state = type(state, '> ', 1);
+    state = type(state, ' The end.', getSuggestionRange(state).to);
+    state = type(state, 'Well, ', 1);
+
+    state = state.apply(discardSuggestion(state));
+    expect(state.doc.textContent).toBe('Well, > Hello The end.');
+  });
+
+  it('should discard only the suggestion where undo would also revert the user\'s typing', () => {
+    let state = createStateWithSuggestion();
+    state = type(state, '!', getSuggestionRange(state).to);
+
+    // History merges the quick edits into one group, so undo loses the "!"
+    let undone = state;
+    undo(state, tr => { undone = state.apply(tr); });
+    expect(undone.doc.textContent).toBe('Hello');
+
+    // Discard removes exactly the suggestion
+    state = state.apply(discardSuggestion(state));
+    expect(state.doc.textContent).toBe('Hello!');
+  });
+
+  it('should only discard the pending part after a partial accept', () => {
+    let state = createStateWithSuggestion();
+    state = state.apply(acceptSuggestionPart(state, 3)); // "big"
+    state = type(state, 'Hey ', 1);
+
+    expect(suggestionText(state)).toBe('big world');
+    expect(state.doc.textBetween(getSuggestionRange(state).acceptedTo, getSuggestionRange(state).to)).toBe(' world');
+
+    state = state.apply(discardSuggestion(state));
+    expect(state.doc.textContent).toBe('Hey Hello big');
+  });
+
+  it('should accept exactly the suggestion after the user typed', () => {
+    let state = createStateWithSuggestion();
+    state = type(state, 'So ', 1);
+    state = state.apply(acceptSuggestion(state));
+
+    expect(state.doc.textContent).toBe('So Hello big world');
+    expect(getSuggestionRange(state)).toBeNull();
+
+    let hasSuggestionMark = false;
+    state.doc.descendants(node => {
+      if (schema.marks.aiSuggestion.isInSet(node.marks)) hasSuggestionMark = true;
+    });
+    expect(hasSuggestionMark).toBe(false);
+  });
+
+  it('should do nothing when there is no suggestion', () => {
+    const state = EditorState.create({
+      schema,
+      plugins: [createSuggestionRangePlugin()],
+    });
+
+    expect(discardSuggestion(state)).toBeNull();
+    expect(acceptSuggestion(state)).toBeNull();
+  });
+});
+
+describe('suggestionRangePlugin - replacements', () => {
+  /**
+   * "Hello big world" with "big" (positions 7-10) being replaced by "huge"
+   */
+  function createStateWithReplacement() {
+    let state = EditorState.create({
+      doc: schema.node('doc', null, [
+        schema.node('paragraph', null, [schema.text('Hello big world')]),
+      ]),
+      plugins: [createSuggestionRangePlugin()],
+    });
+
+    const tr = state.tr.insertText('huge', 10);
+    tr.addMark(10, 14, schema.marks.aiSuggestion.create({ id: 'ai-2' }));
+    setSuggestionRange(tr, {
+      insertPosition: 10,
+      from: 10,
+      to: 14,
+      acceptedTo: 10,
+      replaceFrom: 7,
+      replaceTo: 10,
+    });
+
+    return state.apply(tr);
+  }
+
+  it('should show the original and the replacement side by side', () => {
+    const state = createStateWithReplacement();
+
+    expect(state.doc.textContent).toBe('Hello bighuge world');
+    expect(suggestionText(state)).toBe('huge');
+  });
+
+  it('should replace the original text on accept', () => {
+    let state = createStateWithReplacement();
+    state = type(state, 'Oh, ', 1);
+    state = state.apply(acceptSuggestion(state));
+
+    expect(state.doc.textContent).toBe('Oh, Hello huge world');
+  });
+
+  it('should keep the original text on discard', () => {
+    let state = createStateWithReplacement();
+    state = type(state, '!', state.doc.content.size - 1);
+    state = state.apply(discardSuggestion(state));
+
+    expect(state.doc.textContent).toBe('Hello big world!');
+  });
+});
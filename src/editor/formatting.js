@@ -0,0 +1,390 @@
+/**
+ * FORMATTING
+ *
+ * Everything the editor needs for rich text, built from the standard
+ * ProseMirror packages:
+ * - Commands for the formatting toolbar (toggle bold, set a heading,
+ *   wrap in a list, add a link...)
+ * - Keyboard shortcuts (buildKeymap), used together with prosemirror-commands'
+ *   baseKeymap for Enter, Backspace, select all...
+ * - Markdown-style input rules (buildInputRules): typing "# " makes a
+ *   heading, "> " a blockquote, "* " a list, **bold** bold text...
+ * - getActiveFormats, which tells the toolbar what to highlight
+ *
+ * Ctrl+K stays reserved for "Continue writing", so links have no shortcut.
+ */
+
+import { toggleMark, setBlockType, wrapIn, lift, chainCommands, exitCode } from 'prosemirror-commands';
+import { wrapInList, splitListItem, liftListItem, sinkListItem } from 'prosemirror-schema-list';
+import {
+  inputRules,
+  wrappingInputRule,
+  textblockTypeInputRule,
+  InputRule,
+  undoInputRule,
+} from 'prosemirror-inputrules';
+import { schema } from './schema';
+
+const { nodes, marks } = schema;
+
+// Heading levels offered in the toolbar (input rules accept # to ######)
+export const HEADING_LEVELS = [1, 2, 3];
+
+/**
+ * Toggle bold, italic or inline code
+ */
+export const toggleStrong = toggleMark(marks.strong);
+export const toggleEm = toggleMark(marks.em);
+export const toggleCode = toggleMark(marks.code);
+
+/**
+ * Turn the current block into a heading, or back into a paragraph if it
+ * already is a heading of that level
+ *
+ * @param {number} level - 1 to 6
+ * @returns {Function} A ProseMirror command
+ */
+export function toggleHeading(level) {
+  return (state, dispatch) => {
+    const { parent } = state.selection.$from;
+    if (parent.type === nodes.heading && parent.attrs.level === level) {
+      return setBlockType(nodes.paragraph)(state, dispatch);
+    }
+    return setBlockType(nodes.heading, { level })(state, dispatch);
+  };
+}
+
+/**
+ * Turn the current block into a paragraph or a code block
+ */
+export const setParagraph = setBlockType(nodes.paragraph);
+export const setCodeBlock = setBlockType(nodes.code_block);
+
+/**
+ * Wrap the selection in a blockquote, or lift it out of one
+ *
+ * @type {Function} A ProseMirror command
+ */
+export function toggleBlockquote(state, dispatch) {
+  if (findAncestor(state.selection.$from, nodes.blockquote)) {
+    return lift(state, dispatch);
+  }
+  return wrapIn(nodes.blockquote)(state, dispatch);
+}
+
+/**
+ * Wrap the selection in a list, switch the list's type, or take it out of
+ * the list if it already has this type
+ *
+ * @param {NodeType} listType - schema.nodes.bullet_list or ordered_list
+ * @returns {Function} A ProseMirror command
+ */
+export function toggleList(listType) {
+  return (state, dispatch) => {
+    const list = findAncestor(state.selection.$from, nodes.bullet_list, nodes.ordered_list);
+    if (!list) return wrapInList(listType)(state, dispatch);
+
+    if (list.node.type === listType) {
+      return liftListItem(nodes.list_item)(state, dispatch);
+    }
+
+    // Bullet list ↔ ordered list: only the list node changes
+    if (dispatch) dispatch(state.tr.setNodeMarkup(list.pos, listType));
+    return true;
+  };
+}
+
+/**
+ * Link the selected text (or, with nothing selected, insert the address
+ * as a link); the existing link around the cursor is updated
+ *
+ * @param {string} href - Address (see normalizeHref)
+ * @returns {Function} A ProseMirror command
+ */
+export function setLink(href) {
+  return (state, dispatch) => {
+    const { from, to } = getLinkRange(state);
+    const link = marks.link.create({ href });
+
+    if (dispatch) {
+      const tr = from === to
+        ? state.tr.insert(from, schema.text(href, [link]))
+        : state.tr.removeMark(from, to, marks.link).addMark(from, to, link);
+      dispatch(tr.scrollIntoView());
+    }
+    return true;
+  };
+}
+
+/**
+ * Remove the link from the selection (or the whole link around the cursor)
+ *
+ * @type {Function} A ProseMirror command
+ */
+export function removeLink(state, dispatch) {
+  const { from, to } = getLinkRange(state);
+  if (from === to || !state.doc.rangeHasMark(from, to, marks.link)) return false;
+
+  if (dispatch) dispatch(state.tr.removeMark(from, to, marks.link));
+  return true;
+}
+
+/**
+ * Clean up an address typed into the link field
+ * "example.com" becomes "https://example.com"; script addresses are refused.
+ *
+ * @param {string} input
+ * @returns {string|null} The address, or null if it can't be used
+ */
+export function normalizeHref(input) {
+  const href = input.trim();
+  if (!href) return null;
+
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(href)?.[1].toLowerCase();
+  if (!scheme) {
+    // Relative links and anchors stay as they are
+    return /^[/#?]/.test(href) ? href : `https://${href}`;
+  }
+
+  return ['http', 'https', 'mailto', 'tel'].includes(scheme) ? href : null;
+}
+
+/**
+ * Find out which formatting applies at the selection
+ *
+ * Marks count as active if the whole selection has them (or, for a cursor,
+ * if typing would use them).
+ *
+ * @param {EditorState} state
+ * @returns {Object} { strong, em, code, link, heading (level or 0), paragraph,
+ *   codeBlock, blockquote, bulletList, orderedList, href }
+ */
+export function getActiveFormats(state) {
+  const { $from } = state.selection;
+  const block = $from.parent;
+  const list = findAncestor($from, nodes.bullet_list, nodes.ordered_list);
+  const linkMark = getSelectionMarks(state).find((mark) => mark.type === marks.link);
+
+  return {
+    strong: isMarkActive(state, marks.strong),
+    em: isMarkActive(state, marks.em),
+    code: isMarkActive(state, marks.code),
+    link: !!linkMark,
+    href: linkMark?.attrs.href || '',
+    heading: block.type === nodes.heading ? block.attrs.level : 0,
+    paragraph: block.type === nodes.paragraph,
+    codeBlock: block.type === nodes.code_block,
+    blockquote: !!findAncestor($from, nodes.blockquote),
+    bulletList: list?.node.type === nodes.bullet_list,
+    orderedList: list?.node.type === nodes.ordered_list,
+  };
+}
+
+/**
+ * Build the formatting shortcuts (the same ones most editors use)
+ *
+ * "Mod" is Cmd on Mac and Ctrl elsewhere.
+ *
+ * @returns {Object} Key → command, for prosemirror-keymap
+ */
+export function buildKeymap() {
+  const insertHardBreak = chainCommands(exitCode, (state, dispatch) => {
+    if (dispatch) dispatch(state.tr.replaceSelectionWith(nodes.hard_break.create()).scrollIntoView());
+    return true;
+  });
+
+  const keys = {
+    // Marks
+    'Mod-b': toggleStrong,
+    'Mod-B': toggleStrong,
+    'Mod-i': toggleEm,
+    'Mod-I': toggleEm,
+    'Mod-`': toggleCode,
+
+    // Blocks
+    'Shift-Ctrl-0': setParagraph,
+    'Shift-Ctrl-\\': setCodeBlock,
+    'Ctrl->': toggleBlockquote,
+    'Shift-Ctrl-8': toggleList(nodes.bullet_list),
+    'Shift-Ctrl-9': toggleList(nodes.ordered_list),
+
+    // Lists: Enter starts a new item, Tab / Shift-Tab indent and outdent
+    Enter: splitListItem(nodes.list_item),
+    Tab: sinkListItem(nodes.list_item),
+    'Shift-Tab': liftListItem(nodes.list_item),
+    'Mod-]': sinkListItem(nodes.list_item),
+    'Mod-[': liftListItem(nodes.list_item),
+
+    // A line break inside the paragraph
+    'Shift-Enter': insertHardBreak,
+    'Mod-Enter': insertHardBreak,
+
+    // Backspace right after an input rule undoes it ("# " back to text)
+    Backspace: undoInputRule,
+  };
+
+  for (const level of [1, 2, 3, 4, 5, 6]) {
+    keys[`Shift-Ctrl-${level}`] = setBlockType(nodes.heading, { level });
+  }
+
+  return keys;
+}
+
+/**
+ * Build the Markdown-style input rules
+ *
+ * They don't apply inside code blocks.
+ *
+ * @returns {Plugin}
+ */
+export function buildInputRules() {
+  return inputRules({
+    rules: [
+      // "# " to "###### " → heading
+      textblockTypeInputRule(/^(#{1,6})\s$/, nodes.heading, (match) => ({ level: match[1].length })),
+      // "> " → blockquote
+      wrappingInputRule(/^\s*>\s$/, nodes.blockquote),
+      // "* ", "- " or "+ " → bullet list
+      wrappingInputRule(/^\s*([-+*])\s$/, nodes.bullet_list),
+      // "1. " → ordered list (joined with a list right above that it continues)
+      wrappingInputRule(
+        /^(\d+)\.\s$/,
+        nodes.ordered_list,
+        (match) => ({ order: Number(match[1]) }),
+        (match, node) => node.childCount + node.attrs.order === Number(match[1]),
+      ),
+      // "```" → code block
+      textblockTypeInputRule(/^```$/, nodes.code_block),
+      // **bold**, *italic*, _italic_, `code`
+      markInputRule(/\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/, marks.strong),
+      markInputRule(/(?<!\*)\*([^*\s](?:[^*]*[^*\s])?)\*$/, marks.em),
+      markInputRule(/(?<![\w_])_([^_\s](?:[^_]*[^_\s])?)_$/, marks.em),
+      markInputRule(/`([^`]+)`$/, marks.code),
+    ],
+  });
+}
+
+/**
+ * An input rule that replaces delimited text with marked text
+ * (e.g. **bold** → bold)
+ *
+ * The regexp's first group is the text to keep. The rule runs when the
+ * closing delimiter is typed, so its last character isn't in the document yet.
+ *
+ * @param {RegExp} regexp - Must end with $
+ * @param {MarkType} markType
+ * @returns {InputRule}
+ */
+function markInputRule(regexp, markType) {
+  return new InputRule(regexp, (state, match, start, end) => {
+    const [whole, text] = match;
+    const textStart = start + whole.lastIndexOf(text);
+    const textEnd = textStart + text.length;
+
+    // Delete the delimiters, the closing one first so textStart stays valid
+    const tr = state.tr;
+    if (textEnd < end) tr.delete(textEnd, end);
+    if (textStart > start) tr.delete(start, textStart);
+
+    // Typing after the marked text continues without the mark
+    return tr.addMark(start, start + text.length, markType.create()).removeStoredMark(markType);
+  });
+}
+
+/**
+ * Check whether a mark is active at the selection
+ *
+ * @param {EditorState} state
+ * @param {MarkType} markType
+ * @returns {boolean}
+ */
+function isMarkActive(state, markType) {
+  const { from, to, empty } = state.selection;
+  if (empty) return !!markType.isInSet(state.storedMarks || state.selection.$from.marks());
+
+  // Every piece of text in the selection must have the mark
+  let active = true;
+  let hasText = false;
+  state.doc.nodesBetween(from, to, (node) => {
+    if (!node.isText) return;
+    hasText = true;
+    if (!markType.isInSet(node.marks)) active = false;
+  });
+  return hasText && active;
+}
+
+/**
+ * The marks at the cursor, or at the start of the selection
+ *
+ * @param {EditorState} state
+ * @returns {Mark[]}
+ */
+function getSelectionMarks(state) {
+  const { $from, empty } = state.selection;
+  if (empty) return state.storedMarks || $from.marks();
+  return $from.marksAcross(state.selection.$to) || $from.marks();
+}
+
+/**
+ * The range a link command applies to: the selection, or with just a
+ * cursor the whole link around it (an empty range if there is none)
+ *
+ * @param {EditorState} state
+ * @returns {{ from: number, to: number }}
+ */
+function getLinkRange(state) {
+  const { from, to, empty, $from } = state.selection;
+  if (!empty) return { from, to };
+
+  // Walk the text around the cursor while it carries the same link
+  const link = marks.link.isInSet($from.marks());
+  if (!link) return { from, to };
+
+  // Start at the node the cursor's marks come from (the one before it
+  // when the cursor is between two nodes), then go left and right while
+  // the neighbours are part of the link - they can differ in other marks
+  const parent = $from.parent;
+  const index = $from.textOffset === 0 && $from.index() > 0 ? $from.index() - 1 : $from.index();
+  let first = index;
+  let last = index;
+  while (first > 0 && link.isInSet(parent.child(first - 1).marks)) first--;
+  while (last < parent.childCount - 1 && link.isInSet(parent.child(last + 1).marks)) last++;
+
+  let linkFrom = $from.start();
+  for (let i = 0; i < first; i++) linkFrom += parent.child(i).nodeSize;
+  let linkTo = linkFrom;
+  for (let i = first; i <= last; i++) linkTo += parent.child(i).nodeSize;
+  return { from: linkFrom, to: linkTo };
+}
+
+/**
+ * Find the closest ancestor of one of the given types
+ *
+ * @param {ResolvedPos} $pos
+ * @param {...NodeType} types
+ * @returns {{ node: Node, pos: number }|null} pos is the position before the node
+ */
+function findAncestor($pos, ...types) {
+  for (let depth = $pos.depth; depth > 0; depth--) {
+    const node = $pos.node(depth);
+    if (types.includes(node.type)) return { node, pos: $pos.before(depth) };
+  }
+  return null;
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { keymap } from 'prosemirror-keymap';
+ * import { baseKeymap } from 'prosemirror-commands';
+ * import { buildKeymap, buildInputRules, toggleStrong, getActiveFormats } from './formatting';
+ *
+ * const state = EditorState.create({
+ *   schema,
+ *   plugins: [buildInputRules(), keymap(buildKeymap()), keymap(baseKeymap)],
+ * });
+ *
+ * // A toolbar button
+ * toggleStrong(view.state, view.dispatch);
+ * const isBold = getActiveFormats(view.state).strong;
+ */
@@ -0,0 +1,160 @@
+/**
+ * GHOST TEXT PLUGIN
+ *
+ * Shows an AI suggestion as faded "ghost" text at the cursor, like the
+ * inline completions in code editors. Unlike the inline-insert mode, the
+ * suggestion is NOT part of the document: it is a widget decoration, so
+ * it never touches the undo history or the document model until accepted.
+ *
+ * - Tab accepts it (the text is inserted for real)
+ * - Escape dismisses it
+ * - Any other change to the document (e.g. typing) dismisses it
+ *
+ * The suggestion is set and cleared with transactions carrying metadata,
+ * using the helpers exported below.
+ */
+
+import { Plugin, PluginKey } from 'prosemirror-state';
+import { Decoration, DecorationSet } from 'prosemirror-view';
+
+export const ghostTextKey = new PluginKey('ghostText');
+
+/**
+ * Create the ghost text plugin
+ *
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onAccept] - User pressed Tab on a suggestion
+ * @param {Function} [callbacks.onDismiss] - User pressed Escape or kept typing
+ * @returns {Plugin}
+ */
+export function createGhostTextPlugin({ onAccept, onDismiss } = {}) {
+  return new Plugin({
+    key: ghostTextKey,
+
+    state: {
+      init: () => ({ text: null, pos: null, dismissed: false }),
+
+      apply(tr, value) {
+        // Explicit update from setGhostText / clearGhostText / acceptGhostText
+        const meta = tr.getMeta(ghostTextKey);
+        if (meta) {
+          return { text: meta.text || null, pos: meta.pos ?? null, dismissed: false };
+        }
+
+        if (!value.text) return value;
+
+        // Someone else changed the document - the suggestion no longer fits
+        if (tr.docChanged) {
+          return { text: null, pos: null, dismissed: true };
+        }
+
+        return value;
+      },
+    },
+
+    props: {
+      decorations(state) {
+        const { text, pos } = ghostTextKey.getState(state);
+        if (!text) return null;
+
+        const widget = () => {
+          const span = document.createElement('span');
+          span.className = 'ghost-text';
+          span.textContent = text;
+          return span;
+        };
+
+        return DecorationSet.create(state.doc, [
+          // The key makes ProseMirror redraw the widget when the text changes
+          Decoration.widget(pos, widget, { side: 1, key: `ghost-${text}` }),
+        ]);
+      },
+
+      handleKeyDown(view, event) {
+        if (!ghostTextKey.getState(view.state).text) return false;
+
+        if (event.key === 'Tab') {
+          event.preventDefault();
+          onAccept?.();
+          return true;
+        }
+
+        if (event.key === 'Escape') {
+          onDismiss?.();
+          return true;
+        }
+
+        return false;
+      },
+    },
+
+    // Tell the app when typing dismissed the suggestion
+    view: () => ({
+      update(view, prevState) {
+        const previous = ghostTextKey.getState(prevState);
+        const current = ghostTextKey.getState(view.state);
+
+        if (previous.text && current.dismissed) {
+          onDismiss?.();
+        }
+      },
+    }),
+  });
+}
+
+/**
+ * Get the current ghost text
+ *
+ * @param {EditorState} state
+ * @returns {{ text: string|null, pos: number|null }}
+ */
+export function getGhostText(state) {
+  return ghostTextKey.getState(state) || { text: null, pos: null };
+}
+
+/**
+ * Show (or update) ghost text at a position
+ *
+ * @param {EditorState} state
+ * @param {string} text - The suggestion
+ * @param {number} pos - Document position to show it at
+ * @returns {Transaction}
+ */
+export function setGhostText(state, text, pos) {
+  return state.tr
+    .setMeta(ghostTextKey, { text, pos })
+    .setMeta('addToHistory', false);
+}
+
+/**
+ * Remove the ghost text without inserting it
+ *
+ * @param {EditorState} state
+ * @returns {Transaction}
+ */
+export function clearGhostText(state) {
+  return setGhostText(state, null, null);
+}
+
+/**
+ * Insert part of the ghost text into the document for real
+ *
+ * @param {EditorState} state
+ * @param {number} [length] - How many characters to accept (default: all)
+ * @param {Mark[]} [marks] - Marks for the inserted text (e.g. aiWritten)
+ * @returns {Transaction|null} null if there is no ghost text
+ */
+export function acceptGhostText(state, length, marks = []) {
+  const { text, pos } = getGhostText(state);
+  if (!text) return null;
+
+  const accepted = text.slice(0, length ?? text.length);
+  const remaining = text.slice(accepted.length);
+
+  const tr = state.tr.setMeta(ghostTextKey, { text: remaining, pos: pos + accepted.length });
+  if (!accepted) return tr;
+
+  // Like typing, the text takes on the formatting around it (e.g. bold)
+  const textMarks = marks.reduce((set, mark) => mark.addToSet(set), state.doc.resolve(pos).marks());
+  return tr.insert(pos, state.schema.text(accepted, textMarks));
+}
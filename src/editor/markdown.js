@@ -0,0 +1,76 @@
+/**
+ * MARKDOWN
+ *
+ * Converts between editor documents and Markdown, for importing and
+ * exporting .md files. Built on prosemirror-markdown, which already knows
+ * the nodes and marks of our schema (see schema.js): headings, bullet and
+ * ordered lists, blockquotes, code blocks, horizontal rules, images,
+ * emphasis, strong, inline code and links.
+ *
+ * A pending AI suggestion isn't part of the user's text yet, so it is
+ * left out of the export - unless asked for, in which case the document
+ * is exported as if the suggestion had been accepted.
+ */
+
+import {
+  MarkdownParser,
+  MarkdownSerializer,
+  defaultMarkdownParser,
+  defaultMarkdownSerializer,
+} from 'prosemirror-markdown';
+import { schema } from './schema';
+import { acceptSuggestion, discardSuggestion } from './suggestionRangePlugin';
+
+// CommonMark without HTML (the default tokenizer), mapped onto our schema
+const markdownParser = new MarkdownParser(
+  schema,
+  defaultMarkdownParser.tokenizer,
+  defaultMarkdownParser.tokens,
+);
+
+const markdownSerializer = new MarkdownSerializer(defaultMarkdownSerializer.nodes, {
+  ...defaultMarkdownSerializer.marks,
+  // Suggestion and AI-written text are written like any other text
+  aiSuggestion: { open: '', close: '', mixable: true, expelEnclosingWhitespace: true },
+  aiWritten: { open: '', close: '', mixable: true, expelEnclosingWhitespace: true },
+});
+
+/**
+ * Parse Markdown into a document
+ *
+ * @param {string} markdown
+ * @returns {Node} The document (an empty paragraph for empty input)
+ */
+export function parseMarkdown(markdown) {
+  return markdownParser.parse(markdown);
+}
+
+/**
+ * Write the document as Markdown
+ *
+ * @param {EditorState} state
+ * @param {Object} [options]
+ * @param {boolean} [options.includeSuggestion] - Export the pending
+ *   suggestion as if it was accepted (by default it is left out)
+ * @returns {string}
+ */
+export function serializeMarkdown(state, { includeSuggestion = false } = {}) {
+  const tr = includeSuggestion ? acceptSuggestion(state) : discardSuggestion(state);
+  const doc = tr ? tr.doc : state.doc;
+
+  // Our lists have no "tight" attribute - write them without blank lines
+  return markdownSerializer.serialize(doc, { tightLists: true });
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { parseMarkdown, serializeMarkdown } from './markdown';
+ *
+ * // Import
+ * const doc = parseMarkdown('# Title\n\nSome *text*');
+ * view.updateState(EditorState.create({ doc, plugins: view.state.plugins }));
+ *
+ * // Export, without the suggestion under review
+ * const markdown = serializeMarkdown(view.state);
+ */
@@ -0,0 +1,74 @@
+/**
+ * DOCUMENT PERSISTENCE
+ *
+ * Turns the editor's document into JSON for autosaving, and back.
+ *
+ * A pending AI suggestion is never saved: if the tab is closed or crashes
+ * in the middle of a review, the document comes back exactly as it was
+ * before the suggestion (keeping any words already accepted). The
+ * suggestion's range lives in plugin state, which isn't saved, so a
+ * restored suggestion could never be accepted or discarded again.
+ */
+
+import { EditorState } from 'prosemirror-state';
+import { schema } from './schema';
+import { discardSuggestion } from './suggestionRangePlugin';
+
+/**
+ * Get the document as JSON, without the pending suggestion
+ *
+ * @param {EditorState} state
+ * @returns {Object} ProseMirror JSON (see Node.toJSON)
+ */
+export function serializeDocument(state) {
+  const tr = discardSuggestion(state);
+  return (tr ? tr.doc : state.doc).toJSON();
+}
+
+/**
+ * Turn saved JSON back into a document
+ *
+ * Text that still carries the aiSuggestion mark (e.g. saved by an older
+ * version) is removed, so a suggestion is never restored half-alive.
+ *
+ * @param {Object} json - From serializeDocument()
+ * @returns {Node|null} The document, or null if the JSON isn't a valid one
+ */
+export function parseDocument(json) {
+  let doc;
+  try {
+    doc = schema.nodeFromJSON(json);
+    doc.check();
+  } catch {
+    return null;
+  }
+
+  if (doc.type !== schema.topNodeType) return null;
+
+  // STEP 1: Find leftover suggestion text
+  const ranges = [];
+  doc.descendants((node, pos) => {
+    if (node.isText && schema.marks.aiSuggestion.isInSet(node.marks)) {
+      ranges.push({ from: pos, to: pos + node.nodeSize });
+    }
+  });
+  if (ranges.length === 0) return doc;
+
+  // STEP 2: Delete it, last first so earlier positions stay valid
+  const { tr } = EditorState.create({ doc });
+  for (const { from, to } of ranges.reverse()) {
+    tr.delete(from, to);
+  }
+  return tr.doc;
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * // Save
+ * const json = serializeDocument(view.state);
+ *
+ * // Restore
+ * const doc = parseDocument(json);
+ * if (doc) view.updateState(EditorState.create({ doc, plugins: view.state.plugins }));
+ */
@@ -0,0 +1,109 @@
+/**
+ * DOCUMENT POSITIONS
+ *
+ * ProseMirror and the AI service count positions differently:
+ * - ProseMirror positions count node boundaries too (entering a paragraph
+ *   is one step), so position 1 is the start of the first paragraph
+ * - The AI service works on plain text, where a position is a character offset
+ *
+ * A continuation request remembers a ProseMirror position (the anchor).
+ * These helpers turn it into plain text for the prompt, and back into a
+ * valid place to insert the result.
+ */
+
+import { Selection } from 'prosemirror-state';
+
+// Paragraphs and other blocks are separated by a blank line in plain text
+export const BLOCK_SEPARATOR = '\n\n';
+
+/**
+ * Get the document as plain text, plus the anchor as a character offset
+ *
+ * The offset is always consistent with the text: everything before it is
+ * exactly the document text before the anchor.
+ *
+ * @param {Node} doc - The ProseMirror document (may be missing)
+ * @param {number} pos - The ProseMirror position of the anchor
+ * @returns {{ documentText: string, textOffset: number }}
+ */
+export function getTextContext(doc, pos) {
+  if (!doc) return { documentText: '', textOffset: 0 };
+
+  const anchor = clampPosition(doc, pos);
+
+  return {
+    documentText: doc.textBetween(0, doc.content.size, BLOCK_SEPARATOR),
+    textOffset: doc.textBetween(0, anchor, BLOCK_SEPARATOR).length,
+  };
+}
+
+/**
+ * Get the document's headings, with their plain-text offsets
+ *
+ * Headings don't survive the conversion to plain text, so they are
+ * collected separately for the outline the AI gets (see contextBuilder.js).
+ *
+ * @param {Node} doc - The ProseMirror document (may be missing)
+ * @returns {{ level: number, text: string, offset: number }[]}
+ */
+export function getOutline(doc) {
+  if (!doc) return [];
+
+  const outline = [];
+  doc.descendants((node, pos) => {
+    if (node.type.name === 'heading') {
+      outline.push({
+        level: node.attrs.level,
+        text: node.textContent,
+        // Offset of the heading's first character
+        offset: doc.textBetween(0, pos + 1, BLOCK_SEPARATOR).length,
+      });
+    }
+    // Headings can't contain headings - no need to look inside blocks
+    return !node.isTextblock;
+  });
+  return outline;
+}
+
+/**
+ * Find the place to insert text for an anchor
+ *
+ * Text can only go inside a text block (e.g. a paragraph). If the anchor
+ * is between blocks - or outside the document after edits - the nearest
+ * valid position is used.
+ *
+ * @param {Node} doc - The ProseMirror document
+ * @param {number} pos - The ProseMirror position of the anchor
+ * @returns {number} A position where text can be inserted
+ */
+export function findInsertPosition(doc, pos) {
+  const $pos = doc.resolve(clampPosition(doc, pos));
+  if ($pos.parent.inlineContent) return $pos.pos;
+
+  return Selection.near($pos).from;
+}
+
+/**
+ * Keep a position inside the document
+ *
+ * @param {Node} doc - The ProseMirror document
+ * @param {number} pos - Any position
+ * @returns {number} The position, limited to 0..doc.content.size
+ */
+function clampPosition(doc, pos) {
+  return Math.max(0, Math.min(pos ?? 0, doc.content.size));
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * // "Hello" in the first paragraph, cursor at its end (position 6)
+ * const { documentText, textOffset } = getTextContext(state.doc, 6);
+ * // documentText: "Hello\n\nWorld", textOffset: 5
+ *
+ * // Headings, for the outline
+ * getOutline(state.doc); // [{ level: 1, text: 'Intro', offset: 0 }, ...]
+ *
+ * // Position 0 is before the first paragraph - text goes at position 1
+ * findInsertPosition(state.doc, 0); // 1
+ */
@@ -0,0 +1,233 @@
+/**
+ * PROVENANCE
+ *
+ * Keeps track of which text the AI wrote, for disclosure.
+ *
+ * Accepted suggestions carry the aiWritten mark (see schema.js) with the
+ * provider, model, prompt preset and time they were generated. This module:
+ * - Flags AI-written text as edited once the user changes it, and keeps
+ *   the mark off text the user types into it (createProvenancePlugin)
+ * - Works out how much of a document the AI wrote (getAIStats)
+ * - Inserts earlier AI text again, e.g. from the history (insertAIText)
+ *
+ * Only changes to the text count as edits - making AI text bold doesn't.
+ * Changes made by the AI itself (inserting, accepting or discarding a
+ * suggestion) don't count either.
+ */
+
+import { Plugin, PluginKey } from 'prosemirror-state';
+import { suggestionRangeKey } from './suggestionRangePlugin';
+import { ghostTextKey } from './ghostTextPlugin';
+
+export const provenanceKey = new PluginKey('provenance');
+
+/**
+ * Create the provenance plugin
+ *
+ * After every transaction it looks at the text that was inserted or
+ * deleted. If any of it was AI-written, every piece of text from that
+ * generation is marked as edited. Text the user types never counts as
+ * AI-written, even though typing inside AI text takes on its marks.
+ *
+ * @returns {Plugin}
+ */
+export function createProvenancePlugin() {
+  return new Plugin({
+    key: provenanceKey,
+
+    appendTransaction(transactions, oldState, newState) {
+      const markType = newState.schema.marks.aiWritten;
+
+      // STEP 1: Find the generations the user just edited, and the text
+      // the user inserted (where it is in the new document)
+      const editedIds = new Set();
+      const inserted = [];
+      transactions.forEach((tr, index) => {
+        if (!tr.docChanged || isAIChange(tr)) return;
+
+        collectEditedIds(tr, markType, editedIds);
+        if (restoresText(tr)) return;
+
+        const later = transactions.slice(index + 1);
+        for (const range of getInsertedRanges(tr)) {
+          const from = later.reduce((pos, next) => next.mapping.map(pos, 1), range.from);
+          const to = later.reduce((pos, next) => next.mapping.map(pos, -1), range.to);
+          if (from < to) inserted.push({ from, to });
+        }
+      });
+      if (editedIds.size === 0 && inserted.length === 0) return null;
+
+      // STEP 2: Flag all of their text (not just the changed part)
+      const tr = newState.tr;
+      newState.doc.descendants((node, pos) => {
+        const mark = markType.isInSet(node.marks);
+        if (!node.isText || !mark || mark.attrs.edited || !editedIds.has(mark.attrs.id)) return;
+
+        const end = pos + node.nodeSize;
+        tr.removeMark(pos, end, mark).addMark(pos, end, markType.create({ ...mark.attrs, edited: true }));
+      });
+
+      // STEP 3: The user's own text isn't AI-written
+      for (const { from, to } of inserted) {
+        if (newState.doc.rangeHasMark(from, to, markType)) tr.removeMark(from, to, markType);
+      }
+
+      return tr.docChanged ? tr : null;
+    },
+  });
+}
+
+/**
+ * Insert AI text at the selection, marked as AI-written
+ *
+ * The text takes on the formatting at the cursor, like typed text.
+ *
+ * @param {EditorState} state
+ * @param {string} text
+ * @param {Object} attrs - aiWritten attributes: { id, provider, model, preset, timestamp }
+ * @returns {Transaction}
+ */
+export function insertAIText(state, text, attrs) {
+  const marks = state.schema.marks.aiWritten.create(attrs).addToSet(state.selection.$from.marks());
+
+  return state.tr
+    .replaceSelectionWith(state.schema.text(text, marks), false)
+    .setMeta(provenanceKey, 'insert')
+    .scrollIntoView();
+}
+
+/**
+ * Count the words in a document, and how many of them the AI wrote
+ *
+ * A word counts as AI-written if most of its letters are. Pending
+ * suggestions don't count - they aren't part of the text yet.
+ *
+ * @param {Node} doc - ProseMirror document
+ * @returns {{ words: number, aiWords: number, percentage: number }}
+ *   percentage is 0-100, rounded
+ */
+export function getAIStats(doc) {
+  const markType = doc.type.schema.marks.aiWritten;
+  let words = 0;
+  let aiWords = 0;
+
+  doc.descendants((block) => {
+    if (!block.isTextblock) return true;
+
+    // One flag per character: was it written by the AI?
+    let text = '';
+    const isAI = [];
+    block.forEach((node) => {
+      if (!node.isText) {
+        // Line breaks and images separate words
+        text += ' ';
+        isAI.push(false);
+        return;
+      }
+      text += node.text;
+      const written = !!markType.isInSet(node.marks);
+      for (let i = 0; i < node.text.length; i++) isAI.push(written);
+    });
+
+    for (const match of text.matchAll(/\S+/g)) {
+      words++;
+      const letters = isAI.slice(match.index, match.index + match[0].length);
+      if (letters.filter(Boolean).length * 2 > letters.length) aiWords++;
+    }
+    return false;
+  });
+
+  return {
+    words,
+    aiWords,
+    percentage: words > 0 ? Math.round((aiWords / words) * 100) : 0,
+  };
+}
+
+/**
+ * Check whether a transaction was made by the AI features rather than
+ * by the user (everything that touches a suggestion goes through the
+ * suggestion range or ghost text plugin, or insertAIText)
+ *
+ * @param {Transaction} tr
+ * @returns {boolean}
+ */
+function isAIChange(tr) {
+  return [suggestionRangeKey, ghostTextKey, provenanceKey].some((key) => tr.getMeta(key) !== undefined);
+}
+
+/**
+ * Collect the ids of AI-written text that a transaction inserted or deleted
+ *
+ * @param {Transaction} tr
+ * @param {MarkType} markType - schema.marks.aiWritten
+ * @param {Set<string>} ids - Filled in
+ */
+function collectEditedIds(tr, markType, ids) {
+  const collect = (doc, from, to) => {
+    if (from >= to) return;
+    doc.nodesBetween(from, to, (node) => {
+      const mark = markType.isInSet(node.marks);
+      if (mark && !mark.attrs.edited) ids.add(mark.attrs.id);
+    });
+  };
+
+  tr.steps.forEach((step, index) => {
+    // The document before and after this step
+    const before = tr.docs[index];
+    const after = tr.docs[index + 1] || tr.doc;
+
+    step.getMap().forEach((oldStart, oldEnd, newStart, newEnd) => {
+      collect(before, oldStart, oldEnd); // Deleted text
+      collect(after, newStart, newEnd); // Inserted text (typing inside AI text)
+    });
+  });
+}
+
+/**
+ * Check whether a transaction brings back text with its own marks -
+ * pasted or dropped text, or undo and redo - rather than typing
+ * (pasted AI text stays AI-written)
+ *
+ * @param {Transaction} tr
+ * @returns {boolean}
+ */
+function restoresText(tr) {
+  const uiEvent = tr.getMeta('uiEvent');
+  // prosemirror-history doesn't export its plugin key ('history$')
+  return uiEvent === 'paste' || uiEvent === 'drop' || tr.getMeta('history$') !== undefined;
+}
+
+/**
+ * Get the ranges a transaction inserted, in its final document
+ *
+ * @param {Transaction} tr
+ * @returns {{ from: number, to: number }[]}
+ */
+function getInsertedRanges(tr) {
+  const ranges = [];
+  tr.steps.forEach((step, index) => {
+    // Map through the steps that came after this one
+    const rest = tr.mapping.slice(index + 1);
+    step.getMap().forEach((oldStart, oldEnd, newStart, newEnd) => {
+      const from = rest.map(newStart, 1);
+      const to = rest.map(newEnd, -1);
+      if (from < to) ranges.push({ from, to });
+    });
+  });
+  return ranges;
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { createProvenancePlugin, getAIStats } from './provenance';
+ *
+ * const state = EditorState.create({
+ *   schema,
+ *   plugins: [createSuggestionRangePlugin(), createProvenancePlugin()],
+ * });
+ *
+ * const { words, aiWords, percentage } = getAIStats(state.doc);
+ * console.log(`${percentage}% of ${words} words were written by AI`);
+ */
@@ -0,0 +1,153 @@
+/**
+ * EDITOR SCHEMA
+ * 
+ * The ProseMirror schema used by the editor: everything from
+ * prosemirror-schema-basic (paragraphs, headings, blockquotes, code
+ * blocks, emphasis, links...), the bullet and ordered lists from
+ * prosemirror-schema-list, plus two marks of our own:
+ * - `aiSuggestion`: a suggestion waiting for review
+ * - `aiWritten`: AI text the user accepted. It stays on the text, so we
+ *   always know which passages came from the AI (see provenance.js)
+ * 
+ * The node and mark names match the ones prosemirror-markdown expects,
+ * so documents convert to and from Markdown (see markdown.js).
+ * 
+ * Why a custom mark instead of reusing `em`?
+ * - Accepting a suggestion removes the mark. With `em` that would also
+ *   remove italics the user applied on purpose.
+ * - A dedicated mark can carry attributes (which provider and model wrote
+ *   the text, and when), which we need for tracking AI-written text.
+ * - Serialized documents can tell real emphasis from pending suggestions.
+ */
+
+import { Schema } from 'prosemirror-model';
+import { schema as basicSchema } from 'prosemirror-schema-basic';
+import { addListNodes } from 'prosemirror-schema-list';
+
+/**
+ * The aiSuggestion mark
+ * 
+ * Rendered as <span class="ai-suggestion" data-ai-suggestion="id" ...>
+ */
+export const aiSuggestionMark = {
+  attrs: {
+    // Unique id of the generation this text came from
+    id: { default: null },
+    // Provider id (e.g. 'openai') and model name that generated the text
+    provider: { default: null },
+    model: { default: null },
+    // Name of the prompt preset it was generated with
+    preset: { default: null },
+    // When the suggestion was generated (ms since epoch)
+    timestamp: { default: null },
+  },
+  
+  // Typing right after a suggestion should produce normal text
+  inclusive: false,
+  
+  parseDOM: [
+    {
+      tag: 'span[data-ai-suggestion]',
+      getAttrs: (dom) => ({
+        id: dom.getAttribute('data-ai-suggestion'),
+        provider: dom.getAttribute('data-provider'),
+        model: dom.getAttribute('data-model'),
+        preset: dom.getAttribute('data-preset') || null,
+        timestamp: Number(dom.getAttribute('data-timestamp')) || null,
+      }),
+    },
+  ],
+  
+  toDOM: (mark) => [
+    'span',
+    {
+      class: 'ai-suggestion',
+      'data-ai-suggestion': mark.attrs.id || '',
+      'data-provider': mark.attrs.provider || '',
+      'data-model': mark.attrs.model || '',
+      'data-preset': mark.attrs.preset || '',
+      'data-timestamp': mark.attrs.timestamp || '',
+    },
+    0,
+  ],
+};
+
+/**
+ * The aiWritten mark
+ * 
+ * Accepting a suggestion swaps its aiSuggestion mark for this one, with
+ * the same attributes. Unlike a suggestion it is saved with the document.
+ * It is only visible when the "AI-written" overlay is on (see Editor.css).
+ * 
+ * Rendered as <span class="ai-written" data-ai-written="id" ...>
+ */
+export const aiWrittenMark = {
+  attrs: {
+    ...aiSuggestionMark.attrs,
+    // Whether the user changed the text after accepting it
+    edited: { default: false },
+  },
+  
+  // Text typed right after AI text is the user's own
+  inclusive: false,
+  
+  parseDOM: [
+    {
+      tag: 'span[data-ai-written]',
+      getAttrs: (dom) => ({
+        id: dom.getAttribute('data-ai-written') || null,
+        provider: dom.getAttribute('data-provider') || null,
+        model: dom.getAttribute('data-model') || null,
+        preset: dom.getAttribute('data-preset') || null,
+        timestamp: Number(dom.getAttribute('data-timestamp')) || null,
+        edited: dom.getAttribute('data-edited') === 'true',
+      }),
+    },
+  ],
+  
+  toDOM: (mark) => [
+    'span',
+    {
+      class: 'ai-written',
+      'data-ai-written': mark.attrs.id || '',
+      'data-provider': mark.attrs.provider || '',
+      'data-model': mark.attrs.model || '',
+      'data-preset': mark.attrs.preset || '',
+      'data-timestamp': mark.attrs.timestamp || '',
+      'data-edited': String(mark.attrs.edited),
+    },
+    0,
+  ],
+};
+
+/**
+ * Code blocks remember their language (the "js" in ```js), so it
+ * survives a Markdown round trip
+ */
+const codeBlockNode = {
+  ...basicSchema.spec.nodes.get('code_block'),
+  attrs: { params: { default: '' } },
+  parseDOM: [
+    {
+      tag: 'pre',
+      preserveWhitespace: 'full',
+      getAttrs: (dom) => ({ params: dom.getAttribute('data-params') || '' }),
+    },
+  ],
+  toDOM: (node) => ['pre', node.attrs.params ? { 'data-params': node.attrs.params } : {}, ['code', 0]],
+};
+
+/**
+ * The editor schema
+ */
+export const schema = new Schema({
+  // List items hold a paragraph followed by any blocks (e.g. a nested list)
+  nodes: addListNodes(
+    basicSchema.spec.nodes.update('code_block', codeBlockNode),
+    'paragraph block*',
+    'block',
+  ),
+  marks: basicSchema.spec.marks
+    .addToEnd('aiSuggestion', aiSuggestionMark)
+    .addToEnd('aiWritten', aiWrittenMark),
+});
@@ -0,0 +1,254 @@
+/**
+ * SUGGESTION RANGE PLUGIN
+ *
+ * Keeps track of where an inline AI suggestion is in the document.
+ *
+ * Positions in a ProseMirror document shift whenever text is inserted or
+ * deleted before them. If the user types while a suggestion is waiting for
+ * review, positions remembered at insertion time point at the wrong text.
+ * This plugin stores the suggestion's range in plugin state and maps it
+ * through every transaction (using the transaction's position mapping),
+ * so it always points at the suggestion - no matter what was typed since.
+ *
+ * The range:
+ * - insertPosition: where the leading space was inserted
+ * - from / to: the suggestion text itself
+ * - acceptedTo: end of the part accepted word-by-word (equals from if none)
+ * - replaceFrom / replaceTo: for selection commands (rewrite, shorten...),
+ *   the original text the suggestion will replace. It stays in the document
+ *   during review, struck through, so the user sees both versions.
+ *
+ * Accepting and discarding are done with the helpers below, which target
+ * exactly this range instead of relying on undo. Accepted text keeps a
+ * record of where it came from: its aiSuggestion mark becomes an
+ * aiWritten mark with the same attributes (see schema.js).
+ */
+
+import { Plugin, PluginKey } from 'prosemirror-state';
+import { Decoration, DecorationSet } from 'prosemirror-view';
+
+export const suggestionRangeKey = new PluginKey('suggestionRange');
+
+/**
+ * Create the suggestion range plugin
+ *
+ * @returns {Plugin}
+ */
+export function createSuggestionRangePlugin() {
+  return new Plugin({
+    key: suggestionRangeKey,
+
+    state: {
+      init: () => null,
+
+      apply(tr, range) {
+        // The editor set (or cleared) the range in this transaction -
+        // the positions already refer to the new document
+        const meta = tr.getMeta(suggestionRangeKey);
+        if (meta !== undefined) return meta;
+
+        if (!range || !tr.docChanged) return range;
+
+        // Someone else changed the document - follow the suggestion
+        return mapSuggestionRange(range, tr.mapping);
+      },
+    },
+
+    props: {
+      // Strike through the text a replacement would remove (styled in Editor.css)
+      decorations(state) {
+        const range = suggestionRangeKey.getState(state);
+        if (!isReplacement(range) || range.replaceFrom === range.replaceTo) return null;
+
+        return DecorationSet.create(state.doc, [
+          Decoration.inline(range.replaceFrom, range.replaceTo, { class: 'ai-replaced' }),
+        ]);
+      },
+    },
+  });
+}
+
+/**
+ * Check whether a range is a replacement (from a selection command)
+ *
+ * @param {Object|null} range
+ * @returns {boolean}
+ */
+export function isReplacement(range) {
+  return range?.replaceFrom != null;
+}
+
+/**
+ * Map a suggestion range through a change
+ *
+ * Text typed right at an edge of the suggestion is the user's, so the
+ * range shrinks away from it: the start positions stick to the text after
+ * them and the end position sticks to the text before it.
+ *
+ * @param {Object} range - { insertPosition, from, to, acceptedTo, replaceFrom, replaceTo }
+ * @param {Mapping} mapping - The transaction's position mapping
+ * @returns {Object} The range in the new document
+ */
+export function mapSuggestionRange(range, mapping) {
+  const insertPosition = mapping.map(range.insertPosition, 1);
+  const from = mapping.map(range.from, 1);
+  const to = Math.max(from, mapping.map(range.to, -1));
+  const acceptedTo = Math.min(to, Math.max(from, mapping.map(range.acceptedTo, 1)));
+
+  if (!isReplacement(range)) {
+    return { insertPosition, from, to, acceptedTo };
+  }
+
+  const replaceFrom = mapping.map(range.replaceFrom, 1);
+  const replaceTo = Math.max(replaceFrom, mapping.map(range.replaceTo, -1));
+
+  return { insertPosition, from, to, acceptedTo, replaceFrom, replaceTo };
+}
+
+/**
+ * Get the current suggestion range
+ *
+ * @param {EditorState} state
+ * @returns {Object|null} The range, or null if there is no suggestion
+ */
+export function getSuggestionRange(state) {
+  return suggestionRangeKey.getState(state) || null;
+}
+
+/**
+ * Record the suggestion range in a transaction
+ *
+ * @param {Transaction} tr - The transaction that inserted or changed the suggestion
+ * @param {Object|null} range - Positions in the document after tr (null clears)
+ * @returns {Transaction}
+ */
+export function setSuggestionRange(tr, range) {
+  return tr.setMeta(suggestionRangeKey, range);
+}
+
+/**
+ * Accept the whole suggestion: it becomes the user's text, marked as AI-written
+ *
+ * For a replacement, the original text is deleted as well.
+ *
+ * @param {EditorState} state
+ * @returns {Transaction|null} null if there is no suggestion
+ */
+export function acceptSuggestion(state) {
+  const range = getSuggestionRange(state);
+  if (!range) return null;
+
+  const tr = markAsWritten(state.tr, range.from, range.to);
+
+  // The original text comes before the suggestion, so deleting it last
+  // doesn't move anything we still need
+  if (isReplacement(range)) {
+    tr.delete(range.replaceFrom, range.replaceTo);
+  }
+
+  return setSuggestionRange(tr, null);
+}
+
+/**
+ * Accept the next part of the suggestion (word-by-word / sentence-by-sentence)
+ *
+ * @param {EditorState} state
+ * @param {number} length - How many more characters to accept
+ * @returns {Transaction|null} null if there is no suggestion
+ */
+export function acceptSuggestionPart(state, length) {
+  const range = getSuggestionRange(state);
+  if (!range) return null;
+
+  const acceptedTo = Math.min(range.to, range.acceptedTo + length);
+  const tr = markAsWritten(state.tr, range.acceptedTo, acceptedTo);
+  return setSuggestionRange(tr, { ...range, acceptedTo });
+}
+
+/**
+ * Swap the aiSuggestion mark for an aiWritten mark with the same attributes
+ *
+ * @param {Transaction} tr
+ * @param {number} from
+ * @param {number} to
+ * @returns {Transaction} tr
+ */
+function markAsWritten(tr, from, to) {
+  const { aiSuggestion, aiWritten } = tr.doc.type.schema.marks;
+
+  // Mark steps don't move positions, so walking the original doc is fine
+  tr.doc.nodesBetween(from, to, (node, pos) => {
+    const mark = aiSuggestion.isInSet(node.marks);
+    if (!node.isText || !mark) return;
+
+    const start = Math.max(from, pos);
+    const end = Math.min(to, pos + node.nodeSize);
+    tr.removeMark(start, end, aiSuggestion).addMark(start, end, aiWritten.create(mark.attrs));
+  });
+
+  return tr;
+}
+
+/**
+ * Remove the pending suggestion from the document
+ *
+ * Only the part that wasn't accepted is deleted. The leading space goes
+ * too, unless part of the suggestion was accepted (then it belongs to
+ * the accepted text) or the user already removed it.
+ * For a replacement, the original text simply stays.
+ *
+ * @param {EditorState} state
+ * @returns {Transaction|null} null if there is no suggestion
+ */
+export function discardSuggestion(state) {
+  const range = getSuggestionRange(state);
+  if (!range) return null;
+
+  // STEP 1: Delete the pending text
+  const tr = state.tr.delete(range.acceptedTo, range.to);
+
+  // STEP 2: Delete the leading space
+  // It sits before `from`, so the deletion above didn't move it
+  const nothingAccepted = range.acceptedTo === range.from;
+  if (
+    nothingAccepted &&
+    range.insertPosition < range.from &&
+    tr.doc.textBetween(range.insertPosition, range.insertPosition + 1) === ' '
+  ) {
+    tr.delete(range.insertPosition, range.insertPosition + 1);
+  }
+
+  return setSuggestionRange(tr, null);
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * // Insert a suggestion and start tracking it
+ * const tr = state.tr.insertText(' ' + text, pos);
+ * tr.addMark(pos + 1, pos + 1 + text.length, aiMark);
+ * setSuggestionRange(tr, {
+ *   insertPosition: pos,
+ *   from: pos + 1,
+ *   to: pos + 1 + text.length,
+ *   acceptedTo: pos + 1,
+ * });
+ * view.dispatch(tr);
+ *
+ * // ...the user types somewhere else in the document...
+ *
+ * // Remove exactly the suggestion
+ * view.dispatch(discardSuggestion(view.state));
+ *
+ * // Suggest a replacement for the text between 10 and 20
+ * const tr = state.tr.insertText(text, 20);
+ * tr.addMark(20, 20 + text.length, aiMark);
+ * setSuggestionRange(tr, {
+ *   insertPosition: 20,
+ *   from: 20,
+ *   to: 20 + text.length,
+ *   acceptedTo: 20,
+ *   replaceFrom: 10,
+ *   replaceTo: 20,
+ * });
+ */
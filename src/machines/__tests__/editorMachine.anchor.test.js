@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { EditorState, TextSelection } from 'prosemirror-state';
+import { schema } from '../../editor/schema';
+import { editorMachine } from '../editorMachine';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([]))
+}));
+
+import { generateAIContent } from '../../services/aiService';
+
+/**
+ * An editor state with "Hello" and "World" paragraphs and the cursor at `pos`
+ */
+function createEditorState(pos) {
+  const state = EditorState.create({
+    doc: schema.node('doc', null, [
+      schema.node('paragraph', null, [schema.text('Hello')]),
+      schema.node('paragraph', null, [schema.text('World')]),
+    ]),
+  });
+  return state.apply(state.tr.setSelection(TextSelection.create(state.doc, pos)));
+}
+
+describe('Editor State Machine - Anchor', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    generateAIContent.mockReturnValue(new Promise(() => {}));
+    service = interpret(editorMachine).start();
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should send the text before the anchor, not a ProseMirror position', () => {
+    service.send({ type: 'EDITOR_UPDATE', editorState: createEditorState(1) });
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 10 });
+
+    const [documentText, cursorPosition] = generateAIContent.mock.calls[0];
+    expect(documentText).toBe('Hello\n\nWorld');
+    expect(documentText.slice(0, cursorPosition)).toBe('Hello\n\nWo');
+  });
+
+  it('should use the editor cursor when no position is given', () => {
+    service.send({ type: 'EDITOR_UPDATE', editorState: createEditorState(6) });
+    service.send({ type: 'CONTINUE_CLICK' });
+
+    expect(service.getSnapshot().context.cursorPosition).toBe(6);
+
+    const [documentText, cursorPosition] = generateAIContent.mock.calls[0];
+    expect(documentText.slice(0, cursorPosition)).toBe('Hello');
+  });
+
+  it('should map the anchor through edits made before the insertion', () => {
+    const editorState = createEditorState(13);
+    service.send({ type: 'EDITOR_UPDATE', editorState });
+    service.send({ type: 'CONTINUE_CLICK' });
+
+    // Text inserted before the anchor pushes it along
+    const tr = editorState.tr.insertText('Oh, ', 1);
+    service.send({ type: 'EDITOR_UPDATE', editorState: editorState.apply(tr), mapping: tr.mapping });
+
+    expect(service.getSnapshot().context.cursorPosition).toBe(17);
+  });
+
+  it('should keep the anchor after text typed right at it', () => {
+    const editorState = createEditorState(6);
+    service.send({ type: 'EDITOR_UPDATE', editorState });
+    service.send({ type: 'CONTINUE_CLICK' });
+
+    const tr = editorState.tr.insertText('!', 6);
+    service.send({ type: 'EDITOR_UPDATE', editorState: editorState.apply(tr), mapping: tr.mapping });
+
+    expect(service.getSnapshot().context.cursorPosition).toBe(7);
+  });
+
+  it('should keep the editor state up to date outside of idle', () => {
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 1 });
+    const editorState = createEditorState(1);
+    service.send({ type: 'EDITOR_UPDATE', editorState });
+
+    expect(service.getSnapshot().matches('generating')).toBe(true);
+    expect(service.getSnapshot().context.editorState).toBe(editorState);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { EditorState } from 'prosemirror-state';
+import { schema } from '../../editor/schema';
+import { editorMachine } from '../editorMachine';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateSelectionEdit: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([]))
+}));
+
+import { generateAIContent, generateAlternatives } from '../../services/aiService';
+
+/**
+ * Wait until the machine reaches a state
+ */
+function waitForState(service, stateValue) {
+  return new Promise(resolve => {
+    const subscription = service.subscribe(state => {
+      if (state.matches(stateValue)) {
+        subscription.unsubscribe();
+        resolve(state);
+      }
+    });
+  });
+}
+
+const editorState = EditorState.create({
+  doc: schema.node('doc', null, [schema.node('paragraph', null, [schema.text('Hello')])]),
+});
+
+describe('Editor State Machine - Response cache', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    generateAIContent.mockImplementation(async (documentText, cursorPosition, { onStart }) => {
+      onStart({ provider: 'openai', model: 'gpt-4o', cached: true });
+      return 'World';
+    });
+    service = interpret(editorMachine).start();
+    service.send({ type: 'EDITOR_UPDATE', editorState });
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should remember that the suggestion came from the cache', async () => {
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 6 });
+    const state = await waitForState(service, 'review');
+
+    expect(state.context.cached).toBe(true);
+    expect(generateAIContent).toHaveBeenCalledWith('Hello', 5, expect.objectContaining({ bypassCache: false }));
+  });
+
+  it('should remove the suggestion before regenerating without the cache', async () => {
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 6 });
+    await waitForState(service, 'review');
+    generateAIContent.mockResolvedValue('Again');
+
+    service.send({ type: 'REGENERATE' });
+
+    // Nothing is requested until the editor has removed the old suggestion
+    expect(service.getSnapshot().matches('regenerating')).toBe(true);
+    expect(service.getSnapshot().context.shouldDiscardContent).toBe(true);
+    expect(generateAIContent).toHaveBeenCalledTimes(1);
+
+    service.send({ type: 'DISCARD_HANDLED' });
+    const state = await waitForState(service, 'review');
+
+    expect(state.context).toMatchObject({ generatedContent: 'Again', cached: false, shouldDiscardContent: false });
+    expect(generateAIContent).toHaveBeenLastCalledWith('Hello', 5, expect.objectContaining({ bypassCache: true }));
+    expect(generateAlternatives).toHaveBeenLastCalledWith('Hello', 5, expect.objectContaining({ bypassCache: true }));
+  });
+
+  it('should use the cache again for the next request', async () => {
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 6 });
+    await waitForState(service, 'review');
+    service.send({ type: 'REGENERATE' });
+    service.send({ type: 'DISCARD_HANDLED' });
+    await waitForState(service, 'review');
+    service.send({ type: 'USER_ACCEPT' });
+
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 6 });
+    await waitForState(service, 'review');
+
+    expect(generateAIContent).toHaveBeenLastCalledWith('Hello', 5, expect.objectContaining({ bypassCache: false }));
+  });
+
+  it('should not regenerate once part of the suggestion is accepted', async () => {
+    generateAIContent.mockResolvedValue('Brave new world');
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 6 });
+    await waitForState(service, 'review');
+
+    service.send({ type: 'ACCEPT_WORD' });
+    service.send({ type: 'REGENERATE' });
+
+    expect(service.getSnapshot().matches('review')).toBe(true);
+  });
+});
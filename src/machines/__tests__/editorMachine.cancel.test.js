@@ -0,0 +1,63 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { editorMachine } from '../editorMachine';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([]))
+}));
+
+import { generateAIContent } from '../../services/aiService';
+
+describe('Editor State Machine - Cancel', () => {
+  let service;
+  let signal;
+  let emitChunk;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // A generation that never finishes on its own
+    generateAIContent.mockImplementation((text, position, options) => {
+      signal = options.signal;
+      emitChunk = options.onChunk;
+      return new Promise(() => {});
+    });
+
+    service = interpret(editorMachine).start();
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should return to idle and abort the request on CANCEL', () => {
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 0 });
+    expect(signal.aborted).toBe(false);
+
+    service.send({ type: 'CANCEL' });
+
+    const snapshot = service.getSnapshot();
+    expect(snapshot.value).toBe('idle');
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('should ask the editor to remove text that was already streamed', () => {
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 0 });
+    emitChunk('Partial text');
+
+    service.send({ type: 'CANCEL' });
+
+    const snapshot = service.getSnapshot();
+    expect(snapshot.context.generatedContent).toBe('');
+    expect(snapshot.context.shouldDiscardContent).toBe(true);
+  });
+
+  it('should ignore CANCEL outside of generating', () => {
+    service.send({ type: 'CANCEL' });
+
+    expect(service.getSnapshot().value).toBe('idle');
+    expect(generateAIContent).not.toHaveBeenCalled();
+  });
+});
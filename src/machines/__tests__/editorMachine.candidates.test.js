@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { editorMachine } from '../editorMachine';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateAlternatives: vi.fn()
+}));
+
+import { generateAIContent, generateAlternatives } from '../../services/aiService';
+
+/**
+ * Wait until the machine reaches a state
+ */
+function waitForState(service, stateValue) {
+  return new Promise(resolve => {
+    const subscription = service.subscribe(state => {
+      if (state.matches(stateValue)) {
+        subscription.unsubscribe();
+        resolve(state);
+      }
+    });
+  });
+}
+
+describe('Editor State Machine - Alternative candidates', () => {
+  let service;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    generateAIContent.mockResolvedValue('First');
+    generateAlternatives.mockResolvedValue(['Second', 'First', 'Third']);
+
+    service = interpret(editorMachine).start();
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 0 });
+    await waitForState(service, 'review');
+    await vi.waitFor(() => expect(service.getSnapshot().context.candidates).toHaveLength(3));
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should store the streamed suggestion first, without duplicates', () => {
+    const { context } = service.getSnapshot();
+    expect(context.candidates).toEqual(['First', 'Second', 'Third']);
+    expect(context.candidateIndex).toBe(0);
+    expect(context.generatedContent).toBe('First');
+  });
+
+  it('should cycle forward and wrap around', () => {
+    service.send({ type: 'NEXT_CANDIDATE' });
+    expect(service.getSnapshot().context.generatedContent).toBe('Second');
+
+    service.send({ type: 'NEXT_CANDIDATE' });
+    service.send({ type: 'NEXT_CANDIDATE' });
+    expect(service.getSnapshot().context.candidateIndex).toBe(0);
+    expect(service.getSnapshot().context.generatedContent).toBe('First');
+  });
+
+  it('should cycle backward and wrap around', () => {
+    service.send({ type: 'PREVIOUS_CANDIDATE' });
+
+    const { context } = service.getSnapshot();
+    expect(context.candidateIndex).toBe(2);
+    expect(context.generatedContent).toBe('Third');
+  });
+
+  it('should clear the candidates once a suggestion is accepted', () => {
+    service.send({ type: 'NEXT_CANDIDATE' });
+    service.send({ type: 'USER_ACCEPT' });
+
+    const { context } = service.getSnapshot();
+    expect(context.candidates).toEqual([]);
+    expect(context.shouldAcceptContent).toBe(true);
+  });
+
+  it('should review the main suggestion without waiting for the alternatives', async () => {
+    service.send({ type: 'USER_DISCARD' });
+    let resolveAlternatives;
+    generateAlternatives.mockReturnValue(new Promise(resolve => { resolveAlternatives = resolve; }));
+
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 0 });
+    const state = await waitForState(service, 'review');
+    expect(state.context.candidates).toEqual(['First']);
+
+    resolveAlternatives(['Second']);
+    await vi.waitFor(() => expect(service.getSnapshot().context.candidates).toEqual(['First', 'Second']));
+  });
+
+  it('should ignore alternatives that arrive after part of the suggestion was accepted', async () => {
+    service.send({ type: 'USER_DISCARD' });
+    generateAIContent.mockResolvedValue('First words here.');
+    let resolveAlternatives;
+    generateAlternatives.mockReturnValue(new Promise(resolve => { resolveAlternatives = resolve; }));
+
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 0 });
+    await waitForState(service, 'review');
+    service.send({ type: 'ACCEPT_WORD' });
+    resolveAlternatives(['Second']);
+    await Promise.resolve();
+
+    expect(service.getSnapshot().context.candidates).toEqual(['First words here.']);
+  });
+
+  it('should still review the main suggestion when alternatives fail', async () => {
+    service.send({ type: 'USER_DISCARD' });
+    generateAlternatives.mockRejectedValue(new Error('Rate limit'));
+
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 0 });
+    const state = await waitForState(service, 'review');
+
+    expect(state.context.candidates).toEqual(['First']);
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { EditorState } from 'prosemirror-state';
+import { schema } from '../../editor/schema';
+import { editorMachine } from '../editorMachine';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateSelectionEdit: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([]))
+}));
+
+import { generateAIContent, generateSelectionEdit } from '../../services/aiService';
+
+/**
+ * Wait until the machine reaches a state
+ */
+function waitForState(service, stateValue) {
+  return new Promise(resolve => {
+    const subscription = service.subscribe(state => {
+      if (state.matches(stateValue)) {
+        subscription.unsubscribe();
+        resolve(state);
+      }
+    });
+  });
+}
+
+const editorState = EditorState.create({
+  doc: schema.node('doc', null, [schema.node('paragraph', null, [schema.text('Hello big world')])]),
+});
+
+// Position right after "Hello big world"
+const END = 16;
+
+describe('Editor State Machine - Generation history', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    generateAIContent.mockImplementation(async (documentText, cursorPosition, { onStart }) => {
+      onStart({ provider: 'openai', model: 'gpt-4o', preset: 'Blog post' });
+      return 'and more words';
+    });
+    service = interpret(editorMachine).start();
+    service.send({ type: 'EDITOR_UPDATE', editorState });
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  /**
+   * Generate a continuation and wait for the review
+   */
+  async function generate() {
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: END });
+    return waitForState(service, 'review');
+  }
+
+  it('should record an accepted suggestion with its context and provenance', async () => {
+    const { context } = await generate();
+    service.send({ type: 'USER_ACCEPT' });
+
+    const [entry] = service.getSnapshot().context.history;
+    expect(entry).toMatchObject({
+      id: context.suggestion.id,
+      command: null,
+      context: 'Hello big world',
+      output: 'and more words',
+      provider: 'openai',
+      model: 'gpt-4o',
+      preset: 'Blog post',
+      cached: false,
+      outcome: 'accepted',
+      acceptedLength: 14,
+    });
+    expect(entry.latency).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should record a discarded suggestion', async () => {
+    await generate();
+    service.send({ type: 'USER_DISCARD' });
+
+    expect(service.getSnapshot().context.history[0]).toMatchObject({
+      output: 'and more words',
+      outcome: 'discarded',
+      acceptedLength: 0,
+    });
+  });
+
+  it('should record a suggestion discarded after accepting part of it', async () => {
+    await generate();
+    service.send({ type: 'ACCEPT_WORD' });
+    service.send({ type: 'USER_DISCARD' });
+
+    expect(service.getSnapshot().context.history[0]).toMatchObject({
+      outcome: 'partially-accepted',
+      acceptedLength: 3,
+    });
+  });
+
+  it('should record a suggestion accepted word by word as accepted', async () => {
+    generateAIContent.mockResolvedValue('more');
+    await generate();
+    service.send({ type: 'ACCEPT_WORD' });
+
+    const state = service.getSnapshot();
+    expect(state.matches('idle')).toBe(true);
+    expect(state.context.history[0]).toMatchObject({ outcome: 'accepted', acceptedLength: 4 });
+  });
+
+  it('should record the suggestion thrown away by Regenerate', async () => {
+    await generate();
+    service.send({ type: 'REGENERATE' });
+    // The editor removes the old suggestion first
+    service.send({ type: 'DISCARD_HANDLED' });
+    await waitForState(service, 'review');
+    service.send({ type: 'USER_ACCEPT' });
+
+    const { history } = service.getSnapshot().context;
+    expect(history.map(entry => entry.outcome)).toEqual(['accepted', 'discarded']);
+  });
+
+  it('should keep the selected text as the context of a selection command', async () => {
+    generateSelectionEdit.mockResolvedValue('huge');
+    service.send({ type: 'SELECTION_COMMAND', command: 'rewrite', from: 7, to: 10 });
+    await waitForState(service, 'review');
+    service.send({ type: 'USER_ACCEPT' });
+
+    expect(service.getSnapshot().context.history[0]).toMatchObject({
+      command: 'rewrite',
+      context: 'big',
+      output: 'huge',
+      outcome: 'accepted',
+    });
+  });
+
+  it('should put loaded entries after the ones recorded in the meantime', async () => {
+    await generate();
+    service.send({ type: 'USER_DISCARD' });
+    service.send({ type: 'HISTORY_LOADED', history: [{ id: 'old', output: 'Earlier' }] });
+
+    const { history } = service.getSnapshot().context;
+    expect(history.map(entry => entry.output)).toEqual(['and more words', 'Earlier']);
+  });
+
+  it('should forget the history when another document is opened', async () => {
+    await generate();
+    service.send({ type: 'USER_ACCEPT' });
+    service.send({ type: 'RESET' });
+
+    expect(service.getSnapshot().context.history).toEqual([]);
+  });
+
+  it('should hand an entry to the editor on REINSERT while idle', () => {
+    const entry = { id: 'ai-1', output: ' again' };
+    service.send({ type: 'REINSERT', entry });
+    expect(service.getSnapshot().context.reinsertEntry).toBe(entry);
+
+    service.send({ type: 'REINSERT_HANDLED' });
+    expect(service.getSnapshot().context.reinsertEntry).toBeNull();
+  });
+
+  it('should ignore REINSERT during a review or without text', async () => {
+    service.send({ type: 'REINSERT', entry: { id: 'ai-1', output: '' } });
+    expect(service.getSnapshot().context.reinsertEntry).toBeNull();
+
+    await generate();
+    service.send({ type: 'REINSERT', entry: { id: 'ai-1', output: ' again' } });
+    expect(service.getSnapshot().context.reinsertEntry).toBeNull();
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { EditorState } from 'prosemirror-state';
+import { schema } from '../../editor/schema';
+import { editorMachine, MAX_KEEP_WRITING_CHUNKS, MAX_SECTION_WORDS } from '../editorMachine';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateSelectionEdit: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([]))
+}));
+
+import { generateAIContent } from '../../services/aiService';
+
+/**
+ * Wait until the machine reaches a state
+ */
+function waitForState(service, stateValue) {
+  return new Promise(resolve => {
+    const subscription = service.subscribe(state => {
+      if (state.matches(stateValue)) {
+        subscription.unsubscribe();
+        resolve(state);
+      }
+    });
+  });
+}
+
+const editorState = EditorState.create({
+  doc: schema.node('doc', null, [schema.node('paragraph', null, [schema.text('Hello')])]),
+});
+
+describe('Editor State Machine - Keep writing', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    // Every chunk is four words
+    generateAIContent.mockResolvedValue('One more short sentence.');
+    service = interpret(editorMachine).start();
+    service.send({ type: 'EDITOR_UPDATE', editorState });
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  /**
+   * Accept the chunk under review the way the editor does
+   */
+  function acceptChunk() {
+    service.send({ type: 'USER_ACCEPT' });
+    service.send({ type: 'ACCEPT_HANDLED' });
+  }
+
+  it('should request the next chunk once a chunk is accepted', async () => {
+    service.send({ type: 'KEEP_WRITING', targetWords: 10, cursorPosition: 6 });
+    await waitForState(service, 'review');
+
+    service.send({ type: 'USER_ACCEPT' });
+    // The editor accepts the chunk before the next one is requested
+    expect(service.getSnapshot().matches('chaining')).toBe(true);
+    expect(generateAIContent).toHaveBeenCalledTimes(1);
+
+    service.send({ type: 'ACCEPT_HANDLED' });
+    const state = await waitForState(service, 'review');
+
+    expect(generateAIContent).toHaveBeenCalledTimes(2);
+    expect(state.context.shouldAcceptContent).toBe(false);
+    expect(state.context.keepWriting).toMatchObject({ targetWords: 10, chunks: 1, words: 4 });
+  });
+
+  it('should stop once the target length is reached', async () => {
+    service.send({ type: 'KEEP_WRITING', targetWords: 10, cursorPosition: 6 });
+
+    for (let chunk = 0; chunk < 3; chunk++) {
+      await waitForState(service, 'review');
+      acceptChunk();
+    }
+
+    // 12 words written - no fourth chunk
+    const state = service.getSnapshot();
+    expect(state.matches('idle')).toBe(true);
+    expect(state.context.keepWriting).toBeNull();
+    expect(generateAIContent).toHaveBeenCalledTimes(3);
+    expect(state.context.history.map(entry => entry.outcome)).toEqual(['accepted', 'accepted', 'accepted']);
+  });
+
+  it('should write until the section ends partway through a chunk', async () => {
+    generateAIContent
+      .mockResolvedValueOnce('The first part,\nwith a line break.')
+      .mockResolvedValueOnce('The last part.\n\nThe next paragraph')
+      .mockResolvedValue('Never asked for.');
+    service.send({ type: 'KEEP_WRITING', cursorPosition: 6 });
+
+    // A single line break doesn't end the section
+    await waitForState(service, 'review');
+    acceptChunk();
+    expect(service.getSnapshot().matches('generating')).toBe(true);
+
+    // A blank line does
+    await waitForState(service, 'review');
+    acceptChunk();
+
+    expect(service.getSnapshot().matches('idle')).toBe(true);
+    expect(generateAIContent).toHaveBeenCalledTimes(2);
+  });
+
+  it('should end the section on a paragraph break at the end of an answer that isn\'t streamed', async () => {
+    // Not streamed: the service trims the text and reports the break
+    generateAIContent.mockImplementation(async (documentText, cursorPosition, { onFinish }) => {
+      onFinish({ finishedParagraph: true });
+      return 'The last part.';
+    });
+    service.send({ type: 'KEEP_WRITING', cursorPosition: 6 });
+
+    await waitForState(service, 'review');
+    acceptChunk();
+
+    expect(service.getSnapshot().matches('idle')).toBe(true);
+    expect(generateAIContent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should end the section the same way when the answer is streamed', async () => {
+    generateAIContent.mockImplementation(async (documentText, cursorPosition, { onChunk, onFinish }) => {
+      onChunk('The last part.\n\n');
+      onFinish({ finishedParagraph: true });
+      return 'The last part.';
+    });
+    service.send({ type: 'KEEP_WRITING', cursorPosition: 6 });
+
+    await waitForState(service, 'review');
+    acceptChunk();
+
+    expect(service.getSnapshot().matches('idle')).toBe(true);
+    expect(generateAIContent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop writing the section when the AI starts a new heading', async () => {
+    generateAIContent.mockResolvedValue('More about this.\n## Next steps');
+    service.send({ type: 'KEEP_WRITING', cursorPosition: 6 });
+
+    await waitForState(service, 'review');
+    acceptChunk();
+
+    expect(service.getSnapshot().matches('idle')).toBe(true);
+    expect(generateAIContent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop writing the section after the word limit if it never ends', async () => {
+    // 100 words per chunk, never a blank line
+    generateAIContent.mockResolvedValue(Array(100).fill('word').join(' '));
+    service.send({ type: 'KEEP_WRITING', cursorPosition: 6 });
+
+    for (let chunk = 0; chunk < MAX_SECTION_WORDS / 100; chunk++) {
+      await waitForState(service, 'review');
+      acceptChunk();
+    }
+
+    expect(service.getSnapshot().matches('idle')).toBe(true);
+    expect(generateAIContent).toHaveBeenCalledTimes(MAX_SECTION_WORDS / 100);
+  });
+
+  it('should never write more than the chunk limit', async () => {
+    service.send({ type: 'KEEP_WRITING', targetWords: 100000, cursorPosition: 6 });
+
+    for (let chunk = 0; chunk < MAX_KEEP_WRITING_CHUNKS; chunk++) {
+      await waitForState(service, 'review');
+      acceptChunk();
+    }
+
+    expect(service.getSnapshot().matches('idle')).toBe(true);
+    expect(generateAIContent).toHaveBeenCalledTimes(MAX_KEEP_WRITING_CHUNKS);
+  });
+
+  it('should finish the loop when the last chunk is accepted word by word', async () => {
+    generateAIContent.mockResolvedValue('Two words');
+    service.send({ type: 'KEEP_WRITING', targetWords: 4, cursorPosition: 6 });
+
+    await waitForState(service, 'review');
+    service.send({ type: 'ACCEPT_WORD' });
+    service.send({ type: 'ACCEPT_WORD' });
+    expect(service.getSnapshot().matches('chaining')).toBe(true);
+    service.send({ type: 'ACCEPT_HANDLED' });
+
+    await waitForState(service, 'review');
+    expect(service.getSnapshot().context.keepWriting).toMatchObject({ chunks: 1, words: 2 });
+  });
+
+  it('should end the loop when a chunk is discarded, keeping the earlier ones', async () => {
+    service.send({ type: 'KEEP_WRITING', targetWords: 100, cursorPosition: 6 });
+    await waitForState(service, 'review');
+    acceptChunk();
+    await waitForState(service, 'review');
+
+    service.send({ type: 'USER_DISCARD' });
+    const state = service.getSnapshot();
+
+    expect(state.matches('idle')).toBe(true);
+    expect(state.context.keepWriting).toBeNull();
+    expect(state.context.shouldDiscardContent).toBe(true);
+    expect(state.context.history.map(entry => entry.outcome)).toEqual(['discarded', 'accepted']);
+  });
+
+  it('should keep the loop going after Regenerate', async () => {
+    service.send({ type: 'KEEP_WRITING', targetWords: 100, cursorPosition: 6 });
+    await waitForState(service, 'review');
+
+    service.send({ type: 'REGENERATE' });
+    service.send({ type: 'DISCARD_HANDLED' });
+    await waitForState(service, 'review');
+    acceptChunk();
+
+    expect(service.getSnapshot().matches('generating')).toBe(true);
+  });
+
+  it('should let the chunk under review be accepted after Stop without asking for more', async () => {
+    service.send({ type: 'KEEP_WRITING', targetWords: 100, cursorPosition: 6 });
+    await waitForState(service, 'review');
+
+    service.send({ type: 'STOP_KEEP_WRITING' });
+    expect(service.getSnapshot().matches('review')).toBe(true);
+
+    service.send({ type: 'USER_ACCEPT' });
+    const state = service.getSnapshot();
+    expect(state.matches('idle')).toBe(true);
+    expect(state.context.shouldAcceptContent).toBe(true);
+    expect(generateAIContent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should end the loop when the generation is cancelled', async () => {
+    generateAIContent.mockReturnValue(new Promise(() => {}));
+    service.send({ type: 'KEEP_WRITING', targetWords: 100, cursorPosition: 6 });
+
+    service.send({ type: 'CANCEL' });
+
+    expect(service.getSnapshot().context.keepWriting).toBeNull();
+  });
+
+  it('should not chain after an empty chunk', async () => {
+    generateAIContent.mockResolvedValue('');
+    service.send({ type: 'KEEP_WRITING', targetWords: 100, cursorPosition: 6 });
+    await waitForState(service, 'review');
+
+    service.send({ type: 'USER_ACCEPT' });
+
+    expect(service.getSnapshot().matches('idle')).toBe(true);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { editorMachine } from '../editorMachine';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve(['Another suggestion.']))
+}));
+
+import { generateAIContent } from '../../services/aiService';
+
+/**
+ * Wait until the machine reaches a state
+ */
+function waitForState(service, stateValue) {
+  return new Promise(resolve => {
+    const subscription = service.subscribe(state => {
+      if (state.matches(stateValue)) {
+        subscription.unsubscribe();
+        resolve(state);
+      }
+    });
+  });
+}
+
+describe('Editor State Machine - Partial accept', () => {
+  let service;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    generateAIContent.mockResolvedValue('The sky is blue. Grass is green.');
+
+    service = interpret(editorMachine).start();
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 0 });
+    await waitForState(service, 'review');
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should accept one word at a time and stay in review', () => {
+    service.send({ type: 'ACCEPT_WORD' });
+    expect(service.getSnapshot().context.acceptedLength).toBe('The'.length);
+
+    service.send({ type: 'ACCEPT_WORD' });
+    const snapshot = service.getSnapshot();
+    expect(snapshot.context.acceptedLength).toBe('The sky'.length);
+    expect(snapshot.value).toBe('review');
+  });
+
+  it('should accept one sentence at a time', () => {
+    service.send({ type: 'ACCEPT_SENTENCE' });
+
+    const snapshot = service.getSnapshot();
+    expect(snapshot.context.acceptedLength).toBe('The sky is blue.'.length);
+    expect(snapshot.value).toBe('review');
+  });
+
+  it('should finish the review when the remainder is accepted', () => {
+    service.send({ type: 'ACCEPT_SENTENCE' });
+    service.send({ type: 'ACCEPT_SENTENCE' });
+
+    const snapshot = service.getSnapshot();
+    expect(snapshot.value).toBe('idle');
+    expect(snapshot.context.shouldAcceptContent).toBe(true);
+    expect(snapshot.context.acceptedLength).toBe(0);
+  });
+
+  it('should let the user discard the remainder', () => {
+    service.send({ type: 'ACCEPT_WORD' });
+    service.send({ type: 'USER_DISCARD' });
+
+    const snapshot = service.getSnapshot();
+    expect(snapshot.value).toBe('idle');
+    expect(snapshot.context.shouldDiscardContent).toBe(true);
+  });
+
+  it('should not switch candidates once part of the suggestion is accepted', () => {
+    service.send({ type: 'ACCEPT_WORD' });
+    service.send({ type: 'NEXT_CANDIDATE' });
+
+    expect(service.getSnapshot().context.generatedContent).toBe('The sky is blue. Grass is green.');
+  });
+});
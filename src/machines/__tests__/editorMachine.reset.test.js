@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { EditorState } from 'prosemirror-state';
+import { schema } from '../../editor/schema';
+import { editorMachine } from '../editorMachine';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateSelectionEdit: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([]))
+}));
+
+import { generateAIContent } from '../../services/aiService';
+
+/**
+ * Wait until the machine reaches a state
+ */
+function waitForState(service, stateValue) {
+  return new Promise(resolve => {
+    const subscription = service.subscribe(state => {
+      if (state.matches(stateValue)) {
+        subscription.unsubscribe();
+        resolve(state);
+      }
+    });
+  });
+}
+
+const editorState = EditorState.create({
+  doc: schema.node('doc', null, [schema.node('paragraph', null, [schema.text('Hello')])]),
+});
+
+describe('Editor State Machine - Switching documents', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    service = interpret(editorMachine).start();
+    service.send({ type: 'EDITOR_UPDATE', editorState });
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should forget the suggestion under review', async () => {
+    generateAIContent.mockImplementation(async (documentText, cursorPosition, { onStart, onUsage }) => {
+      onStart({ provider: 'openai', model: 'gpt-4o' });
+      onUsage({ promptTokens: 10, completionTokens: 2 });
+      return 'World';
+    });
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 6 });
+    await waitForState(service, 'review');
+
+    service.send({ type: 'RESET' });
+    const state = service.getSnapshot();
+
+    expect(state.matches('idle')).toBe(true);
+    expect(state.context).toMatchObject({
+      editorState: null,
+      generatedContent: '',
+      candidates: [],
+      suggestion: null,
+      usage: null,
+      cursorPosition: 0,
+      // The new document has no suggestion to remove
+      shouldDiscardContent: false,
+      shouldAcceptContent: false,
+    });
+  });
+
+  it('should stop a generation and ignore what arrives afterwards', async () => {
+    let signal;
+    let sendChunk;
+    generateAIContent.mockImplementation((documentText, cursorPosition, options) => {
+      signal = options.signal;
+      sendChunk = options.onChunk;
+      return new Promise(() => {});
+    });
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 6 });
+    sendChunk('Wor');
+    expect(service.getSnapshot().context.generatedContent).toBe('Wor');
+
+    service.send({ type: 'RESET' });
+    sendChunk('ld');
+
+    expect(signal.aborted).toBe(true);
+    expect(service.getSnapshot().matches('idle')).toBe(true);
+    expect(service.getSnapshot().context.generatedContent).toBe('');
+  });
+
+  it('should clear an error', async () => {
+    generateAIContent.mockRejectedValue(Object.assign(new Error('Invalid API key'), { type: 'auth' }));
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 6 });
+    await waitForState(service, 'error');
+
+    service.send({ type: 'RESET' });
+
+    expect(service.getSnapshot().matches('idle')).toBe(true);
+    expect(service.getSnapshot().context).toMatchObject({ errorMessage: '', errorType: null });
+  });
+});
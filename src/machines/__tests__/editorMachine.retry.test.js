@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { EditorState } from 'prosemirror-state';
+import { schema } from '../../editor/schema';
+import { editorMachine } from '../editorMachine';
+import { AuthError, ServerError } from '../../services/errors';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateSelectionEdit: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([]))
+}));
+
+import { generateAIContent } from '../../services/aiService';
+
+/**
+ * Wait until the machine reaches a state
+ */
+function waitForState(service, stateValue) {
+  return new Promise(resolve => {
+    const subscription = service.subscribe(state => {
+      if (state.matches(stateValue)) {
+        subscription.unsubscribe();
+        resolve(state);
+      }
+    });
+  });
+}
+
+const editorState = EditorState.create({
+  doc: schema.node('doc', null, [schema.node('paragraph', null, [schema.text('Hello')])]),
+});
+
+describe('Editor State Machine - Retries', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    service = interpret(editorMachine).start();
+    service.send({ type: 'EDITOR_UPDATE', editorState });
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should show the retry countdown until text arrives', async () => {
+    let sendChunk;
+    generateAIContent.mockImplementation((documentText, cursorPosition, { onRetry, onChunk }) => {
+      onRetry({ attempt: 1, retries: 3, delay: 2000, error: new ServerError('OpenAI service error.') });
+      sendChunk = onChunk;
+      return new Promise(() => {});
+    });
+
+    service.send({ type: 'CONTINUE_CLICK' });
+    await Promise.resolve();
+
+    const { retry } = service.getSnapshot().context;
+    expect(retry).toMatchObject({ attempt: 1, retries: 3, message: 'OpenAI service error.' });
+    expect(retry.retryAt).toBeGreaterThan(Date.now() + 1000);
+
+    sendChunk('World');
+    expect(service.getSnapshot().context.retry).toBeNull();
+  });
+
+  it('should remember the error type', async () => {
+    generateAIContent.mockRejectedValue(new AuthError('Invalid API key.'));
+
+    service.send({ type: 'CONTINUE_CLICK' });
+    const state = await waitForState(service, 'error');
+
+    expect(state.context).toMatchObject({ errorType: 'auth', errorMessage: 'Invalid API key.', retry: null });
+  });
+
+  it('should clear the countdown when cancelled', async () => {
+    generateAIContent.mockImplementation((documentText, cursorPosition, { onRetry }) => {
+      onRetry({ attempt: 2, retries: 3, delay: 4000, error: new ServerError('Down') });
+      return new Promise(() => {});
+    });
+
+    service.send({ type: 'CONTINUE_CLICK' });
+    await Promise.resolve();
+    service.send({ type: 'CANCEL' });
+
+    expect(service.getSnapshot().context.retry).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { EditorState } from 'prosemirror-state';
+import { schema } from '../../editor/schema';
+import { editorMachine } from '../editorMachine';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateSelectionEdit: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([]))
+}));
+
+import { generateAIContent, generateSelectionEdit, generateAlternatives } from '../../services/aiService';
+
+/**
+ * Wait until the machine reaches a state
+ */
+function waitForState(service, stateValue) {
+  return new Promise(resolve => {
+    const subscription = service.subscribe(state => {
+      if (state.matches(stateValue)) {
+        subscription.unsubscribe();
+        resolve(state);
+      }
+    });
+  });
+}
+
+// "Hello big world" - "big" is at positions 7-10
+const editorState = EditorState.create({
+  doc: schema.node('doc', null, [
+    schema.node('paragraph', null, [schema.text('Hello big world')]),
+  ]),
+});
+
+describe('Editor State Machine - Selection Commands', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    service = interpret(editorMachine).start();
+    service.send({ type: 'EDITOR_UPDATE', editorState });
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should generate a replacement for the selected text and review it', async () => {
+    generateSelectionEdit.mockResolvedValue('huge');
+
+    service.send({ type: 'SELECTION_COMMAND', command: 'tone', tone: 'casual', from: 7, to: 10 });
+    const state = await waitForState(service, 'review');
+
+    expect(generateAIContent).not.toHaveBeenCalled();
+    const [documentText, edit] = generateSelectionEdit.mock.calls[0];
+    expect(documentText.slice(edit.from, edit.to)).toBe('big');
+    expect(edit).toMatchObject({ command: 'tone', tone: 'casual' });
+    expect(generateAlternatives.mock.calls[0][2].edit).toEqual(edit);
+
+    expect(state.context.generatedContent).toBe('huge');
+    expect(state.context.selectionCommand).toMatchObject({ command: 'tone', from: 7, to: 10 });
+  });
+
+  it('should ignore commands without selected text', () => {
+    service.send({ type: 'SELECTION_COMMAND', command: 'rewrite', from: 7, to: 7 });
+
+    expect(service.getSnapshot().matches('idle')).toBe(true);
+  });
+
+  it('should map the selection through edits', () => {
+    generateSelectionEdit.mockReturnValue(new Promise(() => {}));
+    service.send({ type: 'SELECTION_COMMAND', command: 'rewrite', from: 7, to: 10 });
+
+    const tr = editorState.tr.insertText('Oh, ', 1);
+    service.send({ type: 'EDITOR_UPDATE', editorState: editorState.apply(tr), mapping: tr.mapping });
+
+    expect(service.getSnapshot().context.selectionCommand).toMatchObject({ from: 11, to: 14 });
+  });
+
+  it('should only accept replacements as a whole', async () => {
+    generateSelectionEdit.mockResolvedValue('very large');
+
+    service.send({ type: 'SELECTION_COMMAND', command: 'expand', from: 7, to: 10 });
+    await waitForState(service, 'review');
+
+    service.send({ type: 'ACCEPT_WORD' });
+    expect(service.getSnapshot().context.acceptedLength).toBe(0);
+
+    service.send({ type: 'USER_ACCEPT' });
+    expect(service.getSnapshot().matches('idle')).toBe(true);
+    expect(service.getSnapshot().context.shouldAcceptContent).toBe(true);
+  });
+
+  it('should go back to continuing after a continue click', () => {
+    generateSelectionEdit.mockReturnValue(new Promise(() => {}));
+    generateAIContent.mockReturnValue(new Promise(() => {}));
+
+    service.send({ type: 'SELECTION_COMMAND', command: 'rewrite', from: 7, to: 10 });
+    service.send({ type: 'CANCEL' });
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 16 });
+
+    expect(service.getSnapshot().context.selectionCommand).toBeNull();
+    expect(generateAIContent).toHaveBeenCalled();
+  });
+});
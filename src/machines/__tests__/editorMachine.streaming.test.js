@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { editorMachine } from '../editorMachine';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([]))
+}));
+
+import { generateAIContent } from '../../services/aiService';
+
+/**
+ * Wait until the machine reaches a state
+ */
+function waitForState(service, stateValue) {
+  return new Promise(resolve => {
+    const subscription = service.subscribe(state => {
+      if (state.matches(stateValue)) {
+        subscription.unsubscribe();
+        resolve(state);
+      }
+    });
+  });
+}
+
+describe('Editor State Machine - Streaming', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    service = interpret(editorMachine).start();
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should accumulate chunks while streaming and review once the stream completes', async () => {
+    let emitChunk;
+    let finishStream;
+    generateAIContent.mockImplementation((text, position, { onChunk, onStart }) => {
+      emitChunk = onChunk;
+      onStart({ provider: 'openai', model: 'gpt-3.5-turbo' });
+      return new Promise(resolve => { finishStream = resolve; });
+    });
+
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 0 });
+    expect(service.getSnapshot().matches({ generating: 'waiting' })).toBe(true);
+    expect(service.getSnapshot().context.suggestion).toMatchObject({ provider: 'openai', model: 'gpt-3.5-turbo' });
+
+    emitChunk(' Hello');
+    expect(service.getSnapshot().matches({ generating: 'streaming' })).toBe(true);
+    expect(service.getSnapshot().context.generatedContent).toBe('Hello');
+
+    emitChunk(' world.');
+    expect(service.getSnapshot().context.generatedContent).toBe('Hello world.');
+
+    finishStream('Hello world.');
+    const state = await waitForState(service, 'review');
+    expect(state.context.generatedContent).toBe('Hello world.');
+  });
+
+  it('should treat a non-streamed response as a single chunk', async () => {
+    generateAIContent.mockResolvedValue('Generated AI content');
+
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 0 });
+    const state = await waitForState(service, 'review');
+
+    expect(state.context.generatedContent).toBe('Generated AI content');
+  });
+
+  it('should drop partially streamed text when the stream fails', async () => {
+    let emitChunk;
+    let failStream;
+    generateAIContent.mockImplementation((text, position, { onChunk }) => {
+      emitChunk = onChunk;
+      return new Promise((resolve, reject) => { failStream = reject; });
+    });
+
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 0 });
+    emitChunk('Partial');
+    failStream(new Error('Connection lost'));
+
+    const state = await waitForState(service, 'error');
+    expect(state.context.errorMessage).toBe('Connection lost');
+    expect(state.context.generatedContent).toBe('');
+    expect(state.context.shouldDiscardContent).toBe(true);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { EditorState } from 'prosemirror-state';
+import { schema } from '../../editor/schema';
+import { editorMachine } from '../editorMachine';
+import { addSink } from '../../services/telemetry';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateSelectionEdit: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([]))
+}));
+
+import { generateAIContent } from '../../services/aiService';
+
+/**
+ * Wait until the machine reaches a state
+ */
+function waitForState(service, stateValue) {
+  return new Promise(resolve => {
+    const subscription = service.subscribe(state => {
+      if (state.matches(stateValue)) {
+        subscription.unsubscribe();
+        resolve(state);
+      }
+    });
+  });
+}
+
+const editorState = EditorState.create({
+  doc: schema.node('doc', null, [schema.node('paragraph', null, [schema.text('Hello')])]),
+});
+
+describe('Editor State Machine - Telemetry', () => {
+  let service;
+  let events;
+  let removeSink;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    events = [];
+    removeSink = addSink(event => events.push(event));
+    service = interpret(editorMachine).start();
+    service.send({ type: 'EDITOR_UPDATE', editorState });
+  });
+
+  afterEach(() => {
+    service.stop();
+    removeSink();
+  });
+
+  it('should record a generation with its latency and token usage, and the accept', async () => {
+    generateAIContent.mockImplementation(async (documentText, cursorPosition, { onStart, onUsage }) => {
+      onStart({ provider: 'openai', model: 'gpt-4o', preset: 'Blog post' });
+      onUsage({ promptTokens: 12, completionTokens: 3 });
+      return 'big world';
+    });
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 6 });
+    const { context } = await waitForState(service, 'review');
+    service.send({ type: 'USER_ACCEPT' });
+
+    expect(events.map(event => event.type)).toEqual(['usage', 'generation', 'action']);
+    expect(events[0].data).toEqual({ promptTokens: 12, completionTokens: 3 });
+    expect(events[1].data).toEqual({
+      id: context.suggestion.id,
+      command: null,
+      provider: 'openai',
+      model: 'gpt-4o',
+      preset: 'Blog post',
+      cached: false,
+      latency: context.latency,
+      length: 9,
+      candidates: 1,
+    });
+    expect(events[2].data).toEqual({ action: 'accept' });
+  });
+
+  it('should record errors', async () => {
+    generateAIContent.mockRejectedValue(Object.assign(new Error('Invalid API key'), { type: 'auth' }));
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 6 });
+    await waitForState(service, 'error');
+
+    expect(events).toEqual([
+      expect.objectContaining({ type: 'error', data: { type: 'auth', message: 'Invalid API key' } }),
+    ]);
+  });
+
+  it('should not print anything', async () => {
+    const log = vi.spyOn(console, 'log');
+    generateAIContent.mockResolvedValue('big world');
+
+    service.send({ type: 'CONTINUE_CLICK', cursorPosition: 6 });
+    await waitForState(service, 'review');
+    service.send({ type: 'USER_DISCARD' });
+
+    expect(log).not.toHaveBeenCalled();
+    log.mockRestore();
+  });
+});
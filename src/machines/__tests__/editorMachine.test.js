@@ -4,7 +4,8 @@ import { editorMachine } from '../editorMachine';
 
 // Mock the AI service
 vi.mock('../../services/aiService', () => ({
-  generateAIContent: vi.fn()
+  generateAIContent: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([]))
 }));
 
 import { generateAIContent } from '../../services/aiService';
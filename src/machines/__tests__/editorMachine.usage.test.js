@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { interpret } from 'xstate';
+import { EditorState } from 'prosemirror-state';
+import { schema } from '../../editor/schema';
+import { editorMachine } from '../editorMachine';
+
+// Mock the AI service
+vi.mock('../../services/aiService', () => ({
+  generateAIContent: vi.fn(),
+  generateSelectionEdit: vi.fn(),
+  generateAlternatives: vi.fn(() => Promise.resolve([]))
+}));
+
+import { generateAIContent } from '../../services/aiService';
+
+/**
+ * Wait until the machine reaches a state
+ */
+function waitForState(service, stateValue) {
+  return new Promise(resolve => {
+    const subscription = service.subscribe(state => {
+      if (state.matches(stateValue)) {
+        subscription.unsubscribe();
+        resolve(state);
+      }
+    });
+  });
+}
+
+const editorState = EditorState.create({
+  doc: schema.node('doc', null, [schema.node('paragraph', null, [schema.text('Hello')])]),
+});
+
+describe('Editor State Machine - Token usage', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    service = interpret(editorMachine).start();
+    service.send({ type: 'EDITOR_UPDATE', editorState });
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should remember the token counts of the last generation', async () => {
+    generateAIContent.mockImplementation(async (documentText, cursorPosition, { onUsage }) => {
+      onUsage({ promptTokens: 120, completionTokens: 8 });
+      return 'world';
+    });
+
+    service.send({ type: 'CONTINUE_CLICK' });
+    const state = await waitForState(service, 'review');
+
+    expect(state.context.usage).toEqual({ promptTokens: 120, completionTokens: 8 });
+  });
+
+  it('should keep the counts while the next generation runs', async () => {
+    generateAIContent.mockImplementationOnce(async (documentText, cursorPosition, { onUsage }) => {
+      onUsage({ promptTokens: 120, completionTokens: 8 });
+      return 'world';
+    });
+    service.send({ type: 'CONTINUE_CLICK' });
+    await waitForState(service, 'review');
+    service.send({ type: 'USER_DISCARD' });
+
+    generateAIContent.mockReturnValue(new Promise(() => {}));
+    service.send({ type: 'CONTINUE_CLICK' });
+
+    expect(service.getSnapshot().matches('generating')).toBe(true);
+    expect(service.getSnapshot().context.usage).toEqual({ promptTokens: 120, completionTokens: 8 });
+  });
+});
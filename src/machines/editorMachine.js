@@ -12,13 +12,234 @@
  * 
  * Our editor has these states:
  * - idle: Ready for user input
- * - generating: AI is creating content
+ * - generating: AI is creating content (waiting → streaming)
  * - review: AI content is ready for user to accept/reject
+ * - regenerating: the suggestion is being removed before asking again
+ * - chaining: a chunk was accepted while keeping writing, the next one is requested
  * - error: Something went wrong
+ * 
+ * Content is either a continuation (CONTINUE_CLICK) or a replacement for
+ * selected text (SELECTION_COMMAND: rewrite, shorten, expand, ...).
+ * Both go through the same generating → review flow.
+ * 
+ * Temporary failures are retried by the AI service before the machine
+ * gives up; meanwhile it reports the countdown (AI_RETRY) for the status bar.
+ * 
+ * Answers to identical requests may come from the AI service's cache;
+ * REGENERATE asks the provider again.
+ * 
+ * RESET (sent when the user opens another document) goes back to idle
+ * from any state and forgets everything about the old document.
+ * 
+ * Every suggestion that is accepted or discarded is recorded in the
+ * document's generation history (context.history, saved by the app -
+ * see services/historyStore.js). REINSERT puts a past suggestion back
+ * at the cursor.
+ * 
+ * KEEP_WRITING continues the text in a loop: every accepted chunk is
+ * followed by the next one until the target length is reached (or the
+ * section ends). Each chunk is still reviewed on its own - discarding
+ * one, Stop (STOP_KEEP_WRITING) or cancelling ends the loop.
+ * 
+ * What happens is recorded as telemetry events (see services/telemetry.js):
+ * what the user did with a suggestion, each generation's latency and
+ * token usage, and errors. State changes are recorded by the app.
  */
 
 import { createMachine, assign } from 'xstate';
-import { generateAIContent } from '../services/aiService';
+import { generateAIContent, generateAlternatives, generateSelectionEdit } from '../services/aiService';
+import { getTextContext, getOutline } from '../editor/positions';
+import { HISTORY_LIMIT, OUTCOMES } from '../services/historyStore';
+import { track, TELEMETRY_EVENTS } from '../services/telemetry';
+
+// How much of the text before the cursor a history entry keeps as context
+const PROMPT_CONTEXT_LENGTH = 200;
+
+// Keep writing never asks for more chunks than this in one go,
+// whatever the target (a model that keeps answering with a few words
+// would otherwise loop for a long time)
+export const MAX_KEEP_WRITING_CHUNKS = 10;
+
+// Writing until the end of the section stops after this many words
+// if the AI never ends the section
+export const MAX_SECTION_WORDS = 400;
+
+/**
+ * Find where the next word of a suggestion ends
+ * 
+ * Leading whitespace belongs to the word, so accepting "Hello world"
+ * word by word gives "Hello" and then " world".
+ * 
+ * @param {string} text - The suggestion
+ * @param {number} from - How many characters are already accepted
+ * @returns {number} The new accepted length
+ */
+function findNextWordEnd(text, from) {
+  const match = /^\s*\S+/.exec(text.slice(from));
+  return match ? from + match[0].length : text.length;
+}
+
+/**
+ * Find where the next sentence of a suggestion ends
+ * 
+ * A sentence ends at . ! or ? (plus any closing quotes/brackets)
+ * followed by whitespace or the end of the text.
+ * 
+ * @param {string} text - The suggestion
+ * @param {number} from - How many characters are already accepted
+ * @returns {number} The new accepted length
+ */
+function findNextSentenceEnd(text, from) {
+  const match = /^[\s\S]*?[.!?]+["')\]]*(?=\s|$)/.exec(text.slice(from));
+  return match ? from + match[0].length : text.length;
+}
+
+/**
+ * Work out how much of the suggestion a partial accept event covers
+ * 
+ * @param {Object} context - Machine context
+ * @param {Object} event - ACCEPT_WORD or ACCEPT_SENTENCE
+ * @returns {number} The new accepted length
+ */
+function getAcceptedLength(context, event) {
+  const { generatedContent, acceptedLength } = context;
+  return event.type === 'ACCEPT_SENTENCE'
+    ? findNextSentenceEnd(generatedContent, acceptedLength)
+    : findNextWordEnd(generatedContent, acceptedLength);
+}
+
+/**
+ * Check whether a partial accept event accepts the rest of the suggestion
+ * (only whitespace left)
+ * 
+ * @param {Object} context - Machine context
+ * @param {Object} event - ACCEPT_WORD or ACCEPT_SENTENCE
+ * @returns {boolean}
+ */
+function acceptsRemainder(context, event) {
+  return !context.selectionCommand &&
+    context.generatedContent.slice(getAcceptedLength(context, event)).trim() === '';
+}
+
+/**
+ * Check whether accepting the suggestion should lead to the next chunk
+ * 
+ * An empty chunk ends the loop - there is nothing for the editor to
+ * accept, so it would never confirm (ACCEPT_HANDLED).
+ * 
+ * @param {Object} context - Machine context
+ * @returns {boolean}
+ */
+function isKeepingWriting(context) {
+  return !!context.keepWriting && context.generatedContent.trim() !== '';
+}
+
+/**
+ * Count the words in a piece of text
+ * 
+ * @param {string} text
+ * @returns {number}
+ */
+function countWords(text) {
+  return text.match(/\S+/g)?.length ?? 0;
+}
+
+/**
+ * Check whether a chunk ends the section the AI is writing: it finished
+ * a paragraph (a blank line), started a heading, or had nothing more
+ * to say
+ * 
+ * A single line break doesn't count - models use those inside lists
+ * and verse. A blank line at the very end is ignored here: answers that
+ * aren't streamed arrive trimmed, so for streamed and non-streamed
+ * answers alike the service reports it (context.finishedParagraph).
+ * 
+ * @param {string} text - The accepted chunk
+ * @returns {boolean}
+ */
+function endsSection(text) {
+  const trimmed = text.trim();
+  return trimmed === '' || /\n[^\S\n]*\n/.test(trimmed) || /^#{1,6}\s/m.test(trimmed);
+}
+
+/**
+ * Get the text a generation's prompt was built around, for the history
+ * 
+ * @param {Object} context - Machine context
+ * @returns {string} The selected text for a selection command, otherwise
+ *   the end of the text before the anchor
+ */
+function getPromptContext(context) {
+  const doc = context.editorState?.doc;
+  if (!doc) return '';
+  
+  const selection = context.selectionCommand;
+  if (selection) return doc.textBetween(selection.from, selection.to, '\n');
+  
+  const { documentText, textOffset } = getTextContext(doc, context.cursorPosition);
+  return documentText.slice(Math.max(0, textOffset - PROMPT_CONTEXT_LENGTH), textOffset);
+}
+
+/**
+ * Work out what to send to the AI service for a generation
+ * 
+ * Taken when generating starts: later the streamed suggestion is in the
+ * document, and the alternatives must be asked for the same place.
+ * 
+ * @param {Object} context - Machine context
+ * @returns {{ documentText: string, cursorPos: number, outline: Object[], edit: Object|null }}
+ */
+function getGenerationRequest(context) {
+  // The anchor is a ProseMirror position - the AI service needs the
+  // matching character offset in the plain text
+  const doc = context.editorState?.doc;
+  const { documentText, textOffset: cursorPos } = getTextContext(doc, context.cursorPosition);
+  
+  // For a selection command, the selected text as character offsets
+  const selection = context.selectionCommand;
+  const edit = selection ? {
+    command: selection.command,
+    tone: selection.tone,
+    language: selection.language,
+    from: getTextContext(doc, selection.from).textOffset,
+    to: getTextContext(doc, selection.to).textOffset,
+  } : null;
+  
+  // Headings are lost in plain text - the AI gets them as an outline
+  return { documentText, cursorPos, outline: getOutline(doc), edit };
+}
+
+/**
+ * Describe the suggestion under review as a history entry
+ * (see services/historyStore.js for the fields)
+ * 
+ * @param {Object} context - Machine context
+ * @param {Object} event - The event that ends the review (accept or discard)
+ * @returns {Object} The entry
+ */
+function createHistoryEntry(context, event) {
+  const { suggestion, generatedContent, acceptedLength } = context;
+  const accepted = ['USER_ACCEPT', 'ACCEPT_WORD', 'ACCEPT_SENTENCE'].includes(event.type);
+  
+  let outcome = OUTCOMES.discarded;
+  if (accepted) outcome = OUTCOMES.accepted;
+  else if (acceptedLength > 0) outcome = OUTCOMES.partiallyAccepted;
+  
+  return {
+    id: suggestion?.id || `ai-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: suggestion?.timestamp || Date.now(),
+    command: context.selectionCommand?.command || null,
+    context: context.promptContext,
+    output: generatedContent,
+    provider: suggestion?.provider || null,
+    model: suggestion?.model || null,
+    preset: suggestion?.preset || null,
+    cached: context.cached,
+    latency: context.latency,
+    outcome,
+    acceptedLength: accepted ? generatedContent.length : acceptedLength,
+  };
+}
 
 /**
  * Create the editor state machine
@@ -39,14 +260,80 @@ export const editorMachine = createMachine(
       editorState: null,
       
       // The text generated by AI (stored temporarily until user accepts/rejects)
+      // In review this is always the candidate currently shown
       generatedContent: '',
       
+      // All alternative suggestions for this generation (first one is the streamed one)
+      // The others arrive during review (ALTERNATIVES_READY)
+      candidates: [],
+      
+      // Which candidate is currently shown in the editor
+      candidateIndex: 0,
+      
+      // Where the current suggestion came from: { id, provider, model, preset, timestamp }
+      // Stored on the aiSuggestion mark, and on the aiWritten mark once accepted
+      suggestion: null,
+      
+      // The current suggestion was reused from the response cache
+      cached: false,
+      
+      // When the current generation was requested (ms since epoch), how
+      // long it took (ms) and the text its prompt was built around
+      requestedAt: null,
+      latency: null,
+      promptContext: '',
+      
+      // The AI ended the current suggestion with a paragraph break
+      // (the suggestion itself is trimmed - see aiService.js onFinish)
+      finishedParagraph: false,
+      
+      // What the current generation asked the AI service for (see getGenerationRequest)
+      generationRequest: null,
+      
+      // This document's generations, newest first (see services/historyStore.js)
+      history: [],
+      
+      // A history entry to insert at the cursor, until the editor has done it
+      reinsertEntry: null,
+      
+      // Keep writing: null, or the loop's progress
+      // { targetWords, chunks, words, sectionEnded } - targetWords is null
+      // to write until the end of the section; chunks and words count what
+      // has been accepted so far
+      keepWriting: null,
+      
+      // Skip the response cache for the next generation (set by REGENERATE)
+      bypassCache: false,
+      
+      // How many characters of generatedContent were accepted word-by-word
+      // or sentence-by-sentence (the rest is still pending review)
+      acceptedLength: 0,
+      
+      // Token counts of the last generation: { promptTokens, completionTokens }
+      // Kept until the next generation finishes, for the status bar
+      usage: null,
+      
       // Any error message if something goes wrong
       errorMessage: '',
       
-      // The position in the document where AI content should be inserted
+      // What kind of error it was (auth, rate-limit, server, network,
+      // content-filter, timeout or unknown - see services/errors.js)
+      errorType: null,
+      
+      // The automatic retry being waited for, or null
+      // { attempt, retries, retryAt, message } - retryAt is a timestamp (ms)
+      retry: null,
+      
+      // The ProseMirror position where AI content should be inserted (the anchor)
+      // It is captured when generation is requested and then mapped through
+      // every edit, so it keeps pointing at the same place in the text
       cursorPosition: 0,
       
+      // The selection command being run, or null for a continuation
+      // { command, tone, language, from, to } - from/to are ProseMirror
+      // positions of the selected text, mapped through edits like the anchor
+      selectionCommand: null,
+      
       // Flag to indicate if the last transition was a discard action
       shouldDiscardContent: false,
       
@@ -55,6 +342,68 @@ export const editorMachine = createMachine(
       shouldAcceptContent: false,
     },
   
+  // Events handled in every state
+  // The editor acknowledges flags as soon as it has acted on them,
+  // which may happen after the machine has already moved on (e.g. to error)
+  on: {
+    // Another document was opened: stop whatever was going on and start
+    // over, so nothing from the old document (its suggestion, anchor or
+    // pending discard/accept) is applied to the new one
+    RESET: {
+      target: '.idle',
+      actions: [
+        'resetContext',
+        () => track(TELEMETRY_EVENTS.action, { action: 'reset' })
+      ],
+    },
+    
+    // Update editor state when the document changes (typing, AI insertions)
+    // The anchor follows the edit, so it still points at the requested place
+    EDITOR_UPDATE: {
+      actions: 'updateEditorState',
+    },
+    
+    // Clear the discard flag after editor has handled it
+    DISCARD_HANDLED: {
+      actions: assign({
+        shouldDiscardContent: () => false,
+      }),
+    },
+    
+    // The app loaded the document's saved history
+    // Anything recorded in the meantime is newer, so it stays on top
+    HISTORY_LOADED: {
+      actions: assign({
+        history: (context, event) => [...context.history, ...event.history].slice(0, HISTORY_LIMIT),
+      }),
+    },
+    
+    // User clicks "Stop" while keeping writing: the chunk on screen can
+    // still be accepted or discarded, but no more are requested
+    STOP_KEEP_WRITING: {
+      actions: [
+        assign({
+          keepWriting: () => null,
+        }),
+        () => track(TELEMETRY_EVENTS.action, { action: 'stop-keep-writing' })
+      ],
+    },
+    
+    // The editor inserted the history entry
+    REINSERT_HANDLED: {
+      actions: assign({
+        reinsertEntry: () => null,
+      }),
+    },
+    
+    // Clear the accept flag after editor has handled it
+    ACCEPT_HANDLED: {
+      actions: assign({
+        shouldAcceptContent: () => false,
+      }),
+    },
+  },
+  
   // Define all possible states and their behaviors
   states: {
     /**
@@ -64,13 +413,16 @@ export const editorMachine = createMachine(
      */
     idle: {
       // When entering idle state, clear any previous errors
-      entry: [
-        assign({
-          errorMessage: () => '',
-          generatedContent: () => '',
-        }),
-        () => console.log('🟢 Entered IDLE state')
-      ],
+      entry: assign({
+        errorMessage: () => '',
+        errorType: () => null,
+        generatedContent: () => '',
+        candidates: () => [],
+        candidateIndex: () => 0,
+        acceptedLength: () => 0,
+        // Back in idle, a keep writing loop is over
+        keepWriting: () => null,
+      }),
       
       // Events that can happen in idle state and where they lead
       on: {
@@ -78,48 +430,46 @@ export const editorMachine = createMachine(
         CONTINUE_CLICK: {
           target: 'generating',
           // Save the cursor position before generating
-          actions: [
-            assign({
-              cursorPosition: (context, event) => event.cursorPosition,
-            }),
-            (context, event) => console.log('🔄 CONTINUE_CLICK received, cursorPosition:', event.cursorPosition)
-          ],
+          actions: 'captureAnchor',
         },
         
         // User presses keyboard shortcut (Ctrl+Space or Cmd+Space)
         KEYBOARD_SHORTCUT: {
           target: 'generating',
-          actions: assign({
-            cursorPosition: (context, event) => event.cursorPosition,
-          }),
+          actions: 'captureAnchor',
         },
         
-        // Update editor state when user types
-        EDITOR_UPDATE: {
-          actions: assign({
-            editorState: (context, event) => event.editorState,
-          }),
-        },
-        
-        // Clear the discard flag after editor has handled it
-        DISCARD_HANDLED: {
+        // User picks "Keep writing" - continue chunk after chunk
+        // targetWords: how many words to write, or null for the rest of the section
+        KEEP_WRITING: {
+          target: 'generating',
           actions: [
+            'captureAnchor',
             assign({
-              shouldDiscardContent: () => false,
+              keepWriting: (context, event) => ({
+                targetWords: event.targetWords ?? null,
+                chunks: 0,
+                words: 0,
+                sectionEnded: false,
+              }),
             }),
-            () => console.log('🧹 DISCARD_HANDLED: Cleared shouldDiscardContent flag')
+            (context, event) => track(TELEMETRY_EVENTS.action, { action: 'keep-writing', targetWords: event.targetWords ?? null })
           ],
         },
         
+        // User picks a command (rewrite, shorten, ...) from the selection menu
+        SELECTION_COMMAND: {
+          target: 'generating',
+          cond: 'hasSelection',
+          actions: 'captureSelection',
+        },
         
-        // Clear the accept flag after editor has handled it
-        ACCEPT_HANDLED: {
-          actions: [
-            assign({
-              shouldAcceptContent: () => false,
-            }),
-            () => console.log('🧹 ACCEPT_HANDLED: Cleared shouldAcceptContent flag')
-          ],
+        // User picks "Insert" in the history panel
+        REINSERT: {
+          cond: 'hasEntryText',
+          actions: assign({
+            reinsertEntry: (context, event) => event.entry,
+          }),
         },
       },
     },
@@ -128,37 +478,147 @@ export const editorMachine = createMachine(
      * GENERATING STATE
      * AI is actively creating content
      * User cannot edit during this time
+     * 
+     * Generation is streamed, so this state has two sub-states:
+     * - waiting: request sent, no text received yet
+     * - streaming: chunks are arriving and being appended to generatedContent
+     * 
+     * Review starts once the stream completes (AI_DONE).
      */
     generating: {
-      // Add entry logging
-      entry: () => console.log('🔄 Entered GENERATING state'),
+      initial: 'waiting',
       
-      // 'invoke' means "run this async function while in this state"
+      // Start from an empty suggestion (e.g. on RETRY)
+      entry: assign({
+        generatedContent: () => '',
+        candidates: () => [],
+        candidateIndex: () => 0,
+        acceptedLength: () => 0,
+        cached: () => false,
+        suggestion: () => null,
+        requestedAt: () => Date.now(),
+        latency: () => null,
+        finishedParagraph: () => false,
+        promptContext: (context) => getPromptContext(context),
+        generationRequest: (context) => getGenerationRequest(context),
+      }),
+      
+      // A retry countdown only makes sense while generating
+      exit: assign({
+        retry: () => null,
+      }),
+      
+      // 'invoke' means "run this service while in this state"
+      // The service sends AI_CHUNK, AI_DONE and AI_ERROR events back to us
       invoke: {
         // Reference the service defined in the services configuration
         src: 'generateContent',
+      },
+      
+      states: {
+        waiting: {
+          on: {
+            // The service picked a provider (or found a cached answer)
+            // Remember who is writing
+            AI_STARTED: {
+              actions: assign({
+                suggestion: (context, event) => event.suggestion,
+                cached: (context, event) => !!event.cached,
+              }),
+            },
+            
+            // The first chunk has arrived (possibly after retries)
+            AI_CHUNK: {
+              target: 'streaming',
+              actions: [
+                'appendChunk',
+                assign({
+                  retry: () => null,
+                }),
+              ],
+            },
+          },
+        },
+        
+        streaming: {
+          on: {
+            // Every following chunk is appended to the suggestion
+            AI_CHUNK: {
+              actions: 'appendChunk',
+            },
+          },
+        },
+      },
+      
+      on: {
+        // A temporary failure - the service waits and tries again
+        AI_RETRY: {
+          actions: [
+            assign({
+              retry: (context, event) => event.retry,
+            }),
+            (context, event) => track(TELEMETRY_EVENTS.retry, {
+              attempt: event.retry.attempt,
+              retries: event.retry.retries,
+              message: event.retry.message,
+            })
+          ],
+        },
         
-        // What to do when the function succeeds
-        onDone: {
+        // The main suggestion is complete - remember how big the request was
+        AI_USAGE: {
+          actions: [
+            assign({
+              usage: (context, event) => event.usage,
+            }),
+            (context, event) => track(TELEMETRY_EVENTS.usage, event.usage)
+          ],
+        },
+        
+        // What to do when the stream completes
+        // (the alternatives are asked for during review)
+        AI_DONE: {
           target: 'review',
-          // Store the generated content in context
           actions: [
             assign({
-              generatedContent: (context, event) => event.data,
+              candidates: (context) => [context.generatedContent],
+              candidateIndex: () => 0,
+              latency: (context) => Date.now() - context.requestedAt,
+              finishedParagraph: (context, event) => !!event.finishedParagraph,
+            }),
+            'trackGeneration'
+          ],
+        },
+        
+        // User clicks "Stop" or presses Escape
+        // Leaving this state stops the service, which aborts the request
+        CANCEL: {
+          target: 'idle',
+          // Remove any text that was already streamed into the document
+          actions: [
+            assign({
+              generatedContent: () => '',
+              shouldDiscardContent: () => true,
             }),
-            (context, event) => console.log('✅ Generation completed, moving to REVIEW state. Content:', event.data)
+            () => track(TELEMETRY_EVENTS.action, { action: 'cancel' })
           ],
         },
         
-        // What to do if the function fails
-        onError: {
+        // What to do if the generation fails
+        AI_ERROR: {
           target: 'error',
-          // Store the error message
+          // Store the error message and drop any partially streamed text
           actions: [
             assign({
-              errorMessage: (context, event) => event.data?.message || 'Failed to generate content',
+              errorMessage: (context, event) => event.error?.message || 'Failed to generate content',
+              errorType: (context, event) => event.error?.type || 'unknown',
+              generatedContent: () => '',
+              shouldDiscardContent: () => true,
             }),
-            (context, event) => console.log('❌ Generation failed, moving to ERROR state. Error:', event.data)
+            (context, event) => track(TELEMETRY_EVENTS.error, {
+              type: event.error?.type || 'unknown',
+              message: event.error?.message || 'Failed to generate content',
+            })
           ],
         },
       },
@@ -168,45 +628,165 @@ export const editorMachine = createMachine(
      * REVIEW STATE
      * AI has generated content and is showing it to the user
      * User can now accept, clear, or discard the content
+     * 
+     * Meanwhile the alternatives are fetched in the background. They are
+     * optional: if they fail, the user just gets one suggestion.
      */
     review: {
-      entry: () => console.log('📝 Entered REVIEW state'),
+      invoke: {
+        src: 'generateAlternatives',
+      },
+      
       on: {
+        // The alternatives have arrived - add the ones that differ
+        // (too late once part of the suggestion has been accepted)
+        ALTERNATIVES_READY: {
+          cond: 'nothingAccepted',
+          actions: assign({
+            candidates: (context, event) => [...new Set([...context.candidates, ...event.alternatives])],
+          }),
+        },
+        
+        // User clicks "Next" or presses Alt+] - show the next alternative
+        // (not once part of the suggestion has been accepted)
+        NEXT_CANDIDATE: {
+          cond: 'nothingAccepted',
+          actions: 'showCandidate',
+        },
+        
+        // User clicks "Previous" or presses Alt+[ - show the previous alternative
+        PREVIOUS_CANDIDATE: {
+          cond: 'nothingAccepted',
+          actions: 'showCandidate',
+        },
+        
+        // User presses Ctrl+Right - accept just the next word
+        // Once nothing is left pending, this is the same as accepting everything
+        // (Replacements are all-or-nothing, so these only apply to continuations)
+        ACCEPT_WORD: [
+          { target: 'chaining', cond: 'acceptsRemainderWhileKeepingWriting', actions: ['recordGeneration', 'countChunk', 'acceptAll'] },
+          { target: 'idle', cond: 'acceptsRemainder', actions: ['recordGeneration', 'acceptAll'] },
+          { cond: 'isContinuation', actions: 'acceptPart' },
+        ],
+        
+        // User presses Ctrl+Shift+Right - accept just the next sentence
+        ACCEPT_SENTENCE: [
+          { target: 'chaining', cond: 'acceptsRemainderWhileKeepingWriting', actions: ['recordGeneration', 'countChunk', 'acceptAll'] },
+          { target: 'idle', cond: 'acceptsRemainder', actions: ['recordGeneration', 'acceptAll'] },
+          { cond: 'isContinuation', actions: 'acceptPart' },
+        ],
+        
         // User clicks "Accept All" - keep the AI content
-        USER_ACCEPT: {
+        // While keeping writing, the next chunk follows
+        USER_ACCEPT: [
+          {
+            target: 'chaining',
+            cond: 'isKeepingWriting',
+            actions: [
+              'recordGeneration',
+              'countChunk',
+              'acceptAll',
+              (context) => track(TELEMETRY_EVENTS.action, { action: 'accept', keepWriting: context.keepWriting })
+            ],
+          },
+          {
+            target: 'idle',
+            actions: [
+              'recordGeneration',
+              'acceptAll',
+              () => track(TELEMETRY_EVENTS.action, { action: 'accept' })
+            ],
+          },
+        ],
+        
+        // User clicks "Discard Session" - revert to before AI generation
+        USER_DISCARD: {
           target: 'idle',
-          // The content is already in the editor, just clear the temporary storage
+          // Clear generated content and signal to revert editor state
+          // (it stays in the history)
           actions: [
+            'recordGeneration',
             assign({
               generatedContent: () => '',
-              shouldAcceptContent: () => true,
+              shouldDiscardContent: () => true,
             }),
-            () => console.log('✅ USER_ACCEPT: Set shouldAcceptContent to true')
+            () => track(TELEMETRY_EVENTS.action, { action: 'discard' })
           ],
         },
         
-        // User clicks "Discard Session" - revert to before AI generation
-        USER_DISCARD: {
-          target: 'idle',
-          // Clear generated content and signal to revert editor state
+        // User clicks "Regenerate" - throw this suggestion away and ask
+        // the provider again for the same place, skipping the cache
+        // (not once part of it is accepted - the anchor is behind that text)
+        REGENERATE: {
+          target: 'regenerating',
+          cond: 'nothingAccepted',
           actions: [
+            'recordGeneration',
             assign({
               generatedContent: () => '',
               shouldDiscardContent: () => true,
+              bypassCache: () => true,
             }),
-            () => console.log('🗑️ USER_DISCARD: Set shouldDiscardContent to true')
+            () => track(TELEMETRY_EVENTS.action, { action: 'regenerate' })
           ],
         },
       },
     },
     
+    /**
+     * REGENERATING STATE
+     * The editor removes the old suggestion first - new chunks must not
+     * arrive while it is still in the document
+     */
+    regenerating: {
+      on: {
+        DISCARD_HANDLED: {
+          target: 'generating',
+          actions: assign({
+            shouldDiscardContent: () => false,
+          }),
+        },
+      },
+    },
+    
+    /**
+     * CHAINING STATE
+     * Keep writing: the editor accepts the chunk first, so the anchor
+     * moves behind it before the next one is requested
+     * 
+     * This is the loop: generating → review → chaining → generating...
+     * until the hasMoreToWrite guard says the target is reached
+     */
+    chaining: {
+      on: {
+        ACCEPT_HANDLED: [
+          {
+            target: 'generating',
+            cond: 'hasMoreToWrite',
+            actions: assign({
+              shouldAcceptContent: () => false,
+              bypassCache: () => false,
+            }),
+          },
+          {
+            target: 'idle',
+            actions: [
+              assign({
+                shouldAcceptContent: () => false,
+              }),
+              (context) => track(TELEMETRY_EVENTS.action, { action: 'keep-writing-done', keepWriting: context.keepWriting })
+            ],
+          },
+        ],
+      },
+    },
+    
     /**
      * ERROR STATE
      * Something went wrong during AI generation
      * Show error message and allow retry
      */
     error: {
-      entry: (context) => console.log('🚨 Entered ERROR state with message:', context.errorMessage),
       on: {
         // User clicks "Retry"
         RETRY: 'generating',
@@ -218,27 +798,242 @@ export const editorMachine = createMachine(
   }
 },
 {
+    // Guards configuration
+    guards: {
+      // Partial accept reaches the end of the suggestion (only whitespace left)
+      acceptsRemainder: (context, event) => acceptsRemainder(context, event),
+      
+      // The same, while keeping writing - the next chunk follows
+      acceptsRemainderWhileKeepingWriting: (context, event) =>
+        isKeepingWriting(context) && acceptsRemainder(context, event),
+      
+      // A keep writing loop is running
+      isKeepingWriting: (context) => isKeepingWriting(context),
+      
+      // Keep writing hasn't reached its target (nor the chunk limit) yet
+      hasMoreToWrite: (context) => {
+        const progress = context.keepWriting;
+        if (!progress || progress.chunks >= MAX_KEEP_WRITING_CHUNKS) return false;
+        
+        return progress.targetWords
+          ? progress.words < progress.targetWords
+          : !progress.sectionEnded && progress.words < MAX_SECTION_WORDS;
+      },
+      
+      // The suggestion continues the text (rather than replacing a selection)
+      isContinuation: (context) => !context.selectionCommand,
+      
+      // A selection command needs some selected text
+      hasSelection: (context, event) => event.from < event.to,
+      
+      // The user hasn't accepted any part of the suggestion yet
+      nothingAccepted: (context) => context.acceptedLength === 0,
+      
+      // A history entry with text to insert
+      hasEntryText: (context, event) => !!event.entry?.output,
+    },
+    
+    // Actions configuration
+    actions: {
+      // Back to the initial context (the new editor reports its state next)
+      resetContext: assign(() => ({ ...editorMachine.context })),
+      
+      // Remember where the user asked for a continuation
+      // Without an explicit position (e.g. the toolbar button) the cursor is used
+      captureAnchor: assign({
+        cursorPosition: (context, event) =>
+          event.cursorPosition ?? context.editorState?.selection?.from ?? 0,
+        selectionCommand: () => null,
+        bypassCache: () => false,
+      }),
+      
+      // Remember the command and the selected text it applies to
+      captureSelection: assign({
+        cursorPosition: (context, event) => event.to,
+        selectionCommand: (context, event) => ({
+          command: event.command,
+          tone: event.tone,
+          language: event.language,
+          from: event.from,
+          to: event.to,
+        }),
+        bypassCache: () => false,
+      }),
+      
+      // Store the new editor state and map the anchor through the change
+      // Text typed right at the anchor ends up before it (assoc 1),
+      // so the continuation follows what was typed.
+      // The selection shrinks away from text typed at its edges.
+      updateEditorState: assign((context, event) => {
+        const { mapping } = event;
+        if (!mapping) return { editorState: event.editorState };
+        
+        const selection = context.selectionCommand;
+        const from = selection && mapping.map(selection.from, 1);
+        
+        return {
+          editorState: event.editorState,
+          cursorPosition: mapping.map(context.cursorPosition, 1),
+          selectionCommand: selection && {
+            ...selection,
+            from,
+            to: Math.max(from, mapping.map(selection.to, -1)),
+          },
+        };
+      }),
+      
+      // The content is already in the editor, just clear the temporary storage
+      acceptAll: assign({
+        generatedContent: () => '',
+        shouldAcceptContent: () => true,
+      }),
+      
+      // Add the suggestion under review to the history (before it is cleared)
+      recordGeneration: assign({
+        history: (context, event) =>
+          [createHistoryEntry(context, event), ...context.history].slice(0, HISTORY_LIMIT),
+      }),
+      
+      // Count an accepted chunk towards the keep writing target
+      countChunk: assign({
+        keepWriting: (context) => ({
+          ...context.keepWriting,
+          chunks: context.keepWriting.chunks + 1,
+          words: context.keepWriting.words + countWords(context.generatedContent),
+          sectionEnded: context.finishedParagraph || endsSection(context.generatedContent),
+        }),
+      }),
+      
+      // Record a finished generation: who wrote it and how long it took
+      trackGeneration: (context) => track(TELEMETRY_EVENTS.generation, {
+        id: context.suggestion?.id,
+        command: context.selectionCommand?.command || null,
+        provider: context.suggestion?.provider,
+        model: context.suggestion?.model,
+        preset: context.suggestion?.preset,
+        cached: context.cached,
+        latency: context.latency,
+        length: context.generatedContent.length,
+        candidates: context.candidates.length,
+      }),
+      
+      // Accept the next word or sentence; the editor un-highlights it
+      acceptPart: assign({
+        acceptedLength: (context, event) => getAcceptedLength(context, event),
+      }),
+      
+      // Cycle through the candidates (wrapping around at either end)
+      // The editor swaps the highlighted text when generatedContent changes
+      showCandidate: assign((context, event) => {
+        const count = context.candidates.length;
+        if (count < 2) return {};
+        
+        const step = event.type === 'PREVIOUS_CANDIDATE' ? -1 : 1;
+        const candidateIndex = (context.candidateIndex + step + count) % count;
+        
+        return {
+          candidateIndex,
+          generatedContent: context.candidates[candidateIndex],
+        };
+      }),
+      
+      // Append a streamed chunk to the suggestion
+      // Leading whitespace is dropped because the editor adds its own separator
+      appendChunk: assign({
+        generatedContent: (context, event) => (context.generatedContent + event.chunk).trimStart(),
+      }),
+    },
+    
     // Services configuration (XState v4 style)
     services: {
-      generateContent: async (context) => {
-        try {
-          // Extract text from editor state
-          
-          const documentText = context.editorState?.doc?.textContent || "";
-          const cursorPos = context.cursorPosition;
-          
-          
-          
-          // Call our AI service (defined in aiService.js)
-          
-          const generatedText = await generateAIContent(documentText, cursorPos);
-          
-          
-          return generatedText;
-        } catch (error) {
-          
-          throw error; // Re-throw to trigger onError transition
-        }
+      // A callback service: it can send any number of events back to the machine
+      generateContent: (context) => (sendBack) => {
+        // Extract text from editor state (see getGenerationRequest)
+        const { documentText, cursorPos, outline, edit } = context.generationRequest;
+        
+        let receivedChunks = false;
+        let finishedParagraph = false;
+        
+        // Lets us abort the request when the machine leaves this state
+        const controller = new AbortController();
+        
+        // Call our AI service (defined in aiService.js)
+        const generate = edit
+          ? (options) => generateSelectionEdit(documentText, edit, options)
+          : (options) => generateAIContent(documentText, cursorPos, options);
+        
+        generate({
+          outline,
+          bypassCache: context.bypassCache,
+          signal: controller.signal,
+          onStart: ({ provider, model, preset, cached }) => {
+            sendBack({
+              type: 'AI_STARTED',
+              cached,
+              suggestion: {
+                id: `ai-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                provider,
+                model,
+                preset,
+                timestamp: Date.now(),
+              },
+            });
+          },
+          onChunk: (chunk) => {
+            receivedChunks = true;
+            sendBack({ type: 'AI_CHUNK', chunk });
+          },
+          onUsage: (usage) => {
+            sendBack({ type: 'AI_USAGE', usage });
+          },
+          onFinish: (info) => {
+            finishedParagraph = info.finishedParagraph;
+          },
+          // Temporary failure - tell the status bar how long the wait is
+          onRetry: ({ attempt, retries, delay, error }) => {
+            sendBack({
+              type: 'AI_RETRY',
+              retry: { attempt, retries, retryAt: Date.now() + delay, message: error.message },
+            });
+          },
+        })
+          .then((generatedText) => {
+            // Non-streaming responses arrive as a single chunk
+            if (!receivedChunks) {
+              sendBack({ type: 'AI_CHUNK', chunk: generatedText });
+            }
+            sendBack({ type: 'AI_DONE', finishedParagraph });
+          })
+          .catch((error) => {
+            // Cancelled on purpose - the machine has already moved on
+            if (controller.signal.aborted) return;
+            
+            sendBack({ type: 'AI_ERROR', error }); // Triggers the error transition
+          });
+        
+        // Cleanup: XState calls this when the state is exited (e.g. on CANCEL)
+        return () => controller.abort();
+      },
+      
+      // Ask for alternatives to the suggestion under review
+      // Aborted when the review ends
+      generateAlternatives: (context) => (sendBack) => {
+        const { documentText, cursorPos, outline, edit } = context.generationRequest;
+        const controller = new AbortController();
+        
+        generateAlternatives(documentText, cursorPos, {
+          edit,
+          outline,
+          bypassCache: context.bypassCache,
+          signal: controller.signal,
+        })
+          .then((alternatives) => {
+            if (alternatives.length > 0) sendBack({ type: 'ALTERNATIVES_READY', alternatives });
+          })
+          // Optional - without them the user still has the main suggestion
+          .catch(() => {});
+        
+        return () => controller.abort();
       }
     }
   }
@@ -255,11 +1050,41 @@ export const editorMachine = createMachine(
  *   
  *   // Check current state
  *   const isGenerating = state.matches('generating');
+ *   const isStreaming = state.matches({ generating: 'streaming' });
  *   
  *   // Send events
  *   send({ type: 'CONTINUE_CLICK', cursorPosition: 100 });
  *   
+ *   // Or continue from wherever the cursor is
+ *   send({ type: 'CONTINUE_CLICK' });
+ *   
+ *   // Rewrite the text between positions 10 and 42 in a casual tone
+ *   send({ type: 'SELECTION_COMMAND', command: 'tone', tone: 'casual', from: 10, to: 42 });
+ *   
+ *   // Keep the anchor in place while the document changes
+ *   send({ type: 'EDITOR_UPDATE', editorState: newState, mapping: transaction.mapping });
+ *   
  *   // Access context data
  *   const content = state.context.generatedContent;
+ *   
+ *   // Cycle through alternative suggestions while in review
+ *   send({ type: 'NEXT_CANDIDATE' });
+ *   
+ *   // Ask again for the same place, skipping the response cache
+ *   send({ type: 'REGENERATE' });
+ *   
+ *   // Accept the suggestion one word / sentence at a time
+ *   send({ type: 'ACCEPT_WORD' });
+ *   send({ type: 'ACCEPT_SENTENCE' });
+ *   
+ *   // Write about 300 words, a chunk at a time (each one is reviewed;
+ *   // accepting it requests the next)
+ *   send({ type: 'KEEP_WRITING', targetWords: 300 });
+ *   const { chunks, words } = state.context.keepWriting;
+ *   send({ type: 'STOP_KEEP_WRITING' });
+ *   
+ *   // Every accepted or discarded suggestion ends up in the history
+ *   const entries = state.context.history;
+ *   send({ type: 'REINSERT', entry: entries[0] });
  * }
  */
@@ -0,0 +1,506 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { generateAIContent, generateSelectionEdit, generateAlternatives } from '../aiService';
+import { getAIConfig } from '../aiConfig';
+import { registerProvider, listProviders } from '../providers';
+import { DEFAULT_PRESETS } from '../promptTemplates';
+import { countTokens, getContextWindow } from '../tokenizer';
+import { DEFAULT_CONTEXT_TOKENS } from '../contextBuilder';
+import { clearResponseCache } from '../responseCache';
+
+/**
+ * Register a fake provider and return its spies
+ */
+function registerFakeProvider(id, overrides = {}) {
+  const provider = {
+    id,
+    label: 'Fake',
+    capabilities: { streaming: true, requiresApiKey: false, offline: true },
+    generate: vi.fn(async () => '  generated text  '),
+    stream: vi.fn(async (request, { onChunk }) => {
+      onChunk('streamed');
+      onChunk(' text');
+      return 'streamed text';
+    }),
+    ...overrides,
+  };
+  registerProvider(id, () => provider);
+  return provider;
+}
+
+describe('AI provider configuration', () => {
+  it('should fall back to the mock provider without an API key', () => {
+    expect(getAIConfig({}, {}).provider).toBe('mock');
+  });
+
+  it('should use OpenAI when a key is present', () => {
+    const config = getAIConfig({}, { VITE_OPENAI_API_KEY: 'sk-test' });
+    expect(config).toMatchObject({ provider: 'openai', model: 'gpt-3.5-turbo', apiKey: 'sk-test' });
+  });
+
+  it('should read provider, model and base URL from the environment', () => {
+    const config = getAIConfig({}, {
+      VITE_AI_PROVIDER: 'local-server',
+      VITE_AI_MODEL: 'mistral',
+      VITE_AI_BASE_URL: 'http://localhost:8080/v1',
+    });
+    expect(config).toMatchObject({
+      provider: 'local-server',
+      model: 'mistral',
+      baseURL: 'http://localhost:8080/v1',
+    });
+  });
+
+  it('should let overrides win over the environment', () => {
+    const config = getAIConfig({ provider: 'anthropic', model: 'claude' }, { VITE_AI_PROVIDER: 'openai' });
+    expect(config).toMatchObject({ provider: 'anthropic', model: 'claude' });
+  });
+
+  it('should offer three candidates unless configured otherwise', () => {
+    expect(getAIConfig({}, {}).candidates).toBe(3);
+    expect(getAIConfig({}, { VITE_AI_CANDIDATES: '1' }).candidates).toBe(1);
+    expect(getAIConfig({}, { VITE_AI_CANDIDATES: '3' }).candidates).toBe(3);
+    expect(getAIConfig({}, { VITE_AI_CANDIDATES: '0' }).candidates).toBe(0);
+    expect(getAIConfig({ candidates: 0 }, { VITE_AI_CANDIDATES: '3' }).candidates).toBe(0);
+  });
+
+  it('should register the built-in providers', () => {
+    expect(listProviders()).toEqual(expect.arrayContaining(['openai', 'local-server', 'anthropic', 'mock']));
+  });
+});
+
+describe('generateAIContent provider dispatch', () => {
+  it('should call generate() with a provider-neutral request', async () => {
+    const provider = registerFakeProvider('fake-generate');
+
+    const text = await generateAIContent('Once upon a time', 16, { config: { provider: 'fake-generate' } });
+
+    expect(text).toBe('generated text');
+    expect(provider.generate).toHaveBeenCalledWith(
+      expect.objectContaining({ context: 'Once upon a time', maxTokens: 100 }),
+      expect.anything()
+    );
+  });
+
+  it('should call stream() when a chunk listener is given', async () => {
+    const provider = registerFakeProvider('fake-stream');
+    const onChunk = vi.fn();
+
+    const text = await generateAIContent('Hello', 5, { onChunk, config: { provider: 'fake-stream' } });
+
+    expect(text).toBe('streamed text');
+    expect(provider.generate).not.toHaveBeenCalled();
+    expect(onChunk).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not stream with providers that cannot', async () => {
+    const provider = registerFakeProvider('fake-no-stream', {
+      capabilities: { streaming: false, requiresApiKey: false, offline: true },
+    });
+
+    await generateAIContent('Hello', 5, { onChunk: vi.fn(), config: { provider: 'fake-no-stream' } });
+
+    expect(provider.stream).not.toHaveBeenCalled();
+    expect(provider.generate).toHaveBeenCalled();
+  });
+
+  it('should turn provider errors into friendly messages', async () => {
+    registerFakeProvider('fake-401', {
+      generate: vi.fn(async () => {
+        throw Object.assign(new Error('Unauthorized'), { status: 401 });
+      }),
+    });
+
+    await expect(generateAIContent('Hello', 5, { config: { provider: 'fake-401' } }))
+      .rejects.toThrow('Invalid API key. Please check your Fake API key.');
+  });
+});
+
+describe('generateSelectionEdit', () => {
+  const documentText = 'The cat sat on the mat. It was happy.';
+
+  it('should send the selected text and the command instruction', async () => {
+    const provider = registerFakeProvider('fake-edit');
+
+    const text = await generateSelectionEdit(
+      documentText,
+      { command: 'tone', tone: 'casual', from: 24, to: 37 },
+      { config: { provider: 'fake-edit' } }
+    );
+
+    expect(text).toBe('generated text');
+
+    const [request] = provider.generate.mock.calls[0];
+    expect(request.context).toBe('It was happy.');
+    expect(request.command).toBe('tone');
+    expect(request.system).toContain('casual tone');
+    expect(request.prompt).toContain('The cat sat on the mat.');
+  });
+
+  it('should reject unknown commands', async () => {
+    registerFakeProvider('fake-edit-unknown');
+
+    await expect(generateSelectionEdit(
+      documentText,
+      { command: 'sing', from: 0, to: 3 },
+      { config: { provider: 'fake-edit-unknown' } }
+    )).rejects.toThrow('Unknown selection command "sing"');
+  });
+
+  it('should request alternatives for the selection', async () => {
+    const provider = registerFakeProvider('fake-edit-alternatives');
+
+    await generateAlternatives(documentText, 0, {
+      count: 1,
+      edit: { command: 'shorten', from: 0, to: 23 },
+      config: { provider: 'fake-edit-alternatives' },
+    });
+
+    const [request] = provider.generate.mock.calls[0];
+    expect(request.command).toBe('shorten');
+    expect(request.context).toBe('The cat sat on the mat.');
+  });
+});
+
+describe('prompt presets', () => {
+  it('should render the preset templates into the request', async () => {
+    const provider = registerFakeProvider('fake-preset');
+    const preset = {
+      ...DEFAULT_PRESETS[0],
+      style: 'Pirate speak',
+      continuePrompt: '{{title}} | {{before}} | {{after}}',
+      temperature: 1.2,
+      maxTokens: 42,
+    };
+
+    await generateAIContent('My Title\nAhoy there. Land ho!', 20, {
+      preset,
+      config: { provider: 'fake-preset' },
+    });
+
+    const [request] = provider.generate.mock.calls[0];
+    expect(request.system).toContain('Style: Pirate speak');
+    expect(request.prompt).toBe('My Title | My Title\nAhoy there. |  Land ho!');
+    expect(request).toMatchObject({ temperature: 1.2, maxTokens: 42 });
+  });
+
+  it('should leave out the style line when the preset has no style', async () => {
+    const provider = registerFakeProvider('fake-preset-general');
+
+    await generateAIContent('Hello', 5, { preset: DEFAULT_PRESETS[0], config: { provider: 'fake-preset-general' } });
+
+    const [request] = provider.generate.mock.calls[0];
+    expect(request.system).not.toContain('Style:');
+    expect(request.prompt).toBe('Continue writing from here:\n\nHello');
+  });
+
+  it('should send the text after the cursor and the outline', async () => {
+    const provider = registerFakeProvider('fake-preset-context');
+
+    await generateAIContent('Intro\n\nThe start. The end.', 17, {
+      preset: DEFAULT_PRESETS[0],
+      outline: [{ level: 1, text: 'Intro', offset: 0 }],
+      config: { provider: 'fake-preset-context' },
+    });
+
+    const [request] = provider.generate.mock.calls[0];
+    expect(request.prompt).toContain('Document outline: # Intro (current section)');
+    expect(request.prompt).toContain('(what you write must lead into it):  The end.');
+    expect(request.prompt.endsWith('Intro\n\nThe start.')).toBe(true);
+  });
+
+  it('should use the preset for selection commands', async () => {
+    const provider = registerFakeProvider('fake-preset-edit');
+
+    await generateSelectionEdit(
+      'Short text.',
+      { command: 'rewrite', from: 0, to: 11 },
+      { preset: { ...DEFAULT_PRESETS[0], style: 'Formal' }, config: { provider: 'fake-preset-edit' } }
+    );
+
+    const [request] = provider.generate.mock.calls[0];
+    expect(request.system).toContain('Style: Formal');
+    expect(request.prompt).toBe('Text to revise:\n\nShort text.');
+  });
+});
+
+describe('token budgeting', () => {
+  const longText = 'Lorem ipsum dolor sit amet. '.repeat(2000);
+
+  it('should report prompt and completion tokens', async () => {
+    registerFakeProvider('fake-usage');
+    const onUsage = vi.fn();
+
+    await generateAIContent('Hello there', 11, { onUsage, config: { provider: 'fake-usage' } });
+
+    expect(onUsage).toHaveBeenCalledWith({
+      promptTokens: expect.any(Number),
+      completionTokens: countTokens('generated text'),
+    });
+    expect(onUsage.mock.calls[0][0].promptTokens).toBeGreaterThan(countTokens('Hello there'));
+  });
+
+  it('should fit the prompt into small context windows', async () => {
+    const provider = registerFakeProvider('fake-small-window');
+
+    await generateAIContent(longText, longText.length, {
+      config: { provider: 'fake-small-window', model: 'markov' },
+    });
+
+    const [request] = provider.generate.mock.calls[0];
+    expect(request.promptTokens + request.maxTokens).toBeLessThanOrEqual(getContextWindow('markov'));
+  });
+
+  it('should cap the context for large context windows', async () => {
+    const provider = registerFakeProvider('fake-large-window');
+
+    await generateAIContent(longText, longText.length, {
+      config: { provider: 'fake-large-window', model: 'gpt-4o' },
+    });
+
+    const [request] = provider.generate.mock.calls[0];
+    expect(countTokens(request.context)).toBeLessThanOrEqual(DEFAULT_CONTEXT_TOKENS);
+    expect(countTokens(request.context)).toBeGreaterThan(DEFAULT_CONTEXT_TOKENS / 2);
+  });
+});
+
+describe('retries and timeouts', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const serverError = () => Object.assign(new Error('Bad gateway'), { status: 502 });
+
+  it('should retry server errors with backoff', async () => {
+    const provider = registerFakeProvider('fake-flaky', {
+      generate: vi.fn()
+        .mockRejectedValueOnce(serverError())
+        .mockResolvedValue('finally'),
+    });
+    const onRetry = vi.fn();
+
+    const result = generateAIContent('Hello', 5, { onRetry, config: { provider: 'fake-flaky' } });
+    await vi.runAllTimersAsync();
+
+    await expect(result).resolves.toBe('finally');
+    expect(provider.generate).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, retries: 3 }));
+  });
+
+  it('should throw a typed error once the retries are used up', async () => {
+    const provider = registerFakeProvider('fake-down', {
+      generate: vi.fn().mockRejectedValue(serverError()),
+    });
+
+    const result = generateAIContent('Hello', 5, { config: { provider: 'fake-down', maxRetries: 2 } });
+    const assertion = expect(result).rejects.toMatchObject({
+      type: 'server',
+      message: 'Fake service error. Please try again later.',
+    });
+    await vi.runAllTimersAsync();
+
+    await assertion;
+    expect(provider.generate).toHaveBeenCalledTimes(3);
+  });
+
+  it('should never retry auth errors', async () => {
+    const provider = registerFakeProvider('fake-auth', {
+      generate: vi.fn().mockRejectedValue(Object.assign(new Error('Unauthorized'), { status: 401 })),
+    });
+
+    await expect(generateAIContent('Hello', 5, { config: { provider: 'fake-auth' } }))
+      .rejects.toMatchObject({ type: 'auth' });
+    expect(provider.generate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not retry once part of the answer was streamed', async () => {
+    const provider = registerFakeProvider('fake-broken-stream', {
+      stream: vi.fn(async (request, { onChunk }) => {
+        onChunk('Half an ');
+        throw serverError();
+      }),
+    });
+
+    await expect(generateAIContent('Hello', 5, { onChunk: vi.fn(), config: { provider: 'fake-broken-stream' } }))
+      .rejects.toMatchObject({ type: 'server' });
+    expect(provider.stream).toHaveBeenCalledTimes(1);
+  });
+
+  it('should time out silent requests', async () => {
+    registerFakeProvider('fake-silent', {
+      generate: vi.fn(() => new Promise(() => {})),
+    });
+
+    const result = generateAIContent('Hello', 5, {
+      config: { provider: 'fake-silent', timeout: 5000, maxRetries: 0 },
+    });
+    const assertion = expect(result).rejects.toMatchObject({
+      type: 'timeout',
+      message: 'Fake took too long to answer.',
+    });
+    await vi.advanceTimersByTimeAsync(5000);
+
+    await assertion;
+  });
+
+  it('should time out and retry alternatives like the main suggestion', async () => {
+    const provider = registerFakeProvider('fake-slow-alternatives', {
+      generate: vi.fn()
+        .mockImplementationOnce(() => new Promise(() => {}))
+        .mockResolvedValue('second try'),
+    });
+
+    const result = generateAlternatives('Hello', 5, {
+      count: 1,
+      config: { provider: 'fake-slow-alternatives', timeout: 5000 },
+    });
+    await vi.runAllTimersAsync();
+
+    await expect(result).resolves.toEqual(['second try']);
+    expect(provider.generate).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep the alternatives that succeeded when others fail', async () => {
+    registerFakeProvider('fake-partial-alternatives', {
+      generate: vi.fn()
+        .mockResolvedValueOnce('one')
+        .mockRejectedValueOnce(Object.assign(new Error('Unauthorized'), { status: 401 }))
+        .mockResolvedValueOnce('three'),
+    });
+
+    const alternatives = await generateAlternatives('Hello', 5, {
+      count: 3,
+      config: { provider: 'fake-partial-alternatives' },
+    });
+
+    expect(alternatives).toEqual(['one', 'three']);
+  });
+
+  it('should fail when every alternative fails', async () => {
+    registerFakeProvider('fake-no-alternatives', {
+      generate: vi.fn().mockRejectedValue(Object.assign(new Error('Unauthorized'), { status: 401 })),
+    });
+
+    await expect(generateAlternatives('Hello', 5, { count: 2, config: { provider: 'fake-no-alternatives' } }))
+      .rejects.toMatchObject({ type: 'auth' });
+  });
+});
+
+describe('response cache', () => {
+  beforeEach(async () => {
+    await clearResponseCache();
+  });
+
+  // Only providers that go over the network are cached
+  const registerNetworkProvider = (id, overrides) =>
+    registerFakeProvider(id, {
+      capabilities: { streaming: true, multipleCandidates: false, requiresApiKey: false, offline: false },
+      ...overrides,
+    });
+
+  it('should report a paragraph break at the end of the answer, streamed or not, and from the cache', async () => {
+    registerNetworkProvider('fake-paragraph', {
+      generate: vi.fn(async () => 'The end.\n\n'),
+      stream: vi.fn(async (request, { onChunk }) => {
+        onChunk('The end.\n\n');
+        return 'The end.\n\n';
+      }),
+    });
+    const config = { provider: 'fake-paragraph' };
+    const finished = [];
+    const onFinish = ({ finishedParagraph }) => finished.push(finishedParagraph);
+
+    await expect(generateAIContent('Hello', 5, { onFinish, config, bypassCache: true })).resolves.toBe('The end.');
+    await expect(generateAIContent('Hello', 5, { onFinish, onChunk: vi.fn(), config, bypassCache: true })).resolves.toBe('The end.');
+    await expect(generateAIContent('Hello', 5, { onFinish, config })).resolves.toBe('The end.');
+
+    expect(finished).toEqual([true, true, true]);
+  });
+
+  it('should answer identical requests from the cache', async () => {
+    const provider = registerNetworkProvider('fake-cached');
+    const onStart = vi.fn();
+    const onUsage = vi.fn();
+
+    const first = await generateAIContent('Hello', 5, { config: { provider: 'fake-cached' } });
+    const second = await generateAIContent('Hello', 5, { onStart, onUsage, config: { provider: 'fake-cached' } });
+
+    expect(second).toBe(first);
+    expect(provider.generate).toHaveBeenCalledTimes(1);
+    expect(onStart).toHaveBeenCalledWith(expect.objectContaining({ provider: 'fake-cached', cached: true }));
+    expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({ cached: true }));
+  });
+
+  it('should ask again when the text, preset or model changes', async () => {
+    const provider = registerNetworkProvider('fake-cache-miss');
+    const config = { provider: 'fake-cache-miss' };
+
+    await generateAIContent('Hello', 5, { config });
+    await generateAIContent('Hello!', 6, { config });
+    await generateAIContent('Hello', 5, { config: { ...config, model: 'other' } });
+    await generateAIContent('Hello', 5, { config, preset: { ...DEFAULT_PRESETS[0], style: 'Terse' } });
+
+    expect(provider.generate).toHaveBeenCalledTimes(4);
+  });
+
+  it('should skip the lookup when bypassing the cache, and cache the new answer', async () => {
+    const provider = registerNetworkProvider('fake-regenerate', {
+      generate: vi.fn()
+        .mockResolvedValueOnce('first')
+        .mockResolvedValueOnce('second'),
+    });
+    const config = { provider: 'fake-regenerate' };
+
+    await generateAIContent('Hello', 5, { config });
+    const fresh = await generateAIContent('Hello', 5, { config, bypassCache: true });
+    const cached = await generateAIContent('Hello', 5, { config });
+
+    expect(fresh).toBe('second');
+    expect(cached).toBe('second');
+    expect(provider.generate).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not cache offline providers or turned off caches', async () => {
+    const offline = registerFakeProvider('fake-offline-uncached');
+    const network = registerNetworkProvider('fake-cache-off');
+
+    for (let i = 0; i < 2; i++) {
+      await generateAIContent('Hello', 5, { config: { provider: 'fake-offline-uncached' } });
+      await generateAIContent('Hello', 5, { config: { provider: 'fake-cache-off', cacheSize: 0 } });
+    }
+
+    expect(offline.generate).toHaveBeenCalledTimes(2);
+    expect(network.generate).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not cache failures', async () => {
+    const provider = registerNetworkProvider('fake-cache-failure', {
+      generate: vi.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('Unauthorized'), { status: 401 }))
+        .mockResolvedValue('works now'),
+    });
+    const config = { provider: 'fake-cache-failure' };
+
+    await expect(generateAIContent('Hello', 5, { config })).rejects.toMatchObject({ type: 'auth' });
+
+    await expect(generateAIContent('Hello', 5, { config })).resolves.toBe('works now');
+  });
+
+  it('should cache alternatives for continuations', async () => {
+    const provider = registerNetworkProvider('fake-cached-alternatives', {
+      generate: vi.fn()
+        .mockResolvedValueOnce('one')
+        .mockResolvedValueOnce('two'),
+    });
+    const config = { provider: 'fake-cached-alternatives' };
+
+    const first = await generateAlternatives('Hello', 5, { count: 2, config });
+    const second = await generateAlternatives('Hello', 5, { count: 2, config });
+
+    expect(second).toEqual(first);
+    expect(provider.generate).toHaveBeenCalledTimes(2);
+  });
+});
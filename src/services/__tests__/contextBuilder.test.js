@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { buildContext, formatOutline } from '../contextBuilder';
+import { countTokens } from '../tokenizer';
+
+// Counting words makes budgets easy to reason about in tests
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+describe('buildContext', () => {
+  const documentText = 'First paragraph here.\n\nThe cat sat on the mat.\n\nLast paragraph there.';
+  const cursor = documentText.indexOf(' on the mat');
+
+  it('should include the text before and after the cursor', () => {
+    const context = buildContext(documentText, cursor);
+
+    expect(context.before).toBe('First paragraph here.\n\nThe cat sat');
+    expect(context.after).toBe(' on the mat.\n\nLast paragraph there.');
+    expect(context.paragraph).toBe('The cat sat on the mat.');
+    expect(context.selection).toBe('');
+  });
+
+  it('should return the selection separately', () => {
+    const from = documentText.indexOf('cat');
+    const context = buildContext(documentText, from, from + 'cat sat'.length);
+
+    expect(context.selection).toBe('cat sat');
+    expect(context.before.endsWith('The ')).toBe(true);
+    expect(context.after.startsWith(' on the mat.')).toBe(true);
+  });
+
+  it('should prefer the current paragraph over other text', () => {
+    const context = buildContext(documentText, cursor, cursor, { maxTokens: 6, countTokens: countWords });
+
+    expect(context.before).toBe('The cat sat');
+    expect(context.after).toBe(' on the mat.');
+  });
+
+  it('should give leftover budget to the surrounding paragraphs', () => {
+    const context = buildContext(documentText, cursor, cursor, { maxTokens: 9, countTokens: countWords });
+
+    // 6 words for the paragraph, 1 of the remaining 3 after, 2 before
+    expect(context.before).toBe('paragraph here.\n\nThe cat sat');
+    expect(context.after).toBe(' on the mat.\n\nLast ');
+    expect(context.tokens).toBeLessThanOrEqual(9);
+  });
+
+  it('should keep the text right before the cursor when the paragraph is too long', () => {
+    const long = Array.from({ length: 100 }, (_, i) => `w${i}`).join(' ');
+    const context = buildContext(long, long.indexOf('w50') + 3, undefined, {
+      maxTokens: 8,
+      countTokens: countWords,
+    });
+
+    expect(context.before).toBe('w45 w46 w47 w48 w49 w50');
+    expect(context.after).toBe(' w51 w52 ');
+  });
+
+  it('should never cut words in half', () => {
+    const long = 'alpha beta gamma delta epsilon '.repeat(50);
+    const context = buildContext(long, 400, 400, { maxTokens: 20 });
+
+    expect(countTokens(context.before) + countTokens(context.after)).toBeLessThanOrEqual(20);
+    expect(context.before).toMatch(/^(alpha|beta|gamma|delta|epsilon)/);
+  });
+
+  it('should include the outline', () => {
+    const outline = [
+      { level: 1, text: 'Pets', offset: 0 },
+      { level: 2, text: 'Cats', offset: 10 },
+    ];
+    const context = buildContext(documentText, cursor, cursor, { outline });
+
+    expect(context.outline).toBe('# Pets\n## Cats (current section)');
+  });
+
+  it('should handle an empty document', () => {
+    expect(buildContext('', 0)).toMatchObject({ before: '', after: '', paragraph: '', outline: '', tokens: 0 });
+  });
+});
+
+describe('formatOutline', () => {
+  const outline = [
+    { level: 1, text: 'Guide', offset: 0 },
+    { level: 2, text: 'Install', offset: 10 },
+    { level: 3, text: 'Linux', offset: 20 },
+    { level: 2, text: 'Usage', offset: 30 },
+    { level: 3, text: 'Basics', offset: 40 },
+    { level: 3, text: 'Advanced', offset: 50 },
+  ];
+
+  it('should mark the section the cursor is in', () => {
+    expect(formatOutline(outline, 25, 100)).toContain('### Linux (current section)');
+  });
+
+  it('should keep only the path to the current section when over budget', () => {
+    expect(formatOutline(outline, 45, 10, countWords)).toBe('# Guide\n## Usage\n### Basics (current section)');
+  });
+
+  it('should return nothing without headings or budget', () => {
+    expect(formatOutline([], 0, 100)).toBe('');
+    expect(formatOutline(outline, 0, 0)).toBe('');
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// An in-memory stand-in for IndexedDB (jsdom has none)
+const records = new Map();
+let databaseAvailable = true;
+
+vi.mock('../database', () => ({
+  openDatabase: vi.fn(async () => (databaseAvailable ? {} : null)),
+  getRecord: vi.fn(async (store, key) => records.get(key) ?? null),
+  getAllRecords: vi.fn(async () => [...records.values()]),
+  putRecord: vi.fn(async (store, record) => {
+    if (databaseAvailable) records.set(record.id, record);
+  }),
+  deleteRecord: vi.fn(async (store, key) => {
+    records.delete(key);
+  }),
+}));
+
+import {
+  listDocuments,
+  loadDocument,
+  createDocument,
+  saveDocument,
+  updateDocument,
+  duplicateDocument,
+  deleteDocument,
+  createAutosaver,
+  DEFAULT_DOCUMENT_ID,
+  DEFAULT_TITLE,
+} from '../documentStore';
+
+const content = { type: 'doc', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Hello' }] }] };
+
+describe('documentStore', () => {
+  beforeEach(() => {
+    records.clear();
+    databaseAvailable = true;
+  });
+
+  it('should create, save and load documents', async () => {
+    const created = await createDocument({ title: 'Story', settings: { presetId: 'fiction' } });
+    const savedAt = await saveDocument(created.id, content);
+
+    expect(savedAt).toEqual(expect.any(Number));
+    expect(await loadDocument(created.id)).toEqual({
+      id: created.id,
+      title: 'Story',
+      content,
+      settings: { presetId: 'fiction' },
+      createdAt: created.createdAt,
+      savedAt,
+    });
+  });
+
+  it('should list documents oldest first, without their content', async () => {
+    const first = await createDocument({ title: 'First', content });
+    vi.spyOn(Date, 'now').mockReturnValue(first.createdAt + 1);
+    const second = await createDocument({ title: 'Second', content });
+    vi.restoreAllMocks();
+
+    const documents = await listDocuments();
+
+    expect(documents.map(({ id }) => id)).toEqual([first.id, second.id]);
+    expect(documents[0]).not.toHaveProperty('content');
+  });
+
+  it('should rename, duplicate and delete documents', async () => {
+    const original = await createDocument({ content, settings: { suggestionMode: 'ghost' } });
+
+    await updateDocument(original.id, { title: 'Essay' });
+    const copy = await duplicateDocument(original.id);
+    await deleteDocument(original.id);
+
+    expect(copy).toMatchObject({ title: 'Essay (copy)', content, settings: { suggestionMode: 'ghost' } });
+    expect(copy.id).not.toBe(original.id);
+    expect((await listDocuments()).map(({ id }) => id)).toEqual([copy.id]);
+  });
+
+  it('should not bring back a deleted document when a late save arrives', async () => {
+    const created = await createDocument();
+    await deleteDocument(created.id);
+
+    expect(await saveDocument(created.id, content)).toBeNull();
+    expect(records.size).toBe(0);
+  });
+
+  it('should keep a rename made while a save is running', async () => {
+    const created = await createDocument();
+
+    await Promise.all([saveDocument(created.id, content), updateDocument(created.id, { title: 'Renamed' })]);
+
+    expect(await loadDocument(created.id)).toMatchObject({ title: 'Renamed', content });
+  });
+
+  it('should read documents saved before there were several', async () => {
+    records.set(DEFAULT_DOCUMENT_ID, { id: DEFAULT_DOCUMENT_ID, content, savedAt: 1000 });
+
+    expect(await loadDocument()).toEqual({
+      id: DEFAULT_DOCUMENT_ID,
+      title: DEFAULT_TITLE,
+      content,
+      settings: {},
+      createdAt: 1000,
+      savedAt: 1000,
+    });
+  });
+
+  it('should return null for a document that was never saved', async () => {
+    expect(await loadDocument('other')).toBeNull();
+  });
+
+  it('should report that nothing was saved without IndexedDB', async () => {
+    databaseAvailable = false;
+    const created = await createDocument();
+
+    expect(created.title).toBe(DEFAULT_TITLE);
+    expect(await saveDocument(created.id, content)).toBeNull();
+    expect(records.size).toBe(0);
+  });
+});
+
+describe('createAutosaver', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should only save the last value once changes pause', async () => {
+    const save = vi.fn(async (value) => value.length);
+    const onSaved = vi.fn();
+    const autosaver = createAutosaver({ save, delay: 1000, onSaved });
+
+    autosaver.schedule('H');
+    await vi.advanceTimersByTimeAsync(500);
+    autosaver.schedule('He');
+    await vi.advanceTimersByTimeAsync(500);
+    autosaver.schedule('Hey');
+
+    expect(save).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(save).toHaveBeenCalledWith('Hey');
+    expect(onSaved).toHaveBeenCalledWith(3);
+  });
+
+  it('should save right away on flush, and not again when the timer ends', async () => {
+    const save = vi.fn(async () => {});
+    const autosaver = createAutosaver({ save, delay: 1000 });
+
+    autosaver.schedule('Hello');
+    await autosaver.flush();
+
+    expect(save).toHaveBeenCalledWith('Hello');
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await autosaver.flush();
+
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  it('should save one version after another', async () => {
+    const saved = [];
+    const save = vi.fn(async (value) => {
+      // The first save is slower than the second
+      await new Promise((resolve) => setTimeout(resolve, value === 'old' ? 300 : 10));
+      saved.push(value);
+    });
+    const autosaver = createAutosaver({ save, delay: 0 });
+
+    autosaver.schedule('old');
+    autosaver.flush();
+    autosaver.schedule('new');
+    autosaver.flush();
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(saved).toEqual(['old', 'new']);
+  });
+
+  it('should report failed saves and keep saving later changes', async () => {
+    const save = vi.fn()
+      .mockRejectedValueOnce(new Error('QuotaExceededError'))
+      .mockResolvedValueOnce(42);
+    const onSaved = vi.fn();
+    const onError = vi.fn();
+    const autosaver = createAutosaver({ save, onSaved, onError });
+
+    autosaver.schedule('a');
+    await autosaver.flush();
+    autosaver.schedule('b');
+    await autosaver.flush();
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'QuotaExceededError' }));
+    expect(onSaved).toHaveBeenCalledWith(42);
+  });
+
+  it('should drop the waiting value on cancel', async () => {
+    const save = vi.fn(async () => {});
+    const autosaver = createAutosaver({ save, delay: 1000 });
+
+    autosaver.schedule('Hello');
+    autosaver.cancel();
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  classifyError,
+  getRetryAfter,
+  AIError,
+  AuthError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  ContentFilterError,
+  TimeoutError,
+} from '../errors';
+
+const provider = { label: 'Fake' };
+
+/**
+ * An error like the ones the OpenAI SDK throws
+ */
+function httpError(status, extra = {}) {
+  return Object.assign(new Error(`Status ${status}`), { status, ...extra });
+}
+
+describe('classifyError', () => {
+  it('should never retry auth errors', () => {
+    const error = classifyError(httpError(401), provider);
+
+    expect(error).toBeInstanceOf(AuthError);
+    expect(error).toMatchObject({ type: 'auth', retryable: false, status: 401 });
+    expect(error.message).toBe('Invalid API key. Please check your Fake API key.');
+  });
+
+  it('should read retry-after from rate limit errors', () => {
+    const error = classifyError(httpError(429, { headers: { 'retry-after': '7' } }), provider);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error).toMatchObject({ type: 'rate-limit', retryable: true, retryAfter: 7000 });
+  });
+
+  it('should classify server errors as retryable', () => {
+    expect(classifyError(httpError(503), provider)).toBeInstanceOf(ServerError);
+    expect(classifyError(httpError(503), provider).retryable).toBe(true);
+  });
+
+  it('should classify failed fetches as network errors', () => {
+    const error = classifyError(new TypeError('Failed to fetch'), provider);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.retryable).toBe(true);
+  });
+
+  it('should classify refusals as content filter errors', () => {
+    const error = classifyError(httpError(400, { code: 'content_policy_violation' }), provider);
+
+    expect(error).toBeInstanceOf(ContentFilterError);
+    expect(error.retryable).toBe(false);
+  });
+
+  it('should classify SDK timeouts', () => {
+    const sdkError = Object.assign(new Error('Request timed out.'), { name: 'APIConnectionTimeoutError' });
+
+    expect(classifyError(sdkError, provider)).toBeInstanceOf(TimeoutError);
+  });
+
+  it('should keep errors that are already classified', () => {
+    const timeout = new TimeoutError('Too slow');
+
+    expect(classifyError(timeout, provider)).toBe(timeout);
+  });
+
+  it('should fall back to a generic error that is not retried', () => {
+    const error = classifyError(new Error('Something odd'), provider);
+
+    expect(error).toBeInstanceOf(AIError);
+    expect(error).toMatchObject({ type: 'unknown', retryable: false });
+    expect(error.cause.message).toBe('Something odd');
+  });
+});
+
+describe('getRetryAfter', () => {
+  it('should read seconds, milliseconds and dates', () => {
+    expect(getRetryAfter({ 'retry-after': '2' })).toBe(2000);
+    expect(getRetryAfter(new Headers({ 'retry-after-ms': '1500' }))).toBe(1500);
+
+    const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+    expect(getRetryAfter({ 'retry-after': inFiveSeconds })).toBeGreaterThan(3000);
+  });
+
+  it('should return null when the provider does not say', () => {
+    expect(getRetryAfter(undefined)).toBeNull();
+    expect(getRetryAfter({})).toBeNull();
+    expect(getRetryAfter({ 'retry-after': 'soon' })).toBeNull();
+  });
+});
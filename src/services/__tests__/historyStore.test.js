@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// An in-memory stand-in for IndexedDB (jsdom has none)
+const records = new Map();
+let databaseAvailable = true;
+
+vi.mock('../database', () => ({
+  getRecord: vi.fn(async (store, key) => {
+    if (!databaseAvailable) throw new Error('IndexedDB is not available');
+    return records.get(key) ?? null;
+  }),
+  putRecord: vi.fn(async (store, record) => {
+    if (!databaseAvailable) throw new Error('IndexedDB is not available');
+    records.set(record.documentId, record);
+  }),
+  deleteRecord: vi.fn(async (store, key) => {
+    records.delete(key);
+  }),
+}));
+
+import { loadHistory, saveHistory, deleteHistory, HISTORY_LIMIT } from '../historyStore';
+
+const entry = (id) => ({ id, output: `Suggestion ${id}`, outcome: 'discarded' });
+
+describe('historyStore', () => {
+  beforeEach(() => {
+    records.clear();
+    databaseAvailable = true;
+  });
+
+  it('should save and load a document\'s history', async () => {
+    await saveHistory('doc-1', [entry('b'), entry('a')]);
+
+    expect(await loadHistory('doc-1')).toEqual([entry('b'), entry('a')]);
+    expect(await loadHistory('doc-2')).toEqual([]);
+  });
+
+  it('should keep only the newest entries', async () => {
+    const entries = Array.from({ length: HISTORY_LIMIT + 5 }, (_, index) => entry(String(index)));
+    await saveHistory('doc-1', entries);
+
+    const loaded = await loadHistory('doc-1');
+    expect(loaded).toHaveLength(HISTORY_LIMIT);
+    expect(loaded[0].id).toBe('0');
+  });
+
+  it('should delete a document\'s history', async () => {
+    await saveHistory('doc-1', [entry('a')]);
+    await deleteHistory('doc-1');
+
+    expect(await loadHistory('doc-1')).toEqual([]);
+  });
+
+  it('should carry on without IndexedDB', async () => {
+    databaseAvailable = false;
+
+    await expect(saveHistory('doc-1', [entry('a')])).resolves.toBeUndefined();
+    expect(await loadHistory('doc-1')).toEqual([]);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createLocalProvider } from '../providers/localProvider';
+
+/**
+ * A stand-in for the local model's Web Worker (jsdom has none)
+ * The test answers its messages by calling onmessage / onerror itself.
+ */
+class FakeWorker {
+  static last = null;
+
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+    FakeWorker.last = this;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('localProvider (Web Worker)', () => {
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should resolve with the worker\'s answer and remove its abort listener', async () => {
+    const provider = createLocalProvider();
+    const controller = new AbortController();
+    const removeListener = vi.spyOn(controller.signal, 'removeEventListener');
+
+    const result = provider.generate({ context: 'Hello' }, { signal: controller.signal });
+    const worker = FakeWorker.last;
+    const { id } = worker.messages.find(message => message.type === 'generate');
+    worker.onmessage({ data: { type: 'done', id, text: 'world' } });
+
+    await expect(result).resolves.toBe('world');
+    expect(removeListener).toHaveBeenCalledWith('abort', expect.any(Function));
+  });
+
+  it('should reject every waiting request at once when the worker fails', async () => {
+    const provider = createLocalProvider();
+
+    const first = provider.generate({ context: 'Hello' });
+    const second = provider.stream({ context: 'Hello' }, { onChunk: () => {} });
+    FakeWorker.last.onerror({ message: 'Script failed to load', preventDefault: () => {} });
+
+    await expect(first).rejects.toThrow('Local model failed: Script failed to load');
+    await expect(second).rejects.toThrow('Local model failed');
+    expect(FakeWorker.last.terminated).toBe(true);
+
+    // The worker can't answer any more - later requests fail right away too
+    await expect(provider.generate({ context: 'Hello' })).rejects.toThrow('Local model failed');
+  });
+
+  it('should cancel the request in the worker when aborted', async () => {
+    const provider = createLocalProvider();
+    const controller = new AbortController();
+
+    const result = provider.generate({ context: 'Hello' }, { signal: controller.signal });
+    controller.abort();
+
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    expect(FakeWorker.last.messages.at(-1)).toMatchObject({ type: 'cancel' });
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  loadPresets,
+  savePresets,
+  resetPresets,
+  getActivePreset,
+  getActivePresetId,
+  setActivePresetId,
+} from '../presetStore';
+import { DEFAULT_PRESETS } from '../promptTemplates';
+
+describe('presetStore', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should start with the built-in presets', () => {
+    const presets = loadPresets();
+
+    expect(presets.map((preset) => preset.id)).toEqual(DEFAULT_PRESETS.map((preset) => preset.id));
+    expect(presets.every((preset) => preset.builtIn)).toBe(true);
+    expect(localStorage.getItem('ai-writer:presets')).toBeNull();
+  });
+
+  it('should save edited built-ins and custom presets', () => {
+    const presets = loadPresets();
+    presets[1] = { ...presets[1], style: 'Very chatty' };
+    presets.push({ ...DEFAULT_PRESETS[0], id: 'poetry', name: 'Poetry', style: 'Rhyming', builtIn: false });
+
+    savePresets(presets);
+
+    // Unchanged built-ins are not stored
+    const stored = JSON.parse(localStorage.getItem('ai-writer:presets'));
+    expect(stored.map((preset) => preset.id)).toEqual(['blog', 'poetry']);
+    expect(stored[0]).not.toHaveProperty('builtIn');
+
+    const loaded = loadPresets();
+    expect(loaded.find((preset) => preset.id === 'blog')).toMatchObject({ style: 'Very chatty', builtIn: true });
+    expect(loaded.at(-1)).toMatchObject({ id: 'poetry', name: 'Poetry', builtIn: false });
+  });
+
+  it('should fill in fields missing from saved presets', () => {
+    localStorage.setItem('ai-writer:presets', JSON.stringify([{ id: 'poetry', name: 'Poetry' }]));
+
+    const poetry = loadPresets().at(-1);
+
+    expect(poetry.continuePrompt).toBe(DEFAULT_PRESETS[0].continuePrompt);
+    expect(poetry.temperature).toBe(DEFAULT_PRESETS[0].temperature);
+  });
+
+  it('should ignore corrupt data', () => {
+    localStorage.setItem('ai-writer:presets', '{not json');
+
+    expect(loadPresets()).toHaveLength(DEFAULT_PRESETS.length);
+  });
+
+  it('should remember the active preset', () => {
+    expect(getActivePresetId()).toBe('general');
+
+    setActivePresetId('fiction');
+
+    expect(getActivePreset()).toMatchObject({ id: 'fiction', name: 'Fiction' });
+  });
+
+  it('should fall back to the first preset if the active one is gone', () => {
+    setActivePresetId('deleted');
+
+    expect(getActivePreset().id).toBe('general');
+  });
+
+  it('should reset everything', () => {
+    savePresets([{ ...DEFAULT_PRESETS[0], id: 'poetry', builtIn: false }]);
+    setActivePresetId('poetry');
+
+    expect(resetPresets()).toHaveLength(DEFAULT_PRESETS.length);
+    expect(getActivePresetId()).toBe('general');
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import {
+  renderTemplate,
+  findUnknownVariables,
+  getDocumentTitle,
+  DEFAULT_PRESETS,
+} from '../promptTemplates';
+
+describe('renderTemplate', () => {
+  it('should fill in variables', () => {
+    expect(renderTemplate('Write {{style}}: {{ before }}', { style: 'briefly', before: 'Hi' }))
+      .toBe('Write briefly: Hi');
+  });
+
+  it('should leave out lines whose variables are all empty', () => {
+    const template = 'Title: {{title}}\n\nContinue writing from here:\n\n{{before}}';
+
+    expect(renderTemplate(template, { title: '', before: 'Once' }))
+      .toBe('Continue writing from here:\n\nOnce');
+  });
+
+  it('should keep a line if any of its variables has a value', () => {
+    expect(renderTemplate('{{title}} - {{style}}', { title: '', style: 'Fiction' })).toBe('- Fiction');
+  });
+
+  it('should treat missing variables as empty', () => {
+    expect(renderTemplate('Before\n{{after}}\nAfter', {})).toBe('Before\nAfter');
+  });
+
+  it('should keep multi-line values intact', () => {
+    expect(renderTemplate('Text: {{before}}', { before: 'one\n\n\n\ntwo' })).toBe('Text: one\n\ntwo');
+  });
+});
+
+describe('findUnknownVariables', () => {
+  it('should report misspelled variables once', () => {
+    expect(findUnknownVariables('{{befor}} {{before}} {{befor}} {{tone}}')).toEqual(['befor', 'tone']);
+  });
+
+  it('should accept every variable the built-in presets use', () => {
+    for (const preset of DEFAULT_PRESETS) {
+      for (const field of ['systemPrompt', 'continuePrompt', 'editSystemPrompt', 'editPrompt']) {
+        expect(findUnknownVariables(preset[field])).toEqual([]);
+      }
+    }
+  });
+});
+
+describe('getDocumentTitle', () => {
+  it('should use a short first line followed by more text', () => {
+    expect(getDocumentTitle('My Story\n\nOnce upon a time')).toBe('My Story');
+  });
+
+  it('should not treat a lone line as the title', () => {
+    expect(getDocumentTitle('Once upon a time')).toBe('');
+  });
+
+  it('should not treat a long first paragraph as the title', () => {
+    expect(getDocumentTitle(`${'word '.repeat(30)}\nMore`)).toBe('');
+  });
+});
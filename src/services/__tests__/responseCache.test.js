@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// An in-memory stand-in for IndexedDB (jsdom has none)
+const records = new Map();
+
+vi.mock('../database', () => ({
+  getAllRecords: vi.fn(async () => [...records.values()]),
+  putRecord: vi.fn(async (store, record) => {
+    records.set(record.key, record);
+  }),
+  deleteRecord: vi.fn(async (store, key) => {
+    records.delete(key);
+  }),
+  clearRecords: vi.fn(async () => {
+    records.clear();
+  }),
+}));
+
+/**
+ * Import a fresh copy of the cache, as if the page was reloaded
+ */
+async function loadCache() {
+  vi.resetModules();
+  return import('../responseCache');
+}
+
+describe('getCacheKey', () => {
+  it('should change with every part of the request', async () => {
+    const { getCacheKey } = await loadCache();
+    const parts = { provider: 'openai', model: 'gpt-4o', template: ['Continue:', 0.7], context: 'Hello' };
+    const key = getCacheKey(parts);
+
+    expect(getCacheKey({ ...parts })).toBe(key);
+    expect(getCacheKey({ ...parts, provider: 'anthropic' })).not.toBe(key);
+    expect(getCacheKey({ ...parts, model: 'gpt-4' })).not.toBe(key);
+    expect(getCacheKey({ ...parts, template: ['Continue:', 0.8] })).not.toBe(key);
+    expect(getCacheKey({ ...parts, context: 'Hello!' })).not.toBe(key);
+  });
+
+  it('should keep keys short for long documents', async () => {
+    const { getCacheKey } = await loadCache();
+    const key = getCacheKey({ provider: 'openai', model: 'gpt-4o', template: [], context: 'word '.repeat(10000) });
+
+    expect(key.length).toBeLessThan(60);
+  });
+});
+
+describe('response cache', () => {
+  beforeEach(() => {
+    records.clear();
+  });
+
+  it('should return cached responses and null for unknown keys', async () => {
+    const { getCachedResponse, setCachedResponse } = await loadCache();
+
+    await setCachedResponse('a', 'Once upon a time');
+
+    expect(await getCachedResponse('a')).toBe('Once upon a time');
+    expect(await getCachedResponse('b')).toBeNull();
+  });
+
+  it('should drop the least recently used entry when full', async () => {
+    const { getCachedResponse, setCachedResponse } = await loadCache();
+
+    await setCachedResponse('a', 'A', 2);
+    await setCachedResponse('b', 'B', 2);
+    await getCachedResponse('a'); // 'b' is now the oldest
+    await setCachedResponse('c', 'C', 2);
+
+    expect(await getCachedResponse('a')).toBe('A');
+    expect(await getCachedResponse('b')).toBeNull();
+    expect(await getCachedResponse('c')).toBe('C');
+    expect([...records.keys()].sort()).toEqual(['a', 'c']);
+  });
+
+  it('should survive a reload', async () => {
+    const first = await loadCache();
+    await first.setCachedResponse('a', ['one', 'two']);
+
+    const second = await loadCache();
+
+    expect(await second.getCachedResponse('a')).toEqual(['one', 'two']);
+  });
+
+  it('should keep the LRU order across a reload', async () => {
+    const first = await loadCache();
+    vi.spyOn(Date, 'now').mockReturnValueOnce(1).mockReturnValueOnce(2).mockReturnValueOnce(3);
+    await first.setCachedResponse('a', 'A', 2);
+    await first.setCachedResponse('b', 'B', 2);
+    await first.getCachedResponse('a');
+    vi.restoreAllMocks();
+
+    const second = await loadCache();
+    await second.setCachedResponse('c', 'C', 2);
+
+    expect(await second.getCachedResponse('b')).toBeNull();
+    expect(await second.getCachedResponse('a')).toBe('A');
+  });
+
+  it('should clear everything', async () => {
+    const { getCachedResponse, setCachedResponse, clearResponseCache } = await loadCache();
+    await setCachedResponse('a', 'A');
+
+    await clearResponseCache();
+
+    expect(await getCachedResponse('a')).toBeNull();
+    expect(records.size).toBe(0);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { withRetry, withTimeout, getBackoffDelay } from '../retry';
+import { AuthError, ServerError, RateLimitError, TimeoutError } from '../errors';
+import { isAbortError } from '../abort';
+
+describe('getBackoffDelay', () => {
+  it('should double the delay with every attempt', () => {
+    const noJitter = { random: () => 1 };
+
+    expect(getBackoffDelay(0, noJitter)).toBe(1000);
+    expect(getBackoffDelay(1, noJitter)).toBe(2000);
+    expect(getBackoffDelay(2, noJitter)).toBe(4000);
+  });
+
+  it('should add jitter and respect the maximum', () => {
+    expect(getBackoffDelay(0, { random: () => 0 })).toBe(500);
+    expect(getBackoffDelay(10, { random: () => 1, maxDelay: 5000 })).toBe(5000);
+  });
+});
+
+describe('withRetry', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should retry retryable errors until the operation succeeds', async () => {
+    const operation = vi.fn()
+      .mockRejectedValueOnce(new ServerError('Down'))
+      .mockRejectedValueOnce(new ServerError('Down'))
+      .mockResolvedValue('done');
+    const onRetry = vi.fn();
+
+    const result = withRetry(operation, { retries: 3, onRetry });
+    await vi.runAllTimersAsync();
+
+    await expect(result).resolves.toBe('done');
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([retry]) => retry.attempt)).toEqual([1, 2]);
+  });
+
+  it('should not retry auth errors', async () => {
+    const operation = vi.fn().mockRejectedValue(new AuthError('Bad key'));
+
+    await expect(withRetry(operation, { retries: 3 })).rejects.toThrow('Bad key');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give up after the last retry', async () => {
+    const operation = vi.fn().mockRejectedValue(new ServerError('Down'));
+
+    const result = withRetry(operation, { retries: 2 });
+    const assertion = expect(result).rejects.toThrow('Down');
+    await vi.runAllTimersAsync();
+
+    await assertion;
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+
+  it('should wait as long as a rate limit asks', async () => {
+    const operation = vi.fn()
+      .mockRejectedValueOnce(new RateLimitError('Slow down', { retryAfter: 4000 }))
+      .mockResolvedValue('done');
+    const onRetry = vi.fn();
+
+    const result = withRetry(operation, { onRetry });
+
+    await vi.advanceTimersByTimeAsync(3999);
+    expect(operation).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toBe('done');
+    expect(onRetry.mock.calls[0][0].delay).toBe(4000);
+  });
+
+  it('should give up when a rate limit asks for too long a wait', async () => {
+    const operation = vi.fn().mockRejectedValue(new RateLimitError('Come back tomorrow', { retryAfter: 86400000 }));
+
+    await expect(withRetry(operation)).rejects.toThrow('Come back tomorrow');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop waiting when aborted', async () => {
+    const controller = new AbortController();
+    const operation = vi.fn().mockRejectedValue(new ServerError('Down'));
+
+    const result = withRetry(operation, { signal: controller.signal });
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+
+    await expect(result).rejects.toSatisfy(isAbortError);
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('withTimeout', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should fail with a TimeoutError and abort the operation', async () => {
+    let operationSignal;
+    const result = withTimeout(({ signal }) => {
+      operationSignal = signal;
+      return new Promise(() => {});
+    }, { timeout: 1000, message: 'Too slow' });
+    const assertion = expect(result).rejects.toBeInstanceOf(TimeoutError);
+
+    await vi.advanceTimersByTimeAsync(1000);
+
+    await assertion;
+    expect(operationSignal.aborted).toBe(true);
+  });
+
+  it('should restart the timer when asked', async () => {
+    let restart;
+    let finish;
+    const result = withTimeout(({ restartTimer }) => {
+      restart = restartTimer;
+      return new Promise((resolve) => { finish = resolve; });
+    }, { timeout: 1000 });
+
+    await vi.advanceTimersByTimeAsync(800);
+    restart();
+    await vi.advanceTimersByTimeAsync(800);
+    finish('still going');
+
+    await expect(result).resolves.toBe('still going');
+  });
+
+  it('should pass the caller\'s abort on to the operation', () => {
+    const controller = new AbortController();
+    let operationSignal;
+    withTimeout(({ signal }) => {
+      operationSignal = signal;
+      return new Promise(() => {});
+    }, { timeout: 0, signal: controller.signal });
+
+    controller.abort();
+
+    expect(operationSignal.aborted).toBe(true);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createMachine, interpret } from 'xstate';
+import {
+  track,
+  addSink,
+  createMemorySink,
+  trackTransitions,
+  debugLog,
+  TELEMETRY_ENABLED,
+  TELEMETRY_EVENTS,
+} from '../telemetry';
+
+describe('telemetry', () => {
+  const removers = [];
+
+  /**
+   * Add a sink for one test
+   */
+  function listen(sink = vi.fn()) {
+    removers.push(addSink(sink));
+    return sink;
+  }
+
+  afterEach(() => {
+    removers.splice(0).forEach(remove => remove());
+  });
+
+  it('should be silent in tests', () => {
+    const log = vi.spyOn(console, 'debug');
+
+    expect(TELEMETRY_ENABLED).toBe(false);
+    expect(track(TELEMETRY_EVENTS.action, { action: 'accept' })).toBeNull();
+    expect(debugLog.getEvents()).toEqual([]);
+    expect(log).not.toHaveBeenCalled();
+
+    log.mockRestore();
+  });
+
+  it('should send structured events to every sink', () => {
+    const first = listen();
+    const second = listen();
+
+    const event = track(TELEMETRY_EVENTS.usage, { promptTokens: 10, completionTokens: 2 });
+
+    expect(event).toEqual({
+      id: expect.any(Number),
+      type: 'usage',
+      time: expect.any(Number),
+      data: { promptTokens: 10, completionTokens: 2 },
+    });
+    expect(first).toHaveBeenCalledWith(event);
+    expect(second).toHaveBeenCalledWith(event);
+  });
+
+  it('should stop sending to a removed sink', () => {
+    const sink = vi.fn();
+    const remove = addSink(sink);
+    remove();
+
+    track(TELEMETRY_EVENTS.action, { action: 'discard' });
+
+    expect(sink).not.toHaveBeenCalled();
+  });
+
+  it('should carry on when a sink throws', () => {
+    listen(() => {
+      throw new Error('Broken sink');
+    });
+    const sink = listen();
+
+    expect(() => track(TELEMETRY_EVENTS.error, { type: 'network' })).not.toThrow();
+    expect(sink).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the last events in a memory sink and export them as JSON', () => {
+    const log = createMemorySink(2);
+    const listener = vi.fn();
+    log.subscribe(listener);
+    listen(log.record);
+
+    track(TELEMETRY_EVENTS.action, { action: 'accept' });
+    track(TELEMETRY_EVENTS.action, { action: 'discard' });
+    track(TELEMETRY_EVENTS.action, { action: 'regenerate' });
+
+    expect(log.getEvents().map(event => event.data.action)).toEqual(['discard', 'regenerate']);
+    expect(listener).toHaveBeenCalledTimes(3);
+
+    const exported = JSON.parse(log.exportJSON());
+    expect(exported.exportedAt).toEqual(expect.any(String));
+    expect(exported.events).toEqual(log.getEvents());
+
+    log.clear();
+    expect(log.getEvents()).toEqual([]);
+  });
+
+  it('should record state changes of a machine, but not context updates', () => {
+    const sink = listen();
+    const machine = createMachine({
+      initial: 'idle',
+      states: {
+        idle: { on: { START: 'busy', NOTE: { actions: () => {} } } },
+        busy: { on: { STOP: 'idle' } },
+      },
+    });
+    const service = interpret(machine).start();
+    const stop = trackTransitions(service);
+
+    service.send({ type: 'NOTE' });
+    service.send({ type: 'START' });
+    service.send({ type: 'STOP' });
+    stop();
+    service.send({ type: 'START' });
+
+    expect(sink.mock.calls.map(([event]) => event.data)).toEqual([
+      { from: null, to: 'idle', event: 'xstate.init' },
+      { from: 'idle', to: 'busy', event: 'START' },
+      { from: 'busy', to: 'idle', event: 'STOP' },
+    ]);
+
+    service.stop();
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import {
+  countTokens,
+  splitIntoPieces,
+  getContextWindow,
+  getContextBudget,
+  DEFAULT_CONTEXT_WINDOW,
+} from '../tokenizer';
+
+describe('tokenizer', () => {
+  it('should split text the way BPE tokenizers do', () => {
+    expect(splitIntoPieces("The fox's den, 2024.")).toEqual(['The', ' fox', "'s", ' den', ',', ' ', '202', '4', '.']);
+  });
+
+  it('should count common words as one token each', () => {
+    expect(countTokens('The quick brown fox.')).toBe(5);
+    expect(countTokens('Hello world')).toBe(2);
+  });
+
+  it('should count nothing for empty text', () => {
+    expect(countTokens('')).toBe(0);
+    expect(countTokens(undefined)).toBe(0);
+  });
+
+  it('should split long words and long numbers', () => {
+    expect(countTokens('antidisestablishmentarianism')).toBeGreaterThan(3);
+    expect(countTokens('1234567')).toBe(3);
+  });
+
+  it('should count CJK characters one by one', () => {
+    expect(countTokens('日本語')).toBe(3);
+  });
+
+  it('should count one token per common word and punctuation mark', () => {
+    expect(countTokens('It was the best of times, it was the worst of times.')).toBe(14);
+  });
+});
+
+describe('context windows', () => {
+  it('should know the windows of common models', () => {
+    expect(getContextWindow('gpt-4o-mini')).toBe(128000);
+    expect(getContextWindow('gpt-4')).toBe(8192);
+    expect(getContextWindow('claude-3-haiku-20240307')).toBe(200000);
+  });
+
+  it('should assume a small window for unknown models', () => {
+    expect(getContextWindow('my-local-model')).toBe(DEFAULT_CONTEXT_WINDOW);
+    expect(getContextWindow(undefined)).toBe(DEFAULT_CONTEXT_WINDOW);
+  });
+
+  it('should fit the context budget into the window', () => {
+    expect(getContextBudget('gpt-4o', 300, 1500)).toBe(1500);
+    expect(getContextBudget('markov', 300, 1500)).toBe(724);
+    expect(getContextBudget('markov', 5000, 1500)).toBe(0);
+  });
+});
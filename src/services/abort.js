@@ -0,0 +1,50 @@
+/**
+ * ABORT HELPERS
+ * 
+ * Small helpers for cancelling generations with an AbortSignal.
+ * Shared by the AI service and the providers so every cancelled
+ * request fails the same way.
+ */
+
+/**
+ * Create the error thrown when a generation is cancelled
+ * 
+ * @returns {Error} An error named 'AbortError'
+ */
+export function createAbortError() {
+  const error = new Error('Generation cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check whether an error comes from a cancelled generation
+ * 
+ * @param {Error} error - The error to check
+ * @returns {boolean} True if the request was aborted
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Wait for a number of milliseconds, unless the signal aborts first
+ * 
+ * @param {number} ms - How long to wait
+ * @param {AbortSignal} [signal] - Rejects the wait early when aborted
+ * @returns {Promise<void>}
+ */
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    }, { once: true });
+  });
+}
@@ -0,0 +1,126 @@
+/**
+ * AI CONFIGURATION
+ * 
+ * This file decides WHICH AI backend we talk to and HOW.
+ * All values come from Vite environment variables (.env file):
+ * 
+ * VITE_AI_PROVIDER      - openai | local-server | anthropic | proxy | local | mock
+ * VITE_AI_MODEL         - Model name (defaults depend on the provider)
+ * VITE_AI_BASE_URL      - API base URL (needed for local-server; for proxy, where it runs)
+ * VITE_OPENAI_API_KEY   - Key for the openai provider
+ * VITE_ANTHROPIC_API_KEY - Key for the anthropic provider
+ * VITE_USE_MOCK_AI      - 'true' forces the mock provider
+ * VITE_LOCAL_MODEL_URL  - Optional WASM/ONNX model module for the local provider
+ * VITE_AI_CANDIDATES    - How many suggestions to offer per generation (default 3,
+ *                         each one after the first is an extra request; 1 = no alternatives)
+ * VITE_AI_TIMEOUT_MS    - Give up on a request that is silent this long (default 30000)
+ * VITE_AI_MAX_RETRIES   - How often to retry temporary failures (default 3)
+ * VITE_AI_CACHE_SIZE    - How many responses to cache (default 50, 0 turns caching off)
+ * 
+ * With the proxy (see server/), the API keys live on the server and the
+ * VITE_*_API_KEY variables stay empty - anything starting with VITE_ is
+ * built into the JavaScript bundle.
+ * 
+ * Keeping this separate from aiService.js means the service never reads
+ * import.meta.env directly, so tests can pass their own configuration.
+ */
+
+import { DEFAULT_CACHE_SIZE } from './responseCache';
+
+/**
+ * Default settings for each built-in provider
+ * Used when the .env file doesn't say otherwise
+ */
+export const PROVIDER_DEFAULTS = {
+  openai: {
+    model: 'gpt-3.5-turbo',
+    baseURL: undefined, // The SDK's default (https://api.openai.com/v1)
+  },
+  'local-server': {
+    // llama.cpp server and Ollama both expose an OpenAI-compatible /v1 API
+    model: 'llama3',
+    baseURL: 'http://localhost:11434/v1',
+  },
+  anthropic: {
+    model: 'claude-3-haiku-20240307',
+    baseURL: 'https://api.anthropic.com',
+  },
+  proxy: {
+    // Our own server (see server/), which picks the real provider and model
+    // The model here only sizes the context (see tokenizer.js) - keep it in
+    // sync with the server's AI_MODEL
+    model: 'gpt-3.5-turbo',
+    // Same origin: in development Vite forwards /api to the proxy (vite.config.ts)
+    baseURL: '',
+  },
+  local: {
+    // The in-browser n-gram model (see localModel/)
+    model: 'markov',
+    baseURL: undefined,
+  },
+  mock: {
+    model: 'mock',
+    baseURL: undefined,
+  },
+};
+
+/**
+ * Pick a provider when VITE_AI_PROVIDER isn't set
+ * 
+ * Keeps the old behaviour: OpenAI when a key is present, otherwise the mock.
+ * 
+ * @param {Object} env - The environment variables
+ * @returns {string} The provider id
+ */
+function detectProvider(env) {
+  if (env.VITE_USE_MOCK_AI === 'true') return 'mock';
+  if (env.VITE_AI_PROVIDER) return env.VITE_AI_PROVIDER;
+  return env.VITE_OPENAI_API_KEY ? 'openai' : 'mock';
+}
+
+/**
+ * Build the AI configuration
+ * 
+ * @param {Object} [overrides] - Values that win over the environment (e.g. from tests)
+ * @param {Object} [env] - Environment variables (defaults to import.meta.env)
+ * @returns {{ provider: string, model: string, baseURL?: string, apiKey?: string, modelUrl?: string, candidates: number, timeout: number, maxRetries: number, cacheSize: number }}
+ */
+export function getAIConfig(overrides = {}, env = import.meta.env) {
+  const provider = overrides.provider || detectProvider(env);
+  const defaults = PROVIDER_DEFAULTS[provider] || {};
+  
+  // Each provider reads its own key
+  const apiKeys = {
+    openai: env.VITE_OPENAI_API_KEY,
+    anthropic: env.VITE_ANTHROPIC_API_KEY,
+    // Local servers usually don't check the key, but the OpenAI SDK requires one
+    'local-server': env.VITE_AI_API_KEY || 'not-needed',
+  };
+  
+  return {
+    provider,
+    model: overrides.model || env.VITE_AI_MODEL || defaults.model,
+    baseURL: overrides.baseURL || env.VITE_AI_BASE_URL || defaults.baseURL,
+    apiKey: overrides.apiKey || apiKeys[provider],
+    modelUrl: overrides.modelUrl || env.VITE_LOCAL_MODEL_URL || undefined,
+    candidates: overrides.candidates ?? readNumber(env.VITE_AI_CANDIDATES, 3),
+    timeout: overrides.timeout ?? readNumber(env.VITE_AI_TIMEOUT_MS, 30000),
+    maxRetries: overrides.maxRetries ?? readNumber(env.VITE_AI_MAX_RETRIES, 3),
+    cacheSize: overrides.cacheSize ?? readNumber(env.VITE_AI_CACHE_SIZE, DEFAULT_CACHE_SIZE),
+  };
+}
+
+/**
+ * Read a number from an environment variable
+ * 
+ * Unlike `Number(value) || fallback`, this keeps an explicit 0
+ * (e.g. VITE_AI_MAX_RETRIES=0 turns retries off).
+ * 
+ * @param {string} [value] - The variable's value
+ * @param {number} fallback - Used when the variable is missing or not a number
+ * @returns {number}
+ */
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+}
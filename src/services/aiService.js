@@ -1,7 +1,9 @@
 /**
  * AI SERVICE
  * 
- * This file handles all communication with AI services (OpenAI API).
+ * This file handles all communication with AI services.
+ * The actual API calls live in providers/ - this file builds the prompt,
+ * picks the configured provider and turns failures into friendly errors.
  * It's separated from the UI components to keep concerns separated:
  * - Components handle UI
  * - Services handle external API calls
@@ -13,192 +15,620 @@
  * - Swap (easy to change AI providers)
  */
 
-import OpenAI from 'openai';
+import { getAIConfig } from './aiConfig';
+import { getProvider } from './providers';
+import { createAbortError, isAbortError } from './abort';
+import { getSelectionCommand } from './selectionCommands';
+import { renderTemplate, getDocumentTitle } from './promptTemplates';
+import { getActivePreset } from './presetStore';
+import { buildContext, DEFAULT_CONTEXT_TOKENS } from './contextBuilder';
+import { classifyError } from './errors';
+import { withRetry, withTimeout } from './retry';
+import { getCacheKey, getCachedResponse, setCachedResponse } from './responseCache';
+import { countTokens, getContextWindow, getContextBudget } from './tokenizer';
+
+export { isAbortError };
+export { AIError } from './errors';
 
 /**
- * Initialize OpenAI client
+ * Check whether streaming is enabled
  * 
- * IMPORTANT: In production, NEVER expose API keys in frontend code!
- * This should be done through a backend server.
- * For development/learning, we'll use environment variables.
+ * Streaming is on by default. Set VITE_AI_STREAMING=false in your .env file
+ * to wait for the complete response instead.
  * 
- * Create a .env file in your project root:
- * VITE_OPENAI_API_KEY=your_key_here
+ * @returns {boolean} True if responses should be streamed
  */
-const openai = new OpenAI({
-  apiKey: import.meta.env.VITE_OPENAI_API_KEY,
-  // dangerouslyAllowBrowser: true is needed for client-side usage
-  // In production, make API calls from your backend instead
-  dangerouslyAllowBrowser: true,
-});
+export function isStreamingEnabled() {
+  return import.meta.env.VITE_AI_STREAMING !== 'false';
+}
 
 /**
  * Generate AI content based on existing text
  * 
  * This function takes the current document text and asks the AI to continue writing.
+ * The prompt comes from the active preset's templates (see promptTemplates.js
+ * and presetStore.js), or from `options.preset` if given.
+ * The request is dispatched to whichever provider is configured (see aiConfig.js
+ * and providers/index.js) - OpenAI, a local OpenAI-compatible server, Anthropic,
+ * the in-browser local model or the mock.
+ * 
+ * When the browser is offline, providers that need the network are
+ * skipped and the local model is used instead.
+ * 
+ * When an `onChunk` callback is given (and streaming is enabled), the response
+ * is streamed: every piece of text is passed to `onChunk` as soon as it arrives,
+ * and the promise resolves with the full text once the stream is complete.
+ * 
+ * Pass an AbortSignal as `signal` to cancel the request. A cancelled request
+ * rejects with an error for which `isAbortError()` returns true.
+ * 
+ * Failures reject with a typed AIError (see errors.js) - its `type` says what
+ * went wrong (auth, rate-limit, server, network, content-filter, timeout).
+ * Temporary failures are retried automatically before giving up.
+ * 
+ * Identical requests to network providers are answered from the response
+ * cache (see responseCache.js) - `onStart` then reports `cached: true`.
+ * Pass `bypassCache: true` to always ask the provider ("Regenerate").
  * 
  * @param {string} documentText - The full text of the document
  * @param {number} cursorPosition - Where the cursor is in the document
+ * @param {Object} [options]
+ * @param {Function} [options.onChunk] - Called with each streamed piece of text
+ * @param {Function} [options.onStart] - Called with { provider, model, preset } (plus `cached: true` for cache hits) once the provider is chosen
+ *   - preset is the name of the prompt preset used
+ * @param {Function} [options.onUsage] - Called with { promptTokens, completionTokens } when done (same `cached` flag)
+ * @param {Function} [options.onFinish] - Called with { finishedParagraph } when done - whether the
+ *   answer ended with a blank line (the returned text is trimmed, so it can't tell)
+ * @param {Function} [options.onRetry] - Called with { attempt, retries, delay, error } before a retry
+ * @param {AbortSignal} [options.signal] - Aborts the underlying request
+ * @param {Object} [options.config] - Overrides for getAIConfig() (provider, model, baseURL)
+ * @param {Object} [options.preset] - Prompt preset to use instead of the active one
+ * @param {Object[]} [options.outline] - The document's headings (see editor/positions.js getOutline)
+ * @param {boolean} [options.bypassCache] - Skip the cache lookup (the new answer is still cached)
  * @returns {Promise<string>} The AI-generated continuation
- * @throws {Error} If the API call fails
+ * @throws {AIError} If the API call fails (an AbortError if it is cancelled)
  */
-export async function generateAIContent(documentText, cursorPosition) {
-  // Check if we should use mock mode (no API key or insufficient quota)
-  const useMockMode = !import.meta.env.VITE_OPENAI_API_KEY || import.meta.env.VITE_USE_MOCK_AI === 'true';
+export async function generateAIContent(documentText, cursorPosition, options = {}) {
+  // Build the request from the text around the cursor
+  const settings = getRequestSettings(options);
+  const request = buildContinuationRequest(documentText, cursorPosition, settings);
   
-  if (useMockMode) {
+  // Same request as before? Reuse the answer instead of paying for it again
+  const cache = getCacheEntry(request, settings, options, 'continue');
+  if (cache && !options.bypassCache) {
+    const cached = await getCachedResponse(cache.key);
     
-    return generateMockAIContent(documentText, cursorPosition);
+    if (cached !== null) {
+      const text = cached.trim();
+      options.onStart?.({ provider: cache.provider.id, model: cache.config.model, preset: settings.preset.name, cached: true });
+      options.onUsage?.({ promptTokens: request.promptTokens, completionTokens: countTokens(text), cached: true });
+      options.onFinish?.({ finishedParagraph: endsParagraph(cached) });
+      return text;
+    }
   }
+  
+  // Remember who answered - a fallback's answer (mock, local model) isn't cached
+  let answeredBy = null;
+  let finishedParagraph = false;
+  const text = await runRequest(request, settings, {
+    ...options,
+    onStart: (info) => {
+      answeredBy = info.provider;
+      options.onStart?.(info);
+    },
+    onFinish: (info) => {
+      finishedParagraph = info.finishedParagraph;
+      options.onFinish?.(info);
+    },
+  });
+  
+  // The cached answer keeps its paragraph break, for onFinish
+  if (cache && answeredBy === cache.provider.id) {
+    await setCachedResponse(cache.key, finishedParagraph ? `${text}\n\n` : text, cache.config.cacheSize);
+  }
+  
+  return text;
+}
 
-  try {
-    // STEP 1: Extract context around cursor
-    // We don't send the entire document to save tokens and improve relevance
-    // Instead, we send text before the cursor (last 500 characters)
-    const contextStart = Math.max(0, cursorPosition - 500);
-    const contextText = documentText.slice(contextStart, cursorPosition);
-    
-    // STEP 2: Build the prompt
-    // A good prompt is specific and gives clear instructions
-    const systemPrompt = `You are a helpful writing assistant. Continue the user's text in a natural, coherent way. 
-Match the tone and style of the existing text. 
-Generate 2-3 sentences that flow naturally from what was written.
-Do not repeat the existing text.`;
-    
-    const userPrompt = `Continue writing from here:\n\n${contextText}`;
-    
-    // STEP 3: Call OpenAI API
-    // We use the chat completions endpoint with GPT-4
-    const response = await openai.chat.completions.create({
-      // Model to use - GPT-4 is more capable but slower/expensive
-      // You can use 'gpt-3.5-turbo' for faster/cheaper results
-      model: 'gpt-3.5-turbo',
-      
-      // Messages array - this is how chat models work
-      messages: [
-        {
-          role: 'system', // System message sets the AI's behavior
-          content: systemPrompt,
-        },
-        {
-          role: 'user', // User message is the actual request
-          content: userPrompt,
-        },
-      ],
+/**
+ * Generate a replacement for selected text
+ * 
+ * Runs one of the selection commands (rewrite, shorten, expand, fix grammar,
+ * change tone, translate - see selectionCommands.js) on the text between
+ * `edit.from` and `edit.to`. The result is meant to replace the selection.
+ * 
+ * Providers, streaming, cancellation and fallbacks work exactly like
+ * generateAIContent.
+ * 
+ * @param {string} documentText - The full text of the document
+ * @param {Object} edit - What to change
+ * @param {string} edit.command - Selection command id (e.g. 'rewrite')
+ * @param {number} edit.from - Start of the selection (character offset)
+ * @param {number} edit.to - End of the selection (character offset)
+ * @param {string} [edit.tone] - For 'tone': formal, casual or persuasive
+ * @param {string} [edit.language] - For 'translate': the target language
+ * @param {Object} [options] - Same options as generateAIContent
+ * @returns {Promise<string>} The replacement text
+ * @throws {AIError} If the API call fails (an AbortError if it is cancelled)
+ */
+export async function generateSelectionEdit(documentText, edit, options = {}) {
+  const settings = getRequestSettings(options);
+  const request = buildSelectionRequest(documentText, edit, settings);
+  
+  return runRequest(request, settings, options);
+}
+
+/**
+ * Send a request to the configured provider
+ * 
+ * Temporary failures (rate limits, server errors, timeouts, network
+ * problems) are retried with exponential backoff - see retry.js.
+ * 
+ * @param {Object} request - The request (see providers/index.js)
+ * @param {Object} settings - From getRequestSettings()
+ * @param {Object} options - Options of generateAIContent
+ * @returns {Promise<string>} The generated text
+ */
+async function runRequest(request, settings, options) {
+  const { signal } = options;
+  
+  // STEP 1: Pick the provider
+  const { provider, config } = resolveProvider(options.config);
+  options.onStart?.({ provider: provider.id, model: config.model, preset: settings.preset.name });
+  
+  // Only stream when someone is listening for chunks and the provider can do it
+  const onChunk = isStreamingEnabled() && provider.capabilities.streaming
+    ? options.onChunk
+    : undefined;
+  
+  /**
+   * One attempt: call the provider, with a time limit
+   * Failures are thrown as typed errors (see errors.js)
+   */
+  const attempt = async () => {
+    let streamed = false;
+    
+    try {
+      return await withTimeout(
+        ({ signal: attemptSignal, restartTimer }) => onChunk
+          ? provider.stream(request, {
+              signal: attemptSignal,
+              // Every chunk proves the provider is still there
+              onChunk: (chunk) => {
+                streamed = true;
+                restartTimer();
+                onChunk(chunk);
+              },
+            })
+          : provider.generate(request, { signal: attemptSignal }),
+        { timeout: config.timeout, signal, message: `${provider.label} took too long to answer.` }
+      );
+    } catch (error) {
+      // Cancellations and exhausted quotas are handled below, not retried
+      if (signal?.aborted || isAbortError(error) || isQuotaError(error)) throw error;
       
-      // Temperature controls randomness (0 = deterministic, 2 = very random)
-      // 0.7 is a good balance for creative writing
-      temperature: 0.7,
+      const aiError = classifyError(error, provider);
       
-      // Maximum tokens (words) to generate
-      // ~100 tokens ≈ 75 words
-      max_tokens: 100,
+      // Part of the answer is already in the editor - trying again would repeat it
+      if (streamed) aiError.retryable = false;
       
-      // Stop sequences - text that tells the AI to stop generating
-      // This prevents it from going on too long
-      stop: ['\n\n\n', '---'],
+      throw aiError;
+    }
+  };
+  
+  try {
+    // STEP 2: Call the provider (and retry temporary failures)
+    const generatedText = await withRetry(attempt, {
+      retries: config.maxRetries,
+      signal,
+      // Without a network, retrying is pointless - the local model takes over below
+      shouldRetry: (error) => error.retryable === true && !isOffline(),
+      onRetry: options.onRetry,
     });
     
-    // STEP 4: Extract and return the generated text
-    // The response has a specific structure, we need to navigate it
-    const generatedText = response.choices[0]?.message?.content || '';
-    
     // Clean up the text (remove leading/trailing whitespace)
-    return generatedText.trim();
+    const text = generatedText.trim();
+    options.onUsage?.({ promptTokens: request.promptTokens, completionTokens: countTokens(text) });
+    options.onFinish?.({ finishedParagraph: endsParagraph(generatedText) });
+    return text;
     
   } catch (error) {
-    // STEP 5: Handle errors gracefully
-    
+    // STEP 3: Handle errors gracefully
     
     // If quota exceeded, fall back to mock
-    if (error.status === 429 && error.error?.code === 'insufficient_quota') {
+    if (isQuotaError(error)) {
       
-      return generateMockAIContent(documentText, cursorPosition);
+      return runRequest(request, settings, {
+        ...options,
+        config: { ...options.config, provider: 'mock' },
+      });
     }
     
-    // Provide user-friendly error messages
-    if (error.status === 401) {
-      throw new Error('Invalid API key. Please check your OpenAI API key.');
-    } else if (error.status === 429) {
-      throw new Error('Rate limit exceeded. Please try again in a moment.');
-    } else if (error.status === 500) {
-      throw new Error('OpenAI service error. Please try again later.');
-    } else if (!navigator.onLine) {
-      throw new Error('No internet connection. Please check your network.');
-    } else {
-      throw new Error('Failed to generate content. Please try again.');
+    // The connection dropped mid-request - retry with the local model
+    if (!signal?.aborted && isOffline() && !provider.capabilities.offline) {
+      return runRequest(request, settings, {
+        ...options,
+        config: { ...options.config, provider: 'local' },
+      });
+    }
+    
+    throw toFriendlyError(error, provider, signal);
+  }
+}
+
+/**
+ * Check whether an answer ends with a paragraph break (a blank line)
+ * 
+ * @param {string} text - The answer before trimming
+ * @returns {boolean}
+ */
+function endsParagraph(text) {
+  return /\n[^\S\n]*\n\s*$/.test(text);
+}
+
+/**
+ * Check whether an error means the account is out of credits
+ * 
+ * @param {Error} error - A provider error
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+  return error?.status === 429 && error.error?.code === 'insufficient_quota';
+}
+
+/**
+ * Generate alternative continuations
+ * 
+ * Used alongside generateAIContent to give the user several suggestions
+ * to choose from. Pass `options.edit` to get alternatives for a selection
+ * command instead (see generateSelectionEdit); the cursor position is then
+ * ignored. Providers that support it (OpenAI's `n` parameter)
+ * return all alternatives from one request; others are called repeatedly.
+ * Every request gets the same time limit and retries as generateAIContent's.
+ * Duplicates, empty responses and failed requests are dropped, so fewer
+ * than `count` alternatives may come back. Alternatives for continuations
+ * are cached like generateAIContent's answers (unless some failed).
+ * 
+ * @param {string} documentText - The full text of the document
+ * @param {number} cursorPosition - Where the cursor is in the document
+ * @param {Object} [options]
+ * @param {number} [options.count] - How many alternatives (defaults to VITE_AI_CANDIDATES - 1)
+ * @param {Object} [options.edit] - A selection command (see generateSelectionEdit)
+ * @param {Object} [options.preset] - Prompt preset to use instead of the active one
+ * @param {Object[]} [options.outline] - The document's headings (see editor/positions.js getOutline)
+ * @param {AbortSignal} [options.signal] - Aborts the underlying requests
+ * @param {Object} [options.config] - Overrides for getAIConfig()
+ * @param {boolean} [options.bypassCache] - Skip the cache lookup
+ * @returns {Promise<string[]>} The alternative continuations
+ * @throws {AIError} If every request fails (an AbortError if it is cancelled)
+ */
+export async function generateAlternatives(documentText, cursorPosition, options = {}) {
+  const { signal } = options;
+  const count = options.count ?? getAIConfig(options.config).candidates - 1;
+  if (count <= 0) return [];
+  
+  const { provider, config } = resolveProvider(options.config);
+  const settings = getRequestSettings(options);
+  const request = options.edit
+    ? buildSelectionRequest(documentText, options.edit, settings)
+    : buildContinuationRequest(documentText, cursorPosition, settings);
+  
+  // Replacements are meant to differ every time, so only continuations are cached
+  const cache = options.edit ? null : getCacheEntry(request, settings, options, `alternatives:${count}`);
+  if (cache && !options.bypassCache) {
+    const cached = await getCachedResponse(cache.key);
+    if (cached !== null) return cached;
+  }
+  
+  // One request for all of them, or one per alternative
+  const requests = provider.capabilities.multipleCandidates
+    ? [requestWithRetry((attemptSignal) => provider.generateMany(request, count, { signal: attemptSignal }), provider, config, signal)]
+    : Array.from({ length: count }, () =>
+        requestWithRetry((attemptSignal) => provider.generate(request, { signal: attemptSignal }), provider, config, signal)
+          .then(text => [text])
+      );
+  
+  // A failed request only loses its own alternatives
+  const results = await Promise.allSettled(requests);
+  const failures = results.filter(result => result.status === 'rejected');
+  if (failures.length === results.length) {
+    throw toFriendlyError(failures[0].reason, provider, signal);
+  }
+  
+  // Clean up and drop duplicates
+  const texts = results.flatMap(result => result.status === 'fulfilled' ? result.value : []);
+  const alternatives = [...new Set(texts.map(text => text.trim()).filter(Boolean))];
+  
+  // An incomplete set would be served from the cache forever
+  if (cache && failures.length === 0) {
+    await setCachedResponse(cache.key, alternatives, cache.config.cacheSize);
+  }
+  return alternatives;
+}
+
+/**
+ * Call a provider with a time limit, retrying temporary failures
+ * 
+ * The same limits runRequest uses, without its streaming and fallbacks.
+ * 
+ * @param {Function} call - (signal) => Promise, one attempt
+ * @param {Object} provider - The provider being called
+ * @param {Object} config - From getAIConfig() (timeout, maxRetries)
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<*>} The call's result
+ * @throws {AIError} The last attempt's error (the provider's own error if cancelled)
+ */
+function requestWithRetry(call, provider, config, signal) {
+  const attempt = async () => {
+    try {
+      return await withTimeout(
+        ({ signal: attemptSignal }) => call(attemptSignal),
+        { timeout: config.timeout, signal, message: `${provider.label} took too long to answer.` }
+      );
+    } catch (error) {
+      if (signal?.aborted || isAbortError(error)) throw error;
+      throw classifyError(error, provider);
     }
+  };
+  
+  return withRetry(attempt, {
+    retries: config.maxRetries,
+    signal,
+    shouldRetry: (error) => error.retryable === true && !isOffline(),
+  });
+}
+
+/**
+ * Get the provider to use for a request
+ * 
+ * When the browser is offline, providers that need the network are
+ * swapped for the local model.
+ * 
+ * @param {Object} [configOverrides] - Overrides for getAIConfig()
+ * @returns {{ provider: Object, config: Object }} The provider and its configuration
+ */
+function resolveProvider(configOverrides) {
+  const config = getAIConfig(configOverrides);
+  const provider = getProvider(config);
+  
+  // No network? Use the in-browser model instead of failing
+  if (isOffline() && !provider.capabilities.offline) {
+    const localConfig = getAIConfig({ ...configOverrides, provider: 'local' });
+    return { provider: getProvider(localConfig), config: localConfig };
   }
+  
+  return { provider, config };
 }
 
 /**
- * Mock AI Content Generator
+ * Collect what a request is built from
  * 
- * This function simulates AI content generation for testing purposes
- * when the OpenAI API is not available or quota is exceeded.
+ * @param {Object} options - Options of generateAIContent
+ * @returns {{ preset: Object, outline: Object[], model: string }}
+ */
+function getRequestSettings(options) {
+  return {
+    preset: options.preset || getActivePreset(),
+    outline: options.outline,
+    // The model decides how much context fits (see tokenizer.js)
+    model: resolveProvider(options.config).config.model,
+  };
+}
+
+/**
+ * Work out where a request's answer is cached
+ * 
+ * Only providers that go over the network are cached - the mock and the
+ * in-browser model are free and instant anyway.
+ * 
+ * @param {Object} request - The built request
+ * @param {Object} settings - From getRequestSettings()
+ * @param {Object} options - Options of generateAIContent
+ * @param {string} kind - What is asked for ('continue', 'alternatives:2'...)
+ * @returns {{ key: string, provider: Object, config: Object }|null} null if it isn't cached
+ */
+function getCacheEntry(request, settings, options, kind) {
+  const { provider, config } = resolveProvider(options.config);
+  if (provider.capabilities.offline || !(config.cacheSize > 0)) return null;
+  
+  const { preset } = settings;
+  const key = getCacheKey({
+    provider: provider.id,
+    model: config.model,
+    template: [kind, preset.systemPrompt, preset.continuePrompt, preset.style, request.temperature, request.maxTokens],
+    context: `${request.system}\n${request.prompt}`,
+  });
+  
+  return { key, provider, config };
+}
+
+/**
+ * Get the template variables for a position in the document
+ * 
+ * We don't send the entire document to save tokens and improve relevance.
+ * Instead, the context builder picks the text around the cursor, the
+ * current paragraph and the outline, within a token budget. The budget
+ * is whatever the model's window has left after the rest of the request.
+ * 
+ * @param {string} documentText - The full text of the document
+ * @param {number} from - Start of the cursor / selection
+ * @param {number} to - End of the cursor / selection
+ * @param {Object} settings - From getRequestSettings()
+ * @param {number} reservedTokens - Tokens needed for the templates and the completion
+ * @returns {Object} Values for the template variables (see promptTemplates.js)
+ */
+function getTemplateVariables(documentText, from, to, settings, reservedTokens) {
+  const maxTokens = getContextBudget(settings.model, reservedTokens, DEFAULT_CONTEXT_TOKENS);
+  const context = buildContext(documentText, from, to, { outline: settings.outline, maxTokens });
+  
+  return {
+    before: context.before,
+    after: context.after,
+    paragraph: context.paragraph,
+    outline: context.outline,
+    title: getDocumentTitle(documentText),
+    selection: context.selection,
+    style: settings.preset.style,
+  };
+}
+
+/**
+ * Build a provider-neutral "continue writing" request
  * 
  * @param {string} documentText - The full text of the document
  * @param {number} cursorPosition - Where the cursor is in the document
- * @returns {Promise<string>} Mock AI-generated continuation
- */
-async function generateMockAIContent(documentText, cursorPosition) {
-  // Simulate API delay
-  await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
-  
-  // Extract some context
-  const contextStart = Math.max(0, cursorPosition - 100);
-  const contextText = documentText.slice(contextStart, cursorPosition).toLowerCase();
-  
-  // Simple mock responses based on context
-  const mockResponses = [
-    "This is a continuation generated by the mock AI service. It demonstrates how the state machine works without requiring OpenAI credits.",
-    "The mock AI service is now generating content to help you test the application. This text flows naturally from your previous writing.",
-    "Here's some sample AI-generated text that shows the review functionality. You can accept, clear, or discard this content using the toolbar buttons.",
-    "This simulated AI response helps you understand the complete workflow of the writing assistant without API costs.",
-    "The mock service generates contextual content based on your input. This allows full testing of the state machine transitions."
-  ];
-  
-  // Choose response based on context or randomly
-  let response;
-  if (contextText.includes('story') || contextText.includes('once')) {
-    response = "The adventure continued as our hero faced new challenges ahead. Each step brought unexpected discoveries and moments of wonder.";
-  } else if (contextText.includes('technical') || contextText.includes('code')) {
-    response = "The implementation follows best practices for maintainability and performance. This approach ensures scalable and robust solutions.";
-  } else if (contextText.includes('business') || contextText.includes('market')) {
-    response = "Market analysis reveals significant opportunities for growth and innovation. Strategic positioning will be crucial for success.";
-  } else {
-    response = mockResponses[Math.floor(Math.random() * mockResponses.length)];
+ * @param {Object} settings - From getRequestSettings()
+ * @returns {Object} The request (see providers/index.js)
+ */
+function buildContinuationRequest(documentText, cursorPosition, settings) {
+  const { preset, model } = settings;
+  const reservedTokens = preset.maxTokens +
+    countTokens(preset.systemPrompt) + countTokens(preset.continuePrompt) + countTokens(preset.style);
+  const variables = getTemplateVariables(documentText, cursorPosition, cursorPosition, settings, reservedTokens);
+  
+  // A good prompt is specific and gives clear instructions
+  // The wording is up to the preset - users can edit it in the settings
+  const system = renderTemplate(preset.systemPrompt, variables);
+  const prompt = renderTemplate(preset.continuePrompt, variables);
+  const promptTokens = countTokens(system) + countTokens(prompt);
+  
+  return {
+    system,
+    prompt,
+    
+    // The raw context, for providers that don't use prompts (e.g. the mock)
+    context: variables.before,
+    
+    // The whole document, for providers that learn from it (the local model)
+    documentText,
+    
+    // Temperature controls randomness (0 = deterministic, 2 = very random)
+    temperature: preset.temperature,
+    
+    // Maximum tokens (words) to generate
+    // ~100 tokens ≈ 75 words - but never more than the window has left
+    maxTokens: Math.max(1, Math.min(preset.maxTokens, getContextWindow(model) - promptTokens)),
+    
+    // How big the prompt is, for the token counts in the status bar
+    promptTokens,
+    
+    // Stop sequences - text that tells the AI to stop generating
+    // This prevents it from going on too long
+    stop: ['\n\n\n', '---'],
+  };
+}
+
+/**
+ * Build a request that changes selected text
+ * 
+ * The text around the selection is included so the AI can match the
+ * surrounding style, but it is told to return only the replacement.
+ * 
+ * @param {string} documentText - The full text of the document
+ * @param {Object} edit - { command, from, to, tone, language } (see generateSelectionEdit)
+ * @param {Object} settings - From getRequestSettings()
+ * @returns {Object} The request (see providers/index.js)
+ */
+function buildSelectionRequest(documentText, edit, settings) {
+  const { preset } = settings;
+  const command = getSelectionCommand(edit.command);
+  const instruction = command.instruction(edit);
+  const selectionTokens = countTokens(documentText.slice(edit.from, edit.to));
+  
+  // Room for the result, scaled by how much longer than the selection it may be
+  const maxTokens = Math.max(100, Math.ceil(selectionTokens * command.lengthFactor));
+  
+  const reservedTokens = maxTokens + selectionTokens + countTokens(instruction) +
+    countTokens(preset.editSystemPrompt) + countTokens(preset.editPrompt) + countTokens(preset.style);
+  const variables = {
+    ...getTemplateVariables(documentText, edit.from, edit.to, settings, reservedTokens),
+    instruction,
+  };
+  
+  const system = renderTemplate(preset.editSystemPrompt, variables);
+  const prompt = renderTemplate(preset.editPrompt, variables);
+  
+  return {
+    system,
+    prompt,
+    
+    // Providers that don't use prompts work from the selection itself
+    context: variables.selection,
+    documentText,
+    
+    // Which command this is, for providers that handle commands themselves (the mock)
+    command: edit.command,
+    commandOptions: { tone: edit.tone, language: edit.language },
+    
+    temperature: command.temperature,
+    maxTokens,
+    promptTokens: countTokens(system) + countTokens(prompt),
+  };
+}
+
+/**
+ * Turn a provider error into the error we throw
+ * 
+ * @param {Error} error - The original error
+ * @param {Object} provider - The provider that failed
+ * @param {AbortSignal} [signal] - The request's signal
+ * @returns {Error} An abort error, or a typed AI error with a user-friendly message
+ */
+function toFriendlyError(error, provider, signal) {
+  // A cancelled request is not a failure - report it as a cancellation
+  if (signal?.aborted || isAbortError(error)) {
+    return createAbortError();
   }
   
-  return response;
+  return classifyError(error, provider);
 }
 
 /**
- * Local LLM Fallback (Future Enhancement)
+ * Check whether the browser is offline
  * 
- * This function would use a local AI model (via transformers.js) as a fallback
- * when OpenAI is unavailable. This is a placeholder for now.
+ * @returns {boolean} True if navigator reports no network
+ */
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Local AI Fallback
+ * 
+ * Generates content with the in-browser model (see localModel/), which
+ * runs in a Web Worker and needs no network or API key. This is what
+ * generateAIContent uses automatically when the browser is offline.
  * 
  * @param {string} documentText - The full text of the document
  * @param {number} cursorPosition - Where the cursor is in the document
+ * @param {Object} [options] - Same options as generateAIContent
  * @returns {Promise<string>} The AI-generated continuation
  */
-export async function generateLocalAIContent(documentText, cursorPosition) {
-  // TODO: Implement transformers.js integration
-  // This would allow the app to work offline
-  
-  throw new Error('Local AI fallback not yet implemented');
+export async function generateLocalAIContent(documentText, cursorPosition, options = {}) {
+  return generateAIContent(documentText, cursorPosition, {
+    ...options,
+    config: { ...options.config, provider: 'local' },
+  });
 }
 
 /**
  * Validate API Key
  * 
- * Helper function to check if the API key is configured or if mock mode is enabled
+ * Helper function to check if the configured provider can be used:
+ * either it doesn't need a key (mock, local server) or one is present
  * 
- * @returns {boolean} True if API key is present or mock mode is enabled
+ * @returns {boolean} True if the provider is ready to use
  */
 export function hasValidAPIKey() {
-  return !!import.meta.env.VITE_OPENAI_API_KEY || import.meta.env.VITE_USE_MOCK_AI === 'true';
+  const config = getAIConfig();
+  
+  try {
+    const provider = getProvider(config);
+    return !provider.capabilities.requiresApiKey || !!config.apiKey;
+  } catch {
+    // Unknown provider in .env
+    return false;
+  }
 }
 
 /**
@@ -219,4 +649,35 @@ export function hasValidAPIKey() {
  * } catch (error) {
  *   
  * }
+ * 
+ * // Stream content as it is generated
+ * const text = await generateAIContent('Once upon a time', 17, {
+ *   onChunk: (chunk) => appendToEditor(chunk),
+ * });
+ * 
+ * // Use a different prompt preset for one request
+ * const text = await generateAIContent('Once upon a time', 17, {
+ *   preset: { ...getActivePreset(), style: 'Like a fairy tale' },
+ * });
+ * 
+ * // Use a different provider for one request
+ * const text = await generateAIContent('Once upon a time', 17, {
+ *   config: { provider: 'local-server', model: 'mistral' },
+ * });
+ * 
+ * // Rewrite characters 0-17 in a casual tone
+ * const replacement = await generateSelectionEdit(text, {
+ *   command: 'tone', tone: 'casual', from: 0, to: 17,
+ * });
+ * 
+ * // Ask the provider again even if the answer is cached ("Regenerate")
+ * const fresh = await generateAIContent('Once upon a time', 17, { bypassCache: true });
+ * 
+ * // Ask for two more suggestions to choose from
+ * const alternatives = await generateAlternatives('Once upon a time', 17, { count: 2 });
+ * 
+ * // Cancel a generation
+ * const controller = new AbortController();
+ * generateAIContent('Once upon a time', 17, { signal: controller.signal });
+ * controller.abort();
  */
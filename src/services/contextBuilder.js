@@ -0,0 +1,241 @@
+/**
+ * CONTEXT BUILDER
+ *
+ * Decides which parts of the document the AI gets to see.
+ *
+ * Sending the whole document would be slow and expensive, and only the
+ * last few hundred characters leave the AI blind to everything else - a
+ * continuation written in the middle of a document would happily
+ * contradict the text right after it. So the context is made of:
+ *
+ * - before:  text before the cursor (or selection)
+ * - after:   text after it, so the AI can lead into what follows
+ *            ("fill in the middle")
+ * - outline: the document's headings, so it knows where it is
+ * - paragraph: the paragraph the cursor is in
+ *
+ * Everything is trimmed to a token budget, in this order of importance:
+ * 1. The current paragraph (as before + after)
+ * 2. The outline (at most a fifth of the budget)
+ * 3. More text before and after (two thirds / one third of what is left)
+ */
+
+import { BLOCK_SEPARATOR } from '../editor/positions';
+import { countTokens as countTextTokens } from './tokenizer';
+
+// The most context to send, even to models with huge windows (~6000 characters)
+// aiService.js lowers it for models with small windows (see tokenizer.js)
+export const DEFAULT_CONTEXT_TOKENS = 1500;
+
+/**
+ * Build the context for a position or selection
+ *
+ * @param {string} documentText - The full text of the document
+ * @param {number} from - Start of the cursor / selection (character offset)
+ * @param {number} [to=from] - End of the selection (character offset)
+ * @param {Object} [options]
+ * @param {Object[]} [options.outline] - Headings: { level, text, offset } (see editor/positions.js)
+ * @param {number} [options.maxTokens] - Token budget (the selection doesn't count)
+ * @param {Function} [options.countTokens] - Counts the tokens in a text
+ * @returns {{ before: string, after: string, paragraph: string, outline: string, selection: string, tokens: number }}
+ */
+export function buildContext(documentText, from, to = from, options = {}) {
+  const {
+    outline = [],
+    maxTokens = DEFAULT_CONTEXT_TOKENS,
+    countTokens = countTextTokens,
+  } = options;
+
+  // STEP 1: Split the document around the cursor
+  const paragraphStart = findParagraphStart(documentText, from);
+  const paragraphEnd = findParagraphEnd(documentText, to);
+  const selection = documentText.slice(from, to);
+  const paragraph = documentText.slice(paragraphStart, paragraphEnd);
+
+  // STEP 2: The current paragraph comes first
+  // If it doesn't fit, the text before the cursor matters most
+  let budget = maxTokens;
+  const paragraphBefore = takeEnd(
+    documentText.slice(paragraphStart, from),
+    Math.floor(budget * 0.75),
+    countTokens
+  );
+  budget -= countTokens(paragraphBefore);
+
+  const paragraphAfter = takeStart(documentText.slice(to, paragraphEnd), budget, countTokens);
+  budget -= countTokens(paragraphAfter);
+
+  // STEP 3: The outline
+  const outlineText = formatOutline(outline, from, Math.min(budget, Math.floor(maxTokens / 5)), countTokens);
+  budget -= countTokens(outlineText);
+
+  // STEP 4: Fill up with the surrounding paragraphs
+  // Anything the text after doesn't use goes to the text before
+  const wholeParagraphAfter = paragraphAfter.length === paragraphEnd - to;
+  const moreAfter = wholeParagraphAfter
+    ? takeStart(documentText.slice(paragraphEnd), Math.floor(budget / 3), countTokens)
+    : '';
+  budget -= countTokens(moreAfter);
+
+  const wholeParagraphBefore = paragraphBefore.length === from - paragraphStart;
+  const moreBefore = wholeParagraphBefore
+    ? takeEnd(documentText.slice(0, paragraphStart), budget, countTokens)
+    : '';
+
+  const before = moreBefore + paragraphBefore;
+  const after = paragraphAfter + moreAfter;
+
+  return {
+    before,
+    after,
+    paragraph,
+    outline: outlineText,
+    selection,
+    tokens: countTokens(before) + countTokens(after) + countTokens(outlineText),
+  };
+}
+
+/**
+ * Turn the headings into Markdown-style lines
+ *
+ * The section the cursor is in is marked. If all headings don't fit the
+ * budget, only the current section and its parents are kept.
+ *
+ * @param {Object[]} outline - Headings: { level, text, offset }
+ * @param {number} cursor - Character offset of the cursor
+ * @param {number} maxTokens - Budget for the outline
+ * @param {Function} countTokens
+ * @returns {string}
+ */
+export function formatOutline(outline, cursor, maxTokens, countTokens = countTextTokens) {
+  const headings = outline.filter((heading) => heading.text.trim() !== '');
+  if (headings.length === 0 || maxTokens <= 0) return '';
+
+  // The current section is the last heading before the cursor
+  const currentIndex = headings.findLastIndex((heading) => heading.offset <= cursor);
+
+  const format = (list) =>
+    list
+      .map((heading) => {
+        const marker = heading === headings[currentIndex] ? ' (current section)' : '';
+        return `${'#'.repeat(heading.level)} ${heading.text.trim()}${marker}`;
+      })
+      .join('\n');
+
+  const full = format(headings);
+  if (countTokens(full) <= maxTokens) return full;
+
+  // Too long: keep the path to the current section
+  const path = [];
+  for (let i = currentIndex; i >= 0; i--) {
+    const deepest = path.length ? path[0].level : Infinity;
+    if (headings[i].level < deepest) path.unshift(headings[i]);
+  }
+
+  const lines = format(path).split('\n');
+  while (lines.length > 0 && countTokens(lines.join('\n')) > maxTokens) {
+    lines.shift();
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Find where the paragraph containing a position starts
+ *
+ * @param {string} text
+ * @param {number} pos
+ * @returns {number}
+ */
+function findParagraphStart(text, pos) {
+  if (pos < BLOCK_SEPARATOR.length) return 0;
+
+  const separator = text.lastIndexOf(BLOCK_SEPARATOR, pos - BLOCK_SEPARATOR.length);
+  return separator === -1 ? 0 : separator + BLOCK_SEPARATOR.length;
+}
+
+/**
+ * Find where the paragraph containing a position ends
+ *
+ * @param {string} text
+ * @param {number} pos
+ * @returns {number}
+ */
+function findParagraphEnd(text, pos) {
+  const separator = text.indexOf(BLOCK_SEPARATOR, pos);
+  return separator === -1 ? text.length : separator;
+}
+
+/**
+ * Keep as much of the end of a text as fits the budget
+ *
+ * The cut is moved to the next word boundary, so no half words are sent.
+ *
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {Function} countTokens
+ * @returns {string}
+ */
+function takeEnd(text, maxTokens, countTokens) {
+  if (countTokens(text) <= maxTokens) return text;
+  if (maxTokens <= 0) return '';
+
+  // Binary search for the earliest start that fits
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (countTokens(text.slice(mid)) <= maxTokens) high = mid;
+    else low = mid + 1;
+  }
+
+  const rest = text.slice(low);
+  if (low === 0 || /\s/.test(text[low - 1])) return rest;
+
+  const boundary = rest.search(/\s\S/);
+  return boundary === -1 ? rest : rest.slice(boundary + 1);
+}
+
+/**
+ * Keep as much of the start of a text as fits the budget
+ *
+ * The cut is moved back to the previous word boundary.
+ *
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {Function} countTokens
+ * @returns {string}
+ */
+function takeStart(text, maxTokens, countTokens) {
+  if (countTokens(text) <= maxTokens) return text;
+  if (maxTokens <= 0) return '';
+
+  // Binary search for the latest end that fits
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (countTokens(text.slice(0, mid)) <= maxTokens) low = mid;
+    else high = mid - 1;
+  }
+
+  const kept = text.slice(0, low);
+  if (/\s/.test(text[low])) return kept;
+
+  const boundary = kept.search(/\S*$/);
+  return boundary > 0 ? kept.slice(0, boundary) : kept;
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { buildContext } from './contextBuilder';
+ *
+ * const context = buildContext(documentText, cursor, cursor, {
+ *   outline: [{ level: 1, text: 'Introduction', offset: 0 }],
+ *   maxTokens: 500,
+ * });
+ *
+ * context.before;  // "...text leading up to the cursor"
+ * context.after;   // "text after the cursor..."
+ * context.outline; // "# Introduction (current section)"
+ */
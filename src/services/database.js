@@ -0,0 +1,152 @@
+/**
+ * BROWSER DATABASE
+ *
+ * A thin promise wrapper around IndexedDB, the browser's built-in
+ * database. Unlike localStorage it holds lots of data and doesn't block
+ * the page while reading or writing, so it suits things like cached AI
+ * responses and the document itself.
+ *
+ * All stores live in one database. To add a store, add it to STORES and
+ * bump DATABASE_VERSION - missing stores are created on the upgrade.
+ *
+ * IndexedDB isn't always there (tests, some private browsing modes), so
+ * openDatabase() resolves with null instead of failing, and every helper
+ * then does nothing. Callers treat persistence as best-effort.
+ */
+
+const DATABASE_NAME = 'ai-writer';
+const DATABASE_VERSION = 3;
+
+// Store name → options for createObjectStore
+const STORES = {
+  // Cached AI responses (see responseCache.js)
+  responses: { keyPath: 'key' },
+  // Autosaved documents (see documentStore.js)
+  documents: { keyPath: 'id' },
+  // Each document's generation history (see historyStore.js)
+  history: { keyPath: 'documentId' },
+};
+
+// Opened once and shared
+let databasePromise = null;
+
+/**
+ * Open the database (once)
+ *
+ * @returns {Promise<IDBDatabase|null>} null if IndexedDB can't be used
+ */
+export function openDatabase() {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    let request;
+    try {
+      request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    } catch {
+      resolve(null);
+      return;
+    }
+
+    // First open, or DATABASE_VERSION went up: create the missing stores
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      for (const [name, options] of Object.entries(STORES)) {
+        if (!database.objectStoreNames.contains(name)) {
+          database.createObjectStore(name, options);
+        }
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(null);
+    request.onblocked = () => resolve(null);
+  });
+
+  return databasePromise;
+}
+
+/**
+ * Run one request against a store
+ *
+ * @param {string} storeName - One of STORES
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} createRequest - (store) => IDBRequest
+ * @returns {Promise<*>} The request's result (undefined without a database)
+ */
+async function runRequest(storeName, mode, createRequest) {
+  const database = await openDatabase();
+  if (!database) return undefined;
+
+  return new Promise((resolve, reject) => {
+    const request = createRequest(database.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read one record by key
+ *
+ * @param {string} storeName
+ * @param {*} key
+ * @returns {Promise<Object|null>} null if there is no such record
+ */
+export async function getRecord(storeName, key) {
+  return (await runRequest(storeName, 'readonly', (store) => store.get(key))) ?? null;
+}
+
+/**
+ * Read every record of a store
+ *
+ * @param {string} storeName
+ * @returns {Promise<Object[]>}
+ */
+export async function getAllRecords(storeName) {
+  return (await runRequest(storeName, 'readonly', (store) => store.getAll())) || [];
+}
+
+/**
+ * Insert or replace a record
+ *
+ * @param {string} storeName
+ * @param {Object} record - Must contain the store's key
+ * @returns {Promise<void>}
+ */
+export async function putRecord(storeName, record) {
+  await runRequest(storeName, 'readwrite', (store) => store.put(record));
+}
+
+/**
+ * Delete a record by key
+ *
+ * @param {string} storeName
+ * @param {*} key
+ * @returns {Promise<void>}
+ */
+export async function deleteRecord(storeName, key) {
+  await runRequest(storeName, 'readwrite', (store) => store.delete(key));
+}
+
+/**
+ * Delete every record of a store
+ *
+ * @param {string} storeName
+ * @returns {Promise<void>}
+ */
+export async function clearRecords(storeName) {
+  await runRequest(storeName, 'readwrite', (store) => store.clear());
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { getAllRecords, putRecord } from './database';
+ *
+ * await putRecord('responses', { key: 'abc', text: 'Hello', usedAt: Date.now() });
+ * const records = await getAllRecords('responses');
+ */
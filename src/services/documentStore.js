@@ -0,0 +1,314 @@
+/**
+ * DOCUMENT STORE
+ *
+ * Saves the user's documents in IndexedDB (see database.js) so closing
+ * the tab, reloading or a crash doesn't lose any writing.
+ *
+ * A document is one record:
+ * { id, title, content, settings, createdAt, savedAt }
+ * - content is ProseMirror JSON (see editor/persistence.js)
+ * - settings are the document's AI settings: { presetId, suggestionMode }
+ *
+ * Saves are debounced: typing only triggers a save once the user pauses
+ * for a moment (see createAutosaver). Which document is open is kept in
+ * localStorage, like the active preset (see presetStore.js).
+ *
+ * Without IndexedDB nothing is saved, and saveDocument() says so.
+ */
+
+import { openDatabase, getRecord, getAllRecords, putRecord, deleteRecord } from './database';
+
+const STORE = 'documents';
+const ACTIVE_DOCUMENT_KEY = 'ai-writer:active-document';
+
+// The first document gets a fixed id, so opening the app twice at once
+// (e.g. React StrictMode) can't create two of them
+export const DEFAULT_DOCUMENT_ID = 'default';
+
+export const DEFAULT_TITLE = 'Untitled document';
+
+// How long typing has to pause before the document is saved (ms)
+export const AUTOSAVE_DELAY = 1000;
+
+// Updates read a record and write it back; they run one at a time so a
+// rename and an autosave can't overwrite each other's changes
+let writes = Promise.resolve();
+
+/**
+ * List all documents, oldest first (without their content)
+ *
+ * @returns {Promise<Object[]>} { id, title, settings, createdAt, savedAt }
+ */
+export async function listDocuments() {
+  let records = [];
+  try {
+    records = await getAllRecords(STORE);
+  } catch {
+    // Unreadable - start with no documents rather than no editor
+  }
+
+  return records
+    .map((record) => {
+      const { content, ...summary } = normalizeDocument(record);
+      return summary;
+    })
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Load a document
+ *
+ * @param {string} [id]
+ * @returns {Promise<Object|null>} The document, or null if it doesn't exist
+ *   (or IndexedDB isn't available)
+ */
+export async function loadDocument(id = DEFAULT_DOCUMENT_ID) {
+  try {
+    const record = await getRecord(STORE, id);
+    return record && normalizeDocument(record);
+  } catch {
+    // An unreadable record is no reason not to start the editor
+    return null;
+  }
+}
+
+/**
+ * Create a document
+ *
+ * The document is returned even when it can't be saved, so the app
+ * still works (for this session) without IndexedDB.
+ *
+ * @param {Object} [fields]
+ * @param {string} [fields.id] - Generated if not given
+ * @param {string} [fields.title]
+ * @param {Object} [fields.content] - ProseMirror JSON (null = empty)
+ * @param {Object} [fields.settings] - { presetId, suggestionMode }
+ * @returns {Promise<Object>} The new document
+ */
+export function createDocument({ id = createDocumentId(), title = DEFAULT_TITLE, content = null, settings = {} } = {}) {
+  const now = Date.now();
+  const record = { id, title, content, settings, createdAt: now, savedAt: now };
+
+  return queueWrite(async () => {
+    await putRecord(STORE, record);
+    return record;
+  });
+}
+
+/**
+ * Save a document's content
+ *
+ * @param {string} id
+ * @param {Object} content - ProseMirror JSON
+ * @returns {Promise<number|null>} When it was saved, or null if it couldn't
+ *   be (no IndexedDB, or the document was deleted meanwhile)
+ * @throws {Error} If IndexedDB refused the write (e.g. the disk is full)
+ */
+export async function saveDocument(id, content) {
+  const record = await updateDocument(id, { content });
+  return record ? record.savedAt : null;
+}
+
+/**
+ * Change a document's title or settings
+ *
+ * @param {string} id
+ * @param {Object} changes - e.g. { title } or { settings }
+ * @returns {Promise<Object|null>} The updated document, or null if it
+ *   couldn't be saved (no IndexedDB, or no such document)
+ */
+export function updateDocument(id, changes) {
+  return queueWrite(async () => {
+    if (!(await openDatabase())) return null;
+
+    const saved = await getRecord(STORE, id);
+    if (!saved) return null;
+
+    const record = { ...normalizeDocument(saved), ...changes, savedAt: Date.now() };
+    await putRecord(STORE, record);
+    return record;
+  });
+}
+
+/**
+ * Copy a document
+ *
+ * @param {string} id
+ * @returns {Promise<Object|null>} The copy, or null if the original couldn't be loaded
+ */
+export async function duplicateDocument(id) {
+  const original = await loadDocument(id);
+  if (!original) return null;
+
+  return createDocument({
+    title: `${original.title} (copy)`,
+    content: original.content,
+    settings: original.settings,
+  });
+}
+
+/**
+ * Delete a document
+ *
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export function deleteDocument(id) {
+  return queueWrite(() => deleteRecord(STORE, id));
+}
+
+/**
+ * Get the id of the document that was open last
+ *
+ * @returns {string|null}
+ */
+export function getActiveDocumentId() {
+  return getStorage()?.getItem(ACTIVE_DOCUMENT_KEY) || null;
+}
+
+/**
+ * Remember which document is open
+ *
+ * @param {string} id
+ */
+export function setActiveDocumentId(id) {
+  getStorage()?.setItem(ACTIVE_DOCUMENT_KEY, id);
+}
+
+/**
+ * Fill in fields missing from older records
+ * (documents saved before there were several had only { id, content, savedAt })
+ *
+ * @param {Object} record
+ * @returns {Object}
+ */
+function normalizeDocument(record) {
+  return {
+    title: DEFAULT_TITLE,
+    content: null,
+    settings: {},
+    createdAt: record.savedAt || 0,
+    ...record,
+  };
+}
+
+/**
+ * Run a write after the ones already started
+ *
+ * @param {Function} task - () => Promise
+ * @returns {Promise<*>} The task's result
+ */
+function queueWrite(task) {
+  const result = writes.then(task);
+  writes = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Generate a unique document id
+ *
+ * @returns {string}
+ */
+function createDocumentId() {
+  return `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Get localStorage if it can be used
+ *
+ * @returns {Storage|null} null in private mode, tests without jsdom, etc.
+ */
+function getStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a debounced saver
+ *
+ * schedule() can be called on every keystroke: the value is only saved
+ * once nothing new was scheduled for `delay` ms. flush() saves right away
+ * (e.g. when the tab is hidden). Saves run one after another, so an older
+ * version can never overwrite a newer one.
+ *
+ * @param {Object} options
+ * @param {Function} options.save - (value) => Promise, does the actual saving
+ * @param {number} [options.delay] - Debounce delay in ms
+ * @param {Function} [options.onSaved] - Called with save()'s result
+ * @param {Function} [options.onError] - Called with the error if save() fails
+ * @returns {{ schedule: Function, flush: Function, cancel: Function }}
+ */
+export function createAutosaver({ save, delay = AUTOSAVE_DELAY, onSaved, onError }) {
+  let timer = null;
+  let pending = null; // { value } waiting to be saved
+  let saving = Promise.resolve();
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return saving;
+
+    const { value } = pending;
+    pending = null;
+
+    saving = saving
+      .then(() => save(value))
+      .then(
+        (result) => onSaved?.(result),
+        (error) => onError?.(error),
+      );
+    return saving;
+  };
+
+  return {
+    /**
+     * Save this value once things have been quiet for `delay` ms
+     * (replaces any value still waiting)
+     */
+    schedule(value) {
+      pending = { value };
+      clearTimeout(timer);
+      timer = setTimeout(flush, delay);
+    },
+
+    /**
+     * Save the waiting value now
+     * @returns {Promise<void>} Resolves when every save so far is done
+     */
+    flush,
+
+    /**
+     * Forget the waiting value
+     */
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+    },
+  };
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { listDocuments, createDocument, loadDocument, saveDocument, createAutosaver } from './documentStore';
+ *
+ * const documents = await listDocuments();
+ * const record = documents.length > 0
+ *   ? await loadDocument(documents[0].id)
+ *   : await createDocument({ title: 'My story' });
+ *
+ * const autosaver = createAutosaver({
+ *   save: (content) => saveDocument(record.id, content),
+ *   onSaved: (savedAt) => console.log('Saved at', new Date(savedAt)),
+ * });
+ *
+ * // On every change
+ * autosaver.schedule(doc.toJSON());
+ *
+ * // Before the page goes away
+ * autosaver.flush();
+ */
@@ -0,0 +1,174 @@
+/**
+ * AI ERRORS
+ *
+ * Providers fail in many different ways - HTTP status codes, SDK error
+ * classes, fetch TypeErrors, stream events. This module turns all of them
+ * into a small set of typed errors, so the rest of the app can decide
+ * what to do without knowing which provider was used:
+ *
+ * - AuthError           The API key is missing or wrong (never retried)
+ * - RateLimitError      Too many requests; may say when to try again
+ * - ServerError         The provider had a problem (5xx)
+ * - NetworkError        The request never reached the provider
+ * - ContentFilterError  The provider refused to answer (never retried)
+ * - TimeoutError        No answer within the time limit
+ *
+ * Every error has a `type` and a `retryable` flag. The messages are
+ * written for users - they are shown in the status bar as-is.
+ */
+
+/**
+ * Base class for all AI errors
+ */
+export class AIError extends Error {
+  /**
+   * @param {string} message - User-facing message
+   * @param {Object} [details]
+   * @param {string} [details.type] - Error type (see the classes below)
+   * @param {boolean} [details.retryable] - Whether trying again may help
+   * @param {number} [details.status] - HTTP status, if any
+   * @param {Error} [details.cause] - The original error
+   */
+  constructor(message, { type = 'unknown', retryable = false, status, cause } = {}) {
+    super(message, { cause });
+    this.name = 'AIError';
+    this.type = type;
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+export class AuthError extends AIError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: 'auth', retryable: false });
+    this.name = 'AuthError';
+  }
+}
+
+export class RateLimitError extends AIError {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - As for AIError, plus:
+   * @param {number|null} [details.retryAfter] - Milliseconds the provider asked us to wait
+   */
+  constructor(message, { retryAfter = null, ...details } = {}) {
+    super(message, { ...details, type: 'rate-limit', retryable: true });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class ServerError extends AIError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: 'server', retryable: true });
+    this.name = 'ServerError';
+  }
+}
+
+export class NetworkError extends AIError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: 'network', retryable: true });
+    this.name = 'NetworkError';
+  }
+}
+
+export class ContentFilterError extends AIError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: 'content-filter', retryable: false });
+    this.name = 'ContentFilterError';
+  }
+}
+
+export class TimeoutError extends AIError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: 'timeout', retryable: true });
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Turn any provider error into a typed AI error
+ *
+ * @param {Error} error - The original error
+ * @param {Object} provider - The provider that failed (for its label)
+ * @returns {AIError}
+ */
+export function classifyError(error, provider) {
+  // Already classified (e.g. a timeout we raised ourselves)
+  if (error instanceof AIError) return error;
+
+  const label = provider?.label || 'AI';
+  const status = error?.status;
+  const code = error?.code || error?.error?.code || error?.error?.type;
+  const details = { status, cause: error };
+
+  if (status === 401 || status === 403) {
+    return new AuthError(`Invalid API key. Please check your ${label} API key.`, details);
+  }
+
+  if (status === 429) {
+    return new RateLimitError('Rate limit exceeded. Please try again in a moment.', {
+      ...details,
+      retryAfter: getRetryAfter(error?.headers),
+    });
+  }
+
+  if (code === 'content_filter' || code === 'content_policy_violation') {
+    return new ContentFilterError(`${label} declined to write this. Try rephrasing your text.`, details);
+  }
+
+  if (status >= 500) {
+    return new ServerError(`${label} service error. Please try again later.`, details);
+  }
+
+  // Timeouts raised by the OpenAI SDK (our own timeouts are TimeoutErrors already)
+  if (error?.name === 'APIConnectionTimeoutError') {
+    return new TimeoutError(`${label} took too long to answer.`, details);
+  }
+
+  // fetch rejects with a TypeError when the request can't be sent at all
+  if (error?.name === 'APIConnectionError' || error instanceof TypeError) {
+    return new NetworkError(`Could not reach ${label}. Check your connection.`, details);
+  }
+
+  return new AIError('Failed to generate content. Please try again.', details);
+}
+
+/**
+ * Read how long a provider wants us to wait from its response headers
+ *
+ * Supports `retry-after-ms`, and `retry-after` in seconds or as a date.
+ *
+ * @param {Headers|Object} [headers] - Fetch Headers or a plain object
+ * @returns {number|null} Milliseconds, or null if the provider didn't say
+ */
+export function getRetryAfter(headers) {
+  if (!headers) return null;
+
+  const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const milliseconds = Number(get('retry-after-ms'));
+  if (milliseconds > 0) return milliseconds;
+
+  const value = get('retry-after');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * try {
+ *   await provider.generate(request);
+ * } catch (error) {
+ *   const aiError = classifyError(error, provider);
+ *   if (aiError.retryable) {
+ *     // wait aiError.retryAfter (if set) and try again
+ *   }
+ * }
+ */
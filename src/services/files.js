@@ -0,0 +1,77 @@
+/**
+ * FILES
+ *
+ * Small helpers for getting documents in and out of the browser as
+ * files: recognising Markdown files, turning file names into document
+ * titles (and back) and downloading text.
+ */
+
+// What we accept on import (and when dropped onto the editor)
+export const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+/**
+ * Check whether a file is a Markdown file
+ *
+ * Browsers often report .md files with an empty type, so the name counts.
+ *
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isMarkdownFile(file) {
+  const name = file.name.toLowerCase();
+  return file.type === 'text/markdown' || MARKDOWN_EXTENSIONS.some((extension) => name.endsWith(extension));
+}
+
+/**
+ * Turn a file name into a document title ("My notes.md" → "My notes")
+ *
+ * @param {string} fileName
+ * @returns {string}
+ */
+export function getTitleFromFileName(fileName) {
+  return fileName.replace(/\.[^.]+$/, '').trim();
+}
+
+/**
+ * Turn a document title into a file name ("Q3 / plans" → "Q3 - plans.md")
+ *
+ * @param {string} title
+ * @param {string} [extension]
+ * @returns {string}
+ */
+export function getFileName(title, extension = '.md') {
+  // Characters that aren't allowed in file names on some systems
+  const base = title.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'document';
+  return base + extension;
+}
+
+/**
+ * Let the browser download some text as a file
+ *
+ * @param {string} fileName
+ * @param {string} text
+ * @param {string} [type] - MIME type
+ */
+export function downloadTextFile(fileName, text, type = 'text/markdown') {
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+
+  // The download has started - the URL isn't needed any more
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { downloadTextFile, getFileName, isMarkdownFile } from './files';
+ *
+ * downloadTextFile(getFileName('My story'), '# My story\n\nOnce upon a time...');
+ *
+ * if (isMarkdownFile(file)) {
+ *   const markdown = await file.text();
+ * }
+ */
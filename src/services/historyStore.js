@@ -0,0 +1,90 @@
+/**
+ * HISTORY STORE
+ *
+ * Keeps a log of every AI generation per document in IndexedDB (see
+ * database.js), so a discarded suggestion isn't gone forever: the history
+ * panel lists them and can insert any of them again.
+ *
+ * The log is recorded by the state machine (see editorMachine.js) and
+ * saved here as one record per document:
+ * { documentId, entries }
+ *
+ * An entry:
+ * { id, createdAt, command, context, output, provider, model, preset,
+ *   cached, latency, outcome, acceptedLength }
+ * - command: the selection command (e.g. 'rewrite'), or null for a continuation
+ * - context: the text the prompt was built around (the end of the text
+ *   before the cursor, or the selected text)
+ * - latency: how long the generation took (ms)
+ * - outcome: 'accepted', 'partially-accepted' or 'discarded'
+ *
+ * Newest entries come first; only the last HISTORY_LIMIT are kept.
+ */
+
+import { getRecord, putRecord, deleteRecord } from './database';
+
+const STORE = 'history';
+
+// How many generations are remembered per document
+export const HISTORY_LIMIT = 50;
+
+// The possible outcomes of a generation
+export const OUTCOMES = {
+  accepted: 'accepted',
+  partiallyAccepted: 'partially-accepted',
+  discarded: 'discarded',
+};
+
+/**
+ * Load a document's generation history
+ *
+ * @param {string} documentId
+ * @returns {Promise<Object[]>} Entries, newest first (empty without IndexedDB)
+ */
+export async function loadHistory(documentId) {
+  try {
+    const record = await getRecord(STORE, documentId);
+    return record?.entries || [];
+  } catch {
+    // A broken history is no reason to stop writing
+    return [];
+  }
+}
+
+/**
+ * Save a document's generation history
+ *
+ * @param {string} documentId
+ * @param {Object[]} entries - Newest first (cut to HISTORY_LIMIT)
+ * @returns {Promise<void>}
+ */
+export async function saveHistory(documentId, entries) {
+  try {
+    await putRecord(STORE, { documentId, entries: entries.slice(0, HISTORY_LIMIT) });
+  } catch {
+    // Best-effort, like the response cache
+  }
+}
+
+/**
+ * Delete a document's generation history (when the document is deleted)
+ *
+ * @param {string} documentId
+ * @returns {Promise<void>}
+ */
+export async function deleteHistory(documentId) {
+  try {
+    await deleteRecord(STORE, documentId);
+  } catch {
+    // Nothing to clean up then
+  }
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { loadHistory, saveHistory } from './historyStore';
+ *
+ * const entries = await loadHistory(documentId);
+ * await saveHistory(documentId, [newEntry, ...entries]);
+ */
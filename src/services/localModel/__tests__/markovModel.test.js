@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createMarkovModel, generateText } from '../markovModel';
+import { generateAIContent, generateLocalAIContent } from '../../aiService';
+
+/**
+ * A deterministic random source
+ */
+function seededRandom(seed = 1) {
+  let value = seed;
+  return () => {
+    value = (value * 16807) % 2147483647;
+    return (value - 1) / 2147483646;
+  };
+}
+
+describe('Markov model', () => {
+  it('should follow the only transition it has seen', () => {
+    const model = createMarkovModel({ order: 2 });
+    model.train('the quick brown fox jumps over the lazy dog.');
+
+    const text = generateText([model], 'the quick', { maxWords: 3, random: seededRandom() });
+    expect(text).toBe('brown fox jumps');
+  });
+
+  it('should back off to shorter histories for unseen context', () => {
+    const model = createMarkovModel({ order: 2 });
+    model.train('red apples and green apples');
+
+    // "yellow" was never seen, but "apples" was
+    const text = generateText([model], 'yellow apples', { maxWords: 1, random: seededRandom() });
+    expect(text).toBe('and');
+  });
+
+  it('should prefer the model with the more specific match', () => {
+    const documentModel = createMarkovModel({ order: 2 });
+    documentModel.train('our product launch went well');
+    const corpusModel = createMarkovModel({ order: 2 });
+    corpusModel.train('the launch was delayed');
+
+    const text = generateText([documentModel, corpusModel], 'product launch', { maxWords: 1, random: seededRandom() });
+    expect(text).toBe('went');
+  });
+
+  it('should stop after the sentence limit and stream each word', () => {
+    const model = createMarkovModel({ order: 1 });
+    model.train('one. two. three. four.');
+    const onWord = vi.fn();
+
+    const text = generateText([model], 'one.', { maxSentences: 2, random: seededRandom(), onWord });
+
+    expect(text.match(/\./g)).toHaveLength(2);
+    expect(onWord.mock.calls.map(([word]) => word).join('')).toBe(' ' + text);
+  });
+});
+
+describe('Local AI provider', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should generate offline text with generateLocalAIContent', async () => {
+    const text = await generateLocalAIContent('Once upon a time', 16);
+    expect(text.length).toBeGreaterThan(0);
+  });
+
+  it('should be used automatically when the browser is offline', async () => {
+    vi.stubGlobal('navigator', { onLine: false });
+    const onChunk = vi.fn();
+
+    // The anthropic provider would need the network
+    const text = await generateAIContent('The team reviewed the results', 29, {
+      onChunk,
+      config: { provider: 'anthropic', apiKey: 'test' },
+    });
+
+    expect(text.length).toBeGreaterThan(0);
+    expect(onChunk).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * BUNDLED CORPUS
+ * 
+ * A small collection of general-purpose prose that the offline model
+ * always learns from, so it has something to say even when the
+ * document is still empty. The current document is learned on top
+ * of this and takes priority.
+ * 
+ * Keep it short - it is parsed every time the worker starts.
+ */
+
+export const BUNDLED_CORPUS = `
+The idea is simple, but the details matter. Every good piece of writing starts with a clear purpose and a reader in mind. When the purpose is clear, the structure follows naturally.
+
+Once upon a time, in a quiet village at the edge of the forest, there lived a curious young girl. She spent her days exploring the hills and her nights reading stories by the fire. One morning she found a narrow path that she had never seen before. The path led deeper into the forest than she had ever dared to go. At the end of the path stood an old stone house covered in ivy.
+
+The team reviewed the results and agreed on the next steps. The first step is to understand the problem before proposing a solution. The second step is to test the solution with real users. The results will help us decide where to focus our effort. This approach keeps the project small, focused and easy to change.
+
+In the market, timing is often as important as quality. Customers want products that solve real problems without adding complexity. A strong brand is built on trust, and trust is built one promise at a time. The company plans to expand into new regions over the next year.
+
+The system is designed to be simple to maintain and easy to extend. Each module has a single responsibility and a small public interface. The code is tested at every level, from individual functions to the whole application. This makes it possible to change the implementation without breaking the behavior.
+
+The weather changed quickly that afternoon. Dark clouds rolled in from the sea and the wind began to rise. By evening the streets were empty and the rain fell in heavy sheets. Inside, the lights flickered but stayed on.
+
+It is worth remembering that progress is rarely a straight line. Small improvements add up over time, and consistency beats intensity. The best time to start is usually now. The second best time is tomorrow, with a better plan.
+
+She opened the letter slowly and read it twice. The words were simple, but their meaning was not. For a long moment she said nothing at all. Then she smiled, folded the letter and put it in her pocket.
+`;
@@ -0,0 +1,67 @@
+/**
+ * LOCAL GENERATION ENGINE
+ * 
+ * Glue between the offline models and whoever runs them
+ * (the Web Worker in production, the main thread as a fallback).
+ * 
+ * By default it uses the Markov model from markovModel.js. An external
+ * model (e.g. a WASM or ONNX build of a small LLM) can be plugged in:
+ * it is an ES module that exports
+ * 
+ *   async function generate(context, { maxWords, onWord }) → string
+ * 
+ * and is loaded from a URL with loadExternalModel().
+ */
+
+import { createMarkovModel, generateText } from './markovModel';
+import { BUNDLED_CORPUS } from './corpus';
+
+/**
+ * Create an engine
+ * 
+ * @returns {Object} The engine
+ */
+export function createLocalEngine() {
+  // The corpus never changes, so train it once
+  const corpusModel = createMarkovModel({ order: 2 });
+  corpusModel.train(BUNDLED_CORPUS);
+  
+  let externalModel = null;
+  
+  return {
+    /**
+     * Use an external model module instead of the Markov model
+     * 
+     * @param {string} url - URL of an ES module exporting generate()
+     */
+    async loadExternalModel(url) {
+      const module = await import(/* @vite-ignore */ url);
+      if (typeof module.generate !== 'function') {
+        throw new Error(`Local model at ${url} does not export generate()`);
+      }
+      externalModel = module;
+    },
+    
+    /**
+     * Generate a continuation
+     * 
+     * @param {Object} params
+     * @param {string} params.documentText - Full document, used as training data
+     * @param {string} params.context - Text before the cursor
+     * @param {number} [params.maxWords] - Limit on generated words
+     * @param {Function} [params.onWord] - Called with each generated word
+     * @returns {Promise<string>}
+     */
+    async generate({ documentText, context, maxWords = 60, onWord }) {
+      if (externalModel) {
+        return externalModel.generate(context, { maxWords, onWord });
+      }
+      
+      // The document is re-learned on every request because it keeps changing
+      const documentModel = createMarkovModel({ order: 2 });
+      documentModel.train(documentText);
+      
+      return generateText([documentModel, corpusModel], context, { maxWords, onWord });
+    },
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * LOCAL MODEL WEB WORKER
+ * 
+ * Runs the offline model off the main thread so typing stays smooth.
+ * 
+ * Messages in:
+ *   { type: 'load', url }                                  - use an external model
+ *   { type: 'generate', id, documentText, context, maxWords }
+ *   { type: 'cancel', id }
+ * 
+ * Messages out:
+ *   { type: 'chunk', id, text }
+ *   { type: 'done', id, text }
+ *   { type: 'error', id, message }
+ */
+
+import { createLocalEngine } from './localEngine';
+
+const engine = createLocalEngine();
+
+// Ids of generations that were cancelled before they finished
+const cancelled = new Set();
+
+self.onmessage = async (event) => {
+  const message = event.data;
+  
+  switch (message.type) {
+    case 'load':
+      try {
+        await engine.loadExternalModel(message.url);
+      } catch (error) {
+        self.postMessage({ type: 'error', id: null, message: error.message });
+      }
+      break;
+      
+    case 'cancel':
+      cancelled.add(message.id);
+      break;
+      
+    case 'generate': {
+      const { id } = message;
+      
+      try {
+        const text = await engine.generate({
+          documentText: message.documentText,
+          context: message.context,
+          maxWords: message.maxWords,
+          onWord: (word) => {
+            if (!cancelled.has(id)) {
+              self.postMessage({ type: 'chunk', id, text: word });
+            }
+          },
+        });
+        
+        if (!cancelled.has(id)) {
+          self.postMessage({ type: 'done', id, text });
+        }
+      } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+      } finally {
+        cancelled.delete(id);
+      }
+      break;
+    }
+      
+    default:
+      break;
+  }
+};
@@ -0,0 +1,174 @@
+/**
+ * MARKOV (N-GRAM) TEXT MODEL
+ * 
+ * A tiny language model that works completely offline.
+ * 
+ * How it works:
+ * 1. Training: for every sequence of N words in a text, count which word came next
+ *    "the cat sat" → after ["the", "cat"] we saw "sat" once
+ * 2. Generating: look at the last N words, pick a next word weighted by those counts,
+ *    repeat. If the last N words were never seen, "back off" to N-1 words, then N-2...
+ * 
+ * It is nowhere near a real LLM, but it picks up the vocabulary and
+ * phrasing of the document it was trained on, which is enough for an
+ * offline fallback.
+ */
+
+// Words that end a sentence
+const SENTENCE_END = /[.!?]["')\]]?$/;
+
+/**
+ * Split text into words, keeping punctuation attached
+ * 
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 0);
+}
+
+/**
+ * Normalize a word for use as a lookup key
+ */
+function normalize(word) {
+  return word.toLowerCase();
+}
+
+/**
+ * Create an n-gram model
+ * 
+ * @param {Object} [options]
+ * @param {number} [options.order=2] - How many previous words to look at
+ * @returns {Object} The model
+ */
+export function createMarkovModel({ order = 2 } = {}) {
+  // transitions[n] maps "previous n words" → Map(next word → count)
+  const transitions = Array.from({ length: order + 1 }, () => new Map());
+  
+  return {
+    order,
+    
+    /**
+     * Learn from a text
+     * 
+     * @param {string} text - Training text
+     * @param {number} [weight=1] - How much each occurrence counts
+     */
+    train(text, weight = 1) {
+      const words = tokenizeWords(text);
+      
+      for (let i = 0; i < words.length; i++) {
+        const next = words[i];
+        
+        // Record the transition for every history length 0..order
+        for (let n = 0; n <= order && n <= i; n++) {
+          const key = words.slice(i - n, i).map(normalize).join(' ');
+          const counts = transitions[n].get(key) || new Map();
+          counts.set(next, (counts.get(next) || 0) + weight);
+          transitions[n].set(key, counts);
+        }
+      }
+    },
+    
+    /**
+     * Get the possible next words for a history, backing off to shorter
+     * histories when the long one was never seen
+     * 
+     * @param {string[]} history - Previous words (oldest first)
+     * @returns {{ counts: Map<string, number>, n: number } | null}
+     */
+    candidates(history) {
+      for (let n = Math.min(order, history.length); n >= 0; n--) {
+        const key = history.slice(history.length - n).map(normalize).join(' ');
+        const counts = transitions[n].get(key);
+        if (counts && counts.size > 0) return { counts, n };
+      }
+      return null;
+    },
+    
+    /**
+     * Whether the model has learned anything yet
+     */
+    isEmpty() {
+      return transitions[0].size === 0;
+    },
+  };
+}
+
+/**
+ * Pick a key from a Map of weights
+ * 
+ * @param {Map<string, number>} counts
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {string}
+ */
+function pickWeighted(counts, random) {
+  let total = 0;
+  for (const count of counts.values()) total += count;
+  
+  let target = random() * total;
+  for (const [word, count] of counts) {
+    target -= count;
+    if (target < 0) return word;
+  }
+  
+  // Floating point leftovers - return the last word
+  return [...counts.keys()].pop();
+}
+
+/**
+ * Generate a continuation
+ * 
+ * Several models can be combined: the model that matches the longest
+ * history wins (ties go to the one listed first). This lets a model
+ * trained on the current document take priority over a generic corpus.
+ * 
+ * @param {Object[]} models - Models to draw from, in priority order
+ * @param {string} context - Text before the cursor
+ * @param {Object} [options]
+ * @param {number} [options.maxWords=60] - Hard limit on generated words
+ * @param {number} [options.maxSentences=3] - Stop after this many sentences
+ * @param {Function} [options.random=Math.random] - Random source (seedable for tests)
+ * @param {Function} [options.onWord] - Called with each word (with leading space)
+ * @returns {string} The generated text
+ */
+export function generateText(models, context, {
+  maxWords = 60,
+  maxSentences = 3,
+  random = Math.random,
+  onWord,
+} = {}) {
+  const history = tokenizeWords(context);
+  const output = [];
+  let sentences = 0;
+  
+  // Start a new sentence if the context ended one (or is empty)
+  let capitalizeNext = history.length === 0 || SENTENCE_END.test(history[history.length - 1]);
+  
+  while (output.length < maxWords) {
+    // Find the model with the most specific match
+    let best = null;
+    for (const model of models) {
+      const match = model.candidates(history);
+      if (match && (!best || match.n > best.n)) best = match;
+    }
+    if (!best) break;
+    
+    let word = pickWeighted(best.counts, random);
+    if (capitalizeNext) {
+      word = word.charAt(0).toUpperCase() + word.slice(1);
+    }
+    
+    history.push(word);
+    output.push(word);
+    onWord?.(' ' + word);
+    
+    capitalizeNext = SENTENCE_END.test(word);
+    if (capitalizeNext) {
+      sentences += 1;
+      if (sentences >= maxSentences) break;
+    }
+  }
+  
+  return output.join(' ');
+}
@@ -0,0 +1,137 @@
+/**
+ * PRESET STORE
+ *
+ * Saves the user's prompt presets (see promptTemplates.js) and which one
+ * is active in localStorage, so they survive page reloads.
+ *
+ * The AI service reads the active preset from here for every request,
+ * the same way it reads the provider configuration from aiConfig.js.
+ * Built-in presets the user never edited always come from the code, so
+ * improvements to them reach everyone.
+ */
+
+import { DEFAULT_PRESETS } from './promptTemplates';
+
+const PRESETS_KEY = 'ai-writer:presets';
+const ACTIVE_PRESET_KEY = 'ai-writer:active-preset';
+
+/**
+ * Get localStorage if it can be used
+ *
+ * @returns {Storage|null} null in private mode, tests without jsdom, etc.
+ */
+function getStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load all presets: the built-in ones (possibly edited) and the user's own
+ *
+ * @returns {Object[]} Presets, built-in ones first
+ */
+export function loadPresets() {
+  let saved = [];
+
+  try {
+    saved = JSON.parse(getStorage()?.getItem(PRESETS_KEY) || '[]');
+  } catch {
+    // Corrupt data - start over from the defaults
+  }
+
+  if (!Array.isArray(saved)) saved = [];
+  const savedById = new Map(saved.map((preset) => [preset.id, preset]));
+
+  // Edited built-ins replace the defaults; missing fields fall back to them
+  const builtIns = DEFAULT_PRESETS.map((preset) => ({
+    ...preset,
+    ...savedById.get(preset.id),
+    builtIn: true,
+  }));
+
+  const custom = saved
+    .filter((preset) => !DEFAULT_PRESETS.some(({ id }) => id === preset.id))
+    .map((preset) => ({ ...DEFAULT_PRESETS[0], ...preset, builtIn: false }));
+
+  return [...builtIns, ...custom];
+}
+
+/**
+ * Save all presets
+ *
+ * @param {Object[]} presets - Every preset (as returned by loadPresets)
+ */
+export function savePresets(presets) {
+  // Only store what differs from the code: built-ins the user edited, and custom presets
+  const changed = presets
+    .filter((preset) => !preset.builtIn || !isDefaultPreset(preset))
+    .map(({ builtIn, ...preset }) => preset);
+
+  getStorage()?.setItem(PRESETS_KEY, JSON.stringify(changed));
+}
+
+/**
+ * Throw away all edits and custom presets
+ *
+ * @returns {Object[]} The default presets
+ */
+export function resetPresets() {
+  getStorage()?.removeItem(PRESETS_KEY);
+  getStorage()?.removeItem(ACTIVE_PRESET_KEY);
+  return loadPresets();
+}
+
+/**
+ * Get the id of the active preset
+ *
+ * @returns {string}
+ */
+export function getActivePresetId() {
+  return getStorage()?.getItem(ACTIVE_PRESET_KEY) || DEFAULT_PRESETS[0].id;
+}
+
+/**
+ * Make a preset the active one
+ *
+ * @param {string} id - Preset id
+ */
+export function setActivePresetId(id) {
+  getStorage()?.setItem(ACTIVE_PRESET_KEY, id);
+}
+
+/**
+ * Get the active preset
+ *
+ * Falls back to the first preset if the active one was deleted.
+ *
+ * @returns {Object} The preset
+ */
+export function getActivePreset() {
+  const presets = loadPresets();
+  const id = getActivePresetId();
+  return presets.find((preset) => preset.id === id) || presets[0];
+}
+
+/**
+ * Check whether a built-in preset still matches its default
+ *
+ * @param {Object} preset
+ * @returns {boolean}
+ */
+function isDefaultPreset(preset) {
+  const original = DEFAULT_PRESETS.find(({ id }) => id === preset.id);
+  return !!original && Object.keys(original).every((key) => original[key] === preset[key]);
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { loadPresets, savePresets, setActivePresetId } from './presetStore';
+ *
+ * const presets = loadPresets();
+ * savePresets([...presets, { id: 'poetry', name: 'Poetry', style: 'Rhyming verse' }]);
+ * setActivePresetId('poetry');
+ */
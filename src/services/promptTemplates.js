@@ -0,0 +1,190 @@
+/**
+ * PROMPT TEMPLATES
+ *
+ * The prompts sent to the AI are templates with variables, so users can
+ * tune them without touching code. A variable is written {{name}}:
+ *
+ * - {{before}}    Text before the cursor (or before the selection)
+ * - {{after}}     Text after the cursor (or after the selection)
+ * - {{paragraph}} The paragraph the cursor is in
+ * - {{outline}}   The document's headings, as Markdown
+ * - {{title}}     The document title (its first line, if short)
+ * - {{selection}} The selected text (selection commands only)
+ * - {{style}}     The style description of the preset
+ * - {{instruction}} What a selection command should do (edit prompts only)
+ *
+ * The text for {{before}}, {{after}} and {{outline}} is picked within a
+ * token budget by contextBuilder.js.
+ *
+ * A line whose variables are all empty is left out, so optional parts
+ * like "Title: {{title}}" disappear when there is no title.
+ *
+ * Templates are grouped into presets (e.g. "Blog post", "Fiction") along
+ * with the generation settings. See presetStore.js for how they are saved.
+ */
+
+// The variables a template can use, with a short description for the UI
+export const TEMPLATE_VARIABLES = {
+  before: 'Text before the cursor',
+  after: 'Text after the cursor',
+  paragraph: 'The paragraph the cursor is in',
+  outline: 'Headings of the document',
+  title: 'Document title',
+  selection: 'Selected text',
+  style: 'Style of the preset',
+  instruction: 'What the selection command should do',
+};
+
+// The prompts every preset starts from
+const BASE_SYSTEM_PROMPT = `You are a helpful writing assistant. Continue the user's text in a natural, coherent way.
+Match the tone and style of the existing text.
+Generate 2-3 sentences that flow naturally from what was written.
+Do not repeat the existing text.
+Style: {{style}}`;
+
+// Optional parts keep their heading on the variable's line, so both
+// disappear when there is nothing to show
+const BASE_CONTINUE_PROMPT = `Title: {{title}}
+Document outline: {{outline}}
+
+Text after the cursor (what you write must lead into it): {{after}}
+
+Continue writing from here:
+
+{{before}}`;
+
+const BASE_EDIT_SYSTEM_PROMPT = `You are a helpful editor. {{instruction}}
+Style: {{style}}
+Reply with the revised text only - no quotes, notes or explanations.`;
+
+const BASE_EDIT_PROMPT = `Text before the selection (for context only): {{before}}
+
+Text after the selection (for context only): {{after}}
+
+Text to revise:
+
+{{selection}}`;
+
+/**
+ * Built-in presets
+ *
+ * Each preset has:
+ * - id, name: how it is stored and shown
+ * - style: fills {{style}}
+ * - systemPrompt / continuePrompt: templates for "continue writing"
+ * - editSystemPrompt / editPrompt: templates for selection commands
+ * - temperature: 0 = predictable, 2 = very random
+ * - maxTokens: how long a continuation may be (~100 tokens ≈ 75 words)
+ */
+export const DEFAULT_PRESETS = [
+  {
+    id: 'general',
+    name: 'General',
+    style: '',
+    systemPrompt: BASE_SYSTEM_PROMPT,
+    continuePrompt: BASE_CONTINUE_PROMPT,
+    editSystemPrompt: BASE_EDIT_SYSTEM_PROMPT,
+    editPrompt: BASE_EDIT_PROMPT,
+    temperature: 0.7,
+    maxTokens: 100,
+  },
+  {
+    id: 'blog',
+    name: 'Blog post',
+    style: 'Friendly and conversational, written for a general audience. Short paragraphs, concrete examples, speak to the reader directly.',
+    systemPrompt: BASE_SYSTEM_PROMPT,
+    continuePrompt: BASE_CONTINUE_PROMPT,
+    editSystemPrompt: BASE_EDIT_SYSTEM_PROMPT,
+    editPrompt: BASE_EDIT_PROMPT,
+    temperature: 0.8,
+    maxTokens: 120,
+  },
+  {
+    id: 'technical',
+    name: 'Technical doc',
+    style: 'Precise, neutral and concise technical writing. Prefer exact terms over vague ones, no marketing language, no filler.',
+    systemPrompt: BASE_SYSTEM_PROMPT,
+    continuePrompt: BASE_CONTINUE_PROMPT,
+    editSystemPrompt: BASE_EDIT_SYSTEM_PROMPT,
+    editPrompt: BASE_EDIT_PROMPT,
+    temperature: 0.3,
+    maxTokens: 100,
+  },
+  {
+    id: 'fiction',
+    name: 'Fiction',
+    style: 'Vivid narrative prose. Show, don\'t tell; use sensory detail and keep the point of view and tense of the story.',
+    systemPrompt: BASE_SYSTEM_PROMPT,
+    continuePrompt: BASE_CONTINUE_PROMPT,
+    editSystemPrompt: BASE_EDIT_SYSTEM_PROMPT,
+    editPrompt: BASE_EDIT_PROMPT,
+    temperature: 1.0,
+    maxTokens: 150,
+  },
+];
+
+/**
+ * Fill in a template
+ *
+ * @param {string} template - Text with {{variables}}
+ * @param {Object} variables - Values by name (missing ones count as empty)
+ * @returns {string} The rendered text
+ */
+export function renderTemplate(template, variables) {
+  const variablePattern = /\{\{\s*(\w+)\s*\}\}/g;
+  const valueOf = (name) => String(variables[name] ?? '');
+
+  return template
+    .split('\n')
+    // Leave out lines whose variables are all empty
+    .filter((line) => {
+      const names = [...line.matchAll(variablePattern)].map((match) => match[1]);
+      return names.length === 0 || names.some((name) => valueOf(name).trim() !== '');
+    })
+    .map((line) => line.replace(variablePattern, (match, name) => valueOf(name)))
+    .join('\n')
+    // Dropped lines can leave runs of blank lines behind
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Find the variables a template uses that don't exist
+ *
+ * Used by the settings panel to warn about typos like {{befor}}.
+ *
+ * @param {string} template - Text with {{variables}}
+ * @returns {string[]} Unknown variable names
+ */
+export function findUnknownVariables(template) {
+  const names = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((match) => match[1]);
+  return [...new Set(names.filter((name) => !(name in TEMPLATE_VARIABLES)))];
+}
+
+/**
+ * Work out the document title for {{title}}
+ *
+ * The first line counts as the title when it is short enough to be one
+ * and there is more text after it.
+ *
+ * @param {string} documentText - The full text of the document
+ * @returns {string} The title, or '' if there is none
+ */
+export function getDocumentTitle(documentText) {
+  const [firstLine, ...rest] = documentText.trim().split('\n');
+  const title = firstLine.trim();
+
+  return title.length <= 100 && rest.join('').trim() !== '' ? title : '';
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { renderTemplate } from './promptTemplates';
+ *
+ * renderTemplate('Title: {{title}}\n\nContinue: {{before}}', {
+ *   title: '',
+ *   before: 'Once upon a time',
+ * });
+ * // "Continue: Once upon a time" - the empty title line is left out
+ */
@@ -0,0 +1,101 @@
+/**
+ * ANTHROPIC PROVIDER
+ * 
+ * Talks to Anthropic-style Messages APIs (POST /v1/messages) with fetch.
+ * 
+ * Differences from OpenAI worth knowing:
+ * - The system prompt is a top-level field, not a message
+ * - max_tokens is required
+ * - Streaming uses server-sent events with typed events
+ *   (we only need `content_block_delta`, which carries the text)
+ */
+
+// With the extension, so the proxy server can import this file in plain Node
+import { createHttpError, readEventStream } from './http.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Create an Anthropic provider
+ * 
+ * @param {Object} config - From getAIConfig()
+ * @param {string} config.apiKey - API key (sent as x-api-key)
+ * @param {string} config.model - Model name
+ * @param {string} config.baseURL - API base URL
+ * @returns {Object} A provider (see providers/index.js)
+ */
+export function createAnthropicProvider(config) {
+  /**
+   * Send a Messages API request
+   */
+  const send = async (request, { stream = false, signal } = {}) => {
+    const response = await fetch(`${config.baseURL.replace(/\/$/, '')}/v1/messages`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': config.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        // Same caveat as dangerouslyAllowBrowser for OpenAI
+        'anthropic-dangerous-direct-browser-access': 'true',
+      },
+      body: JSON.stringify({
+        model: config.model,
+        system: request.system,
+        messages: [{ role: 'user', content: request.prompt }],
+        temperature: request.temperature,
+        max_tokens: request.maxTokens,
+        stop_sequences: request.stop,
+        stream,
+      }),
+    });
+    
+    if (!response.ok) {
+      throw await createHttpError(response);
+    }
+    
+    return response;
+  };
+  
+  return {
+    id: 'anthropic',
+    label: 'Anthropic',
+    
+    capabilities: {
+      streaming: true,
+      multipleCandidates: false,
+      requiresApiKey: true,
+      offline: false,
+    },
+    
+    async generate(request, { signal } = {}) {
+      const response = await send(request, { signal });
+      const body = await response.json();
+      
+      // Content is a list of blocks; join the text ones
+      return (body.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    },
+    
+    async stream(request, { onChunk, signal } = {}) {
+      const response = await send(request, { stream: true, signal });
+      let streamedText = '';
+      
+      await readEventStream(response.body, (event) => {
+        if (event.type === 'error') {
+          throw new Error(event.error?.message || 'Stream failed');
+        }
+        
+        const delta = event.type === 'content_block_delta' ? event.delta?.text : '';
+        if (!delta) return;
+        
+        streamedText += delta;
+        onChunk(delta);
+      });
+      
+      return streamedText;
+    },
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * HTTP HELPERS FOR PROVIDERS
+ * 
+ * Shared by the providers that talk to an HTTP API with fetch
+ * (Anthropic and the AI proxy).
+ * 
+ * This file has no imports, so the proxy server (server/) can load the
+ * providers that use it in plain Node.
+ */
+
+/**
+ * Create an error that looks like the SDK errors (has a `status` and `headers`)
+ * so errors.js can classify it
+ * 
+ * The JSON error body is kept as `error.error`, so codes like
+ * `insufficient_quota` or `content_filter` are recognised too.
+ * 
+ * @param {Response} response - The failed fetch response
+ * @returns {Promise<Error>}
+ */
+export async function createHttpError(response) {
+  let message = `Request failed with status ${response.status}`;
+  let body = null;
+
+  try {
+    body = await response.json();
+    message = body.error?.message || message;
+  } catch {
+    // Not JSON - keep the generic message
+  }
+
+  const error = new Error(message);
+  error.status = response.status;
+  error.error = body?.error;
+  // Rate limits say when to try again (retry-after)
+  error.headers = response.headers;
+  return error;
+}
+
+/**
+ * Read a server-sent events stream and call onEvent for every JSON payload
+ * 
+ * @param {ReadableStream} body - The response body
+ * @param {Function} onEvent - Called with each parsed `data:` payload
+ */
+export async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; keep the incomplete tail
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const event of events) {
+      const data = event
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('');
+
+      if (data) onEvent(JSON.parse(data));
+    }
+  }
+}
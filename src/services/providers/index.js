@@ -0,0 +1,97 @@
+/**
+ * AI PROVIDER REGISTRY
+ * 
+ * Every AI backend implements the same small interface, so the rest of
+ * the app never needs to know which one is in use:
+ * 
+ * {
+ *   id: 'openai',                    // Registry id (matches VITE_AI_PROVIDER)
+ *   label: 'OpenAI',                 // Human readable name
+ *   capabilities: {
+ *     streaming: true,               // Supports stream()
+ *     multipleCandidates: true,      // Supports generateMany() in one request
+ *     requiresApiKey: true,          // Needs a key to work
+ *     offline: false,                // Works without network
+ *   },
+ *   generate(request, { signal }),            // → Promise<string>
+ *   stream(request, { onChunk, signal }),     // → Promise<string>
+ *   generateMany(request, count, { signal }), // → Promise<string[]> (optional)
+ * }
+ * 
+ * A `request` is provider-neutral:
+ * { system, prompt, context, documentText, temperature, maxTokens, stop, promptTokens }
+ * (`promptTokens` is our own estimate of the prompt size - providers can ignore it)
+ * Selection commands (rewrite, shorten...) also set `command` and
+ * `commandOptions`; `context` is then the selected text.
+ * 
+ * Providers are registered as factories: (config) => provider.
+ * This lets the same factory serve several configurations
+ * (e.g. OpenAI and an OpenAI-compatible local server).
+ */
+
+import { createOpenAIProvider } from './openaiProvider';
+import { createAnthropicProvider } from './anthropicProvider';
+import { createMockProvider } from './mockProvider';
+import { createLocalProvider } from './localProvider';
+import { createProxyProvider } from './proxyProvider';
+
+// id → factory
+const factories = new Map();
+
+// Instances are cached per configuration so SDK clients are reused
+const instances = new Map();
+
+/**
+ * Register a provider factory
+ * 
+ * @param {string} id - Registry id
+ * @param {Function} factory - (config) => provider
+ */
+export function registerProvider(id, factory) {
+  factories.set(id, factory);
+  
+  // Drop cached instances built by a previous factory with this id
+  for (const key of instances.keys()) {
+    if (key.startsWith(`${id}|`)) instances.delete(key);
+  }
+}
+
+/**
+ * List the ids of all registered providers
+ * 
+ * @returns {string[]}
+ */
+export function listProviders() {
+  return [...factories.keys()];
+}
+
+/**
+ * Get the provider for a configuration
+ * 
+ * @param {Object} config - From getAIConfig()
+ * @returns {Object} The provider
+ * @throws {Error} If no provider is registered under config.provider
+ */
+export function getProvider(config) {
+  const factory = factories.get(config.provider);
+  if (!factory) {
+    throw new Error(`Unknown AI provider "${config.provider}". Available: ${listProviders().join(', ')}`);
+  }
+  
+  const key = `${config.provider}|${config.baseURL}|${config.model}|${config.apiKey}`;
+  if (!instances.has(key)) {
+    instances.set(key, factory(config));
+  }
+  
+  return instances.get(key);
+}
+
+// Built-in providers
+registerProvider('openai', (config) => createOpenAIProvider(config));
+registerProvider('local-server', (config) =>
+  createOpenAIProvider(config, { id: 'local-server', label: 'Local server' })
+);
+registerProvider('anthropic', (config) => createAnthropicProvider(config));
+registerProvider('mock', () => createMockProvider());
+registerProvider('local', (config) => createLocalProvider(config));
+registerProvider('proxy', (config) => createProxyProvider(config));
@@ -0,0 +1,168 @@
+/**
+ * LOCAL (OFFLINE) PROVIDER
+ * 
+ * Generates text in the browser with no network at all.
+ * The model runs in a Web Worker (see localModel/localModel.worker.js)
+ * so the editor stays responsive while it works.
+ * 
+ * Where Web Workers aren't available (e.g. tests), the same engine
+ * runs on the main thread instead.
+ */
+
+import { createLocalEngine } from '../localModel/localEngine';
+import { createAbortError } from '../abort';
+
+/**
+ * Run generations in a Web Worker
+ * 
+ * @param {string} [modelUrl] - Optional external model to load in the worker
+ * @returns {Function} run({ documentText, context, maxWords }, { onChunk, signal }) → Promise<string>
+ */
+function createWorkerRunner(modelUrl) {
+  const worker = new Worker(
+    new URL('../localModel/localModel.worker.js', import.meta.url),
+    { type: 'module' }
+  );
+  
+  if (modelUrl) {
+    worker.postMessage({ type: 'load', url: modelUrl });
+  }
+  
+  // id → { resolve, reject, onChunk }
+  const pending = new Map();
+  let nextId = 1;
+  
+  // Set once the worker has failed (e.g. its script didn't load) - it
+  // can't answer any more, so later requests fail right away
+  let failure = null;
+  
+  worker.onmessage = (event) => {
+    const { type, id, text, message } = event.data;
+    const request = pending.get(id);
+    if (!request) return;
+    
+    if (type === 'chunk') {
+      request.onChunk?.(text);
+    } else if (type === 'done') {
+      pending.delete(id);
+      request.resolve(text);
+    } else if (type === 'error') {
+      pending.delete(id);
+      request.reject(new Error(message));
+    }
+  };
+  
+  // The worker itself failed: reject everything that is waiting instead
+  // of letting it run into the request timeout
+  const fail = (message) => {
+    failure = new Error(`Local model failed: ${message}`);
+    worker.terminate();
+    
+    const requests = [...pending.values()];
+    pending.clear();
+    requests.forEach((request) => request.reject(failure));
+  };
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    fail(event.message || 'the worker could not be started');
+  };
+  worker.onmessageerror = () => fail('a message could not be read');
+  
+  return (params, { onChunk, signal } = {}) => new Promise((resolve, reject) => {
+    if (failure) {
+      reject(failure);
+      return;
+    }
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    
+    const id = nextId++;
+    
+    const handleAbort = () => {
+      pending.delete(id);
+      worker.postMessage({ type: 'cancel', id });
+      reject(createAbortError());
+    };
+    
+    // The signal may be reused for later requests - don't leave the listener behind
+    const settle = (callback) => (value) => {
+      signal?.removeEventListener('abort', handleAbort);
+      callback(value);
+    };
+    pending.set(id, { resolve: settle(resolve), reject: settle(reject), onChunk });
+    
+    signal?.addEventListener('abort', handleAbort, { once: true });
+    
+    worker.postMessage({ type: 'generate', id, ...params });
+  });
+}
+
+/**
+ * Run generations on the main thread
+ * 
+ * @param {string} [modelUrl] - Optional external model to load
+ * @returns {Function} Same signature as createWorkerRunner()
+ */
+function createInlineRunner(modelUrl) {
+  const engine = createLocalEngine();
+  const ready = modelUrl ? engine.loadExternalModel(modelUrl) : Promise.resolve();
+  
+  return async (params, { onChunk, signal } = {}) => {
+    await ready;
+    if (signal?.aborted) throw createAbortError();
+    
+    return engine.generate({ ...params, onWord: onChunk });
+  };
+}
+
+/**
+ * Create the local provider
+ * 
+ * @param {Object} config - From getAIConfig()
+ * @param {string} [config.modelUrl] - ES module URL of an external (WASM/ONNX) model
+ * @returns {Object} A provider (see providers/index.js)
+ */
+export function createLocalProvider(config = {}) {
+  // Created on first use so the worker doesn't start until it's needed
+  let run = null;
+  const getRunner = () => {
+    if (!run) {
+      run = typeof Worker !== 'undefined'
+        ? createWorkerRunner(config.modelUrl)
+        : createInlineRunner(config.modelUrl);
+    }
+    return run;
+  };
+  
+  /**
+   * Turn the provider-neutral request into engine parameters
+   */
+  const toParams = (request) => ({
+    documentText: request.documentText || request.context || '',
+    context: request.context || '',
+    // ~100 tokens ≈ 75 words
+    maxWords: Math.round((request.maxTokens || 100) * 0.75),
+  });
+  
+  return {
+    id: 'local',
+    label: 'Local model',
+    
+    capabilities: {
+      streaming: true,
+      multipleCandidates: false,
+      requiresApiKey: false,
+      offline: true,
+    },
+    
+    async generate(request, { signal } = {}) {
+      return getRunner()(toParams(request), { signal });
+    },
+    
+    async stream(request, { onChunk, signal } = {}) {
+      return getRunner()(toParams(request), { onChunk, signal });
+    },
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * MOCK PROVIDER
+ * 
+ * Simulates AI content generation for testing purposes
+ * when no API is available (no key, no credits, no network).
+ * 
+ * It also simulates streaming by emitting the response word by word,
+ * so the streaming UI works offline.
+ * 
+ * Selection commands (rewrite, shorten, ...) get a simple made-up
+ * revision of the selected text, so the replace flow can be tested too.
+ */
+
+import { wait } from '../abort';
+
+// Generic responses used when the context doesn't match a topic
+const MOCK_RESPONSES = [
+  "This is a continuation generated by the mock AI service. It demonstrates how the state machine works without requiring OpenAI credits.",
+  "The mock AI service is now generating content to help you test the application. This text flows naturally from your previous writing.",
+  "Here's some sample AI-generated text that shows the review functionality. You can accept, clear, or discard this content using the toolbar buttons.",
+  "This simulated AI response helps you understand the complete workflow of the writing assistant without API costs.",
+  "The mock service generates contextual content based on your input. This allows full testing of the state machine transitions."
+];
+
+/**
+ * Choose a response based on context or randomly
+ * 
+ * @param {string} context - Text before the cursor
+ * @returns {string} Mock AI-generated continuation
+ */
+function pickResponse(context) {
+  // Only look at the last 100 characters, like a "topic" detector
+  const contextText = context.slice(-100).toLowerCase();
+  
+  if (contextText.includes('story') || contextText.includes('once')) {
+    return "The adventure continued as our hero faced new challenges ahead. Each step brought unexpected discoveries and moments of wonder.";
+  } else if (contextText.includes('technical') || contextText.includes('code')) {
+    return "The implementation follows best practices for maintainability and performance. This approach ensures scalable and robust solutions.";
+  } else if (contextText.includes('business') || contextText.includes('market')) {
+    return "Market analysis reveals significant opportunities for growth and innovation. Strategic positioning will be crucial for success.";
+  }
+  
+  return MOCK_RESPONSES[Math.floor(Math.random() * MOCK_RESPONSES.length)];
+}
+
+/**
+ * Pretend to revise selected text for a selection command
+ * 
+ * @param {Object} request - A selection command request
+ * @returns {string} Mock revision of request.context (the selection)
+ */
+function reviseSelection(request) {
+  const text = (request.context || '').trim();
+  const { tone, language } = request.commandOptions || {};
+  const sentences = text.match(/[^.!?]+[.!?]*/g) || [text];
+  
+  switch (request.command) {
+    case 'shorten':
+      return sentences[0].trim();
+    case 'expand':
+      return `${text} This point deserves a closer look, because the details make all the difference.`;
+    case 'grammar':
+      return (text.charAt(0).toUpperCase() + text.slice(1)).replace(/\s+/g, ' ').replace(/([^.!?])$/, '$1.');
+    case 'tone':
+      return `${{ casual: 'Honestly,', persuasive: 'Clearly,' }[tone] || 'Furthermore,'} ${text.charAt(0).toLowerCase()}${text.slice(1)}`;
+    case 'translate':
+      return `[${language || 'English'}] ${text}`;
+    default:
+      return `Put another way, ${text.charAt(0).toLowerCase()}${text.slice(1)}`;
+  }
+}
+
+/**
+ * Choose a response for any request
+ * 
+ * @param {Object} request - The request (see providers/index.js)
+ * @returns {string} Mock AI-generated text
+ */
+function respond(request) {
+  return request.command ? reviseSelection(request) : pickResponse(request.context || '');
+}
+
+/**
+ * Create the mock provider
+ * 
+ * @returns {Object} A provider (see providers/index.js)
+ */
+export function createMockProvider() {
+  return {
+    id: 'mock',
+    label: 'Mock AI',
+    
+    capabilities: {
+      streaming: true,
+      multipleCandidates: true,
+      requiresApiKey: false,
+      offline: true,
+    },
+    
+    async generate(request, { signal } = {}) {
+      // Simulate API delay
+      await wait(1000 + Math.random() * 2000, signal);
+      
+      return respond(request);
+    },
+    
+    async generateMany(request, count, { signal } = {}) {
+      await wait(1000 + Math.random() * 1000, signal);
+      
+      // A revision only has one mock answer
+      if (request.command) return [respond(request)];
+      
+      // Different responses each time: shuffle the generic ones
+      const shuffled = [...MOCK_RESPONSES].sort(() => Math.random() - 0.5);
+      return shuffled.slice(0, count);
+    },
+    
+    async stream(request, { onChunk, signal } = {}) {
+      // Simulate time to first token
+      await wait(300 + Math.random() * 500, signal);
+      
+      const response = respond(request);
+      
+      // Emit one word (with its leading space) at a time
+      const chunks = response.match(/\s*\S+/g) || [];
+      for (const chunk of chunks) {
+        await wait(30 + Math.random() * 60, signal);
+        onChunk(chunk);
+      }
+      
+      return response;
+    },
+  };
+}
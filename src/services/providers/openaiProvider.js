@@ -0,0 +1,131 @@
+/**
+ * OPENAI PROVIDER
+ * 
+ * Talks to OpenAI's chat completions API using the official SDK.
+ * 
+ * The same code also works for OpenAI-compatible servers (llama.cpp, Ollama,
+ * LM Studio, vLLM...) - they implement the same HTTP API, so all we need
+ * is a different base URL and model name.
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * Fail when the answer was cut off by OpenAI's content filter
+ * 
+ * The API still "succeeds" in that case, with an empty or partial answer.
+ * 
+ * @param {string} [finishReason] - A choice's finish_reason
+ * @throws {Error} With code 'content_filter' (see errors.js)
+ */
+function checkContentFilter(finishReason) {
+  if (finishReason === 'content_filter') {
+    throw Object.assign(new Error('Content filtered'), { code: 'content_filter' });
+  }
+}
+
+/**
+ * Create an OpenAI (or OpenAI-compatible) provider
+ * 
+ * IMPORTANT: In production, NEVER expose API keys in frontend code!
+ * Use the proxy provider instead (see proxyProvider.js and server/) -
+ * the proxy server runs this same code with the key on the server.
+ * 
+ * @param {Object} config - From getAIConfig()
+ * @param {string} config.apiKey - API key sent with every request
+ * @param {string} config.model - Model name, e.g. 'gpt-3.5-turbo' or 'llama3'
+ * @param {string} [config.baseURL] - API base URL (omit for api.openai.com)
+ * @param {Object} [info] - How this provider presents itself
+ * @param {string} [info.id] - Registry id
+ * @param {string} [info.label] - Human readable name used in error messages
+ * @returns {Object} A provider (see providers/index.js)
+ */
+export function createOpenAIProvider(config, { id = 'openai', label = 'OpenAI' } = {}) {
+  const client = new OpenAI({
+    apiKey: config.apiKey,
+    baseURL: config.baseURL,
+    // dangerouslyAllowBrowser: true is needed for client-side usage
+    // In production, make API calls from your backend instead
+    dangerouslyAllowBrowser: true,
+    // aiService.js retries with backoff itself (see retry.js) - the SDK's
+    // own retries would multiply the attempts and hide the countdown
+    maxRetries: 0,
+  });
+  
+  /**
+   * Turn our provider-neutral request into chat completion parameters
+   */
+  const toChatRequest = (request) => ({
+    model: config.model,
+    
+    // Messages array - this is how chat models work
+    messages: [
+      { role: 'system', content: request.system }, // Sets the AI's behavior
+      { role: 'user', content: request.prompt }, // The actual request
+    ],
+    
+    temperature: request.temperature,
+    max_tokens: request.maxTokens,
+    stop: request.stop,
+  });
+  
+  return {
+    id,
+    label,
+    
+    capabilities: {
+      streaming: true,
+      // OpenAI returns several choices for one request with `n`
+      multipleCandidates: id === 'openai',
+      requiresApiKey: id === 'openai',
+      offline: false,
+    },
+    
+    /**
+     * Generate the whole response at once
+     */
+    async generate(request, { signal } = {}) {
+      const response = await client.chat.completions.create(toChatRequest(request), { signal });
+      checkContentFilter(response.choices[0]?.finish_reason);
+      
+      // The response has a specific structure, we need to navigate it
+      return response.choices[0]?.message?.content || '';
+    },
+    
+    /**
+     * Generate several alternative responses in one request
+     */
+    async generateMany(request, count, { signal } = {}) {
+      const response = await client.chat.completions.create(
+        { ...toChatRequest(request), n: count },
+        { signal }
+      );
+      
+      return response.choices.map(choice => choice.message?.content || '');
+    },
+    
+    /**
+     * Stream the response, calling onChunk for every delta
+     * With stream: true the SDK returns an async iterable of partial responses
+     */
+    async stream(request, { onChunk, signal } = {}) {
+      const stream = await client.chat.completions.create(
+        { ...toChatRequest(request), stream: true },
+        { signal }
+      );
+      let streamedText = '';
+      
+      for await (const part of stream) {
+        checkContentFilter(part.choices[0]?.finish_reason);
+        
+        const delta = part.choices[0]?.delta?.content || '';
+        if (!delta) continue;
+        
+        streamedText += delta;
+        onChunk(delta);
+      }
+      
+      return streamedText;
+    },
+  };
+}
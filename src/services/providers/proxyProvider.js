@@ -0,0 +1,105 @@
+/**
+ * PROXY PROVIDER
+ * 
+ * Sends requests to our own proxy server (see server/) instead of calling
+ * an AI API from the browser. The proxy holds the API keys and forwards
+ * the request to OpenAI, Anthropic or a local server - so no key ever
+ * ends up in the JavaScript bundle.
+ * 
+ * Endpoints (all POST, JSON bodies):
+ * - /api/continue         { request, n? } → { text } or { texts } when n is given
+ * - /api/continue/stream  { request }     → server-sent events: { text } per chunk,
+ *                                           then { done: true } or { error }
+ * 
+ * Errors keep the proxy's HTTP status (and Retry-After when rate limited),
+ * so errors.js classifies them like any other provider's.
+ */
+
+import { createHttpError, readEventStream } from './http';
+
+/**
+ * Create a provider that talks to the proxy server
+ * 
+ * @param {Object} config - From getAIConfig()
+ * @param {string} [config.baseURL] - Where the proxy runs ('' = same origin)
+ * @returns {Object} A provider (see providers/index.js)
+ */
+export function createProxyProvider(config) {
+  const baseURL = (config.baseURL || '').replace(/\/$/, '');
+
+  /**
+   * POST to the proxy
+   * Only what the AI needs is sent - not the whole document
+   */
+  const send = async (path, request, { n, signal } = {}) => {
+    const response = await fetch(`${baseURL}${path}`, {
+      method: 'POST',
+      signal,
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({
+        request: {
+          system: request.system,
+          prompt: request.prompt,
+          temperature: request.temperature,
+          maxTokens: request.maxTokens,
+          stop: request.stop,
+        },
+        n,
+      }),
+    });
+
+    if (!response.ok) {
+      throw await createHttpError(response);
+    }
+
+    return response;
+  };
+
+  return {
+    id: 'proxy',
+    label: 'AI proxy',
+
+    capabilities: {
+      streaming: true,
+      // The proxy asks OpenAI for several choices, or calls other providers repeatedly
+      multipleCandidates: true,
+      // The key lives on the server
+      requiresApiKey: false,
+      offline: false,
+    },
+
+    async generate(request, { signal } = {}) {
+      const response = await send('/api/continue', request, { signal });
+      const body = await response.json();
+      return body.text || '';
+    },
+
+    async generateMany(request, count, { signal } = {}) {
+      const response = await send('/api/continue', request, { n: count, signal });
+      const body = await response.json();
+      return body.texts || [];
+    },
+
+    async stream(request, { onChunk, signal } = {}) {
+      const response = await send('/api/continue/stream', request, { signal });
+      let streamedText = '';
+
+      await readEventStream(response.body, (event) => {
+        // The upstream provider failed after the stream had started
+        if (event.error) {
+          throw Object.assign(new Error(event.error.message || 'Stream failed'), {
+            status: event.error.status,
+            error: event.error,
+          });
+        }
+
+        if (!event.text) return;
+
+        streamedText += event.text;
+        onChunk(event.text);
+      });
+
+      return streamedText;
+    },
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * RESPONSE CACHE
+ *
+ * Pressing Ctrl+K again on text that hasn't changed sends exactly the
+ * same request - and pays for it again. This cache remembers the answers
+ * to recent requests so identical ones are answered instantly and for free.
+ *
+ * - Keys are made from the provider, the model, the prompt template and
+ *   a hash of the context (see getCacheKey)
+ * - Least recently used entries are dropped once the cache is full (LRU)
+ * - Entries are saved in IndexedDB (see database.js), so they survive
+ *   page reloads; without IndexedDB the cache only lives in memory
+ *
+ * The AI service decides what is cached; "Regenerate" skips the lookup.
+ */
+
+import { getAllRecords, putRecord, deleteRecord, clearRecords } from './database';
+
+const STORE = 'responses';
+
+// How many responses to keep unless told otherwise (VITE_AI_CACHE_SIZE)
+export const DEFAULT_CACHE_SIZE = 50;
+
+// key → { key, value, usedAt }, least recently used first
+// Loaded from IndexedDB on first use
+let entriesPromise = null;
+
+/**
+ * Build the cache key for a request
+ *
+ * The template and context are hashed, so keys stay short no matter how
+ * long the document is.
+ *
+ * @param {Object} parts
+ * @param {string} parts.provider - Provider id (e.g. 'openai')
+ * @param {string} parts.model - Model name
+ * @param {*} parts.template - Everything that shapes the prompt (templates, style, temperature...)
+ * @param {string} parts.context - The text the prompt was built from
+ * @returns {string}
+ */
+export function getCacheKey({ provider, model, template, context }) {
+  return [provider, model, hashText(JSON.stringify(template)), hashText(context)].join('|');
+}
+
+/**
+ * Look up a cached response
+ *
+ * A hit counts as a use, so the entry moves to the back of the LRU queue.
+ *
+ * @param {string} key - From getCacheKey()
+ * @returns {Promise<*>} The cached value, or null
+ */
+export async function getCachedResponse(key) {
+  const entries = await loadEntries();
+  const entry = entries.get(key);
+  if (!entry) return null;
+
+  touch(entries, { ...entry, usedAt: Date.now() });
+  return entry.value;
+}
+
+/**
+ * Cache a response
+ *
+ * @param {string} key - From getCacheKey()
+ * @param {*} value - The response (anything IndexedDB can store)
+ * @param {number} [maxEntries] - Cache size; older entries are dropped
+ * @returns {Promise<void>}
+ */
+export async function setCachedResponse(key, value, maxEntries = DEFAULT_CACHE_SIZE) {
+  const entries = await loadEntries();
+  touch(entries, { key, value, usedAt: Date.now() });
+
+  // Drop the least recently used entries (a Map iterates oldest first)
+  for (const oldKey of entries.keys()) {
+    if (entries.size <= maxEntries) break;
+    entries.delete(oldKey);
+    persist(deleteRecord(STORE, oldKey));
+  }
+}
+
+/**
+ * Forget every cached response
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearResponseCache() {
+  const entries = await loadEntries();
+  entries.clear();
+  await clearRecords(STORE).catch(() => {});
+}
+
+/**
+ * Load the saved entries (once)
+ *
+ * @returns {Promise<Map>}
+ */
+function loadEntries() {
+  if (!entriesPromise) {
+    entriesPromise = getAllRecords(STORE)
+      .catch(() => [])
+      .then((records) => new Map(
+        records
+          .sort((a, b) => a.usedAt - b.usedAt)
+          .map((record) => [record.key, record])
+      ));
+  }
+  return entriesPromise;
+}
+
+/**
+ * Store an entry as the most recently used one
+ *
+ * @param {Map} entries
+ * @param {Object} entry - { key, value, usedAt }
+ */
+function touch(entries, entry) {
+  // Re-inserting moves the key to the end of the Map's order
+  entries.delete(entry.key);
+  entries.set(entry.key, entry);
+  persist(putRecord(STORE, entry));
+}
+
+/**
+ * Save in the background - the in-memory cache works even if saving fails
+ *
+ * @param {Promise} write
+ */
+function persist(write) {
+  write.catch(() => {});
+}
+
+/**
+ * Hash a text to a short string (cyrb53 - fast, not cryptographic)
+ *
+ * @param {string} text
+ * @returns {string} 14 hex characters
+ */
+function hashText(text = '') {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (h2 >>> 0).toString(16).padStart(8, '0').slice(-6) + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { getCacheKey, getCachedResponse, setCachedResponse } from './responseCache';
+ *
+ * const key = getCacheKey({ provider: 'openai', model: 'gpt-4o', template, context: prompt });
+ *
+ * const cached = await getCachedResponse(key);
+ * if (cached !== null) return cached;
+ *
+ * const text = await provider.generate(request);
+ * await setCachedResponse(key, text);
+ */
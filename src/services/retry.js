@@ -0,0 +1,146 @@
+/**
+ * RETRY AND TIMEOUT HELPERS
+ *
+ * Many AI failures are temporary: the provider is overloaded (5xx), we
+ * hit a rate limit (429), or the connection hiccuped. Trying again a bit
+ * later usually works, so requests are retried with exponential backoff:
+ * wait ~1s, then ~2s, then ~4s... with some randomness ("jitter"), so
+ * many clients don't all retry at the same moment.
+ *
+ * Which errors are worth retrying is decided by the caller (see errors.js -
+ * every AI error has a `retryable` flag). If the provider says how long to
+ * wait (a rate limit's `retryAfter`), that wins over the backoff.
+ */
+
+import { wait } from './abort';
+import { TimeoutError } from './errors';
+
+// First retry waits about this long; every further retry twice as long
+export const BASE_RETRY_DELAY = 1000;
+
+// Never wait longer than this between attempts
+export const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Work out how long to wait before a retry
+ *
+ * @param {number} attempt - 0 for the first retry, 1 for the second...
+ * @param {Object} [options]
+ * @param {number} [options.baseDelay] - Delay before the first retry (ms)
+ * @param {number} [options.maxDelay] - Upper limit (ms)
+ * @param {Function} [options.random] - Returns 0..1 (Math.random by default)
+ * @returns {number} Milliseconds - between half and all of the exponential delay
+ */
+export function getBackoffDelay(attempt, options = {}) {
+  const {
+    baseDelay = BASE_RETRY_DELAY,
+    maxDelay = MAX_RETRY_DELAY,
+    random = Math.random,
+  } = options;
+
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(delay / 2 + (random() * delay) / 2);
+}
+
+/**
+ * Run an operation, retrying it when it fails with a retryable error
+ *
+ * @param {Function} operation - (attempt) => Promise, attempt counts from 0
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] - How many times to retry
+ * @param {number} [options.baseDelay] - See getBackoffDelay
+ * @param {number} [options.maxDelay] - See getBackoffDelay
+ * @param {Function} [options.shouldRetry] - (error) => boolean (defaults to error.retryable)
+ * @param {Function} [options.onRetry] - Called with { attempt, retries, delay, error } before waiting
+ * @param {AbortSignal} [options.signal] - Stops retrying (and waiting) when aborted
+ * @returns {Promise<*>} The operation's result
+ * @throws The last error, once retrying doesn't make sense any more
+ */
+export async function withRetry(operation, options = {}) {
+  const {
+    retries = 3,
+    baseDelay = BASE_RETRY_DELAY,
+    maxDelay = MAX_RETRY_DELAY,
+    shouldRetry = (error) => error?.retryable === true,
+    onRetry,
+    signal,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error)) throw error;
+
+      // The provider asked for a longer break than we are willing to wait
+      if (error.retryAfter > maxDelay) throw error;
+
+      const delay = error.retryAfter ?? getBackoffDelay(attempt, { baseDelay, maxDelay });
+      onRetry?.({ attempt: attempt + 1, retries, delay, error });
+
+      await wait(delay, signal);
+    }
+  }
+}
+
+/**
+ * Run an operation with a time limit
+ *
+ * The operation gets its own AbortSignal, which is aborted when time is
+ * up (or when the caller's signal aborts). The timer can be restarted,
+ * e.g. whenever a streamed chunk arrives, so a long answer that keeps
+ * coming doesn't time out - only a stalled one does.
+ *
+ * @param {Function} operation - ({ signal, restartTimer }) => Promise
+ * @param {Object} options
+ * @param {number} options.timeout - Milliseconds (0 = no limit)
+ * @param {AbortSignal} [options.signal] - The caller's signal
+ * @param {string} [options.message] - Message of the TimeoutError
+ * @returns {Promise<*>} The operation's result
+ * @throws {TimeoutError} If time runs out
+ */
+export function withTimeout(operation, { timeout, signal, message = 'The AI took too long to answer.' }) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  let timer;
+  let rejectTimeout;
+
+  if (signal?.aborted) abort();
+  signal?.addEventListener('abort', abort, { once: true });
+
+  const timedOut = new Promise((resolve, reject) => {
+    rejectTimeout = reject;
+  });
+
+  const restartTimer = () => {
+    clearTimeout(timer);
+    if (!(timeout > 0)) return;
+
+    timer = setTimeout(() => {
+      controller.abort();
+      rejectTimeout(new TimeoutError(message));
+    }, timeout);
+  };
+
+  restartTimer();
+
+  // Whichever comes first: the result, or the timeout
+  // (the timeout also wins if the operation ignores its signal)
+  return Promise.race([operation({ signal: controller.signal, restartTimer }), timedOut])
+    .finally(() => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    });
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * const text = await withRetry(
+ *   () => withTimeout(({ signal }) => provider.generate(request, { signal }), { timeout: 30000 }),
+ *   {
+ *     retries: 3,
+ *     onRetry: ({ attempt, delay }) => console.log(`Retry ${attempt} in ${delay}ms`),
+ *   }
+ * );
+ */
@@ -0,0 +1,114 @@
+/**
+ * SELECTION COMMANDS
+ *
+ * Besides "continue writing", the user can select some text and ask the AI
+ * to change it: rewrite, shorten, expand, fix grammar, change the tone or
+ * translate. Each command has its own instruction for the AI.
+ *
+ * The result replaces the selection (after review), so every instruction
+ * asks for the revised text only - no quotes, notes or explanations.
+ */
+
+// Tones offered by the "Change tone" command
+export const TONES = ['formal', 'casual', 'persuasive'];
+
+// Languages offered by the "Translate" command
+export const LANGUAGES = ['English', 'Spanish', 'French', 'German', 'Italian', 'Portuguese', 'Japanese'];
+
+/**
+ * The commands, in the order they appear in the selection menu
+ *
+ * Each command has:
+ * - label: shown in the menu
+ * - instruction(options): what the AI should do with the selected text
+ * - temperature: how creative the AI may be (low for corrections)
+ * - lengthFactor: expected result length compared to the selection
+ */
+export const SELECTION_COMMANDS = {
+  rewrite: {
+    label: 'Rewrite',
+    instruction: () =>
+      'Rewrite the text so it reads more clearly and naturally. Keep its meaning, tone and roughly its length.',
+    temperature: 0.7,
+    lengthFactor: 1.5,
+  },
+
+  shorten: {
+    label: 'Shorten',
+    instruction: () =>
+      'Make the text shorter - about half its length - while keeping the key points.',
+    temperature: 0.5,
+    lengthFactor: 1,
+  },
+
+  expand: {
+    label: 'Expand',
+    instruction: () =>
+      'Expand the text with more detail, examples or explanation - about twice its length. Match its tone and style.',
+    temperature: 0.7,
+    lengthFactor: 3,
+  },
+
+  grammar: {
+    label: 'Fix grammar',
+    instruction: () =>
+      'Fix spelling, grammar and punctuation mistakes in the text. Change nothing else. If there are no mistakes, return the text unchanged.',
+    temperature: 0.2,
+    lengthFactor: 1.2,
+  },
+
+  tone: {
+    label: 'Change tone',
+    instruction: ({ tone = 'formal' } = {}) =>
+      `Rewrite the text in a ${tone} tone. Keep its meaning and roughly its length.`,
+    temperature: 0.7,
+    lengthFactor: 1.5,
+  },
+
+  translate: {
+    label: 'Translate',
+    instruction: ({ language = 'English' } = {}) =>
+      `Translate the text into ${language}. Keep the formatting and tone.`,
+    temperature: 0.3,
+    lengthFactor: 2,
+  },
+};
+
+/**
+ * Look up a selection command
+ *
+ * @param {string} id - Command id (e.g. 'rewrite')
+ * @returns {Object} The command
+ * @throws {Error} If there is no such command
+ */
+export function getSelectionCommand(id) {
+  const command = SELECTION_COMMANDS[id];
+  if (!command) {
+    throw new Error(`Unknown selection command "${id}"`);
+  }
+  return command;
+}
+
+/**
+ * Describe a command for display (e.g. "Change tone: casual")
+ *
+ * @param {Object} edit - { command, tone, language }
+ * @returns {string} A short label
+ */
+export function describeSelectionCommand({ command, tone, language }) {
+  const { label } = getSelectionCommand(command);
+
+  if (command === 'tone') return `${label}: ${tone || 'formal'}`;
+  if (command === 'translate') return `${label}: ${language || 'English'}`;
+  return label;
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { getSelectionCommand } from './selectionCommands';
+ *
+ * const { instruction, temperature } = getSelectionCommand('tone');
+ * instruction({ tone: 'casual' });
+ * // "Rewrite the text in a casual tone. Keep its meaning and roughly its length."
+ */
@@ -0,0 +1,176 @@
+/**
+ * TELEMETRY
+ *
+ * A small event bus for what the editor does, recorded as structured
+ * events instead of console.log calls:
+ * - transition: the state machine moved to another state
+ * - generation: a suggestion is ready (provider, model, latency, length)
+ * - usage: the token counts of a request
+ * - retry / error: a failure (retried, or given up on)
+ * - action: something the user did with a suggestion (accept, discard...)
+ *
+ * An event: { id, type, time, data } - time is a timestamp (ms), data
+ * depends on the type.
+ *
+ * Events go to sinks - plain functions that get every event:
+ * - consoleSink prints them
+ * - debugLog (a memory sink) keeps the last ones for the debug panel
+ *   and the JSON export
+ *
+ * Both are only installed in development. In production builds and in
+ * tests there are no sinks, so nothing is recorded or printed (tests of
+ * the bus add their own).
+ */
+
+// The kinds of events
+export const TELEMETRY_EVENTS = {
+  transition: 'transition',
+  generation: 'generation',
+  usage: 'usage',
+  retry: 'retry',
+  error: 'error',
+  action: 'action',
+};
+
+// Whether the default sinks are installed (vitest runs in development mode)
+export const TELEMETRY_ENABLED = import.meta.env.DEV && import.meta.env.MODE !== 'test';
+
+// How many events the debug log keeps
+const DEBUG_LOG_LIMIT = 500;
+
+const sinks = new Set();
+let nextId = 1;
+
+/**
+ * Record an event
+ *
+ * @param {string} type - One of TELEMETRY_EVENTS
+ * @param {Object} [data] - What happened
+ * @returns {Object|null} The event, or null if nobody is listening
+ */
+export function track(type, data = {}) {
+  if (sinks.size === 0) return null;
+
+  const event = { id: nextId++, type, time: Date.now(), data };
+  for (const sink of sinks) {
+    try {
+      sink(event);
+    } catch {
+      // A broken sink must not break the editor
+    }
+  }
+  return event;
+}
+
+/**
+ * Start sending events to a sink
+ *
+ * @param {Function} sink - Called with every event
+ * @returns {Function} Removes the sink again
+ */
+export function addSink(sink) {
+  sinks.add(sink);
+  return () => sinks.delete(sink);
+}
+
+/**
+ * A sink that prints events to the browser console
+ *
+ * @param {Object} event
+ */
+export function consoleSink(event) {
+  console.debug(`[${event.type}]`, event.data);
+}
+
+/**
+ * Create a sink that keeps the last events in memory
+ *
+ * @param {number} [limit] - How many events to keep
+ * @returns {Object} { record, getEvents, subscribe, clear, exportJSON } -
+ *   record is the sink function to pass to addSink
+ */
+export function createMemorySink(limit = DEBUG_LOG_LIMIT) {
+  let events = [];
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach((listener) => listener(events));
+
+  return {
+    record(event) {
+      // A new array each time, so React sees the change
+      events = [...events, event].slice(-limit);
+      notify();
+    },
+
+    getEvents() {
+      return events;
+    },
+
+    /**
+     * @param {Function} listener - Called with the events after every change
+     * @returns {Function} Unsubscribes
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    clear() {
+      events = [];
+      notify();
+    },
+
+    /**
+     * @returns {string} The events as a JSON document, for a bug report
+     */
+    exportJSON() {
+      return JSON.stringify({ exportedAt: new Date().toISOString(), events }, null, 2);
+    },
+  };
+}
+
+/**
+ * Record every state change of an interpreted state machine
+ *
+ * Only changes of the state value count - events that just update the
+ * context (like every keystroke's EDITOR_UPDATE) aren't recorded.
+ *
+ * @param {Interpreter} service - e.g. the third value useMachine returns
+ * @returns {Function} Stops recording
+ */
+export function trackTransitions(service) {
+  let previous = null;
+
+  const subscription = service.subscribe((state) => {
+    const value = JSON.stringify(state.value);
+    if (value === previous) return;
+
+    track(TELEMETRY_EVENTS.transition, {
+      from: previous && JSON.parse(previous),
+      to: state.value,
+      event: state.event.type,
+    });
+    previous = value;
+  });
+
+  return () => subscription.unsubscribe();
+}
+
+// The log the debug panel shows
+export const debugLog = createMemorySink();
+
+if (TELEMETRY_ENABLED) {
+  addSink(consoleSink);
+  addSink(debugLog.record);
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { track, addSink, TELEMETRY_EVENTS } from './telemetry';
+ *
+ * track(TELEMETRY_EVENTS.generation, { provider: 'openai', latency: 840 });
+ *
+ * // Send the events somewhere else too
+ * const remove = addSink((event) => navigator.sendBeacon('/log', JSON.stringify(event)));
+ */
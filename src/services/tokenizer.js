@@ -0,0 +1,129 @@
+/**
+ * TOKENIZER
+ *
+ * Models don't read characters, they read tokens - pieces of words.
+ * Both the price of a request and the limits of a model are counted in
+ * tokens, so we need to know roughly how many tokens a text is.
+ *
+ * The real tokenizers (BPE vocabularies like OpenAI's cl100k) are
+ * megabytes of data. This module approximates them offline:
+ * 1. Split the text the way cl100k does before applying its vocabulary
+ *    (words with their leading space, numbers in groups of up to three
+ *    digits, punctuation runs, whitespace)
+ * 2. Count each piece: common words are a single token, long or rare
+ *    words are split into several, and CJK characters are about one
+ *    token each
+ *
+ * For English prose it is usually within 10% of the real count - close
+ * enough to fit context into a model's window.
+ */
+
+// The pre-tokenization pattern of cl100k
+const PIECE_PATTERN =
+  /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+// Scripts where every character is (about) one token
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+
+// Context windows (in tokens) by model name prefix - the first match wins
+const CONTEXT_WINDOWS = [
+  ['gpt-4o', 128000],
+  ['gpt-4-turbo', 128000],
+  ['gpt-4', 8192],
+  ['gpt-3.5-turbo', 16385],
+  ['claude', 200000],
+  ['llama3', 8192],
+  ['mistral', 32768],
+  ['markov', 1024],
+  ['mock', 4096],
+];
+
+// Unknown models (e.g. on a local server) get a window that fits most of them
+export const DEFAULT_CONTEXT_WINDOW = 2048;
+
+/**
+ * Split a text into the pieces the tokenizer counts
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitIntoPieces(text) {
+  return text.match(PIECE_PATTERN) || [];
+}
+
+/**
+ * Count the tokens in a text
+ *
+ * @param {string} text
+ * @returns {number} Approximate token count
+ */
+export function countTokens(text) {
+  if (!text) return 0;
+
+  return splitIntoPieces(text).reduce((total, piece) => total + countPieceTokens(piece), 0);
+}
+
+/**
+ * Count the tokens in one piece
+ *
+ * @param {string} piece - From splitIntoPieces
+ * @returns {number}
+ */
+function countPieceTokens(piece) {
+  // CJK: one token per character
+  const cjk = piece.match(CJK_PATTERN)?.length || 0;
+  if (cjk > 0) return cjk + (piece.length > cjk ? 1 : 0);
+
+  const letters = piece.replace(/[^\p{L}]/gu, '');
+  if (letters.length > 0) {
+    // Accented and non-Latin letters are rarer in the vocabulary
+    const perToken = /^[a-z]+$/i.test(letters) ? 6 : 3;
+    // Most words up to 8 letters are in the vocabulary
+    if (letters.length <= 8 && perToken === 6) return 1;
+    return Math.ceil(letters.length / perToken);
+  }
+
+  // Numbers (up to 3 digits) and whitespace are one token
+  if (/^[\p{N}\s]+$/u.test(piece)) return 1;
+
+  // Punctuation: common pairs like ")." are merged
+  return Math.ceil(piece.trim().length / 2) || 1;
+}
+
+/**
+ * Get the context window of a model
+ *
+ * @param {string} [model] - Model name (e.g. 'gpt-4o-mini')
+ * @returns {number} Tokens the model can handle (prompt + completion)
+ */
+export function getContextWindow(model) {
+  const name = (model || '').toLowerCase();
+  const match = CONTEXT_WINDOWS.find(([prefix]) => name.startsWith(prefix));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Work out how many tokens of context fit into a request
+ *
+ * @param {string} model - Model name
+ * @param {number} reservedTokens - Tokens needed for everything else
+ *   (the prompt templates, the selection and the completion)
+ * @param {number} maxContextTokens - Upper limit, so big windows don't mean big bills
+ * @returns {number} Tokens available for document context
+ */
+export function getContextBudget(model, reservedTokens, maxContextTokens) {
+  const available = getContextWindow(model) - reservedTokens;
+  return Math.max(0, Math.min(maxContextTokens, available));
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import { countTokens, getContextBudget } from './tokenizer';
+ *
+ * countTokens('The quick brown fox.'); // 5
+ *
+ * // How much document text fits next to a 300-token prompt and answer?
+ * getContextBudget('llama3', 300, 1500); // 1500
+ * getContextBudget('markov', 300, 1500); // 724
+ */
@@ -4,4 +4,11 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Forward AI requests to the proxy server (npm run server) in development,
+    // so the app and the proxy share an origin
+    proxy: {
+      '/api': 'http://localhost:8787',
+    },
+  },
 })